@@ -3,11 +3,25 @@
  */
 
 import { SchemaVersion } from './schemaVersions.js';
+import {
+  checkBoundedArray,
+  checkClosedObject,
+  checkEnum,
+  checkFiniteNumber,
+  checkInteger,
+  checkNonEmptyString,
+  createValidationIssue,
+  joinPath,
+  ValidationIssueCode
+} from './validationIssues.js';
 
 export const Roles = {
   MAYOR: 'mayor',
   CAPTAIN: 'captain',
-  WARDEN: 'warden'
+  WARDEN: 'warden',
+  TREASURER: 'treasurer',
+  CLERIC: 'cleric',
+  DIPLOMAT: 'diplomat'
 };
 
 export const Traits = {
@@ -24,9 +38,109 @@ export const Traits = {
  * @property {string} role - Role from Roles enum
  * @property {string} townId - Town/settlement identifier
  * @property {Object} traits - Trait values [0, 1]
- * @property {Object} goals - Role-specific goals
+ * @property {Object<string, number|boolean>} goals - Role-specific goal weights [0, 1]; `true`/`false` are shorthand for 1/0
+ * @property {Object<string, Relationship>} [relationships] - How this governor regards other actors, keyed by actor id
+ * @property {ProfileLineage} [lineage] - Present on profiles produced by `evolveProfile()`
  */
 
+/**
+ * @typedef {Object} Relationship
+ * @property {number} [trust] - [0, 1], default 0.5; how far the governor counts on the actor
+ * @property {number} [rivalry] - [0, 1], default 0; competition that undercuts trust
+ */
+
+/**
+ * @typedef {Object} ProfileLineage
+ * @property {number} generation - 1 for the first evolved profile, +1 per evolution
+ * @property {string} parentHash - `hashProfile()` of the profile this one evolved from
+ * @property {string} hash - Lineage hash over the parent hash, result ids, and drift policy
+ * @property {string[]} resultIds - Execution results this generation learned from
+ * @property {string[]} learnedResultIds - Every execution result any generation learned from, sorted
+ * @property {Object[]} traitHistory - `{generation, trait, from, to, resultIds}` for every trait change, oldest first
+ */
+
+const hashPattern = /^[0-9a-f]{64}$/;
+const resultIdPattern = /^result_[0-9a-f]{64}$/;
+const LineageKeys = ['generation', 'parentHash', 'hash', 'resultIds', 'learnedResultIds', 'traitHistory'];
+const TraitChangeKeys = ['generation', 'trait', 'from', 'to', 'resultIds'];
+const RelationshipKeys = ['trust', 'rivalry'];
+
+export const MaxProfileRelationships = 32;
+
+export const MaxLearnedResultIds = 4096;
+
+export const DefaultRelationship = Object.freeze({ trust: 0.5, rivalry: 0 });
+
+function checkPattern(issues, value, path, pattern) {
+  if (typeof value === 'string' && pattern.test(value)) return true;
+  issues.push(createValidationIssue(path, ValidationIssueCode.INVALID_PATTERN, `Expected a string matching ${pattern}`, pattern.source, value));
+  return false;
+}
+
+function checkResultIds(issues, resultIds, path, maxItems) {
+  if (!checkBoundedArray(issues, resultIds, path, maxItems)) return;
+  resultIds.forEach((resultId, index) => checkPattern(issues, resultId, joinPath(path, index), resultIdPattern));
+}
+
+function checkUniqueResultIds(issues, resultIds, path) {
+  const seenIds = new Set();
+  resultIds.forEach((resultId, index) => {
+    if (seenIds.has(resultId)) {
+      issues.push(createValidationIssue(joinPath(path, index), ValidationIssueCode.DUPLICATE_ID, `Duplicate result id "${resultId}"`, 'unique id', resultId));
+    }
+    seenIds.add(resultId);
+  });
+}
+
+function validateLineage(issues, lineage) {
+  if (!checkClosedObject(issues, lineage, '$.lineage', LineageKeys)) return;
+  checkInteger(issues, lineage.generation, '$.lineage.generation', 1);
+  checkPattern(issues, lineage.parentHash, '$.lineage.parentHash', hashPattern);
+  checkPattern(issues, lineage.hash, '$.lineage.hash', hashPattern);
+  checkResultIds(issues, lineage.resultIds, '$.lineage.resultIds');
+  checkResultIds(issues, lineage.learnedResultIds, '$.lineage.learnedResultIds', MaxLearnedResultIds);
+  if (Array.isArray(lineage.learnedResultIds)) {
+    checkUniqueResultIds(issues, lineage.learnedResultIds, '$.lineage.learnedResultIds');
+  }
+  if (checkBoundedArray(issues, lineage.traitHistory, '$.lineage.traitHistory')) {
+    lineage.traitHistory.forEach((change, index) => {
+      const path = joinPath('$.lineage.traitHistory', index);
+      if (!checkClosedObject(issues, change, path, TraitChangeKeys)) return;
+      checkInteger(issues, change.generation, joinPath(path, 'generation'), 1);
+      if (checkEnum(issues, change.trait, joinPath(path, 'trait'), Object.keys(Traits))) {
+        const { min, max } = Traits[change.trait];
+        checkFiniteNumber(issues, change.from, joinPath(path, 'from'), min, max);
+        checkFiniteNumber(issues, change.to, joinPath(path, 'to'), min, max);
+      }
+      checkResultIds(issues, change.resultIds, joinPath(path, 'resultIds'));
+    });
+  }
+}
+
+function validateRelationships(issues, relationships) {
+  if (!checkClosedObject(issues, relationships, '$.relationships')) return;
+  const entries = Object.entries(relationships);
+  if (entries.length > MaxProfileRelationships) {
+    issues.push(createValidationIssue(
+      '$.relationships',
+      ValidationIssueCode.TOO_MANY_ITEMS,
+      `Expected at most ${MaxProfileRelationships} relationships`,
+      `<= ${MaxProfileRelationships} relationships`,
+      entries.length
+    ));
+  }
+  for (const [actorId, relationship] of entries) {
+    const path = joinPath('$.relationships', actorId);
+    if (!checkNonEmptyString(issues, actorId, path)) continue;
+    if (!checkClosedObject(issues, relationship, path, RelationshipKeys)) continue;
+    for (const key of RelationshipKeys) {
+      if (key in relationship) {
+        checkFiniteNumber(issues, relationship[key], joinPath(path, key), 0, 1);
+      }
+    }
+  }
+}
+
 export const mayorProfile = {
   schemaVersion: SchemaVersion.PROFILE,
   id: 'mayor-1',
@@ -81,30 +195,149 @@ export const wardenProfile = {
   }
 };
 
+export const treasurerProfile = {
+  schemaVersion: SchemaVersion.PROFILE,
+  id: 'treasurer-1',
+  role: Roles.TREASURER,
+  townId: 'town-1',
+  traits: {
+    authority: 0.6,
+    pragmatism: 0.9,
+    courage: 0.4,
+    prudence: 0.8
+  },
+  goals: {
+    balanceBudget: true,
+    fundTrade: true,
+    buildReserves: true
+  }
+};
+
+export const clericProfile = {
+  schemaVersion: SchemaVersion.PROFILE,
+  id: 'cleric-1',
+  role: Roles.CLERIC,
+  townId: 'town-1',
+  traits: {
+    authority: 0.6,
+    pragmatism: 0.4,
+    courage: 0.7,
+    prudence: 0.6
+  },
+  goals: {
+    easeDread: true,
+    restoreHope: true,
+    keepVigils: true
+  }
+};
+
+export const diplomatProfile = {
+  schemaVersion: SchemaVersion.PROFILE,
+  id: 'diplomat-1',
+  role: Roles.DIPLOMAT,
+  townId: 'town-1',
+  traits: {
+    authority: 0.7,
+    pragmatism: 0.7,
+    courage: 0.5,
+    prudence: 0.8
+  },
+  goals: {
+    keepPeace: true,
+    openTradeRoutes: true,
+    honorAlliances: true
+  }
+};
+
 /**
- * Validate governance profile structure
+ * Validate governance profile structure and report every path-level issue found
  * @param {GovernanceProfile} profile
- * @returns {boolean}
+ * @returns {import('./validationIssues.js').ValidationIssue[]}
  */
-export function isValidProfile(profile) {
-  if (!profile || typeof profile !== 'object') return false;
-  if (profile.schemaVersion !== SchemaVersion.PROFILE) return false;
-  if (typeof profile.id !== 'string' || profile.id.length === 0) return false;
-  if (!Object.values(Roles).includes(profile.role)) return false;
-  if (typeof profile.townId !== 'string' || profile.townId.length === 0) return false;
+export function validateProfile(profile) {
+  const issues = [];
+  if (!checkClosedObject(issues, profile, '$')) return issues;
 
-  if (!profile.traits || typeof profile.traits !== 'object') return false;
-  for (const [traitName, traitDef] of Object.entries(Traits)) {
-    const value = profile.traits[traitName];
-    if (typeof value !== 'number' || !Number.isFinite(value) || value < traitDef.min || value > traitDef.max) return false;
+  if (profile.schemaVersion !== SchemaVersion.PROFILE) {
+    issues.push(createValidationIssue(
+      '$.schemaVersion',
+      ValidationIssueCode.INVALID_SCHEMA_VERSION,
+      'Unsupported profile schemaVersion',
+      SchemaVersion.PROFILE,
+      profile.schemaVersion
+    ));
   }
+  checkNonEmptyString(issues, profile.id, '$.id');
+  checkEnum(issues, profile.role, '$.role', Object.values(Roles));
+  checkNonEmptyString(issues, profile.townId, '$.townId');
 
-  if (!profile.goals || typeof profile.goals !== 'object') return false;
-  const goalEntries = Object.entries(profile.goals);
-  if (goalEntries.length === 0) return false;
-  for (const [, enabled] of goalEntries) {
-    if (typeof enabled !== 'boolean') return false;
+  if (checkClosedObject(issues, profile.traits, '$.traits')) {
+    for (const [traitName, traitDef] of Object.entries(Traits)) {
+      checkFiniteNumber(issues, profile.traits[traitName], joinPath('$.traits', traitName), traitDef.min, traitDef.max);
+    }
   }
 
-  return true;
+  if (checkClosedObject(issues, profile.goals, '$.goals')) {
+    const goalEntries = Object.entries(profile.goals);
+    if (goalEntries.length === 0) {
+      issues.push(createValidationIssue('$.goals', ValidationIssueCode.TOO_FEW_ITEMS, 'Expected at least one goal', '>= 1 goal', profile.goals));
+    }
+    for (const [goalName, weight] of goalEntries) {
+      const goalPath = joinPath('$.goals', goalName);
+      if (typeof weight === 'number') {
+        checkFiniteNumber(issues, weight, goalPath, 0, 1);
+      } else if (typeof weight !== 'boolean') {
+        issues.push(createValidationIssue(goalPath, ValidationIssueCode.INVALID_TYPE, 'Expected a goal weight or boolean flag', 'finite number in [0, 1] or boolean', weight));
+      }
+    }
+  }
+
+  if ('relationships' in profile) {
+    validateRelationships(issues, profile.relationships);
+  }
+
+  if ('lineage' in profile) {
+    validateLineage(issues, profile.lineage);
+  }
+
+  return issues;
+}
+
+/**
+ * Read a goal as a weight in [0, 1]. Boolean flags are legacy shorthand for
+ * 1 and 0; a goal the profile does not name weighs 0.
+ * @param {Object} [goals] - Profile goals
+ * @param {string} goalName
+ * @returns {number}
+ */
+export function getGoalWeight(goals, goalName) {
+  const weight = goals?.[goalName];
+  if (typeof weight === 'boolean') return weight ? 1 : 0;
+  if (typeof weight !== 'number' || !Number.isFinite(weight)) return 0;
+  return Math.max(0, Math.min(1, weight));
+}
+
+/**
+ * Read how a profile regards another actor. Actors the profile does not name,
+ * and missing fields, fall back to `DefaultRelationship`.
+ * @param {GovernanceProfile} profile
+ * @param {string} actorId
+ * @returns {{trust: number, rivalry: number, known: boolean}}
+ */
+export function getRelationship(profile, actorId) {
+  const relationships = profile?.relationships;
+  if (!relationships || typeof relationships !== 'object' || !Object.prototype.hasOwnProperty.call(relationships, actorId)) {
+    return { ...DefaultRelationship, known: false };
+  }
+  const { trust = DefaultRelationship.trust, rivalry = DefaultRelationship.rivalry } = relationships[actorId] || {};
+  return { trust, rivalry, known: true };
+}
+
+/**
+ * Validate governance profile structure
+ * @param {GovernanceProfile} profile
+ * @returns {boolean}
+ */
+export function isValidProfile(profile) {
+  return validateProfile(profile).length === 0;
 }
@@ -0,0 +1,38 @@
+/**
+ * Canonical JSON - The one serializer behind every world-core hash
+ * Object keys are sorted and `undefined` members dropped, so equivalent
+ * payloads serialize to the same bytes regardless of key order. Every
+ * hash-bearing artifact (snapshotHash, proposalId, handoffId, ...) depends on
+ * this output staying byte-identical.
+ */
+
+import { createHash } from 'crypto';
+
+/**
+ * Serialize a JSON value with sorted object keys.
+ * @param {*} value
+ * @returns {string}
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * SHA-256 hex digest of the canonical serialization of a value.
+ * @param {*} value
+ * @returns {string}
+ */
+export function hashValue(value) {
+  return createHash('sha256').update(stableStringify(value)).digest('hex');
+}
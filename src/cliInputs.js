@@ -0,0 +1,179 @@
+/**
+ * CLI Inputs - JSON input loading shared by the decision and demo CLIs.
+ * Each `load*Input()` helper writes a `{schemaVersion, error}` payload to
+ * stderr and returns null when the input is unreadable or invalid. The
+ * profile CLI reuses the same error envelope.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { validateProfile } from './agentProfiles.js';
+import { validateHeuristicWeights } from './heuristicWeights.js';
+import { ProfileTemplates, resolveProfile } from './profileTemplates.js';
+import { validateSnapshot, validateSnapshotBounds } from './snapshotSchema.js';
+
+export function resolveJsonPath(inputPath, cwd) {
+  return path.resolve(cwd, inputPath);
+}
+
+export function readJsonFile(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  return JSON.parse(raw);
+}
+
+// Template files named by `extends` resolve relative to the file that names them.
+function loadTemplateFile(reference, referrerPath) {
+  const templatePath = path.resolve(path.dirname(referrerPath), reference);
+  return { id: templatePath, profile: readJsonFile(templatePath) };
+}
+
+/**
+ * Resolve `--profile` to a builtin template bound to the snapshot town, or
+ * to a profile file with its `extends` chain applied.
+ * @param {string} profileInput - Builtin template name or profile path
+ * @param {string} snapshotTownId
+ * @param {string} cwd
+ * @returns {{profile: Object, source: Object}}
+ * @throws {Error} If the file cannot be read or its templates cannot be resolved
+ */
+function loadProfileSource(profileInput, snapshotTownId, cwd) {
+  if (ProfileTemplates[profileInput]) {
+    return {
+      profile: { ...ProfileTemplates[profileInput], townId: snapshotTownId },
+      source: {
+        kind: 'builtin',
+        name: profileInput
+      }
+    };
+  }
+
+  const profilePath = resolveJsonPath(profileInput, cwd);
+  const { profile, lineage } = resolveProfile(readJsonFile(profilePath), {
+    sourceId: profilePath,
+    loadTemplate: loadTemplateFile
+  });
+
+  return {
+    profile,
+    source: {
+      kind: 'file',
+      path: profilePath,
+      ...(lineage.length > 0 ? { extends: lineage } : {})
+    }
+  };
+}
+
+function getReadErrorCode(error) {
+  return error instanceof SyntaxError ? 'INVALID_JSON' : 'READ_ERROR';
+}
+
+function getProfileErrorCode(error) {
+  if (error instanceof SyntaxError) return 'INVALID_JSON';
+  // fs errors carry an errno code; anything else came from template resolution.
+  return error.code ? 'READ_ERROR' : 'INVALID_PROFILE_TEMPLATE';
+}
+
+export function createErrorOutput(code, message, details, schemaVersion) {
+  return {
+    schemaVersion,
+    error: {
+      code,
+      message,
+      ...(Object.keys(details).length > 0 ? { details } : {})
+    }
+  };
+}
+
+export function writeJson(stream, value) {
+  stream.write(`${JSON.stringify(value, null, 2)}\n`);
+}
+
+export function loadBoundsInput(inputPath, cwd, stderr, schemaVersion) {
+  const boundsPath = resolveJsonPath(inputPath, cwd);
+
+  let bounds;
+  try {
+    bounds = readJsonFile(boundsPath);
+  } catch (error) {
+    writeJson(stderr, createErrorOutput(getReadErrorCode(error), error.message, { path: boundsPath, field: 'bounds' }, schemaVersion));
+    return null;
+  }
+
+  const boundsIssues = validateSnapshotBounds(bounds);
+  if (boundsIssues.length > 0) {
+    writeJson(
+      stderr,
+      createErrorOutput('INVALID_BOUNDS', 'Invalid snapshot bounds', { path: boundsPath, field: 'bounds', issues: boundsIssues }, schemaVersion)
+    );
+    return null;
+  }
+
+  return { bounds, boundsPath };
+}
+
+export function loadWeightsInput(inputPath, cwd, stderr, schemaVersion) {
+  const weightsPath = resolveJsonPath(inputPath, cwd);
+
+  let weights;
+  try {
+    weights = readJsonFile(weightsPath);
+  } catch (error) {
+    writeJson(stderr, createErrorOutput(getReadErrorCode(error), error.message, { path: weightsPath, field: 'weights' }, schemaVersion));
+    return null;
+  }
+
+  const weightsIssues = validateHeuristicWeights(weights);
+  if (weightsIssues.length > 0) {
+    writeJson(
+      stderr,
+      createErrorOutput('INVALID_WEIGHTS', 'Invalid heuristic weights', { path: weightsPath, field: 'weights', issues: weightsIssues }, schemaVersion)
+    );
+    return null;
+  }
+
+  return { weights, weightsPath };
+}
+
+export function loadSnapshotInput(inputPath, field, cwd, stderr, schemaVersion, bounds) {
+  const snapshotPath = resolveJsonPath(inputPath, cwd);
+
+  let snapshot;
+  try {
+    snapshot = readJsonFile(snapshotPath);
+  } catch (error) {
+    writeJson(stderr, createErrorOutput(getReadErrorCode(error), error.message, { path: snapshotPath, field }, schemaVersion));
+    return null;
+  }
+
+  const snapshotIssues = validateSnapshot(snapshot, bounds);
+  if (snapshotIssues.length > 0) {
+    writeJson(
+      stderr,
+      createErrorOutput('INVALID_SNAPSHOT', 'Invalid snapshot structure', { path: snapshotPath, field, issues: snapshotIssues }, schemaVersion)
+    );
+    return null;
+  }
+
+  return { snapshot, snapshotPath };
+}
+
+export function loadProfileInput(profileInput, snapshotTownId, cwd, stderr, schemaVersion) {
+  let resolvedProfile;
+  try {
+    resolvedProfile = loadProfileSource(profileInput, snapshotTownId, cwd);
+  } catch (error) {
+    writeJson(stderr, createErrorOutput(getProfileErrorCode(error), error.message, { input: profileInput, field: 'profile' }, schemaVersion));
+    return null;
+  }
+
+  const profileIssues = validateProfile(resolvedProfile.profile);
+  if (profileIssues.length > 0) {
+    writeJson(
+      stderr,
+      createErrorOutput('INVALID_PROFILE', 'Invalid profile structure', { ...resolvedProfile.source, issues: profileIssues }, schemaVersion)
+    );
+    return null;
+  }
+
+  return resolvedProfile;
+}
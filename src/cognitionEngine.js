@@ -0,0 +1,93 @@
+/**
+ * Cognition Engine - Builtin cognition extended with third-party evaluators
+ * and proposal types, without editing the core registries. Custom proposal
+ * types follow the `proposalRegistry` definition contract and custom
+ * evaluators the `evaluatorRegistry` one; both are appended to the builtins.
+ */
+
+import { proposeForCouncil } from './council.js';
+import { arbitrateCouncil } from './councilArbitration.js';
+import { isValidCouncilDecision } from './councilDecision.js';
+import { inspectDecision } from './decisionInspection.js';
+import { evaluatorRegistry, isValidEvaluatorRegistry } from './evaluatorRegistry.js';
+import { createExecutionHandoff, createExecutionResult, isValidExecutionHandoff } from './executionHandoff.js';
+import { evaluateGovernanceCandidates, evaluateGovernanceProposal } from './heuristics.js';
+import { validateProposal } from './proposalDsl.js';
+import { proposalToCommand } from './proposalMapping.js';
+import { isValidProposalRegistry, listProposalTypes, proposalRegistry } from './proposalRegistry.js';
+import { propose } from './propose.js';
+
+function freezeDefinitions(definitions) {
+  return Object.freeze(definitions.map(definition => Object.freeze({ ...definition })));
+}
+
+/**
+ * @typedef {Object} CognitionEngine
+ * @property {ReadonlyArray<Object>} evaluatorRegistry - Builtin and custom evaluators
+ * @property {ReadonlyArray<Object>} proposalRegistry - Builtin and custom proposal definitions
+ * @property {function(Object, Object, Object=, Object=): Object[]} evaluateCandidates - `evaluateGovernanceCandidates()` over the engine's registries
+ * @property {function(Object, Object, Object=, Object=): Object} evaluateProposal - `evaluateGovernanceProposal()` over the engine's registries
+ * @property {function(Object, Object, Object=, Object=): Object} propose - `propose()` over the engine's registries
+ * @property {function(Object, Object, Object=, Object=): Object} inspectDecision - `inspectDecision()` over the engine's registries
+ * @property {function(Object, Object, Object=, Object=): Object} proposeForCouncil - `proposeForCouncil()` over the engine's registries
+ * @property {function(Object, Object, Object=, Object=): Object} arbitrateCouncil - `arbitrateCouncil()` over the engine's registries
+ * @property {function(Object): boolean} isValidCouncilDecision - `isValidCouncilDecision()` accepting the engine's proposal types
+ * @property {function(Object, string=): Object} createExecutionHandoff - `createExecutionHandoff()` for a proposal or council decision of any engine type
+ * @property {function(Object): boolean} isValidExecutionHandoff - `isValidExecutionHandoff()` accepting the engine's proposal types
+ * @property {function(Object, Object): Object} createExecutionResult - `createExecutionResult()` for a handoff of any engine type
+ * @property {function(Object): Object[]} validateProposal - `validateProposal()` accepting the engine's proposal types
+ * @property {function(Object): boolean} isValidProposal
+ * @property {function(Object): string} proposalToCommand - Command string for a valid proposal of any engine type
+ */
+
+/**
+ * Create a cognition engine from the builtin registries plus extensions.
+ * Custom evaluators may yield builtin or custom proposal types; custom
+ * proposal types need an `order` after the builtin ones, which breaks
+ * priority ties. Third-party evaluators must score a finite number in
+ * [0, 1]; any other score throws an error naming the evaluator.
+ * @param {Object} [options]
+ * @param {Object[]} [options.evaluators] - `{id, roles, proposalType, evaluate, fallback?}` definitions
+ * @param {Object[]} [options.proposalTypes] - `{type, order, validateArgs, argsSchema, buildProposal, toCommand}` definitions
+ * @returns {CognitionEngine}
+ * @throws {Error} If the combined proposal or evaluator registry is invalid
+ */
+export function createCognitionEngine({ evaluators = [], proposalTypes = [] } = {}) {
+  if (!Array.isArray(proposalTypes) || !isValidProposalRegistry([...proposalRegistry, ...proposalTypes])) {
+    throw new Error('Invalid proposal registry');
+  }
+  const proposals = freezeDefinitions([...proposalRegistry, ...proposalTypes]);
+
+  if (!Array.isArray(evaluators) || !isValidEvaluatorRegistry([...evaluatorRegistry, ...evaluators], listProposalTypes(proposals))) {
+    throw new Error('Invalid evaluator registry');
+  }
+  const registries = Object.freeze({
+    evaluators: freezeDefinitions([...evaluatorRegistry, ...evaluators]),
+    proposals
+  });
+
+  const engineValidateProposal = proposal => validateProposal(proposal, proposals);
+
+  return Object.freeze({
+    evaluatorRegistry: registries.evaluators,
+    proposalRegistry: proposals,
+    evaluateCandidates: (snapshot, profile, memory = {}, weights) =>
+      evaluateGovernanceCandidates(snapshot, profile, memory, weights, registries),
+    evaluateProposal: (snapshot, profile, memory = {}, weights) =>
+      evaluateGovernanceProposal(snapshot, profile, memory, weights, registries),
+    propose: (snapshot, profile, memory = {}, options = {}) => propose(snapshot, profile, memory, { ...options, registries }),
+    inspectDecision: (snapshot, profile, memory = {}, options = {}) =>
+      inspectDecision(snapshot, profile, memory, { ...options, registries }),
+    proposeForCouncil: (snapshot, council, memory = {}, options = {}) =>
+      proposeForCouncil(snapshot, council, memory, { ...options, registries }),
+    arbitrateCouncil: (snapshot, council, memory = {}, options = {}) =>
+      arbitrateCouncil(snapshot, council, memory, { ...options, registries }),
+    isValidCouncilDecision: decision => isValidCouncilDecision(decision, proposals),
+    createExecutionHandoff: (selection, command) => createExecutionHandoff(selection, command, proposals),
+    isValidExecutionHandoff: handoff => isValidExecutionHandoff(handoff, proposals),
+    createExecutionResult: (handoff, outcome) => createExecutionResult(handoff, outcome, proposals),
+    validateProposal: engineValidateProposal,
+    isValidProposal: proposal => engineValidateProposal(proposal).length === 0,
+    proposalToCommand: proposal => proposalToCommand(proposal, proposals)
+  });
+}
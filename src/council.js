@@ -0,0 +1,202 @@
+/**
+ * Council - Evaluate every office holder of a town in one call
+ * A `council.v1` roster lists the profiles that govern one town.
+ * `proposeForCouncil()` runs `propose()` for each member and reports
+ * cross-member checks the caller should resolve before execution.
+ */
+
+import { validateProfile } from './agentProfiles.js';
+import { propose } from './propose.js';
+import { SchemaVersion } from './schemaVersions.js';
+import { isValidSnapshot } from './snapshotSchema.js';
+import {
+  checkBoundedArray,
+  checkClosedObject,
+  checkNonEmptyString,
+  checkUniqueIds,
+  createValidationIssue,
+  joinPath,
+  ValidationIssueCode
+} from './validationIssues.js';
+
+export const CouncilProposalsSchemaVersion = SchemaVersion.COUNCIL_PROPOSALS;
+export const MaxCouncilMembers = 16;
+
+export const CouncilCheckCode = Object.freeze({
+  FOREIGN_MEMBER: 'foreign_member',
+  DUPLICATE_TARGET: 'duplicate_target',
+  CONFLICTING_PROJECT_ACTIONS: 'conflicting_project_actions'
+});
+
+const CouncilKeys = ['schemaVersion', 'townId', 'members'];
+
+/**
+ * @typedef {Object} Council
+ * @property {string} schemaVersion - Must be 'council.v1'
+ * @property {string} townId - Town the council governs
+ * @property {import('./agentProfiles.js').GovernanceProfile[]} members - 1 to MaxCouncilMembers profiles with unique ids
+ */
+
+/**
+ * @typedef {Object} CouncilCheck
+ * @property {string} code - One of CouncilCheckCode
+ * @property {string} message - Human-readable explanation
+ * @property {string[]} memberIds - Members involved, in council order
+ * @property {{kind: string, id: string}} [target] - Shared world entity, for target checks
+ * @property {string[]} [proposalTypes] - Distinct proposal types on the target, sorted
+ */
+
+/**
+ * Validate a council roster and report every path-level issue found.
+ * Members may belong to another town; `proposeForCouncil()` reports those.
+ * @param {Council} council
+ * @returns {import('./validationIssues.js').ValidationIssue[]}
+ */
+export function validateCouncil(council) {
+  const issues = [];
+  if (!checkClosedObject(issues, council, '$', CouncilKeys)) return issues;
+
+  if (council.schemaVersion !== SchemaVersion.COUNCIL) {
+    issues.push(createValidationIssue(
+      '$.schemaVersion',
+      ValidationIssueCode.INVALID_SCHEMA_VERSION,
+      'Unsupported council schemaVersion',
+      SchemaVersion.COUNCIL,
+      council.schemaVersion
+    ));
+  }
+  checkNonEmptyString(issues, council.townId, '$.townId');
+
+  if (checkBoundedArray(issues, council.members, '$.members', MaxCouncilMembers)) {
+    if (council.members.length === 0) {
+      issues.push(createValidationIssue('$.members', ValidationIssueCode.TOO_FEW_ITEMS, 'Expected at least one member', '>= 1 member', council.members));
+    }
+    council.members.forEach((member, index) => {
+      const memberPath = joinPath('$.members', index);
+      for (const issue of validateProfile(member)) {
+        issues.push({ ...issue, path: `${memberPath}${issue.path.slice(1)}` });
+      }
+    });
+    checkUniqueIds(issues, council.members, '$.members');
+  }
+
+  return issues;
+}
+
+/**
+ * Validate a council roster
+ * @param {Council} council
+ * @returns {boolean}
+ */
+export function isValidCouncil(council) {
+  return validateCouncil(council).length === 0;
+}
+
+// World entities a proposal acts on, from its `<entity>_exists` preconditions.
+function getProposalTargets(proposal) {
+  const targets = new Map();
+  for (const precondition of proposal.preconditions || []) {
+    if (typeof precondition.targetId !== 'string' || !precondition.kind.endsWith('_exists')) continue;
+    const kind = precondition.kind.slice(0, -'_exists'.length);
+    targets.set(`${kind}:${precondition.targetId}`, { kind, id: precondition.targetId });
+  }
+  return [...targets.values()];
+}
+
+/**
+ * Cross-check member proposals that act on the same world entity.
+ * @param {{memberId: string, proposal: Object|null}[]} entries - Member proposals in council order; null proposals are skipped
+ * @returns {CouncilCheck[]} `duplicate_target` and `conflicting_project_actions` checks, sorted by target
+ */
+export function checkCouncilProposals(entries) {
+  const byTarget = new Map();
+  for (const { memberId, proposal } of entries) {
+    if (!proposal) continue;
+    for (const target of getProposalTargets(proposal)) {
+      const key = `${target.kind}:${target.id}`;
+      if (!byTarget.has(key)) byTarget.set(key, { target, memberIds: [], types: new Set() });
+      byTarget.get(key).memberIds.push(memberId);
+      byTarget.get(key).types.add(proposal.type);
+    }
+  }
+
+  const checks = [];
+  for (const key of [...byTarget.keys()].sort()) {
+    const { target, memberIds, types } = byTarget.get(key);
+    if (memberIds.length < 2) continue;
+    const proposalTypes = [...types].sort();
+
+    if (target.kind === 'project' && proposalTypes.length > 1) {
+      checks.push({
+        code: CouncilCheckCode.CONFLICTING_PROJECT_ACTIONS,
+        message: `Members propose different actions on project ${target.id}`,
+        memberIds,
+        target,
+        proposalTypes
+      });
+    } else if (proposalTypes.length === 1) {
+      checks.push({
+        code: CouncilCheckCode.DUPLICATE_TARGET,
+        message: `Members propose the same action on ${target.kind} ${target.id}`,
+        memberIds,
+        target,
+        proposalTypes
+      });
+    }
+  }
+  return checks;
+}
+
+/**
+ * Generate one proposal per council member for the same snapshot.
+ * Members from another town get `proposal: null` and a `foreign_member`
+ * check. Proposals that share a world entity are reported as
+ * `duplicate_target` (same action) or `conflicting_project_actions`
+ * (different actions on one project); the proposals themselves are unchanged.
+ * @param {Object} snapshot - World state snapshot
+ * @param {Council} council
+ * @param {Object<string, Object>} [memory] - Anti-repeat memory per member id, as accepted by `propose()`
+ * @param {Object} [options]
+ * @param {import('./snapshotSchema.js').SnapshotBoundsConfig} [options.bounds] - Deployment bounds config
+ * @param {Object} [options.weights] - Heuristic weights override, as accepted by `propose()`
+ * @param {{evaluators?: Object[], proposals?: Object[]}} [options.registries] - Validated engine registries, as accepted by `propose()`
+ * @returns {{schemaVersion: string, townId: string, decisionEpoch: number, proposals: Object[], checks: CouncilCheck[]}}
+ * @throws {Error} If the snapshot or council is invalid, or the council governs another town
+ */
+export function proposeForCouncil(snapshot, council, memory = {}, options = {}) {
+  if (!isValidSnapshot(snapshot, options.bounds)) {
+    throw new Error('Invalid snapshot structure');
+  }
+  if (!isValidCouncil(council)) {
+    throw new Error('Invalid council structure');
+  }
+  if (snapshot.townId !== council.townId) {
+    throw new Error('Snapshot and council townId mismatch');
+  }
+
+  const checks = [];
+  const proposals = council.members.map(member => {
+    if (member.townId !== council.townId) {
+      checks.push({
+        code: CouncilCheckCode.FOREIGN_MEMBER,
+        message: `Member ${member.id} belongs to town ${member.townId}`,
+        memberIds: [member.id]
+      });
+      return { memberId: member.id, role: member.role, proposal: null };
+    }
+
+    return {
+      memberId: member.id,
+      role: member.role,
+      proposal: propose(snapshot, member, memory?.[member.id] ?? {}, options)
+    };
+  });
+
+  return {
+    schemaVersion: CouncilProposalsSchemaVersion,
+    townId: council.townId,
+    decisionEpoch: snapshot.day,
+    proposals,
+    checks: [...checks, ...checkCouncilProposals(proposals)]
+  };
+}
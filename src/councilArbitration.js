@@ -0,0 +1,209 @@
+/**
+ * Council Arbitration - Select one binding recommendation per epoch
+ * Every council member's candidate set from `evaluateGovernanceCandidates()`
+ * is merged into options keyed by action and target, then ranked by a
+ * configurable policy. The winner becomes a `council-decision.v1` artifact
+ * whose proposal can be handed to `createExecutionHandoff()`.
+ */
+
+import { isValidCouncil } from './council.js';
+import {
+  computeDecisionId,
+  CouncilDecisionSchemaVersion,
+  CouncilPolicy,
+  isValidCouncilDecision
+} from './councilDecision.js';
+import { evaluateGovernanceCandidates } from './heuristics.js';
+import { resolveHeuristicWeights } from './heuristicWeights.js';
+import { getProposalOrder } from './proposalRegistry.js';
+import { proposeCandidate } from './propose.js';
+import { SchemaVersion } from './schemaVersions.js';
+import { canonicalizeSnapshot, isValidSnapshot, normalizeSnapshotPressure } from './snapshotSchema.js';
+
+export { CouncilDecisionSchemaVersion, CouncilPolicy, isValidCouncilDecision };
+
+// Vote totals are sums of trait values; rounding keeps them replay-stable.
+function roundScore(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function getOptionKey(candidate) {
+  return [candidate.type, candidate.targetId ?? '', candidate.audience?.id ?? ''].join(':');
+}
+
+function compareBackers(a, b) {
+  if (a.candidate.priority !== b.candidate.priority) return b.candidate.priority - a.candidate.priority;
+  if (a.authority !== b.authority) return b.authority - a.authority;
+  return a.memberId.localeCompare(b.memberId);
+}
+
+// Mirrors the candidate ordering in heuristics: score, proposal order, target.
+function compareOptions(a, b, proposals) {
+  if (a.score !== b.score) return b.score - a.score;
+  if (a.maxPriority !== b.maxPriority) return b.maxPriority - a.maxPriority;
+  const orderA = getProposalOrder(a.type, proposals);
+  const orderB = getProposalOrder(b.type, proposals);
+  if (orderA !== orderB) return orderA - orderB;
+  return a.key.localeCompare(b.key);
+}
+
+function mergeBallots(ballots) {
+  const options = new Map();
+  for (const ballot of ballots) {
+    ballot.candidates.forEach((candidate, index) => {
+      const key = getOptionKey(candidate);
+      if (!options.has(key)) {
+        options.set(key, { key, type: candidate.type, targetId: candidate.targetId ?? null, backers: [] });
+      }
+      options.get(key).backers.push({
+        memberId: ballot.member.id,
+        authority: ballot.member.traits.authority,
+        topChoice: index === 0,
+        candidate
+      });
+    });
+  }
+
+  return [...options.values()].map(option => ({
+    ...option,
+    backers: [...option.backers].sort(compareBackers),
+    maxPriority: Math.max(...option.backers.map(backer => backer.candidate.priority))
+  }));
+}
+
+function rankOptions(options, ballots, policy, decisionEpoch, proposals) {
+  const byRank = (a, b) => compareOptions(a, b, proposals);
+  if (policy === CouncilPolicy.AUTHORITY_VOTE) {
+    // Each member casts one vote for its top candidate, weighted by authority.
+    return options
+      .map(option => ({
+        ...option,
+        score: roundScore(option.backers.filter(backer => backer.topChoice).reduce((sum, backer) => sum + backer.authority, 0))
+      }))
+      .sort(byRank);
+  }
+
+  const byPriority = options.map(option => ({ ...option, score: option.maxPriority })).sort(byRank);
+  if (policy === CouncilPolicy.PRIORITY_MAX) return byPriority;
+
+  // Round-robin: the epoch picks whose turn it is among members sorted by id;
+  // each later turn contributes its top choice, then the rest by priority.
+  const turnOrder = ballots.map(ballot => ballot.member.id).sort();
+  const start = decisionEpoch % turnOrder.length;
+  const rotated = [...turnOrder.slice(start), ...turnOrder.slice(0, start)];
+  const ranked = [];
+  const rankedKeys = new Set();
+  for (const memberId of rotated) {
+    const option = byPriority.find(entry => entry.backers.some(backer => backer.memberId === memberId && backer.topChoice));
+    if (!rankedKeys.has(option.key)) {
+      rankedKeys.add(option.key);
+      ranked.push({ ...option, turnMemberId: memberId });
+    }
+  }
+  return [...ranked, ...byPriority.filter(option => !rankedKeys.has(option.key))];
+}
+
+// The member whose candidate becomes the proposal: the member whose turn it
+// is under round-robin, otherwise the backer with the highest priority.
+function selectActor(option) {
+  return option.backers.find(backer => backer.memberId === option.turnMemberId) || option.backers[0];
+}
+
+function summarizeOption(option) {
+  return {
+    type: option.type,
+    targetId: option.targetId,
+    score: option.score,
+    memberIds: option.backers.map(backer => backer.memberId).sort()
+  };
+}
+
+/**
+ * Merge every member's candidates and select one binding recommendation.
+ * Members from another town are excluded and listed in `excludedMemberIds`.
+ *
+ * Policies:
+ * - `authority-vote` (default): each member votes for its top candidate with
+ *   weight equal to its `authority` trait; `score` is the vote total
+ * - `priority-max`: the option with the highest priority from any member
+ *   wins; `score` is that priority
+ * - `round-robin`: members take turns by `decisionEpoch` in id order and the
+ *   member whose turn it is picks its top candidate; `score` is the best priority
+ *
+ * Ties fall back to best priority, proposal order, then action and target.
+ * @param {Object} snapshot - World state snapshot
+ * @param {import('./council.js').Council|Object[]} council - A `council.v1` roster or a plain list of profiles for the snapshot town
+ * @param {Object<string, Object>} [memory] - Anti-repeat memory per member id
+ * @param {Object} [options]
+ * @param {string} [options.policy] - One of CouncilPolicy
+ * @param {import('./snapshotSchema.js').SnapshotBoundsConfig} [options.bounds] - Deployment bounds config
+ * @param {Object} [options.weights] - Heuristic weights override shared by every member
+ * @param {{evaluators?: Object[], proposals?: Object[]}} [options.registries] - Validated engine registries
+ * @returns {Object} A `council-decision.v1` artifact
+ * @throws {Error} If inputs or weights are invalid, the policy is unknown, or no member belongs to the snapshot town
+ */
+export function arbitrateCouncil(snapshot, council, memory = {}, options = {}) {
+  if (Array.isArray(council)) {
+    council = { schemaVersion: SchemaVersion.COUNCIL, townId: snapshot?.townId, members: council };
+  }
+  const policy = options.policy ?? CouncilPolicy.AUTHORITY_VOTE;
+  if (!Object.values(CouncilPolicy).includes(policy)) {
+    throw new Error(`Unknown council policy: ${policy}`);
+  }
+  if (!isValidSnapshot(snapshot, options.bounds)) {
+    throw new Error('Invalid snapshot structure');
+  }
+  if (!isValidCouncil(council)) {
+    throw new Error('Invalid council structure');
+  }
+  if (snapshot.townId !== council.townId) {
+    throw new Error('Snapshot and council townId mismatch');
+  }
+
+  const members = council.members.filter(member => member.townId === council.townId);
+  if (members.length === 0) {
+    throw new Error('Council has no members in the snapshot town');
+  }
+
+  const weights = resolveHeuristicWeights(options.weights);
+  const registries = options.registries ?? {};
+  const canonicalSnapshot = canonicalizeSnapshot(snapshot, options.bounds);
+  const scoredSnapshot = normalizeSnapshotPressure(canonicalSnapshot, options.bounds);
+  const ballots = members.map(member => ({
+    member,
+    candidates: evaluateGovernanceCandidates(scoredSnapshot, member, memory?.[member.id] ?? {}, weights, registries)
+  }));
+
+  const ranked = rankOptions(mergeBallots(ballots), ballots, policy, canonicalSnapshot.day, registries.proposals);
+  const [selected, runnerUp = null] = ranked;
+  const actor = selectActor(selected);
+  const actorProfile = members.find(member => member.id === actor.memberId);
+  const proposal = proposeCandidate(snapshot, actorProfile, actor.candidate, { bounds: options.bounds, weights, registries });
+
+  const dissent = ballots
+    .filter(ballot => getOptionKey(ballot.candidates[0]) !== selected.key)
+    .map(ballot => ({
+      memberId: ballot.member.id,
+      role: ballot.member.role,
+      type: ballot.candidates[0].type,
+      targetId: ballot.candidates[0].targetId ?? null,
+      priority: ballot.candidates[0].priority
+    }));
+
+  const decision = {
+    schemaVersion: CouncilDecisionSchemaVersion,
+    decisionId: '',
+    townId: council.townId,
+    decisionEpoch: proposal.decisionEpoch,
+    snapshotHash: proposal.snapshotHash,
+    policy,
+    selected: { ...summarizeOption(selected), actorId: actor.memberId },
+    runnerUp: runnerUp ? summarizeOption(runnerUp) : null,
+    dissent,
+    excludedMemberIds: council.members.filter(member => !members.includes(member)).map(member => member.id),
+    proposal
+  };
+  decision.decisionId = computeDecisionId(decision);
+
+  return decision;
+}
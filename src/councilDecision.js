@@ -0,0 +1,52 @@
+/**
+ * Council Decision - The `council-decision.v1` artifact shape
+ * `arbitrateCouncil()` builds these decisions and `createExecutionHandoff()`
+ * accepts them; keeping the shape check here lets the handoff validate a
+ * decision without depending on the arbitration stack.
+ */
+
+import { hashValue } from './canonicalJson.js';
+import { isValidProposal } from './proposalDsl.js';
+import { SchemaVersion } from './schemaVersions.js';
+import { isPlainObject } from './validationIssues.js';
+
+export const CouncilDecisionSchemaVersion = SchemaVersion.COUNCIL_DECISION;
+
+export const CouncilPolicy = Object.freeze({
+  AUTHORITY_VOTE: 'authority-vote',
+  PRIORITY_MAX: 'priority-max',
+  ROUND_ROBIN: 'round-robin'
+});
+
+const decisionIdPattern = /^decision_[0-9a-f]{64}$/;
+
+export function computeDecisionId(decision) {
+  const { decisionId: _decisionId, ...payload } = decision;
+  return `decision_${hashValue(payload)}`;
+}
+
+/**
+ * Validate a council decision artifact, including its recomputed decisionId.
+ * @param {Object} decision
+ * @param {Object[]} [registry] - Proposal definitions the selected proposal may use; defaults to the builtin registry
+ * @returns {boolean}
+ */
+export function isValidCouncilDecision(decision, registry) {
+  if (!isPlainObject(decision)) return false;
+  if (decision.schemaVersion !== CouncilDecisionSchemaVersion) return false;
+  if (typeof decision.decisionId !== 'string' || !decisionIdPattern.test(decision.decisionId)) return false;
+  if (!Object.values(CouncilPolicy).includes(decision.policy)) return false;
+  if (!isValidProposal(decision.proposal, registry)) return false;
+
+  const { proposal, selected } = decision;
+  if (decision.townId !== proposal.townId) return false;
+  if (decision.decisionEpoch !== proposal.decisionEpoch) return false;
+  if (decision.snapshotHash !== proposal.snapshotHash) return false;
+  if (!isPlainObject(selected) || selected.actorId !== proposal.actorId || selected.type !== proposal.type) return false;
+  if (!Array.isArray(selected.memberIds) || !selected.memberIds.includes(selected.actorId)) return false;
+  if (decision.runnerUp !== null && !isPlainObject(decision.runnerUp)) return false;
+  if (!Array.isArray(decision.dissent) || !decision.dissent.every(isPlainObject)) return false;
+  if (!Array.isArray(decision.excludedMemberIds)) return false;
+
+  return decision.decisionId === computeDecisionId(decision);
+}
@@ -1,25 +1,19 @@
 #!/usr/bin/env node
 
-import fs from 'fs';
-import path from 'path';
 import { pathToFileURL } from 'url';
 import {
-  captainProfile,
-  isValidProfile,
-  mayorProfile,
-  wardenProfile
-} from './agentProfiles.js';
+  createErrorOutput as createCliErrorOutput,
+  loadBoundsInput,
+  loadProfileInput as loadProfileFileInput,
+  loadSnapshotInput,
+  loadWeightsInput,
+  writeJson
+} from './cliInputs.js';
 import {
   DecisionInspectionSchemaVersion,
   inspectDecision
 } from './decisionInspection.js';
-import { isValidSnapshot } from './snapshotSchema.js';
-
-const builtinProfiles = Object.freeze({
-  mayor: mayorProfile,
-  captain: captainProfile,
-  warden: wardenProfile
-});
+import { diffSnapshots, SnapshotDiffSchemaVersion } from './snapshotDiff.js';
 
 function parseArgs(argv) {
   const args = {};
@@ -48,60 +42,142 @@ function parseArgs(argv) {
   return args;
 }
 
-function resolveJsonPath(inputPath, cwd) {
-  return path.resolve(cwd, inputPath);
+function createErrorOutput(code, message, details = {}, schemaVersion = DecisionInspectionSchemaVersion) {
+  return createCliErrorOutput(code, message, details, schemaVersion);
 }
 
-function readJsonFile(filePath) {
-  const raw = fs.readFileSync(filePath, 'utf8');
-  return JSON.parse(raw);
+export function getCliUsage() {
+  return [
+    'Usage:',
+    '  node src/decisionCli.js --snapshot <snapshot.json> --profile <mayor|captain|warden|treasurer|cleric|diplomat|profile.json> [--bounds <bounds.json>] [--weights <weights.json>] [--format <json|table>]',
+    '  node src/decisionCli.js --snapshot <before.json> --diff <after.json> [--profile <mayor|captain|warden|treasurer|cleric|diplomat|profile.json>] [--bounds <bounds.json>] [--weights <weights.json>]',
+    '',
+    'Examples:',
+    '  node src/decisionCli.js --snapshot test/fixtures/stableSnapshot.json --profile mayor',
+    '  node src/decisionCli.js --snapshot snapshot.json --profile customProfile.json',
+    '  node src/decisionCli.js --snapshot snapshot.json --profile captain --bounds deploymentBounds.json',
+    '  node src/decisionCli.js --snapshot snapshot.json --profile warden --weights tunedWeights.json',
+    '  node src/decisionCli.js --snapshot test/fixtures/crisisSnapshot.json --profile captain --format table',
+    '  node src/decisionCli.js --snapshot test/fixtures/earlyGameSnapshot.json --diff test/fixtures/crisisSnapshot.json --profile warden'
+  ].join('\n');
 }
 
-function resolveProfile(profileInput, snapshotTownId, cwd) {
-  if (builtinProfiles[profileInput]) {
-    return {
-      profile: { ...builtinProfiles[profileInput], townId: snapshotTownId },
-      source: {
-        kind: 'builtin',
-        name: profileInput
-      }
-    };
-  }
+const OutputFormats = Object.freeze(['json', 'table']);
 
-  const profilePath = resolveJsonPath(profileInput, cwd);
-  const profile = readJsonFile(profilePath);
+function formatContribution(value) {
+  return `${value < 0 ? '-' : '+'}${Math.abs(value).toFixed(3)}`;
+}
 
-  return {
-    profile,
-    source: {
-      kind: 'file',
-      path: profilePath
-    }
-  };
+function describeCandidate(candidate) {
+  return candidate.targetId ? `${candidate.type} ${candidate.targetId}` : candidate.type;
 }
 
-function createErrorOutput(code, message, details = {}) {
-  return {
-    schemaVersion: DecisionInspectionSchemaVersion,
-    error: {
-      code,
-      message,
-      ...(Object.keys(details).length > 0 ? { details } : {})
+// One row per candidate, then its contributions indented beneath it; `*`
+// marks the selected candidate.
+function formatBreakdownTable(report) {
+  const rows = [['Rank', 'Candidate / contribution', 'Value']];
+  for (const candidate of report.candidates) {
+    rows.push([`${candidate.rank}${candidate.selected ? '*' : ''}`, describeCandidate(candidate), candidate.priority.toFixed(3)]);
+    for (const entry of candidate.breakdown) {
+      rows.push(['', `  ${entry.name}`, formatContribution(entry.value)]);
     }
-  };
-}
+  }
 
-export function getCliUsage() {
+  const [rankWidth, labelWidth, valueWidth] = [0, 1, 2].map(column => Math.max(...rows.map(row => row[column].length)));
   return [
-    'Usage:',
-    '  node src/decisionCli.js --snapshot <snapshot.json> --profile <mayor|captain|warden|profile.json>',
+    `Selected: ${describeCandidate(report.candidates[0])}`,
+    `Command: ${report.command}`,
     '',
-    'Examples:',
-    '  node src/decisionCli.js --snapshot test/fixtures/stableSnapshot.json --profile mayor',
-    '  node src/decisionCli.js --snapshot snapshot.json --profile customProfile.json'
+    ...rows.map(([rank, label, value]) => `${rank.padEnd(rankWidth)}  ${label.padEnd(labelWidth)}  ${value.padStart(valueWidth)}`)
   ].join('\n');
 }
 
+// Decisions are only meaningful for the town the snapshot describes.
+function loadProfileInput(profileInput, snapshotTownId, cwd, stderr, schemaVersion) {
+  const resolvedProfile = loadProfileFileInput(profileInput, snapshotTownId, cwd, stderr, schemaVersion);
+  if (!resolvedProfile) return null;
+
+  if (snapshotTownId !== resolvedProfile.profile.townId) {
+    writeJson(
+      stderr,
+      createErrorOutput('PROFILE_TOWN_MISMATCH', 'Snapshot and profile townId mismatch', {
+        snapshotTownId,
+        profileTownId: resolvedProfile.profile.townId
+      }, schemaVersion)
+    );
+    return null;
+  }
+
+  return resolvedProfile;
+}
+
+function summarizeDecision(report) {
+  return {
+    type: report.selectedProposal.type,
+    targetId: report.candidates[0].targetId ?? null,
+    priority: report.selectedProposal.priority,
+    reasonTags: report.selectedProposal.reasonTags,
+    command: report.command
+  };
+}
+
+function runDiff(args, stdout, stderr, cwd) {
+  const schemaVersion = SnapshotDiffSchemaVersion;
+  const boundsInput = args.bounds ? loadBoundsInput(args.bounds, cwd, stderr, schemaVersion) : { bounds: undefined };
+  if (!boundsInput) return 1;
+  const { bounds } = boundsInput;
+  const weightsInput = args.weights ? loadWeightsInput(args.weights, cwd, stderr, schemaVersion) : { weights: undefined };
+  if (!weightsInput) return 1;
+  const { weights } = weightsInput;
+  const before = loadSnapshotInput(args.snapshot, 'snapshot', cwd, stderr, schemaVersion, bounds);
+  if (!before) return 1;
+  const after = loadSnapshotInput(args.diff, 'diff', cwd, stderr, schemaVersion, bounds);
+  if (!after) return 1;
+
+  if (before.snapshot.townId !== after.snapshot.townId) {
+    writeJson(
+      stderr,
+      createErrorOutput('SNAPSHOT_TOWN_MISMATCH', 'Snapshot townId mismatch', {
+        snapshotTownId: before.snapshot.townId,
+        diffTownId: after.snapshot.townId
+      }, schemaVersion)
+    );
+    return 1;
+  }
+
+  const diff = diffSnapshots(before.snapshot, after.snapshot, bounds);
+  let decisions = null;
+  let profileSource = null;
+
+  // With a profile, show how the selected proposal moved across the two snapshots.
+  if (args.profile) {
+    const resolvedProfile = loadProfileInput(args.profile, before.snapshot.townId, cwd, stderr, schemaVersion);
+    if (!resolvedProfile) return 1;
+
+    const beforeDecision = summarizeDecision(inspectDecision(before.snapshot, resolvedProfile.profile, {}, { bounds, weights }));
+    const afterDecision = summarizeDecision(inspectDecision(after.snapshot, resolvedProfile.profile, {}, { bounds, weights }));
+    decisions = {
+      before: beforeDecision,
+      after: afterDecision,
+      flipped: beforeDecision.command !== afterDecision.command
+    };
+    profileSource = resolvedProfile.source;
+  }
+
+  writeJson(stdout, {
+    ...diff,
+    ...(decisions ? { decisions } : {}),
+    input: {
+      snapshotPath: before.snapshotPath,
+      diffPath: after.snapshotPath,
+      ...(profileSource ? { profile: profileSource } : {}),
+      ...(boundsInput.boundsPath ? { boundsPath: boundsInput.boundsPath } : {}),
+      ...(weightsInput.weightsPath ? { weightsPath: weightsInput.weightsPath } : {})
+    }
+  });
+  return 0;
+}
+
 export function runDecisionCli(argv, io = {}, options = {}) {
   const stdout = io.stdout || process.stdout;
   const stderr = io.stderr || process.stderr;
@@ -111,7 +187,7 @@ export function runDecisionCli(argv, io = {}, options = {}) {
   try {
     args = parseArgs(argv);
   } catch (error) {
-    stderr.write(`${JSON.stringify(createErrorOutput('USAGE', error.message), null, 2)}\n`);
+    writeJson(stderr, createErrorOutput('USAGE', error.message));
     return 1;
   }
 
@@ -120,99 +196,57 @@ export function runDecisionCli(argv, io = {}, options = {}) {
     return 0;
   }
 
-  if (!args.snapshot || !args.profile) {
-    stderr.write(
-      `${JSON.stringify(
-        createErrorOutput('USAGE', 'Both --snapshot and --profile are required'),
-        null,
-        2
-      )}\n`
-    );
+  if (args.format !== undefined && !OutputFormats.includes(args.format)) {
+    writeJson(stderr, createErrorOutput('USAGE', `--format must be one of: ${OutputFormats.join(', ')}`));
     return 1;
   }
 
-  const snapshotPath = resolveJsonPath(args.snapshot, cwd);
-
-  let snapshot;
-  try {
-    snapshot = readJsonFile(snapshotPath);
-  } catch (error) {
-    const code = error instanceof SyntaxError ? 'INVALID_JSON' : 'READ_ERROR';
-    stderr.write(
-      `${JSON.stringify(
-        createErrorOutput(code, error.message, { path: snapshotPath, field: 'snapshot' }),
-        null,
-        2
-      )}\n`
-    );
-    return 1;
+  if (args.diff) {
+    if (args.format === 'table') {
+      writeJson(stderr, createErrorOutput('USAGE', '--format table does not apply to --diff', {}, SnapshotDiffSchemaVersion));
+      return 1;
+    }
+    if (!args.snapshot) {
+      writeJson(stderr, createErrorOutput('USAGE', '--diff requires --snapshot', {}, SnapshotDiffSchemaVersion));
+      return 1;
+    }
+    return runDiff(args, stdout, stderr, cwd);
   }
 
-  if (!isValidSnapshot(snapshot)) {
-    stderr.write(
-      `${JSON.stringify(
-        createErrorOutput('INVALID_SNAPSHOT', 'Invalid snapshot structure', { path: snapshotPath }),
-        null,
-        2
-      )}\n`
-    );
+  if (!args.snapshot || !args.profile) {
+    writeJson(stderr, createErrorOutput('USAGE', 'Both --snapshot and --profile are required'));
     return 1;
   }
 
-  let resolvedProfile;
-  try {
-    resolvedProfile = resolveProfile(args.profile, snapshot.townId, cwd);
-  } catch (error) {
-    const code = error instanceof SyntaxError ? 'INVALID_JSON' : 'READ_ERROR';
-    stderr.write(
-      `${JSON.stringify(
-        createErrorOutput(code, error.message, { input: args.profile, field: 'profile' }),
-        null,
-        2
-      )}\n`
-    );
-    return 1;
-  }
+  const boundsInput = args.bounds ? loadBoundsInput(args.bounds, cwd, stderr, DecisionInspectionSchemaVersion) : { bounds: undefined };
+  if (!boundsInput) return 1;
+  const { bounds } = boundsInput;
+  const weightsInput = args.weights ? loadWeightsInput(args.weights, cwd, stderr, DecisionInspectionSchemaVersion) : { weights: undefined };
+  if (!weightsInput) return 1;
+  const { weights } = weightsInput;
 
-  if (!isValidProfile(resolvedProfile.profile)) {
-    stderr.write(
-      `${JSON.stringify(
-        createErrorOutput('INVALID_PROFILE', 'Invalid profile structure', resolvedProfile.source),
-        null,
-        2
-      )}\n`
-    );
-    return 1;
-  }
+  const snapshotInput = loadSnapshotInput(args.snapshot, 'snapshot', cwd, stderr, DecisionInspectionSchemaVersion, bounds);
+  if (!snapshotInput) return 1;
+  const { snapshot, snapshotPath } = snapshotInput;
 
-  if (snapshot.townId !== resolvedProfile.profile.townId) {
-    stderr.write(
-      `${JSON.stringify(
-        createErrorOutput('PROFILE_TOWN_MISMATCH', 'Snapshot and profile townId mismatch', {
-          snapshotTownId: snapshot.townId,
-          profileTownId: resolvedProfile.profile.townId
-        }),
-        null,
-        2
-      )}\n`
-    );
-    return 1;
+  const resolvedProfile = loadProfileInput(args.profile, snapshot.townId, cwd, stderr, DecisionInspectionSchemaVersion);
+  if (!resolvedProfile) return 1;
+
+  const report = inspectDecision(snapshot, resolvedProfile.profile, {}, { bounds, weights });
+  if (args.format === 'table') {
+    stdout.write(`${formatBreakdownTable(report)}\n`);
+    return 0;
   }
 
-  const report = inspectDecision(snapshot, resolvedProfile.profile);
-  stdout.write(
-    `${JSON.stringify(
-      {
-        ...report,
-        input: {
-          snapshotPath,
-          profile: resolvedProfile.source
-        }
-      },
-      null,
-      2
-    )}\n`
-  );
+  writeJson(stdout, {
+    ...report,
+    input: {
+      snapshotPath,
+      profile: resolvedProfile.source,
+      ...(boundsInput.boundsPath ? { boundsPath: boundsInput.boundsPath } : {}),
+      ...(weightsInput.weightsPath ? { weightsPath: weightsInput.weightsPath } : {})
+    }
+  });
   return 0;
 }
 
@@ -1,21 +1,40 @@
 import { isValidProfile } from './agentProfiles.js';
-import { evaluateGovernanceCandidates } from './heuristics.js';
+import { evaluateGovernanceCandidates, getPressureTrends } from './heuristics.js';
+import { hashHeuristicWeights, resolveHeuristicWeights } from './heuristicWeights.js';
+import { hashProfile } from './profileTemplates.js';
 import { proposalToCommand } from './proposalMapping.js';
 import { propose } from './propose.js';
 import { SchemaVersion } from './schemaVersions.js';
-import { canonicalizeSnapshot, isValidSnapshot } from './snapshotSchema.js';
+import {
+  canonicalizeSnapshot,
+  isValidSnapshot,
+  normalizeSnapshotPressure,
+  resolveSnapshotBounds
+} from './snapshotSchema.js';
 
 export const DecisionInspectionSchemaVersion = SchemaVersion.DECISION_INSPECTION;
 
 /**
  * Build a deterministic observability report for the current cognition cycle.
+ * The resolved bounds and a hash of the resolved profile are recorded under
+ * `provenance` so the report can be reproduced with the same deployment
+ * limits and the same profile after template resolution; `weightsHash`
+ * identifies the resolved heuristic weights. Snapshots with a
+ * `pressureHistory` also report the `pressureTrends` the heuristics scored.
+ * Each candidate carries a `breakdown` of named `{name, value}` contributions
+ * that sum to its priority, memory penalty included.
  * @param {Object} snapshot
  * @param {Object} profile
  * @param {Object} [memory]
+ * @param {Object} [options]
+ * @param {import('./snapshotSchema.js').SnapshotBoundsConfig} [options.bounds]
+ * @param {Object} [options.weights] - Heuristic weights override
+ * @param {{evaluators?: Object[], proposals?: Object[]}} [options.registries] - Validated engine registries
  * @returns {Object}
  */
-export function inspectDecision(snapshot, profile, memory = {}) {
-  if (!isValidSnapshot(snapshot)) {
+export function inspectDecision(snapshot, profile, memory = {}, options = {}) {
+  const bounds = resolveSnapshotBounds(options.bounds);
+  if (!isValidSnapshot(snapshot, bounds)) {
     throw new Error('Invalid snapshot structure');
   }
   if (!isValidProfile(profile)) {
@@ -24,11 +43,14 @@ export function inspectDecision(snapshot, profile, memory = {}) {
   if (snapshot.townId !== profile.townId) {
     throw new Error('Snapshot and profile townId mismatch');
   }
+  const weights = resolveHeuristicWeights(options.weights);
+  const registries = options.registries ?? {};
 
-  const canonicalSnapshot = canonicalizeSnapshot(snapshot);
-  const candidates = evaluateGovernanceCandidates(canonicalSnapshot, profile, memory);
-  const selectedProposal = propose(canonicalSnapshot, profile, memory);
-  const command = proposalToCommand(selectedProposal);
+  const canonicalSnapshot = canonicalizeSnapshot(snapshot, bounds);
+  const scoredSnapshot = normalizeSnapshotPressure(canonicalSnapshot, bounds);
+  const candidates = evaluateGovernanceCandidates(scoredSnapshot, profile, memory, weights, registries);
+  const selectedProposal = propose(canonicalSnapshot, profile, memory, { bounds, weights, registries });
+  const command = proposalToCommand(selectedProposal, registries.proposals);
 
   return {
     schemaVersion: DecisionInspectionSchemaVersion,
@@ -38,7 +60,9 @@ export function inspectDecision(snapshot, profile, memory = {}) {
       type: candidate.type,
       priority: candidate.priority,
       targetId: candidate.targetId,
-      reasonTags: candidate.reasonTags
+      reasonTags: candidate.reasonTags,
+      ...(candidate.audience ? { audience: candidate.audience } : {}),
+      breakdown: candidate.breakdown
     })),
     selectedProposal,
     command,
@@ -46,6 +70,12 @@ export function inspectDecision(snapshot, profile, memory = {}) {
       reason: selectedProposal.reason,
       reasonTags: selectedProposal.reasonTags,
       ...(selectedProposal.preconditions ? { preconditions: selectedProposal.preconditions } : {})
+    },
+    ...('pressureHistory' in canonicalSnapshot ? { pressureTrends: getPressureTrends(scoredSnapshot, weights) } : {}),
+    provenance: {
+      bounds: { ...bounds },
+      profileHash: hashProfile(profile),
+      weightsHash: hashHeuristicWeights(weights)
     }
   };
 }
@@ -1,23 +1,17 @@
 #!/usr/bin/env node
 
-import fs from 'fs';
-import path from 'path';
 import { pathToFileURL } from 'url';
 import {
-  captainProfile,
-  isValidProfile,
-  mayorProfile,
-  wardenProfile
-} from './agentProfiles.js';
+  createErrorOutput as createCliErrorOutput,
+  loadBoundsInput,
+  loadProfileInput,
+  loadSnapshotInput,
+  loadWeightsInput,
+  readJsonFile,
+  resolveJsonPath
+} from './cliInputs.js';
 import { runDemoFlow } from './demoFlow.js';
 import { SchemaVersion } from './schemaVersions.js';
-import { isValidSnapshot } from './snapshotSchema.js';
-
-const builtinProfiles = Object.freeze({
-  mayor: mayorProfile,
-  captain: captainProfile,
-  warden: wardenProfile
-});
 
 function parseArgs(argv) {
   const args = {};
@@ -46,53 +40,14 @@ function parseArgs(argv) {
   return args;
 }
 
-function resolveJsonPath(inputPath, cwd) {
-  return path.resolve(cwd, inputPath);
-}
-
-function readJsonFile(filePath) {
-  const raw = fs.readFileSync(filePath, 'utf8');
-  return JSON.parse(raw);
-}
-
-function resolveProfile(profileInput, snapshotTownId, cwd) {
-  if (builtinProfiles[profileInput]) {
-    return {
-      profile: { ...builtinProfiles[profileInput], townId: snapshotTownId },
-      source: {
-        kind: 'builtin',
-        name: profileInput
-      }
-    };
-  }
-
-  const profilePath = resolveJsonPath(profileInput, cwd);
-  const profile = readJsonFile(profilePath);
-
-  return {
-    profile,
-    source: {
-      kind: 'file',
-      path: profilePath
-    }
-  };
-}
-
 function createErrorOutput(code, message, details = {}) {
-  return {
-    schemaVersion: SchemaVersion.DEMO_FLOW,
-    error: {
-      code,
-      message,
-      ...(Object.keys(details).length > 0 ? { details } : {})
-    }
-  };
+  return createCliErrorOutput(code, message, details, SchemaVersion.DEMO_FLOW);
 }
 
 export function getDemoCliUsage() {
   return [
     'Usage:',
-    '  node src/demoCli.js --snapshot <snapshot.json> --profile <mayor|captain|warden|profile.json> [--narrative <narrative.json>] [--world-summary <worldSummary.json>] [--artifact-type <type>]',
+    '  node src/demoCli.js --snapshot <snapshot.json> --profile <mayor|captain|warden|treasurer|cleric|diplomat|profile.json> [--narrative <narrative.json>] [--world-summary <worldSummary.json>] [--artifact-type <type>] [--bounds <bounds.json>] [--weights <weights.json>]',
     '',
     'Example:',
     '  node src/demoCli.js --snapshot test/fixtures/stableSnapshot.json --profile mayor --narrative test/fixtures/demoNarrativeContext.json --world-summary test/fixtures/demoWorldSummary.json'
@@ -128,58 +83,20 @@ export async function runDemoCli(argv, io = {}, options = {}) {
     return 1;
   }
 
-  const snapshotPath = resolveJsonPath(args.snapshot, cwd);
-  let snapshot;
-  try {
-    snapshot = readJsonFile(snapshotPath);
-  } catch (error) {
-    const code = error instanceof SyntaxError ? 'INVALID_JSON' : 'READ_ERROR';
-    stderr.write(
-      `${JSON.stringify(
-        createErrorOutput(code, error.message, { path: snapshotPath, field: 'snapshot' }),
-        null,
-        2
-      )}\n`
-    );
-    return 1;
-  }
+  const schemaVersion = SchemaVersion.DEMO_FLOW;
+  const boundsInput = args.bounds ? loadBoundsInput(args.bounds, cwd, stderr, schemaVersion) : { bounds: undefined, boundsPath: null };
+  if (!boundsInput) return 1;
+  const { bounds, boundsPath } = boundsInput;
+  const weightsInput = args.weights ? loadWeightsInput(args.weights, cwd, stderr, schemaVersion) : { weights: undefined, weightsPath: null };
+  if (!weightsInput) return 1;
+  const { weights, weightsPath } = weightsInput;
 
-  if (!isValidSnapshot(snapshot)) {
-    stderr.write(
-      `${JSON.stringify(
-        createErrorOutput('INVALID_SNAPSHOT', 'Invalid snapshot structure', { path: snapshotPath }),
-        null,
-        2
-      )}\n`
-    );
-    return 1;
-  }
-
-  let resolvedProfile;
-  try {
-    resolvedProfile = resolveProfile(args.profile, snapshot.townId, cwd);
-  } catch (error) {
-    const code = error instanceof SyntaxError ? 'INVALID_JSON' : 'READ_ERROR';
-    stderr.write(
-      `${JSON.stringify(
-        createErrorOutput(code, error.message, { input: args.profile, field: 'profile' }),
-        null,
-        2
-      )}\n`
-    );
-    return 1;
-  }
+  const snapshotInput = loadSnapshotInput(args.snapshot, 'snapshot', cwd, stderr, schemaVersion, bounds);
+  if (!snapshotInput) return 1;
+  const { snapshot, snapshotPath } = snapshotInput;
 
-  if (!isValidProfile(resolvedProfile.profile)) {
-    stderr.write(
-      `${JSON.stringify(
-        createErrorOutput('INVALID_PROFILE', 'Invalid profile structure', resolvedProfile.source),
-        null,
-        2
-      )}\n`
-    );
-    return 1;
-  }
+  const resolvedProfile = loadProfileInput(args.profile, snapshot.townId, cwd, stderr, schemaVersion);
+  if (!resolvedProfile) return 1;
 
   let narrativeContext;
   if (args.narrative) {
@@ -219,7 +136,9 @@ export async function runDemoCli(argv, io = {}, options = {}) {
     const report = await runDemoFlow(snapshot, resolvedProfile.profile, {
       immersionArtifactType: args['artifact-type'],
       narrativeContext,
-      worldSummary
+      worldSummary,
+      bounds,
+      weights
     });
 
     stdout.write(
@@ -230,7 +149,9 @@ export async function runDemoCli(argv, io = {}, options = {}) {
             snapshot: snapshotPath,
             profile: resolvedProfile.source,
             narrative: args.narrative ? resolveJsonPath(args.narrative, cwd) : null,
-            worldSummary: args['world-summary'] ? resolveJsonPath(args['world-summary'], cwd) : null
+            worldSummary: args['world-summary'] ? resolveJsonPath(args['world-summary'], cwd) : null,
+            bounds: boundsPath,
+            weights: weightsPath
           }
         },
         null,
@@ -30,8 +30,13 @@ function buildLocalStateFromSnapshot(snapshot, handoff) {
     snapshotHash: handoff.snapshotHash,
     decisionEpoch: handoff.decisionEpoch,
     mission: snapshot.mission ? { id: snapshot.mission.id } : null,
-    sideQuests: snapshot.sideQuests.map(sideQuest => ({ id: sideQuest.id })),
-    projects: snapshot.projects.map(project => ({ id: project.id, status: project.status }))
+    sideQuests: snapshot.sideQuests.map(sideQuest => ({
+      id: sideQuest.id,
+      ...('expiresOnDay' in sideQuest ? { expiresOnDay: sideQuest.expiresOnDay } : {})
+    })),
+    projects: snapshot.projects.map(project => ({ id: project.id, status: project.status })),
+    residents: (snapshot.residents || []).map(resident => ({ id: resident.id, profession: resident.profession })),
+    neighbors: (snapshot.neighbors || []).map(neighbor => ({ townId: neighbor.townId }))
   });
 }
 
@@ -71,7 +76,7 @@ export function isValidDemoFlowReport(report) {
  * @returns {Promise<Object>}
  */
 export async function runDemoFlow(snapshot, profile, options = {}) {
-  if (!isValidSnapshot(snapshot)) {
+  if (!isValidSnapshot(snapshot, options.bounds)) {
     throw new Error('Invalid snapshot structure');
   }
   if (!isValidProfile(profile)) {
@@ -81,8 +86,11 @@ export async function runDemoFlow(snapshot, profile, options = {}) {
     throw new Error('Snapshot and profile townId mismatch');
   }
 
-  const canonicalSnapshot = canonicalizeSnapshot(snapshot);
-  const decisionInspection = inspectDecision(canonicalSnapshot, profile, options.memory);
+  const canonicalSnapshot = canonicalizeSnapshot(snapshot, options.bounds);
+  const decisionInspection = inspectDecision(canonicalSnapshot, profile, options.memory, {
+    bounds: options.bounds,
+    weights: options.weights
+  });
   const executionHandoff = createExecutionHandoff(
     decisionInspection.selectedProposal,
     decisionInspection.command
@@ -1,27 +1,8 @@
-import { createHash } from 'crypto';
+import { hashValue } from './canonicalJson.js';
 import { isValidDecisionInspectionPayload } from './immersion.js';
 import { isValidExecutionResult } from './executionHandoff.js';
 import { SchemaVersion } from './schemaVersions.js';
 
-function stableStringify(value) {
-  if (Array.isArray(value)) {
-    return `[${value.map(stableStringify).join(',')}]`;
-  }
-
-  if (value && typeof value === 'object') {
-    const keys = Object.keys(value)
-      .filter(key => value[key] !== undefined)
-      .sort();
-    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
-  }
-
-  return JSON.stringify(value);
-}
-
-function hashValue(value) {
-  return createHash('sha256').update(stableStringify(value)).digest('hex');
-}
-
 function hasOwn(value, key) {
   return Object.prototype.hasOwnProperty.call(value, key);
 }
@@ -41,6 +22,9 @@ function selectGestureCue(type) {
   if (type === 'MAYOR_ACCEPT_MISSION') return 'announce-order';
   if (type === 'PROJECT_ADVANCE') return 'survey-site';
   if (type === 'SALVAGE_PLAN') return 'urgent-brief';
+  if (type === 'TREASURY_ALLOCATE') return 'consult-ledger';
+  if (type === 'CLERIC_RITE') return 'lead-prayer';
+  if (type === 'DIPLOMATIC_ENVOY') return 'dispatch-envoy';
   return 'gather-crowd';
 }
 
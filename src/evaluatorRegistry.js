@@ -0,0 +1,70 @@
+/**
+ * Evaluator Registry - Which scoring functions each role consults
+ * An evaluator declares the roles it applies to, the proposal type it yields,
+ * and a pure `evaluate(snapshot, profile, weights)` returning
+ * `{score, reasonTags, targetId?, audience?, breakdown?}`, where `breakdown`
+ * lists the `{name, value}` contributions that sum to the score. Candidates
+ * come from every evaluator for the profile's role that scores above zero;
+ * `fallback` evaluators contribute even at zero, and a valid registry
+ * declares one for every role in `Roles`, so every role always has a
+ * candidate.
+ */
+
+import { Roles } from './agentProfiles.js';
+import { builtinEvaluators } from './heuristics.js';
+import { listProposalTypes } from './proposalRegistry.js';
+
+export const evaluatorRegistry = builtinEvaluators;
+
+const evaluatorRegistryById = Object.freeze(
+  Object.fromEntries(evaluatorRegistry.map(definition => [definition.id, definition]))
+);
+
+export function getEvaluatorDefinition(id, registry = evaluatorRegistry) {
+  if (registry === evaluatorRegistry) {
+    return evaluatorRegistryById[id] || null;
+  }
+  return registry.find(definition => definition.id === id) || null;
+}
+
+export function listEvaluatorIds(registry = evaluatorRegistry) {
+  return registry.map(definition => definition.id);
+}
+
+export function getRoleEvaluators(role, registry = evaluatorRegistry) {
+  return registry.filter(definition => definition.roles.includes(role));
+}
+
+export function isValidEvaluatorDefinition(definition, proposalTypes = listProposalTypes()) {
+  const roles = Object.values(Roles);
+  return Boolean(
+    definition &&
+    typeof definition.id === 'string' &&
+    definition.id.length > 0 &&
+    Array.isArray(definition.roles) &&
+    definition.roles.length > 0 &&
+    new Set(definition.roles).size === definition.roles.length &&
+    definition.roles.every(role => roles.includes(role)) &&
+    proposalTypes.includes(definition.proposalType) &&
+    typeof definition.evaluate === 'function' &&
+    (definition.fallback === undefined || typeof definition.fallback === 'boolean')
+  );
+}
+
+// Ids are unique, and every role has a fallback so selection never comes up empty.
+export function isValidEvaluatorRegistry(registry = evaluatorRegistry, proposalTypes = listProposalTypes()) {
+  if (!Array.isArray(registry) || registry.length === 0) return false;
+
+  const seenIds = new Set();
+  for (const definition of registry) {
+    if (!isValidEvaluatorDefinition(definition, proposalTypes)) return false;
+    if (seenIds.has(definition.id)) return false;
+    seenIds.add(definition.id);
+  }
+
+  return Object.values(Roles).every(role => registry.some(definition => definition.fallback && definition.roles.includes(role)));
+}
+
+if (!isValidEvaluatorRegistry()) {
+  throw new Error('Invalid evaluator registry');
+}
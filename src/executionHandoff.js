@@ -1,4 +1,5 @@
-import { createHash } from 'crypto';
+import { hashValue } from './canonicalJson.js';
+import { isValidCouncilDecision } from './councilDecision.js';
 import { isValidProposal } from './proposalDsl.js';
 import { proposalToCommand } from './proposalMapping.js';
 import { SchemaVersion } from './schemaVersions.js';
@@ -22,25 +23,6 @@ function hasOwn(value, key) {
   return Object.prototype.hasOwnProperty.call(value, key);
 }
 
-function stableStringify(value) {
-  if (Array.isArray(value)) {
-    return `[${value.map(stableStringify).join(',')}]`;
-  }
-
-  if (value && typeof value === 'object') {
-    const keys = Object.keys(value)
-      .filter(key => value[key] !== undefined)
-      .sort();
-    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
-  }
-
-  return JSON.stringify(value);
-}
-
-function hashValue(value) {
-  return createHash('sha256').update(stableStringify(value)).digest('hex');
-}
-
 function hasOnlyKeys(value, expectedKeys) {
   const keys = Object.keys(value);
   return keys.length === expectedKeys.length && expectedKeys.every(key => keys.includes(key));
@@ -143,20 +125,36 @@ function normalizePreconditions(proposal) {
   return proposal.preconditions ? proposal.preconditions : [];
 }
 
+// A council-decision.v1 artifact hands off the proposal it selected.
+function resolveSelectedProposal(selection, registry) {
+  if (selection && selection.schemaVersion === SchemaVersion.COUNCIL_DECISION) {
+    if (!isValidCouncilDecision(selection, registry)) {
+      throw new Error('Invalid council decision');
+    }
+    return selection.proposal;
+  }
+  return selection;
+}
+
 /**
  * Create the deterministic handoff payload for a selected proposal and mapped command.
- * @param {Object} proposal
+ * @param {Object} selection - A proposal, or a `council-decision.v1` artifact whose proposal is handed off
  * @param {string} [command]
+ * @param {Object[]} [registry] - Proposal definitions, such as a `createCognitionEngine()` engine's; defaults to the builtin registry
  * @returns {Object}
  */
-export function createExecutionHandoff(proposal, command = proposalToCommand(proposal)) {
-  if (!isValidProposal(proposal)) {
+export function createExecutionHandoff(selection, command, registry) {
+  const proposal = resolveSelectedProposal(selection, registry);
+  if (!isValidProposal(proposal, registry)) {
     throw new Error('Invalid proposal envelope');
   }
+  if (command === undefined) {
+    command = proposalToCommand(proposal, registry);
+  }
   if (typeof command !== 'string' || command.length === 0) {
     throw new Error('Invalid command text');
   }
-  if (proposalToCommand(proposal) !== command) {
+  if (proposalToCommand(proposal, registry) !== command) {
     throw new Error('Command does not match proposal mapping');
   }
 
@@ -184,9 +182,10 @@ export function createExecutionHandoff(proposal, command = proposalToCommand(pro
 /**
  * Validate the execution handoff payload.
  * @param {Object} handoff
+ * @param {Object[]} [registry] - Proposal definitions the handed-off proposal may use; defaults to the builtin registry
  * @returns {boolean}
  */
-export function isValidExecutionHandoff(handoff) {
+export function isValidExecutionHandoff(handoff, registry) {
   if (!handoff || typeof handoff !== 'object' || Array.isArray(handoff)) return false;
   if (handoff.schemaVersion !== SchemaVersion.HANDOFF) return false;
   if (typeof handoff.handoffId !== 'string' || !handoffIdPattern.test(handoff.handoffId)) return false;
@@ -195,14 +194,14 @@ export function isValidExecutionHandoff(handoff) {
   if (handoff.idempotencyKey !== handoff.proposalId) return false;
   if (typeof handoff.snapshotHash !== 'string' || !hashPattern.test(handoff.snapshotHash)) return false;
   if (!Number.isInteger(handoff.decisionEpoch) || handoff.decisionEpoch < 0) return false;
-  if (!isValidProposal(handoff.proposal)) return false;
+  if (!isValidProposal(handoff.proposal, registry)) return false;
   if (handoff.proposal.proposalId !== handoff.proposalId) return false;
   if (handoff.proposal.snapshotHash !== handoff.snapshotHash) return false;
   if (handoff.proposal.decisionEpoch !== handoff.decisionEpoch) return false;
   if (typeof handoff.command !== 'string' || handoff.command.length === 0) return false;
   let mappedCommand;
   try {
-    mappedCommand = proposalToCommand(handoff.proposal);
+    mappedCommand = proposalToCommand(handoff.proposal, registry);
   } catch {
     return false;
   }
@@ -226,10 +225,11 @@ export function isValidExecutionHandoff(handoff) {
  * Create the deterministic execution result payload after a world-engine attempt.
  * @param {Object} handoff
  * @param {Object} outcome
+ * @param {Object[]} [registry] - Proposal definitions the handoff's proposal may use; defaults to the builtin registry
  * @returns {Object}
  */
-export function createExecutionResult(handoff, outcome) {
-  if (!isValidExecutionHandoff(handoff)) {
+export function createExecutionResult(handoff, outcome, registry) {
+  if (!isValidExecutionHandoff(handoff, registry)) {
     throw new Error('Invalid execution handoff');
   }
   if (!outcome || typeof outcome !== 'object' || Array.isArray(outcome)) {
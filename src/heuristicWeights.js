@@ -0,0 +1,328 @@
+/**
+ * Heuristic Weights - Tuning tables for the governance heuristics
+ * Every coefficient and threshold the heuristics score with lives in a
+ * `heuristic-weights.v1` document. An override names only what it changes;
+ * `resolveHeuristicWeights()` merges it over the defaults. Missing-trait
+ * defaults stay in code.
+ */
+
+import { hashValue } from './canonicalJson.js';
+import { SchemaVersion } from './schemaVersions.js';
+import {
+  checkClosedObject,
+  checkFiniteNumber,
+  createValidationIssue,
+  isPlainObject,
+  joinPath,
+  ValidationIssueCode
+} from './validationIssues.js';
+
+export const HeuristicWeightsSchemaVersion = SchemaVersion.HEURISTIC_WEIGHTS;
+
+function deepFreeze(value) {
+  for (const entry of Object.values(value)) {
+    if (entry && typeof entry === 'object') deepFreeze(entry);
+  }
+  return Object.freeze(value);
+}
+
+export const DefaultHeuristicWeights = deepFreeze({
+  schemaVersion: HeuristicWeightsSchemaVersion,
+  // Signal contributed by one event of each kind at full severity on the day it is observed.
+  events: {
+    halfLifeDays: 3,
+    maxSignal: 0.3,
+    kinds: {
+      breach: { threat: 0.16, scarcity: 0, dread: 0.18 },
+      crop_failure: { threat: 0, scarcity: 0.12, dread: 0.04 },
+      hostile_sighting: { threat: 0.12, scarcity: 0, dread: 0 },
+      panic: { threat: 0, scarcity: 0, dread: 0.14 },
+      portal_activity: { threat: 0.04, scarcity: 0, dread: 0.04 },
+      raid: { threat: 0.16, scarcity: 0, dread: 0.18 },
+      supply_loss: { threat: 0, scarcity: 0.12, dread: 0 }
+    }
+  },
+  // Raiders favor darkness and storms; stockpiles must outlast winter.
+  environment: {
+    phaseThreat: { day: 0, dawn: 0, dusk: 0.05, night: 0.1 },
+    stormThreat: 0.05,
+    seasonScarcity: { spring: 0, summer: 0, autumn: 0.06, winter: 0.1 }
+  },
+  // Hostile neighbors raise threat until contact goes stale; open trade
+  // routes with friendly towns make outside missions easier to supply.
+  neighbors: {
+    hostileRelationThreshold: -0.3,
+    friendlyRelationThreshold: 0.3,
+    contactHalfLifeDays: 7,
+    threatWeight: 0.1,
+    maxThreat: 0.2,
+    tradePartnerBonus: 0.04,
+    maxTradePartnerBonus: 0.1
+  },
+  // A per-day slope beyond the threshold counts as rising or receding and is
+  // projected a few days ahead; noisy histories are trusted less.
+  trends: {
+    threshold: 0.03,
+    horizonDays: 3,
+    volatilityDamping: 5,
+    maxSignal: 0.15
+  },
+  resources: {
+    shortfallHorizonDays: 10
+  },
+  relationships: {
+    rivalryTagThreshold: 0.5
+  },
+  memory: {
+    repeatPenalty: 0.1
+  },
+  // Quest complexity and reward arrive on open-ended scales and are divided
+  // into [0, 1]; a quest without a complexity counts as moderately complex.
+  quests: {
+    complexityScale: 10,
+    rewardScale: 200,
+    unknownComplexity: 0.3
+  },
+  mission: {
+    complexityBase: 0.05,
+    complexityAuthority: 0.1,
+    complexityPragmatism: 0.15,
+    complexityBoldness: 0.45,
+    complexityThreatPenalty: 0.4,
+    acceptMissionsGoal: 0.1,
+    acceptMissionsUnset: -0.1,
+    growTownGoal: 0.05,
+    maintainMoraleGoal: 0.05,
+    moraleHopeCeiling: 0.6,
+    authority: 0.3,
+    pragmatism: 0.2,
+    complexityFit: 0.3,
+    eventReadiness: 0.15,
+    reward: 0.12,
+    riskBase: 0.04,
+    riskPrudence: 0.08,
+    urgency: 0.08,
+    urgencyWindowDays: 7
+  },
+  project: {
+    threatGate: 0.3,
+    base: 0.45,
+    courage: 0.35,
+    prudence: 0.1,
+    defendAgainstThreatsGoal: 0.08,
+    advanceProjectsGoal: 0.05,
+    advanceProjectsUnset: -0.05,
+    protectTownspeopleGoal: 0.07,
+    activeBonus: 0.12,
+    planningBonus: 0.05,
+    progressBase: 0.08,
+    progressPrudence: 0.08,
+    activeEventBonus: 0.03,
+    targetedEvent: 0.5,
+    unblockPerDependent: 0.06,
+    maxUnblock: 0.12,
+    shortfallPenalty: 0.05,
+    missionReliance: 0.2
+  },
+  salvage: {
+    strainThreshold: 0.4,
+    missionRelief: 0.2,
+    despair: 0.1,
+    salvageResourcesGoal: 0.08,
+    maintainSurplusGoal: 0.07,
+    reducePressureGoal: 0.08,
+    base: 0.45,
+    pragmatism: 0.3,
+    prudence: 0.15,
+    scarcitySalvageResourcesGoal: 0.05,
+    scarcityMaintainSurplusGoal: 0.04,
+    dreadReducePressureGoal: 0.06,
+    dreadEvent: 0.1,
+    scarcityEvent: 0.08,
+    distrust: 0.2
+  },
+  treasury: {
+    strainThreshold: 0.45,
+    shortfallStrain: 0.1,
+    base: 0.4,
+    pragmatism: 0.25,
+    prudence: 0.2,
+    balanceBudgetGoal: 0.05,
+    fundTradeGoal: 0.07,
+    buildReservesGoal: 0.05,
+    tradeBonus: 0.5,
+    surplusScarcityCeiling: 0.25,
+    surplusHopeFloor: 0.6,
+    surplusThreatCeiling: 0.3,
+    surplusBase: 0.25,
+    surplusPrudence: 0.15,
+    surplusBuildReservesGoal: 0.08,
+    surplusBalanceBudgetGoal: 0.04
+  },
+  rite: {
+    needThreshold: 0.45,
+    nightDread: 0.05,
+    base: 0.4,
+    courage: 0.2,
+    authority: 0.2,
+    easeDreadGoal: 0.06,
+    keepVigilsGoal: 0.04,
+    restoreHopeGoal: 0.08
+  },
+  envoy: {
+    needThreshold: 0.35,
+    staleContactDays: 14,
+    reconcileBase: 0.5,
+    reconcilePrudence: 0.3,
+    reconcileThreat: 0.1,
+    keepPeaceGoal: 0.08,
+    closedRoute: 0.2,
+    tradePragmatism: 0.3,
+    tradeScarcity: 0.1,
+    openTradeRoutesGoal: 0.08,
+    honorAlliancesGoal: 0.04,
+    base: 0.1,
+    need: 0.6,
+    staleness: 0.1,
+    authority: 0.1
+  },
+  // Residents below the morale floor are addressed one-on-one ahead of any group.
+  talk: {
+    hopeCeiling: 0.6,
+    residentMoraleFloor: 0.25,
+    groupMoraleFloor: 0.45,
+    residentBase: 0.45,
+    residentDeficit: 0.6,
+    groupLowHope: 0.5,
+    group: 0.4,
+    moraleBoost: 0.5,
+    casual: 0.2
+  }
+});
+
+// Weights that may be negative; every other weight is >= 0. Day counts and
+// quest scales are divisors and must be at least 1.
+const SignedWeightPaths = new Set([
+  '$.neighbors.hostileRelationThreshold',
+  '$.mission.acceptMissionsUnset',
+  '$.project.advanceProjectsUnset'
+]);
+const DivisorWeightPaths = new Set([
+  '$.events.halfLifeDays',
+  '$.neighbors.contactHalfLifeDays',
+  '$.trends.horizonDays',
+  '$.resources.shortfallHorizonDays',
+  '$.mission.urgencyWindowDays',
+  '$.envoy.staleContactDays',
+  '$.quests.complexityScale',
+  '$.quests.rewardScale'
+]);
+// Thresholds, floors, ceilings, and gates are compared against pressures,
+// scores, and relations, none of which exceed 1.
+const UnitWeightPattern = /(\.threshold|Threshold|Ceiling|Floor|Gate)$/;
+
+/**
+ * Smallest value a weight may take, by its JSON path (e.g. `$.events.halfLifeDays`).
+ * @param {string} path
+ * @returns {number}
+ */
+export function getHeuristicWeightMinimum(path) {
+  if (DivisorWeightPaths.has(path)) return 1;
+  return SignedWeightPaths.has(path) ? -1 : 0;
+}
+
+/**
+ * Largest value a weight may take, by its JSON path; unbounded weights return `Infinity`.
+ * @param {string} path
+ * @returns {number}
+ */
+export function getHeuristicWeightMaximum(path) {
+  return UnitWeightPattern.test(path) || path === '$.quests.unknownComplexity' ? 1 : Number.POSITIVE_INFINITY;
+}
+
+// Overrides are partial: every key is optional, but each must exist in the
+// default table at the same place.
+function checkWeightTable(issues, table, defaults, path) {
+  if (!checkClosedObject(issues, table, path, Object.keys(defaults))) return;
+  for (const [key, value] of Object.entries(table)) {
+    const valuePath = joinPath(path, key);
+    if (isPlainObject(defaults[key])) {
+      checkWeightTable(issues, value, defaults[key], valuePath);
+    } else {
+      checkFiniteNumber(issues, value, valuePath, getHeuristicWeightMinimum(valuePath), getHeuristicWeightMaximum(valuePath));
+    }
+  }
+}
+
+function mergeWeightTable(defaults, override = {}) {
+  return Object.fromEntries(Object.entries(defaults).map(([key, value]) => [
+    key,
+    isPlainObject(value) ? mergeWeightTable(value, override[key]) : (override[key] ?? value)
+  ]));
+}
+
+/**
+ * Validate a heuristic weights document and report every path-level issue found
+ * @param {Object} weights - A full or partial `heuristic-weights.v1` document
+ * @returns {import('./validationIssues.js').ValidationIssue[]}
+ */
+export function validateHeuristicWeights(weights) {
+  const issues = [];
+  if (!isPlainObject(weights)) {
+    checkClosedObject(issues, weights, '$');
+    return issues;
+  }
+
+  if (weights.schemaVersion !== HeuristicWeightsSchemaVersion) {
+    issues.push(createValidationIssue(
+      '$.schemaVersion',
+      ValidationIssueCode.INVALID_SCHEMA_VERSION,
+      'Unsupported heuristic weights schemaVersion',
+      HeuristicWeightsSchemaVersion,
+      weights.schemaVersion
+    ));
+  }
+  const { schemaVersion: _schemaVersion, ...tables } = weights;
+  const { schemaVersion: _defaultVersion, ...defaultTables } = DefaultHeuristicWeights;
+  checkWeightTable(issues, tables, defaultTables, '$');
+
+  return issues;
+}
+
+/**
+ * Validate a heuristic weights document
+ * @param {Object} weights
+ * @returns {boolean}
+ */
+export function isValidHeuristicWeights(weights) {
+  return validateHeuristicWeights(weights).length === 0;
+}
+
+/**
+ * Merge a heuristic weights override over `DefaultHeuristicWeights`.
+ * Without an override the frozen defaults are returned as is.
+ * @param {Object} [weights] - A full or partial `heuristic-weights.v1` document
+ * @returns {Object} A complete weights document
+ * @throws {Error} If the override is invalid
+ */
+export function resolveHeuristicWeights(weights) {
+  if (weights === undefined || weights === DefaultHeuristicWeights) {
+    return DefaultHeuristicWeights;
+  }
+  if (!isValidHeuristicWeights(weights)) {
+    throw new Error('Invalid heuristic weights');
+  }
+
+  return mergeWeightTable(DefaultHeuristicWeights, weights);
+}
+
+/**
+ * Deterministic SHA-256 hash of a resolved weights document, independent of key order.
+ * @param {Object} weights
+ * @returns {string}
+ */
+export function hashHeuristicWeights(weights) {
+  return hashValue(weights);
+}
+
+export const DefaultHeuristicWeightsHash = hashHeuristicWeights(DefaultHeuristicWeights);
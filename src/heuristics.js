@@ -1,5 +1,9 @@
+import { DefaultRelationship, getGoalWeight, getRelationship, Roles } from './agentProfiles.js';
 import { ProposalType } from './proposalDsl.js';
+import { DefaultHeuristicWeights, resolveHeuristicWeights } from './heuristicWeights.js';
 import { getProposalOrder } from './proposalRegistry.js';
+import { getResourceDaysOfSupply } from './snapshotSchema.js';
+import { isPlainObject } from './validationIssues.js';
 
 const EventSignalKeywords = Object.freeze({
   threat: ['raid', 'ghast', 'piglin', 'blaze', 'breach', 'attack', 'wither'],
@@ -7,42 +11,309 @@ const EventSignalKeywords = Object.freeze({
   dread: ['raid', 'ghast', 'piglin', 'panic', 'fear', 'breach', 'wither', 'blaze']
 });
 
+const LegacyEventSource = 'latestNetherEvent';
+
+const PressureTrendKeys = Object.freeze(['threat', 'scarcity', 'hope', 'dread']);
+
+// Every coefficient and threshold below comes from a `heuristic-weights.v1`
+// document; exported evaluators take a resolved one and default to
+// DefaultHeuristicWeights.
+
+// Relationships: reliance on the actor who accepted the active mission is
+// trust minus rivalry. Neutral reliance changes nothing; below it, a captain
+// stops counting on the mission to ease threat and a warden stops counting on
+// its reward to ease scarcity.
+const NeutralReliance = DefaultRelationship.trust - DefaultRelationship.rivalry;
+
 function clamp01(value) {
   return Math.max(0, Math.min(1, value));
 }
 
-function normalizeComplexity(complexity) {
+// Floating-point slack when checking whether clamping moved a score.
+const BreakdownTolerance = 1e-9;
+
+// Named score contributions in the order the score adds them; zero terms are
+// dropped. When clamping to [0, 1] moved the score, a `clamp` entry keeps the
+// breakdown summing to it.
+function createBreakdown(score, contributions) {
+  const breakdown = Object.entries(contributions)
+    .filter(([, value]) => value !== 0)
+    .map(([name, value]) => ({ name, value }));
+  const total = breakdown.reduce((sum, entry) => sum + entry.value, 0);
+  if (Math.abs(score - total) > BreakdownTolerance) {
+    breakdown.push({ name: 'clamp', value: score - total });
+  }
+  return breakdown;
+}
+
+// A goal term moves linearly from `unset` at weight 0 to `full` at weight 1,
+// so boolean goals keep their old fixed bonuses.
+function getGoalBonus(goals, goalName, full, unset = 0) {
+  return unset + (full - unset) * getGoalWeight(goals, goalName);
+}
+
+// How the governor regards whoever accepted the active mission; null when the
+// profile names no relationship with them.
+function getMissionHolderStance(snapshot, profile, weights) {
+  const holderId = snapshot.mission?.acceptedBy;
+  if (typeof holderId !== 'string' || holderId === profile.id) return null;
+
+  const relationship = getRelationship(profile, holderId);
+  if (!relationship.known) return null;
+
+  const reliance = clamp01(relationship.trust - relationship.rivalry);
+  const reasonTags = [];
+  if (reliance < NeutralReliance) {
+    reasonTags.push('distrusts_mission_holder');
+  } else if (reliance > NeutralReliance) {
+    reasonTags.push('trusts_mission_holder');
+  }
+  if (relationship.rivalry >= weights.relationships.rivalryTagThreshold) {
+    reasonTags.push('rival_mission_holder');
+  }
+  return { holderId, reliance, reasonTags };
+}
+
+function normalizeComplexity(complexity, weights) {
   if (typeof complexity !== 'number' || !Number.isFinite(complexity)) {
-    return 0.3;
+    return weights.quests.unknownComplexity;
   }
 
-  return clamp01(complexity / 10);
+  return clamp01(complexity / weights.quests.complexityScale);
 }
 
-function normalizeReward(reward) {
+function normalizeReward(reward, weights) {
   if (typeof reward !== 'number' || !Number.isFinite(reward) || reward <= 0) {
     return 0;
   }
 
-  return clamp01(reward / 200);
+  return clamp01(reward / weights.quests.rewardScale);
 }
 
-function getEventSignals(latestNetherEvent) {
+/**
+ * Translate the legacy free-text event into typed events so both inputs share
+ * one scoring pipeline. Keyword hits map onto single-signal kinds.
+ */
+function getLegacyEvents(latestNetherEvent, day) {
   if (typeof latestNetherEvent !== 'string' || latestNetherEvent.length === 0) {
-    return { threat: 0, scarcity: 0, dread: 0 };
+    return [];
   }
 
   const normalizedEvent = latestNetherEvent.toLowerCase();
   const hasKeyword = keywords => keywords.some(keyword => normalizedEvent.includes(keyword));
-  const genericSignal = 0.04;
+  const kinds = ['portal_activity'];
+  if (hasKeyword(EventSignalKeywords.threat)) kinds.push('hostile_sighting');
+  if (hasKeyword(EventSignalKeywords.scarcity)) kinds.push('supply_loss');
+  if (hasKeyword(EventSignalKeywords.dread)) kinds.push('panic');
+
+  return kinds.map(kind => ({ kind, severity: 1, dayObserved: day, source: LegacyEventSource }));
+}
+
+function getSnapshotEvents(snapshot) {
+  const day = Number.isInteger(snapshot.day) ? snapshot.day : 0;
+  if (Array.isArray(snapshot.events) && snapshot.events.length > 0) {
+    return snapshot.events;
+  }
+
+  return getLegacyEvents(snapshot.latestNetherEvent, day);
+}
 
+function getEventWeight(event, day, halfLifeDays) {
+  const age = Number.isInteger(day) ? Math.max(0, day - event.dayObserved) : 0;
+  return event.severity * Math.pow(0.5, age / halfLifeDays);
+}
+
+function getEventSignals(snapshot, weights) {
+  const { halfLifeDays, maxSignal, kinds } = weights.events;
+  const signals = { threat: 0, scarcity: 0, dread: 0, projectThreats: {} };
+
+  for (const event of getSnapshotEvents(snapshot)) {
+    const kindSignals = kinds[event.kind];
+    if (!kindSignals) continue;
+    const weight = getEventWeight(event, snapshot.day, halfLifeDays);
+    signals.threat += kindSignals.threat * weight;
+    signals.scarcity += kindSignals.scarcity * weight;
+    signals.dread += kindSignals.dread * weight;
+    if (event.targetProjectId) {
+      signals.projectThreats[event.targetProjectId] =
+        (signals.projectThreats[event.targetProjectId] || 0) + kindSignals.threat * weight;
+    }
+  }
+
+  signals.threat = Math.min(maxSignal, signals.threat);
+  signals.scarcity = Math.min(maxSignal, signals.scarcity);
+  signals.dread = Math.min(maxSignal, signals.dread);
+  return signals;
+}
+
+function getEnvironmentSignals(environment, weights) {
+  if (!environment) {
+    return { threat: 0, scarcity: 0, nightWatch: false, stormWatch: false };
+  }
+
+  const { phaseThreat: phaseThreatBonus, stormThreat: stormThreatBonus, seasonScarcity } = weights.environment;
+  const phaseThreat = phaseThreatBonus[environment.phase] || 0;
+  const stormThreat = environment.weather === 'storm' ? stormThreatBonus : 0;
   return {
-    threat: genericSignal + (hasKeyword(EventSignalKeywords.threat) ? 0.12 : 0),
-    scarcity: hasKeyword(EventSignalKeywords.scarcity) ? 0.12 : 0,
-    dread: genericSignal + (hasKeyword(EventSignalKeywords.dread) ? 0.14 : 0)
+    threat: phaseThreat + stormThreat,
+    scarcity: seasonScarcity[environment.season] || 0,
+    nightWatch: phaseThreat > 0,
+    stormWatch: stormThreat > 0
   };
 }
 
+function getNeighborSignals(snapshot, weights) {
+  const {
+    hostileRelationThreshold,
+    friendlyRelationThreshold,
+    contactHalfLifeDays,
+    threatWeight,
+    maxThreat,
+    tradePartnerBonus,
+    maxTradePartnerBonus
+  } = weights.neighbors;
+  const neighbors = Array.isArray(snapshot.neighbors) ? snapshot.neighbors : [];
+  let threat = 0;
+  let tradePartners = 0;
+
+  for (const neighbor of neighbors) {
+    if (neighbor.relation < hostileRelationThreshold) {
+      const age = Number.isInteger(snapshot.day) ? Math.max(0, snapshot.day - neighbor.lastContactDay) : 0;
+      threat += -neighbor.relation * Math.pow(0.5, age / contactHalfLifeDays) * threatWeight;
+    }
+    if (neighbor.tradeOpen && neighbor.relation >= friendlyRelationThreshold) {
+      tradePartners += 1;
+    }
+  }
+
+  return {
+    threat: Math.min(maxThreat, threat),
+    tradeBonus: Math.min(maxTradePartnerBonus, tradePartners * tradePartnerBonus)
+  };
+}
+
+function roundTrendValue(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function getSeriesTrend(series, key, threshold) {
+  if (series.length < 2) {
+    return { slope: 0, volatility: 0, direction: 'steady' };
+  }
+
+  // Least-squares slope per day over every sample in the window.
+  const meanDay = series.reduce((sum, sample) => sum + sample.day, 0) / series.length;
+  const meanValue = series.reduce((sum, sample) => sum + sample[key], 0) / series.length;
+  const covariance = series.reduce((sum, sample) => sum + (sample.day - meanDay) * (sample[key] - meanValue), 0);
+  const variance = series.reduce((sum, sample) => sum + (sample.day - meanDay) ** 2, 0);
+  const slope = roundTrendValue(covariance / variance);
+
+  // Volatility is the spread of the day-to-day rates of change.
+  const rates = series.slice(1).map((sample, index) => (sample[key] - series[index][key]) / (sample.day - series[index].day));
+  const meanRate = rates.reduce((sum, rate) => sum + rate, 0) / rates.length;
+  const volatility = roundTrendValue(Math.sqrt(rates.reduce((sum, rate) => sum + (rate - meanRate) ** 2, 0) / rates.length));
+
+  return {
+    slope,
+    volatility,
+    direction: slope >= threshold ? 'rising' : slope <= -threshold ? 'receding' : 'steady'
+  };
+}
+
+/**
+ * Slope and volatility of each pressure key across `pressureHistory` plus
+ * the current pressure. Without history every trend is steady.
+ * @param {Object} snapshot - Canonical snapshot with pressure on [0, 1]
+ * @param {Object} [weights] - Resolved heuristic weights
+ * @returns {Object<string, {slope: number, volatility: number, direction: string}>}
+ */
+export function getPressureTrends(snapshot, weights = DefaultHeuristicWeights) {
+  const history = Array.isArray(snapshot.pressureHistory) ? snapshot.pressureHistory : [];
+  const series = [
+    ...[...history].sort((left, right) => left.day - right.day),
+    { day: snapshot.day, ...getPressureValues(snapshot.pressure) }
+  ];
+
+  return Object.fromEntries(PressureTrendKeys.map(key => [key, getSeriesTrend(series, key, weights.trends.threshold)]));
+}
+
+function getTrendSignal(trend, weights) {
+  if (trend.direction === 'steady') return 0;
+  const { horizonDays, volatilityDamping, maxSignal } = weights.trends;
+  const projected = trend.slope * horizonDays / (1 + trend.volatility * volatilityDamping);
+  return Math.max(-maxSignal, Math.min(maxSignal, projected));
+}
+
+function getTrendTag(key, trend) {
+  return trend.direction === 'steady' ? null : `${key}_${trend.direction}`;
+}
+
+function hasResourceShortfall(snapshot, weights) {
+  const [scarcest] = getResourceDaysOfSupply(snapshot);
+  return Boolean(scarcest && scarcest.daysOfSupply < weights.resources.shortfallHorizonDays);
+}
+
+function isQuestExpired(quest, day) {
+  return day !== null && Number.isInteger(quest.expiresOnDay) && quest.expiresOnDay < day;
+}
+
+/**
+ * Urgency in [0, 1]: 1 on the expiry day itself, fading to 0 once the
+ * expiry is `urgencyWindowDays` (a week by default) out.
+ */
+function getQuestUrgency(quest, day, weights) {
+  if (day === null || !Number.isInteger(quest.expiresOnDay)) return 0;
+  return clamp01(1 - (quest.expiresOnDay - day) / weights.mission.urgencyWindowDays);
+}
+
+/**
+ * Count incomplete dependents per project and flag projects that still wait
+ * on an incomplete dependency.
+ */
+function getProjectDependencyState(projects) {
+  const statusById = new Map(projects.map(project => [project.id, project.status]));
+  const dependentCounts = {};
+
+  for (const project of projects) {
+    if (project.status === 'complete') continue;
+    for (const dependencyId of project.dependsOn || []) {
+      dependentCounts[dependencyId] = (dependentCounts[dependencyId] || 0) + 1;
+    }
+  }
+
+  return {
+    dependentCounts,
+    isWaiting: project => (project.dependsOn || []).some(dependencyId => statusById.get(dependencyId) !== 'complete')
+  };
+}
+
+function hasRequiredResources(project, resources) {
+  if (!Array.isArray(resources) || !Array.isArray(project.requiredResources)) return true;
+
+  return project.requiredResources.every(requirement => {
+    const stock = resources.find(resource => resource.id === requirement.id);
+    return Boolean(stock) && stock.quantity >= requirement.quantity;
+  });
+}
+
+function getLowestMoraleResident(residents) {
+  return [...residents].sort((left, right) => (left.morale - right.morale) || left.id.localeCompare(right.id))[0];
+}
+
+function getLowestMoraleGroup(residents) {
+  const groups = new Map();
+  for (const resident of residents) {
+    const group = groups.get(resident.profession) || { profession: resident.profession, total: 0, count: 0 };
+    group.total += resident.morale;
+    group.count += 1;
+    groups.set(resident.profession, group);
+  }
+
+  return [...groups.values()]
+    .map(group => ({ profession: group.profession, morale: group.total / group.count }))
+    .sort((left, right) => (left.morale - right.morale) || left.profession.localeCompare(right.profession))[0];
+}
+
 function selectBestOption(options) {
   if (!Array.isArray(options) || options.length === 0) return null;
 
@@ -55,54 +326,60 @@ function selectBestOption(options) {
   return rankedOptions[0];
 }
 
-function buildRoleCandidates(snapshot, profile) {
-  const { role } = profile;
+// A finite score in [0, 1], the range builtin evaluators clamp to.
+function isValidEvaluatorScore(result) {
+  return Boolean(result) && Number.isFinite(result.score) && result.score >= 0 && result.score <= 1;
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+// The rest of a result, in the shapes proposal materialization expects.
+function isValidEvaluatorResult(result) {
+  const { reasonTags, targetId, audience, breakdown } = result;
+  return (
+    (reasonTags === undefined || (Array.isArray(reasonTags) && reasonTags.every(isNonEmptyString))) &&
+    (targetId === undefined || targetId === null || isNonEmptyString(targetId)) &&
+    (audience === undefined || (isPlainObject(audience) && ['resident', 'group'].includes(audience.kind) && isNonEmptyString(audience.id))) &&
+    (breakdown === undefined || (Array.isArray(breakdown) && breakdown.every(entry =>
+      isPlainObject(entry) && isNonEmptyString(entry.name) && Number.isFinite(entry.value))))
+  );
+}
+
+// Candidates from every evaluator that applies to the profile's role. An
+// evaluator contributes when it scores above zero; fallbacks always do, and a
+// valid registry declares a fallback for every role in `Roles`. A profile
+// whose role is outside `Roles`, which only unvalidated direct calls can
+// pass, gets just the fallback evaluators. An evaluator without a breakdown
+// is reported as a single `score` entry. Results from supplied registries are
+// checked here, so a malformed third-party result fails naming its evaluator.
+function buildRoleCandidates(snapshot, profile, weights, evaluators, checkResults) {
   const candidates = [];
+  const roleIsDeclared = evaluators.some(evaluator => evaluator.roles.includes(profile.role));
 
-  if (role === 'mayor') {
-    const res = evaluateMissionAcceptance(snapshot, profile);
-    if (res.score > 0) {
-      candidates.push({
-        type: ProposalType.MAYOR_ACCEPT_MISSION,
-        priority: res.score,
-        targetId: res.targetId,
-        reasonTags: res.reasonTags
-      });
+  for (const evaluator of evaluators) {
+    const applies = roleIsDeclared ? evaluator.roles.includes(profile.role) : evaluator.fallback;
+    if (!applies) continue;
+    const res = evaluator.evaluate(snapshot, profile, weights);
+    if (checkResults && !isValidEvaluatorScore(res)) {
+      throw new Error(`Invalid score from evaluator ${evaluator.id}: expected a finite number in [0, 1]`);
     }
-  }
-
-  if (role === 'captain') {
-    const res = evaluateProjectAdvance(snapshot, profile);
-    if (res.score > 0) {
-      candidates.push({
-        type: ProposalType.PROJECT_ADVANCE,
-        priority: res.score,
-        targetId: res.targetId,
-        reasonTags: res.reasonTags
-      });
+    if (checkResults && !isValidEvaluatorResult(res)) {
+      throw new Error(`Invalid result from evaluator ${evaluator.id}: expected string reasonTags, a string targetId, and {name, value} breakdown entries`);
     }
-  }
-
-  if (role === 'warden') {
-    const res = evaluateSalvagePlan(snapshot, profile);
-    if (res.score > 0) {
+    if (res.score > 0 || evaluator.fallback) {
       candidates.push({
-        type: ProposalType.SALVAGE_PLAN,
+        type: evaluator.proposalType,
         priority: res.score,
         targetId: res.targetId,
-        reasonTags: res.reasonTags
+        reasonTags: res.reasonTags,
+        ...(res.audience ? { audience: res.audience } : {}),
+        breakdown: res.breakdown ?? [{ name: 'score', value: res.score }]
       });
     }
   }
 
-  const talkRes = evaluateTownsfolkTalk(snapshot, profile);
-  candidates.push({
-    type: ProposalType.TOWNSFOLK_TALK,
-    priority: talkRes.score,
-    targetId: talkRes.targetId,
-    reasonTags: talkRes.reasonTags
-  });
-
   return candidates;
 }
 
@@ -124,14 +401,14 @@ function getPressureValues(pressure = {}) {
  * Evaluate if a mission should be accepted
  * @param {Object} snapshot - World snapshot
  * @param {Object} profile - Governor profile
+ * @param {Object} [weights] - Resolved heuristic weights
  * @returns {number} Score [0, 1]
  */
-export function evaluateMissionAcceptance(snapshot, profile) {
+export function evaluateMissionAcceptance(snapshot, profile, weights = DefaultHeuristicWeights) {
   const {
     mission = null,
     sideQuests = [],
-    pressure = {},
-    latestNetherEvent = null
+    pressure = {}
   } = snapshot;
   const {
     authority = 0,
@@ -141,180 +418,564 @@ export function evaluateMissionAcceptance(snapshot, profile) {
   const goals = profile.goals || {};
   const pressureValues = getPressureValues(pressure);
 
+  const day = Number.isInteger(snapshot.day) ? snapshot.day : null;
+  const openQuests = (sideQuests || []).filter(quest => !isQuestExpired(quest, day));
+  const eligibleQuests = openQuests.filter(quest => !quest.requiredRole || quest.requiredRole === profile.role);
+
   // Mayor accepts mission if none active and a quest is available to accept.
-  if (!mission && sideQuests && sideQuests.length > 0) {
-    const eventSignals = getEventSignals(latestNetherEvent);
+  if (!mission && eligibleQuests.length > 0) {
+    const w = weights.mission;
+    const eventSignals = getEventSignals(snapshot, weights);
+    const neighborSignals = getNeighborSignals(snapshot, weights);
     const preferredComplexity = clamp01(
-      0.05 +
-      authority * 0.1 +
-      pragmatism * 0.15 +
-      (1 - prudence) * 0.45 -
-      eventSignals.threat * 0.4
+      w.complexityBase +
+      authority * w.complexityAuthority +
+      pragmatism * w.complexityPragmatism +
+      (1 - prudence) * w.complexityBoldness -
+      (eventSignals.threat + neighborSignals.threat) * w.complexityThreatPenalty
     );
     const goalBonus =
-      (goals.acceptMissions ? 0.1 : -0.1) +
-      (goals.growTown ? 0.05 : 0) +
-      (goals.maintainMorale && pressureValues.hope < 0.6 ? 0.05 : 0);
-    const baseScore = authority * 0.3 + pragmatism * 0.2 + goalBonus;
-    const bestQuest = selectBestOption(sideQuests.map(quest => {
-      const complexity = normalizeComplexity(quest.complexity);
+      getGoalBonus(goals, 'acceptMissions', w.acceptMissionsGoal, w.acceptMissionsUnset) +
+      getGoalBonus(goals, 'growTown', w.growTownGoal) +
+      (pressureValues.hope < w.moraleHopeCeiling ? getGoalBonus(goals, 'maintainMorale', w.maintainMoraleGoal) : 0);
+    const baseScore = authority * w.authority + pragmatism * w.pragmatism + goalBonus + neighborSignals.tradeBonus;
+    const bestQuest = selectBestOption(eligibleQuests.map(quest => {
+      const complexity = normalizeComplexity(quest.complexity, weights);
       const complexityFit = 1 - Math.abs(complexity - preferredComplexity);
       const eventReadiness = eventSignals.threat * prudence * (1 - complexity);
+      // Prudent mayors discount risky rewards more heavily.
+      const rewardVsRisk = normalizeReward(quest.reward, weights) * w.reward - (quest.risk || 0) * (w.riskBase + prudence * w.riskPrudence);
+      const urgency = getQuestUrgency(quest, day, weights) * w.urgency;
+      const score = clamp01(baseScore + complexityFit * w.complexityFit + eventReadiness * w.eventReadiness + rewardVsRisk + urgency);
 
       return {
-        score: clamp01(baseScore + complexityFit * 0.3 + eventReadiness * 0.15),
-        targetId: quest.id
+        score,
+        targetId: quest.id,
+        breakdown: createBreakdown(score, {
+          authority: authority * w.authority,
+          pragmatism: pragmatism * w.pragmatism,
+          goalBonus,
+          tradePartners: neighborSignals.tradeBonus,
+          complexityFit: complexityFit * w.complexityFit,
+          eventReadiness: eventReadiness * w.eventReadiness,
+          rewardVsRisk,
+          urgency
+        })
       };
     }));
+    const bestQuestDetails = eligibleQuests.find(quest => quest.id === bestQuest.targetId);
     const reasonTags = ['no_active_mission', 'mission_ranked'];
     if (eventSignals.threat > 0) {
       reasonTags.push('nether_event_pressure');
     }
+    if (neighborSignals.threat > 0) {
+      reasonTags.push('hostile_neighbors');
+    }
+    if (neighborSignals.tradeBonus > 0) {
+      reasonTags.push('trade_partners');
+    }
+    if (openQuests.length < sideQuests.length) {
+      reasonTags.push('expired_quests_skipped');
+    }
+    if (eligibleQuests.length < openQuests.length) {
+      reasonTags.push('role_restricted_quests_skipped');
+    }
+    if ('reward' in bestQuestDetails || 'risk' in bestQuestDetails) {
+      reasonTags.push('reward_weighed_against_risk');
+    }
+    if (getQuestUrgency(bestQuestDetails, day, weights) > 0) {
+      reasonTags.push('quest_expiring_soon');
+    }
 
-    return { score: bestQuest.score, reasonTags, targetId: bestQuest.targetId };
+    return { score: bestQuest.score, reasonTags, targetId: bestQuest.targetId, breakdown: bestQuest.breakdown };
   }
   
-  return { score: 0, reasonTags: [] };
+  return { score: 0, reasonTags: [], breakdown: [] };
 }
 
 /**
  * Evaluate if projects should advance (threat-driven)
  * @param {Object} snapshot - World snapshot
  * @param {Object} profile - Governor profile
+ * @param {Object} [weights] - Resolved heuristic weights
  * @returns {number} Score [0, 1]
  */
-export function evaluateProjectAdvance(snapshot, profile) {
+export function evaluateProjectAdvance(snapshot, profile, weights = DefaultHeuristicWeights) {
   const {
     pressure = {},
-    projects = [],
-    latestNetherEvent = null
+    projects = []
   } = snapshot;
   const { courage = 0, prudence = 0.5 } = profile.traits || {};
   const goals = profile.goals || {};
   const pressureValues = getPressureValues(pressure);
-  const actionableProjects = projects.filter(project => project.status === 'active' || project.status === 'planning');
+  const dependencyState = getProjectDependencyState(projects);
+  const openProjects = projects.filter(project => project.status === 'active' || project.status === 'planning');
+  const actionableProjects = openProjects.filter(project => !dependencyState.isWaiting(project));
   const hasBlockedProjects = projects.some(project => project.status === 'blocked');
+  const hasWaitingProjects = actionableProjects.length < openProjects.length;
+  const w = weights.project;
+  const environmentSignals = getEnvironmentSignals(snapshot.environment, weights);
+  const neighborSignals = getNeighborSignals(snapshot, weights);
+  const threatTrend = getPressureTrends(snapshot, weights).threat;
+  const threat = clamp01(pressureValues.threat + environmentSignals.threat + neighborSignals.threat + getTrendSignal(threatTrend, weights));
   
   // Captain advances projects if threat exists and projects are available
-  if (pressureValues.threat > 0.3 && actionableProjects.length > 0) {
-    const eventSignals = getEventSignals(latestNetherEvent);
-    const baseThreat = clamp01(pressureValues.threat + eventSignals.threat);
+  if (threat > w.threatGate && actionableProjects.length > 0) {
+    const eventSignals = getEventSignals(snapshot, weights);
+    const baseThreat = clamp01(threat + eventSignals.threat);
     const goalBonus =
-      (goals.defendAgainstThreats ? 0.08 : 0) +
-      (goals.advanceProjects ? 0.05 : -0.05) +
-      (goals.protectTownspeople ? 0.07 : 0);
-    const baseScore = baseThreat * (0.45 + courage * 0.35 + prudence * 0.1) + goalBonus;
+      getGoalBonus(goals, 'defendAgainstThreats', w.defendAgainstThreatsGoal) +
+      getGoalBonus(goals, 'advanceProjects', w.advanceProjectsGoal, w.advanceProjectsUnset) +
+      getGoalBonus(goals, 'protectTownspeople', w.protectTownspeopleGoal);
+    const missionStance = getMissionHolderStance(snapshot, profile, weights);
+    // A trusted mission holder carries part of the defense; a distrusted one does not.
+    const missionReliance = missionStance
+      ? (NeutralReliance - missionStance.reliance) * w.missionReliance
+      : 0;
+    const baseScore = baseThreat * (w.base + courage * w.courage + prudence * w.prudence) + goalBonus + missionReliance;
     const bestProject = selectBestOption(actionableProjects.map(project => {
-      const statusBonus = project.status === 'active' ? 0.12 : 0.05;
-      const progressBonus = project.progress * (0.08 + prudence * 0.08);
-      const eventBonus = eventSignals.threat > 0 && project.status === 'active' ? 0.03 : 0;
+      const statusBonus = project.status === 'active' ? w.activeBonus : w.planningBonus;
+      const progressBonus = project.progress * (w.progressBase + prudence * w.progressPrudence);
+      const eventBonus = eventSignals.threat > 0 && project.status === 'active' ? w.activeEventBonus : 0;
+      const targetedBonus = (eventSignals.projectThreats[project.id] || 0) * w.targetedEvent;
+      // Finishing a prerequisite frees every project waiting on it.
+      const unblockBonus = Math.min(w.maxUnblock, (dependencyState.dependentCounts[project.id] || 0) * w.unblockPerDependent);
+      const shortfallPenalty = hasRequiredResources(project, snapshot.resources) ? 0 : w.shortfallPenalty;
+      const score = clamp01(baseScore + statusBonus + progressBonus + eventBonus + targetedBonus + unblockBonus - shortfallPenalty);
 
       return {
-        score: clamp01(baseScore + statusBonus + progressBonus + eventBonus),
-        targetId: project.id
+        score,
+        targetId: project.id,
+        breakdown: createBreakdown(score, {
+          base: baseThreat * w.base,
+          courage: baseThreat * courage * w.courage,
+          prudence: baseThreat * prudence * w.prudence,
+          goalBonus,
+          missionReliance,
+          status: statusBonus,
+          progress: progressBonus,
+          eventReadiness: eventBonus,
+          targetedEvent: targetedBonus,
+          unblock: unblockBonus,
+          shortfallPenalty: -shortfallPenalty
+        })
       };
     }));
+    const bestProjectDetails = actionableProjects.find(project => project.id === bestProject.targetId);
     const reasonTags = ['high_threat', 'project_available'];
     if (eventSignals.threat > 0) {
       reasonTags.push('nether_event_pressure');
     }
+    if (eventSignals.projectThreats[bestProject.targetId] > 0) {
+      reasonTags.push('event_targets_project');
+    }
+    if (environmentSignals.nightWatch) {
+      reasonTags.push('night_watch');
+    }
+    if (environmentSignals.stormWatch) {
+      reasonTags.push('storm_watch');
+    }
+    if (neighborSignals.threat > 0) {
+      reasonTags.push('hostile_neighbors');
+    }
+    if (getTrendTag('threat', threatTrend)) {
+      reasonTags.push(getTrendTag('threat', threatTrend));
+    }
     if (hasBlockedProjects) {
       reasonTags.push('blocked_projects_skipped');
     }
-    return { score: bestProject.score, reasonTags, targetId: bestProject.targetId };
+    if (hasWaitingProjects) {
+      reasonTags.push('dependencies_incomplete_skipped');
+    }
+    if (dependencyState.dependentCounts[bestProject.targetId] > 0) {
+      reasonTags.push('unblocks_dependents');
+    }
+    if (!hasRequiredResources(bestProjectDetails, snapshot.resources)) {
+      reasonTags.push('required_resources_short');
+    }
+    if (missionStance) {
+      reasonTags.push(...missionStance.reasonTags);
+    }
+    return { score: bestProject.score, reasonTags, targetId: bestProject.targetId, breakdown: bestProject.breakdown };
   }
   
-  return { score: 0, reasonTags: [] };
+  return { score: 0, reasonTags: [], breakdown: [] };
 }
 
 /**
  * Evaluate if salvage/scarcity response should be triggered
  * @param {Object} snapshot - World snapshot
  * @param {Object} profile - Governor profile
+ * @param {Object} [weights] - Resolved heuristic weights
  * @returns {number} Score [0, 1]
  */
-export function evaluateSalvagePlan(snapshot, profile) {
+export function evaluateSalvagePlan(snapshot, profile, weights = DefaultHeuristicWeights) {
   const {
     mission = null,
-    pressure = {},
-    latestNetherEvent = null
+    pressure = {}
   } = snapshot;
   const { pragmatism = 0, prudence = 0.5 } = profile.traits || {};
   const goals = profile.goals || {};
   const pressureValues = getPressureValues(pressure);
-  const eventSignals = getEventSignals(latestNetherEvent);
-  const missionRelief = normalizeReward(mission?.reward) * 0.2;
+  const w = weights.salvage;
+  const eventSignals = getEventSignals(snapshot, weights);
+  const missionStance = getMissionHolderStance(snapshot, profile, weights);
+  // Reliance scales the mission's expected relief: none at 0, double at 1.
+  const missionRelief = normalizeReward(mission?.reward, weights) * w.missionRelief *
+    (missionStance ? missionStance.reliance / NeutralReliance : 1);
+  const distrustBonus = missionStance
+    ? Math.max(0, NeutralReliance - missionStance.reliance) * w.distrust
+    : 0;
   
-  // Warden responds to scarcity and dread
+  // Warden responds to scarcity and dread, and to where they are heading
+  const environmentSignals = getEnvironmentSignals(snapshot.environment, weights);
+  const trends = getPressureTrends(snapshot, weights);
   const scarcitySignal = clamp01(
     pressureValues.scarcity +
     eventSignals.scarcity +
-    (goals.salvageResources ? 0.08 : 0) +
-    (goals.maintainSurplus ? 0.07 : 0) -
+    environmentSignals.scarcity +
+    getTrendSignal(trends.scarcity, weights) +
+    getGoalBonus(goals, 'salvageResources', w.salvageResourcesGoal) +
+    getGoalBonus(goals, 'maintainSurplus', w.maintainSurplusGoal) -
     missionRelief
   );
   const dreadSignal = clamp01(
     pressureValues.dread +
     eventSignals.dread +
-    (1 - pressureValues.hope) * 0.1 +
-    (goals.reducePressure ? 0.08 : 0)
+    getTrendSignal(trends.dread, weights) +
+    (1 - pressureValues.hope) * w.despair +
+    getGoalBonus(goals, 'reducePressure', w.reducePressureGoal)
   );
   const strain = Math.max((pressureValues.scarcity + pressureValues.dread) / 2, scarcitySignal, dreadSignal);
   
-  if (strain > 0.4) {
+  if (strain > w.strainThreshold) {
     const focus = scarcitySignal > dreadSignal
       ? 'scarcity'
       : dreadSignal > scarcitySignal
         ? 'dread'
         : (pressureValues.scarcity >= pressureValues.dread ? 'scarcity' : 'dread');
     const focusBonus = focus === 'scarcity'
-      ? (goals.salvageResources ? 0.05 : 0) + (goals.maintainSurplus ? 0.04 : 0)
-      : (goals.reducePressure ? 0.06 : 0);
+      ? getGoalBonus(goals, 'salvageResources', w.scarcitySalvageResourcesGoal) +
+        getGoalBonus(goals, 'maintainSurplus', w.scarcityMaintainSurplusGoal)
+      : getGoalBonus(goals, 'reducePressure', w.dreadReducePressureGoal);
+    const eventPressure = focus === 'dread' ? eventSignals.dread * w.dreadEvent : eventSignals.scarcity * w.scarcityEvent;
     const score = clamp01(
-      strain * (0.45 + pragmatism * 0.3 + prudence * 0.15) +
+      strain * (w.base + pragmatism * w.pragmatism + prudence * w.prudence) +
       focusBonus +
-      (focus === 'dread' ? eventSignals.dread * 0.1 : eventSignals.scarcity * 0.08)
+      distrustBonus +
+      eventPressure
     );
     const reasonTags = ['high_strain'];
     if (eventSignals.dread > 0 || eventSignals.scarcity > 0) {
       reasonTags.push('nether_event_pressure');
     }
+    for (const key of ['scarcity', 'dread']) {
+      if (getTrendTag(key, trends[key])) {
+        reasonTags.push(getTrendTag(key, trends[key]));
+      }
+    }
     if (missionRelief > 0) {
       reasonTags.push('mission_relief_expected');
     }
-    return { score, reasonTags, targetId: focus };
+    if (missionStance) {
+      reasonTags.push(...missionStance.reasonTags);
+    }
+    if (focus === 'scarcity' && hasResourceShortfall(snapshot, weights)) {
+      reasonTags.push('resource_shortfall');
+    }
+    if (focus === 'scarcity' && environmentSignals.scarcity > 0) {
+      reasonTags.push('winter_stockpile');
+    }
+    const breakdown = createBreakdown(score, {
+      base: strain * w.base,
+      pragmatism: strain * pragmatism * w.pragmatism,
+      prudence: strain * prudence * w.prudence,
+      goalBonus: focusBonus,
+      distrust: distrustBonus,
+      eventPressure
+    });
+    return { score, reasonTags, targetId: focus, breakdown };
   }
   
-  return { score: 0, reasonTags: [] };
+  return { score: 0, reasonTags: [], breakdown: [] };
 }
 
 /**
- * Fallback: casual talk/morale action
+ * Evaluate the treasury budget (scarcity-driven)
  * @param {Object} snapshot - World snapshot
  * @param {Object} profile - Governor profile
+ * @param {Object} [weights] - Resolved heuristic weights
  * @returns {number} Score [0, 1]
  */
-export function evaluateTownsfolkTalk(snapshot, profile) {
+export function evaluateTreasuryAllocation(snapshot, profile, weights = DefaultHeuristicWeights) {
   const { pressure = {} } = snapshot;
+  const { pragmatism = 0, prudence = 0.5 } = profile.traits || {};
+  const goals = profile.goals || {};
   const pressureValues = getPressureValues(pressure);
+  const w = weights.treasury;
+  const eventSignals = getEventSignals(snapshot, weights);
+  const environmentSignals = getEnvironmentSignals(snapshot.environment, weights);
+  const neighborSignals = getNeighborSignals(snapshot, weights);
+  const scarcityTrend = getPressureTrends(snapshot, weights).scarcity;
+  const shortfall = hasResourceShortfall(snapshot, weights);
+  const budgetStrain = clamp01(
+    pressureValues.scarcity +
+    eventSignals.scarcity +
+    environmentSignals.scarcity +
+    getTrendSignal(scarcityTrend, weights) +
+    (shortfall ? w.shortfallStrain : 0)
+  );
+
+  // Treasurer spends on supply when strained, buying from partners if any
+  if (budgetStrain > w.strainThreshold) {
+    const allocation = neighborSignals.tradeBonus > 0 ? 'trade' : 'stockpile';
+    const goalBonus =
+      getGoalBonus(goals, 'balanceBudget', w.balanceBudgetGoal) +
+      (allocation === 'trade' ? getGoalBonus(goals, 'fundTrade', w.fundTradeGoal) : getGoalBonus(goals, 'buildReserves', w.buildReservesGoal));
+    const score = clamp01(
+      budgetStrain * (w.base + pragmatism * w.pragmatism + prudence * w.prudence) +
+      goalBonus +
+      neighborSignals.tradeBonus * w.tradeBonus
+    );
+    const reasonTags = ['budget_strain', allocation === 'trade' ? 'trade_partners' : 'stockpile_needed'];
+    if (eventSignals.scarcity > 0) {
+      reasonTags.push('nether_event_pressure');
+    }
+    if (getTrendTag('scarcity', scarcityTrend)) {
+      reasonTags.push(getTrendTag('scarcity', scarcityTrend));
+    }
+    if (shortfall) {
+      reasonTags.push('resource_shortfall');
+    }
+    if (environmentSignals.scarcity > 0) {
+      reasonTags.push('winter_stockpile');
+    }
+    const breakdown = createBreakdown(score, {
+      base: budgetStrain * w.base,
+      pragmatism: budgetStrain * pragmatism * w.pragmatism,
+      prudence: budgetStrain * prudence * w.prudence,
+      goalBonus,
+      tradePartners: neighborSignals.tradeBonus * w.tradeBonus
+    });
+    return { score, reasonTags, targetId: allocation, breakdown };
+  }
+
+  // A calm, well-supplied town banks its surplus
+  if (pressureValues.scarcity < w.surplusScarcityCeiling && pressureValues.hope >= w.surplusHopeFloor && pressureValues.threat <= w.surplusThreatCeiling) {
+    const goalBonus =
+      getGoalBonus(goals, 'buildReserves', w.surplusBuildReservesGoal) +
+      getGoalBonus(goals, 'balanceBudget', w.surplusBalanceBudgetGoal);
+    const score = clamp01(w.surplusBase + prudence * w.surplusPrudence + goalBonus);
+    const breakdown = createBreakdown(score, { base: w.surplusBase, prudence: prudence * w.surplusPrudence, goalBonus });
+    return { score, reasonTags: ['budget_surplus'], targetId: 'reserve', breakdown };
+  }
+
+  return { score: 0, reasonTags: [], breakdown: [] };
+}
+
+/**
+ * Evaluate a cleric rite (dread and hope relief)
+ * @param {Object} snapshot - World snapshot
+ * @param {Object} profile - Governor profile
+ * @param {Object} [weights] - Resolved heuristic weights
+ * @returns {number} Score [0, 1]
+ */
+export function evaluateClericRite(snapshot, profile, weights = DefaultHeuristicWeights) {
+  const { pressure = {} } = snapshot;
+  const { authority = 0, courage = 0 } = profile.traits || {};
+  const goals = profile.goals || {};
+  const pressureValues = getPressureValues(pressure);
+  const w = weights.rite;
+  const eventSignals = getEventSignals(snapshot, weights);
+  const trends = getPressureTrends(snapshot, weights);
+  const isNight = snapshot.environment?.phase === 'night';
+  const dreadSignal = clamp01(
+    pressureValues.dread +
+    eventSignals.dread +
+    getTrendSignal(trends.dread, weights) +
+    (isNight ? w.nightDread : 0)
+  );
+  // Falling hope deepens the need for a blessing
+  const despairSignal = clamp01(1 - pressureValues.hope - getTrendSignal(trends.hope, weights));
+  const need = Math.max(dreadSignal, despairSignal);
+
+  if (need > w.needThreshold) {
+    const rite = dreadSignal >= despairSignal ? 'vigil' : 'blessing';
+    const goalBonus = rite === 'vigil'
+      ? getGoalBonus(goals, 'easeDread', w.easeDreadGoal) + getGoalBonus(goals, 'keepVigils', w.keepVigilsGoal)
+      : getGoalBonus(goals, 'restoreHope', w.restoreHopeGoal);
+    const score = clamp01(need * (w.base + courage * w.courage + authority * w.authority) + goalBonus);
+    const reasonTags = ['spiritual_need', rite === 'vigil' ? 'high_dread' : 'low_hope'];
+    if (rite === 'vigil' && eventSignals.dread > 0) {
+      reasonTags.push('nether_event_pressure');
+    }
+    const trendKey = rite === 'vigil' ? 'dread' : 'hope';
+    if (getTrendTag(trendKey, trends[trendKey])) {
+      reasonTags.push(getTrendTag(trendKey, trends[trendKey]));
+    }
+    if (rite === 'vigil' && isNight) {
+      reasonTags.push('night_vigil');
+    }
+    const breakdown = createBreakdown(score, {
+      base: need * w.base,
+      courage: need * courage * w.courage,
+      authority: need * authority * w.authority,
+      goalBonus
+    });
+    return { score, reasonTags, targetId: rite, breakdown };
+  }
+
+  return { score: 0, reasonTags: [], breakdown: [] };
+}
+
+/**
+ * Evaluate sending an envoy to a neighbor (relation-driven)
+ * @param {Object} snapshot - World snapshot
+ * @param {Object} profile - Governor profile
+ * @param {Object} [weights] - Resolved heuristic weights
+ * @returns {number} Score [0, 1]
+ */
+export function evaluateDiplomaticEnvoy(snapshot, profile, weights = DefaultHeuristicWeights) {
+  const { pressure = {}, neighbors = [] } = snapshot;
+  const { authority = 0, pragmatism = 0, prudence = 0.5 } = profile.traits || {};
+  const goals = profile.goals || {};
+  const pressureValues = getPressureValues(pressure);
+  const day = Number.isInteger(snapshot.day) ? snapshot.day : null;
+
+  // Friendly neighbors already trading need no envoy. Relation 0 is the
+  // neutral point of the [-1, 1] scale, not a tuning: reconciliation need
+  // grows with -relation and trade need with relation, so the split between
+  // the two aims stays at 0 whatever the hostile and friendly thresholds are.
+  const candidates = neighbors.filter(neighbor => neighbor.relation < 0 || !neighbor.tradeOpen);
+  if (candidates.length === 0) {
+    return { score: 0, reasonTags: [], breakdown: [] };
+  }
+
+  const w = weights.envoy;
+  const { friendlyRelationThreshold, hostileRelationThreshold } = weights.neighbors;
+  const getStaleness = neighbor => (day === null ? 0 : clamp01((day - neighbor.lastContactDay) / w.staleContactDays));
+  const bestEnvoy = selectBestOption(candidates.map(neighbor => {
+    const need = neighbor.relation < 0
+      ? -neighbor.relation * (w.reconcileBase + prudence * w.reconcilePrudence) + pressureValues.threat * w.reconcileThreat +
+        getGoalBonus(goals, 'keepPeace', w.keepPeaceGoal)
+      : (1 - neighbor.relation) * w.closedRoute + neighbor.relation * pragmatism * w.tradePragmatism +
+        pressureValues.scarcity * w.tradeScarcity +
+        getGoalBonus(goals, 'openTradeRoutes', w.openTradeRoutesGoal) +
+        (neighbor.relation >= friendlyRelationThreshold ? getGoalBonus(goals, 'honorAlliances', w.honorAlliancesGoal) : 0);
+
+    const score = clamp01(w.base + need * w.need + getStaleness(neighbor) * w.staleness + authority * w.authority);
+
+    return {
+      score,
+      targetId: neighbor.townId,
+      breakdown: createBreakdown(score, {
+        base: w.base,
+        need: need * w.need,
+        staleness: getStaleness(neighbor) * w.staleness,
+        authority: authority * w.authority
+      })
+    };
+  }));
+
+  if (bestEnvoy.score > w.needThreshold) {
+    const neighbor = candidates.find(entry => entry.townId === bestEnvoy.targetId);
+    const reasonTags = ['neighbor_ranked', neighbor.relation < 0 ? 'strained_relations' : 'trade_route_closed'];
+    if (neighbor.relation < hostileRelationThreshold) {
+      reasonTags.push('hostile_neighbors');
+    }
+    if (getStaleness(neighbor) >= 1) {
+      reasonTags.push('stale_contact');
+    }
+    return { score: bestEnvoy.score, reasonTags, targetId: bestEnvoy.targetId, breakdown: bestEnvoy.breakdown };
+  }
+
+  return { score: 0, reasonTags: [], breakdown: [] };
+}
+
+/**
+ * Fallback: casual talk/morale action
+ * With a resident roster, morale talks address the unhappiest resident or
+ * profession group via an `audience` of `{kind: 'resident'|'group', id}`.
+ * @param {Object} snapshot - World snapshot
+ * @param {Object} profile - Governor profile
+ * @param {Object} [weights] - Resolved heuristic weights
+ * @returns {number} Score [0, 1]
+ */
+export function evaluateTownsfolkTalk(snapshot, profile, weights = DefaultHeuristicWeights) {
+  const { pressure = {}, residents = [] } = snapshot;
+  const pressureValues = getPressureValues(pressure);
+  const w = weights.talk;
+  const lowHope = pressureValues.hope < w.hopeCeiling;
+
+  if (residents.length > 0) {
+    const resident = getLowestMoraleResident(residents);
+    if (resident.morale < w.residentMoraleFloor) {
+      const moraleDeficit = (w.residentMoraleFloor - resident.morale) * w.residentDeficit;
+      const score = clamp01(w.residentBase + moraleDeficit);
+      return {
+        score,
+        reasonTags: ['low_resident_morale', 'resident_targeted'],
+        targetId: 'morale-boost',
+        audience: { kind: 'resident', id: resident.id },
+        breakdown: createBreakdown(score, { base: w.residentBase, moraleDeficit })
+      };
+    }
+
+    const group = getLowestMoraleGroup(residents);
+    if (lowHope || group.morale < w.groupMoraleFloor) {
+      const score = lowHope ? w.groupLowHope : w.group;
+      return {
+        score,
+        reasonTags: lowHope ? ['low_hope', 'low_group_morale'] : ['low_group_morale'],
+        targetId: 'morale-boost',
+        audience: { kind: 'group', id: group.profession },
+        breakdown: createBreakdown(score, { base: score })
+      };
+    }
+  }
   
   // Propose talk if morale is low
-  if (pressureValues.hope < 0.6) {
-    return { score: 0.5, reasonTags: ['low_hope'], targetId: 'morale-boost' };
+  if (lowHope) {
+    return {
+      score: w.moraleBoost,
+      reasonTags: ['low_hope'],
+      targetId: 'morale-boost',
+      breakdown: createBreakdown(w.moraleBoost, { base: w.moraleBoost })
+    };
   }
   
-  return { score: 0.2, reasonTags: [], targetId: 'casual' };
+  return { score: w.casual, reasonTags: [], targetId: 'casual', breakdown: createBreakdown(w.casual, { base: w.casual }) };
 }
 
-function selectBestCandidate(candidates) {
+/**
+ * Builtin evaluators, one per role plus the townsfolk talk fallback every
+ * role can make. See evaluatorRegistry.js for the definition contract.
+ */
+export const builtinEvaluators = Object.freeze([
+  { id: 'mission-acceptance', roles: [Roles.MAYOR], proposalType: ProposalType.MAYOR_ACCEPT_MISSION, evaluate: evaluateMissionAcceptance },
+  { id: 'project-advance', roles: [Roles.CAPTAIN], proposalType: ProposalType.PROJECT_ADVANCE, evaluate: evaluateProjectAdvance },
+  { id: 'salvage-plan', roles: [Roles.WARDEN], proposalType: ProposalType.SALVAGE_PLAN, evaluate: evaluateSalvagePlan },
+  { id: 'treasury-allocation', roles: [Roles.TREASURER], proposalType: ProposalType.TREASURY_ALLOCATE, evaluate: evaluateTreasuryAllocation },
+  { id: 'cleric-rite', roles: [Roles.CLERIC], proposalType: ProposalType.CLERIC_RITE, evaluate: evaluateClericRite },
+  { id: 'diplomatic-envoy', roles: [Roles.DIPLOMAT], proposalType: ProposalType.DIPLOMATIC_ENVOY, evaluate: evaluateDiplomaticEnvoy },
+  {
+    id: 'townsfolk-talk',
+    roles: Object.values(Roles),
+    proposalType: ProposalType.TOWNSFOLK_TALK,
+    evaluate: evaluateTownsfolkTalk,
+    fallback: true
+  }
+].map(definition => Object.freeze({ ...definition, roles: Object.freeze(definition.roles) })));
+
+function selectBestCandidate(candidates, proposalDefinitions) {
   if (!candidates || candidates.length === 0) return { type: null, priority: 0 }; 
   const sortedCandidates = [...candidates];
   sortedCandidates.sort((a, b) => {
     // priority descending
     if (a.priority !== b.priority) return b.priority - a.priority;
     // proposal order ascending index
-    const ia = getProposalOrder(a.type);
-    const ib = getProposalOrder(b.type);
+    const ia = getProposalOrder(a.type, proposalDefinitions);
+    const ib = getProposalOrder(b.type, proposalDefinitions);
     if (ia !== ib) return ia - ib;
     // final tie-break on targetId lexicographically
     const ka = (a.targetId || '').toString();
@@ -324,14 +985,18 @@ function selectBestCandidate(candidates) {
   return sortedCandidates[0];
 }
 
-function applyMemoryPenalty(candidates, memory = {}) {
+function applyMemoryPenalty(candidates, memory, weights) {
   if (!memory || !memory.lastType) return;
-  const penalty = 0.1;
+  const penalty = weights.memory.repeatPenalty;
   const count = Math.max(1, memory.repeatCount || 1);
   candidates.forEach(c => {
     if (c.type === memory.lastType) {
       if (!memory.lastTarget || memory.lastTarget === c.targetId) {
-        c.priority = Math.max(0, c.priority - penalty * count);
+        const priority = Math.max(0, c.priority - penalty * count);
+        if (priority !== c.priority) {
+          c.breakdown = [...c.breakdown, { name: 'memoryPenalty', value: priority - c.priority }];
+        }
+        c.priority = priority;
       }
     }
   });
@@ -342,20 +1007,27 @@ function applyMemoryPenalty(candidates, memory = {}) {
  * @param {Object} snapshot - World snapshot
  * @param {Object} profile - Governor profile
  * @param {Object} memory - Optional recent proposal memory {lastType, lastTarget, repeatCount}
+ * @param {Object} [weights] - Full or partial `heuristic-weights.v1` document; defaults apply where omitted
+ * @param {Object} [registries] - Validated registries from `createCognitionEngine()`
+ * @param {Object[]} [registries.evaluators] - Evaluator definitions; defaults to `builtinEvaluators`
+ * @param {Object[]} [registries.proposals] - Proposal definitions for tie-break order; defaults to the builtin registry
  * @returns {Array<Object>} Sorted candidate set
+ * @throws {Error} If the weights are invalid, or a supplied evaluator returns a malformed result
  */
-export function evaluateGovernanceCandidates(snapshot, profile, memory = {}) {
-  const candidates = buildRoleCandidates(snapshot, profile).map(candidate => ({
+export function evaluateGovernanceCandidates(snapshot, profile, memory = {}, weights, registries = {}) {
+  const resolvedWeights = resolveHeuristicWeights(weights);
+  const evaluators = registries.evaluators ?? builtinEvaluators;
+  const candidates = buildRoleCandidates(snapshot, profile, resolvedWeights, evaluators, Boolean(registries.evaluators)).map(candidate => ({
     ...candidate,
     reasonTags: candidate.reasonTags || []
   }));
 
-  applyMemoryPenalty(candidates, memory);
+  applyMemoryPenalty(candidates, memory, resolvedWeights);
 
   return [...candidates].sort((a, b) => {
     if (a.priority !== b.priority) return b.priority - a.priority;
-    const ia = getProposalOrder(a.type);
-    const ib = getProposalOrder(b.type);
+    const ia = getProposalOrder(a.type, registries.proposals);
+    const ib = getProposalOrder(b.type, registries.proposals);
     if (ia !== ib) return ia - ib;
     const ka = (a.targetId || '').toString();
     const kb = (b.targetId || '').toString();
@@ -368,15 +1040,19 @@ export function evaluateGovernanceCandidates(snapshot, profile, memory = {}) {
  * @param {Object} snapshot - World snapshot
  * @param {Object} profile - Governor profile
  * @param {Object} memory - Optional recent proposal memory {lastType, lastTarget, repeatCount}
- * @returns {Object} { type, priority, targetId, reasonTags }
+ * @param {Object} [weights] - Full or partial `heuristic-weights.v1` document; defaults apply where omitted
+ * @param {Object} [registries] - Validated registries from `createCognitionEngine()`
+ * @returns {Object} { type, priority, targetId, reasonTags, audience? }
+ * @throws {Error} If the weights are invalid, or a supplied evaluator returns a malformed result
  */
-export function evaluateGovernanceProposal(snapshot, profile, memory = {}) {
-  const candidates = evaluateGovernanceCandidates(snapshot, profile, memory);
-  const best = selectBestCandidate(candidates);
+export function evaluateGovernanceProposal(snapshot, profile, memory = {}, weights, registries = {}) {
+  const candidates = evaluateGovernanceCandidates(snapshot, profile, memory, weights, registries);
+  const best = selectBestCandidate(candidates, registries.proposals);
   return {
     type: best.type,
     priority: best.priority,
     targetId: best.targetId,
-    reasonTags: best.reasonTags || []
+    reasonTags: best.reasonTags || [],
+    ...(best.audience ? { audience: best.audience } : {})
   };
 }
@@ -1,5 +1,5 @@
-import { createHash } from 'crypto';
 import { Roles } from './agentProfiles.js';
+import { hashValue, stableStringify } from './canonicalJson.js';
 import { isValidProposal } from './proposalDsl.js';
 import { isValidExecutionHandoff, isValidExecutionResult } from './executionHandoff.js';
 import { SchemaVersion } from './schemaVersions.js';
@@ -27,6 +27,9 @@ export const ImmersionMemoryRole = Object.freeze([
   Roles.MAYOR,
   Roles.CAPTAIN,
   Roles.WARDEN,
+  Roles.TREASURER,
+  Roles.CLERIC,
+  Roles.DIPLOMAT,
   'townsfolk'
 ]);
 
@@ -57,6 +60,9 @@ const roleMemoryGuidance = Object.freeze({
   [Roles.MAYOR]: 'Role continuity emphasis: mayor. Favor civic duty, mission continuity, town morale, and the public obligations implied by the record.',
   [Roles.CAPTAIN]: 'Role continuity emphasis: captain. Favor defenses, works in progress, tangible progress, and the burden of immediate protection.',
   [Roles.WARDEN]: 'Role continuity emphasis: warden. Favor strain, salvage, caution, shortages, and signs that pressure is still unresolved.',
+  [Roles.TREASURER]: 'Role continuity emphasis: treasurer. Favor budgets, trade, stockpiles, reserves, and what the town can and cannot afford.',
+  [Roles.CLERIC]: 'Role continuity emphasis: cleric. Favor hope, dread, vigils, blessings, grief, and the spirit of the townsfolk.',
+  [Roles.DIPLOMAT]: 'Role continuity emphasis: diplomat. Favor neighboring towns, envoys, treaties, trade routes, and old grievances between factions.',
   townsfolk: 'Role continuity emphasis: townsfolk. Favor public memory, hearsay pressure, vivid common details, and what ordinary people would repeat.'
 });
 
@@ -64,6 +70,9 @@ const proposalTypeRoleMap = Object.freeze({
   MAYOR_ACCEPT_MISSION: Roles.MAYOR,
   PROJECT_ADVANCE: Roles.CAPTAIN,
   SALVAGE_PLAN: Roles.WARDEN,
+  TREASURY_ALLOCATE: Roles.TREASURER,
+  CLERIC_RITE: Roles.CLERIC,
+  DIPLOMATIC_ENVOY: Roles.DIPLOMAT,
   TOWNSFOLK_TALK: 'townsfolk'
 });
 
@@ -71,6 +80,9 @@ const officeTitleByRole = Object.freeze({
   [Roles.MAYOR]: 'Mayor',
   [Roles.CAPTAIN]: 'Captain',
   [Roles.WARDEN]: 'Warden',
+  [Roles.TREASURER]: 'Treasurer',
+  [Roles.CLERIC]: 'Cleric',
+  [Roles.DIPLOMAT]: 'Diplomat',
   townsfolk: 'Townsfolk'
 });
 
@@ -78,6 +90,9 @@ const authoritativeRoleOrder = Object.freeze([
   Roles.MAYOR,
   Roles.CAPTAIN,
   Roles.WARDEN,
+  Roles.TREASURER,
+  Roles.CLERIC,
+  Roles.DIPLOMAT,
   'townsfolk'
 ]);
 
@@ -109,6 +124,33 @@ const roleRankingSignals = Object.freeze({
     historyKindBoosts: Object.freeze({ execution_result: 4 }),
     historySourceTypeBoosts: Object.freeze({ execution_receipt: 3 })
   }),
+  [Roles.TREASURER]: Object.freeze({
+    chronicleKeywords: Object.freeze(['budget', 'coin', 'trade', 'market', 'stockpile', 'reserve', 'supplies', 'tax']),
+    historyKeywords: Object.freeze(['budget', 'treasury', 'trade', 'market', 'stockpile', 'reserve', 'supply', 'shortage']),
+    chronicleEntryTypeBoosts: Object.freeze({ mission: 6, project: 6, warning: 4 }),
+    historyProposalTypeBoosts: Object.freeze({ TREASURY_ALLOCATE: 16, SALVAGE_PLAN: 4 }),
+    historyStatusBoosts: Object.freeze({ executed: 6, rejected: 4 }),
+    historyKindBoosts: Object.freeze({ execution_result: 4 }),
+    historySourceTypeBoosts: Object.freeze({ execution_receipt: 3 })
+  }),
+  [Roles.CLERIC]: Object.freeze({
+    chronicleKeywords: Object.freeze(['hope', 'dread', 'fear', 'vigil', 'blessing', 'prayer', 'loss', 'mourning']),
+    historyKeywords: Object.freeze(['hope', 'dread', 'fear', 'vigil', 'blessing', 'rite', 'morale', 'panic']),
+    chronicleEntryTypeBoosts: Object.freeze({ speech: 10, warning: 8 }),
+    historyProposalTypeBoosts: Object.freeze({ CLERIC_RITE: 16, TOWNSFOLK_TALK: 4 }),
+    historyStatusBoosts: Object.freeze({ executed: 5, failed: 4 }),
+    historyKindBoosts: Object.freeze({ execution_result: 4 }),
+    historySourceTypeBoosts: Object.freeze({ execution_receipt: 2 })
+  }),
+  [Roles.DIPLOMAT]: Object.freeze({
+    chronicleKeywords: Object.freeze(['envoy', 'treaty', 'neighbor', 'border', 'faction', 'trade', 'alliance', 'grievance']),
+    historyKeywords: Object.freeze(['envoy', 'treaty', 'neighbor', 'diplomacy', 'faction', 'trade', 'alliance', 'conflict']),
+    chronicleEntryTypeBoosts: Object.freeze({ mission: 8, speech: 8, warning: 4 }),
+    historyProposalTypeBoosts: Object.freeze({ DIPLOMATIC_ENVOY: 16, MAYOR_ACCEPT_MISSION: 4 }),
+    historyStatusBoosts: Object.freeze({ executed: 6, rejected: 5 }),
+    historyKindBoosts: Object.freeze({ execution_result: 4 }),
+    historySourceTypeBoosts: Object.freeze({ execution_receipt: 3 })
+  }),
   townsfolk: Object.freeze({
     chronicleKeywords: Object.freeze(['rumor', 'loss', 'fear', 'shortage', 'market', 'daily', 'square', 'whisper', 'quiet']),
     historyKeywords: Object.freeze(['rumor', 'loss', 'fear', 'shortage', 'market', 'daily', 'whisper', 'late', 'incident']),
@@ -159,25 +201,6 @@ const providerFactories = Object.freeze({
   qwen: createQwenProvider
 });
 
-function stableStringify(value) {
-  if (Array.isArray(value)) {
-    return `[${value.map(stableStringify).join(',')}]`;
-  }
-
-  if (value && typeof value === 'object') {
-    const keys = Object.keys(value)
-      .filter(key => value[key] !== undefined)
-      .sort();
-    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
-  }
-
-  return JSON.stringify(value);
-}
-
-function hashValue(value) {
-  return createHash('sha256').update(stableStringify(value)).digest('hex');
-}
-
 function hasOwn(value, key) {
   return Object.prototype.hasOwnProperty.call(value, key);
 }
@@ -1095,7 +1118,7 @@ export function selectWorldMemoryForRole(role, artifactType, worldMemoryContext)
     });
   }
 
-  if (role === Roles.WARDEN) {
+  if (role === Roles.WARDEN || role === Roles.TREASURER || role === Roles.CLERIC) {
     return buildWorldMemorySubset(sourceWorldMemory, {
       recentChronicle: selectRankedWorldMemoryRecords(sourceWorldMemory.recentChronicle, {
         recordKind: 'chronicle',
@@ -1114,6 +1137,26 @@ export function selectWorldMemoryForRole(role, artifactType, worldMemoryContext)
     });
   }
 
+  // Diplomats deal with other factions, so they keep the faction summary too.
+  if (role === Roles.DIPLOMAT) {
+    return buildWorldMemorySubset(sourceWorldMemory, {
+      recentChronicle: selectRankedWorldMemoryRecords(sourceWorldMemory.recentChronicle, {
+        recordKind: 'chronicle',
+        role,
+        artifactType,
+        limit: chronicleLimit
+      }),
+      recentHistory: selectRankedWorldMemoryRecords(sourceWorldMemory.recentHistory, {
+        recordKind: 'history',
+        role,
+        artifactType,
+        limit: historyLimit
+      }),
+      includeTownSummary: true,
+      includeFactionSummary: Boolean(sourceWorldMemory.factionSummary)
+    });
+  }
+
   return buildWorldMemorySubset(sourceWorldMemory, {
     recentChronicle: selectRankedWorldMemoryRecords(sourceWorldMemory.recentChronicle, {
       recordKind: 'chronicle',
@@ -1144,6 +1187,9 @@ function inferRoleFromActorId(actorId) {
   if (normalized.includes('mayor')) return Roles.MAYOR;
   if (normalized.includes('captain')) return Roles.CAPTAIN;
   if (normalized.includes('warden')) return Roles.WARDEN;
+  if (normalized.includes('treasurer')) return Roles.TREASURER;
+  if (normalized.includes('cleric')) return Roles.CLERIC;
+  if (normalized.includes('diplomat')) return Roles.DIPLOMAT;
   if (normalized.includes('townsfolk')) return 'townsfolk';
   return null;
 }
@@ -1169,7 +1215,7 @@ function selectMemoryRole(input) {
 function normalizeImmersionRole(value) {
   if (!isNonEmptyString(value)) return null;
   const normalized = value.trim().toLowerCase();
-  if (normalized === Roles.MAYOR || normalized === Roles.CAPTAIN || normalized === Roles.WARDEN || normalized === 'townsfolk') {
+  if (ImmersionMemoryRole.includes(normalized)) {
     return normalized;
   }
   return null;
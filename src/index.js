@@ -3,8 +3,8 @@
  * World-core governance cognition MVP
  */
 
-export { propose } from './propose.js';
-export { ProposalType, isValidProposal, isValidProposalArgs } from './proposalDsl.js';
+export { propose, proposeCandidate } from './propose.js';
+export { ProposalType, isValidProposal, isValidProposalArgs, validateProposal } from './proposalDsl.js';
 export {
   getProposalDefinition,
   getProposalOrder,
@@ -15,25 +15,99 @@ export {
   materializeProposalType,
   proposalRegistry
 } from './proposalRegistry.js';
+export {
+  evaluatorRegistry,
+  getEvaluatorDefinition,
+  getRoleEvaluators,
+  isValidEvaluatorDefinition,
+  isValidEvaluatorRegistry,
+  listEvaluatorIds
+} from './evaluatorRegistry.js';
+export { createCognitionEngine } from './cognitionEngine.js';
 export { 
   Roles,
   mayorProfile, 
   captainProfile, 
   wardenProfile, 
-  isValidProfile 
+  treasurerProfile,
+  clericProfile,
+  diplomatProfile,
+  DefaultRelationship,
+  getGoalWeight,
+  getRelationship,
+  isValidProfile,
+  MaxLearnedResultIds,
+  MaxProfileRelationships,
+  validateProfile
 } from './agentProfiles.js';
+export {
+  checkCouncilProposals,
+  CouncilCheckCode,
+  CouncilProposalsSchemaVersion,
+  isValidCouncil,
+  MaxCouncilMembers,
+  proposeForCouncil,
+  validateCouncil
+} from './council.js';
+export {
+  arbitrateCouncil,
+  CouncilDecisionSchemaVersion,
+  CouncilPolicy,
+  isValidCouncilDecision
+} from './councilArbitration.js';
+export {
+  hashProfile,
+  ProfileTemplates,
+  resolveProfile
+} from './profileTemplates.js';
 export { 
   canonicalizeSnapshot,
   createDefaultSnapshot, 
-  isValidSnapshot 
+  getResourceDaysOfSupply,
+  isValidSnapshot,
+  isValidSnapshotBounds,
+  migrateSnapshotToV2,
+  normalizeSnapshotPressure,
+  resolveSnapshotBounds,
+  validateSnapshot,
+  validateSnapshotBounds
 } from './snapshotSchema.js';
+export { generateSnapshot } from './snapshotGenerator.js';
+export { Archetypes, generateProfile } from './profileGenerator.js';
+export {
+  diffSnapshots,
+  SnapshotChangeTypes,
+  SnapshotDiffSchemaVersion
+} from './snapshotDiff.js';
+export {
+  applySnapshotDelta,
+  createSnapshotDelta,
+  isValidSnapshotDelta,
+  MaxSnapshotDeltaOperations,
+  SnapshotDeltaOperationTypes,
+  SnapshotDeltaSchemaVersion,
+  validateSnapshotDelta
+} from './snapshotDelta.js';
+export { ValidationIssueCode } from './validationIssues.js';
 export {
   evaluateMissionAcceptance,
   evaluateProjectAdvance,
   evaluateSalvagePlan,
+  evaluateTreasuryAllocation,
+  evaluateClericRite,
+  evaluateDiplomaticEnvoy,
   evaluateTownsfolkTalk,
-  evaluateGovernanceProposal
+  evaluateGovernanceProposal,
+  getPressureTrends
 } from './heuristics.js';
+export {
+  DefaultHeuristicWeights,
+  hashHeuristicWeights,
+  HeuristicWeightsSchemaVersion,
+  isValidHeuristicWeights,
+  resolveHeuristicWeights,
+  validateHeuristicWeights
+} from './heuristicWeights.js';
 export {
   proposalToCommand,
   proposalToDescription,
@@ -52,6 +126,13 @@ export {
   isValidLocalExecutionState,
   normalizeLocalExecutionState
 } from './localExecutionHarness.js';
+export {
+  DefaultDriftPolicy,
+  evolveProfile,
+  isValidDriftPolicy,
+  resolveDriftPolicy,
+  validateDriftPolicy
+} from './traitDrift.js';
 export {
   buildImmersionPrompt,
   generateImmersion,
@@ -89,8 +170,14 @@ export {
   isValidDemoFlowReport,
   runDemoFlow
 } from './demoFlow.js';
+export {
+  getJsonSchema,
+  JsonSchemaDialect,
+  listJsonSchemaVersions
+} from './jsonSchemas.js';
 export {
   ProjectStatuses,
   SchemaVersion,
-  SnapshotBounds
+  SnapshotBounds,
+  SnapshotSchemaVersions
 } from './schemaVersions.js';
@@ -0,0 +1,596 @@
+/**
+ * JSON Schemas - Draft 2020-12 documents for the published contracts
+ * Lets non-JS consumers validate payloads structurally. Rules that span
+ * several fields (recomputed ids, unique item ids, sort order) stay with the
+ * hand-written validators and are listed in each schema's `$comment`.
+ */
+
+import { MaxLearnedResultIds, MaxProfileRelationships, Roles, Traits } from './agentProfiles.js';
+import { MaxCouncilMembers } from './council.js';
+import { ExecutionStatus } from './executionHandoff.js';
+import { DefaultHeuristicWeights, getHeuristicWeightMaximum, getHeuristicWeightMinimum } from './heuristicWeights.js';
+import { ImmersionArtifactType, ImmersionStatus } from './immersion.js';
+import { proposalRegistry } from './proposalRegistry.js';
+import {
+  DayPhases,
+  EventKinds,
+  ProjectStatuses,
+  SchemaVersion,
+  Seasons,
+  SnapshotBounds,
+  WeatherKinds
+} from './schemaVersions.js';
+import {
+  MaxWorldMemoryChronicleRecords,
+  MaxWorldMemoryHistoryRecords,
+  MaxWorldMemoryKeyActors,
+  MaxWorldMemoryTownIdentityTags,
+  WorldMemoryContextSchemaVersion,
+  WorldMemoryContextType
+} from './worldMemoryContext.js';
+
+export const JsonSchemaDialect = 'https://json-schema.org/draft/2020-12/schema';
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+// Validators that trim before checking emptiness reject whitespace-only text.
+const nonBlankString = { type: 'string', pattern: '\\S' };
+const nonNegativeInteger = { type: 'integer', minimum: 0 };
+const nonNegativeNumber = { type: 'number', minimum: 0 };
+const unitInterval = { type: 'number', minimum: 0, maximum: 1 };
+const hashString = { type: 'string', pattern: '^[0-9a-f]{64}$' };
+
+function prefixedHash(prefix) {
+  return { type: 'string', pattern: `^${prefix}_[0-9a-f]{64}$` };
+}
+
+function nullable(schema) {
+  return { anyOf: [schema, { type: 'null' }] };
+}
+
+function closedObject(properties, required = Object.keys(properties)) {
+  return { type: 'object', properties, required, additionalProperties: false };
+}
+
+function openObject(properties, required = Object.keys(properties)) {
+  return { type: 'object', properties, required };
+}
+
+function boundedArray(items, maxItems) {
+  return maxItems === undefined ? { type: 'array', items } : { type: 'array', items, maxItems };
+}
+
+function uniqueStrings(items, maxItems) {
+  return { ...boundedArray(items, maxItems), uniqueItems: true };
+}
+
+function whenStatus(statuses, then) {
+  return {
+    if: { properties: { status: { enum: statuses } }, required: ['status'] },
+    then
+  };
+}
+
+function buildSnapshotSchema(schemaVersion) {
+  const isV2 = schemaVersion === SchemaVersion.SNAPSHOT_V2;
+  const properties = {
+    schemaVersion: { const: schemaVersion },
+    day: nonNegativeInteger,
+    townId: nonEmptyString,
+    mission: nullable(closedObject({
+      id: nonEmptyString,
+      title: nonEmptyString,
+      description: { type: 'string' },
+      reward: nonNegativeNumber,
+      acceptedBy: nonEmptyString
+    }, ['id', 'title'])),
+    sideQuests: boundedArray(closedObject({
+      id: nonEmptyString,
+      title: nonEmptyString,
+      complexity: { type: 'number', minimum: 0, maximum: 10 },
+      reward: nonNegativeNumber,
+      expiresOnDay: nonNegativeInteger,
+      risk: unitInterval,
+      requiredRole: { enum: Object.values(Roles) }
+    }, ['id', 'title']), SnapshotBounds.maxSideQuests),
+    pressure: closedObject({
+      threat: unitInterval,
+      scarcity: unitInterval,
+      hope: unitInterval,
+      dread: unitInterval
+    }),
+    projects: boundedArray(closedObject({
+      id: nonEmptyString,
+      name: nonEmptyString,
+      progress: unitInterval,
+      status: { enum: ProjectStatuses },
+      dependsOn: uniqueStrings(nonEmptyString, SnapshotBounds.maxProjectDependencies),
+      requiredResources: boundedArray(
+        closedObject({ id: nonEmptyString, quantity: nonNegativeNumber }),
+        SnapshotBounds.maxProjectRequirements
+      ),
+      estimatedDays: nonNegativeInteger
+    }, ['id', 'name', 'progress', 'status']), SnapshotBounds.maxProjects),
+    latestNetherEvent: { type: ['string', 'null'] },
+    events: boundedArray(closedObject({
+      kind: { enum: EventKinds },
+      severity: unitInterval,
+      dayObserved: nonNegativeInteger,
+      source: nonEmptyString,
+      targetProjectId: nonEmptyString
+    }, ['kind', 'severity', 'dayObserved', 'source']), SnapshotBounds.maxEvents),
+    residents: boundedArray(closedObject({
+      id: nonEmptyString,
+      name: nonEmptyString,
+      profession: nonEmptyString,
+      morale: unitInterval,
+      skills: uniqueStrings(nonEmptyString, SnapshotBounds.maxResidentSkills),
+      assignedProjectId: nonEmptyString
+    }, ['id', 'name', 'profession', 'morale', 'skills']), SnapshotBounds.maxResidents),
+    environment: closedObject({
+      season: { enum: Seasons },
+      weather: { enum: WeatherKinds },
+      phase: { enum: DayPhases }
+    }),
+    neighbors: boundedArray(closedObject({
+      townId: nonEmptyString,
+      factionId: nonEmptyString,
+      relation: { type: 'number', minimum: -1, maximum: 1 },
+      tradeOpen: { type: 'boolean' },
+      lastContactDay: nonNegativeInteger
+    }), SnapshotBounds.maxNeighbors),
+    pressureHistory: boundedArray(closedObject({
+      day: nonNegativeInteger,
+      threat: unitInterval,
+      scarcity: unitInterval,
+      hope: unitInterval,
+      dread: unitInterval
+    }), SnapshotBounds.maxPressureHistory),
+    ...(isV2
+      ? {
+          resources: boundedArray(closedObject({
+            id: nonEmptyString,
+            quantity: nonNegativeNumber,
+            dailyConsumption: nonNegativeNumber
+          }), SnapshotBounds.maxResources)
+        }
+      : {})
+  };
+  const required = ['schemaVersion', 'day', 'townId', 'mission', 'sideQuests', 'pressure', 'projects', 'latestNetherEvent'];
+
+  return {
+    ...closedObject(properties, isV2 ? [...required, 'resources'] : required),
+    $comment: 'Also enforced by validateSnapshot(): ids unique per list, dependsOn references existing projects without cycles, dayObserved and lastContactDay <= day, neighbor townId differs from townId, pressureHistory days unique and < day. Limits are the SnapshotBounds defaults.'
+  };
+}
+
+function buildProfileSchema() {
+  const resultIds = boundedArray(prefixedHash('result'));
+  const properties = {
+    schemaVersion: { const: SchemaVersion.PROFILE },
+    id: nonEmptyString,
+    role: { enum: Object.values(Roles) },
+    townId: nonEmptyString,
+    traits: openObject(Object.fromEntries(
+      Object.entries(Traits).map(([traitName, traitDef]) => [traitName, { type: 'number', minimum: traitDef.min, maximum: traitDef.max }])
+    )),
+    goals: {
+      type: 'object',
+      minProperties: 1,
+      additionalProperties: { anyOf: [{ type: 'number', minimum: 0, maximum: 1 }, { type: 'boolean' }] }
+    }
+  };
+  const relationships = {
+    type: 'object',
+    maxProperties: MaxProfileRelationships,
+    additionalProperties: closedObject({ trust: unitInterval, rivalry: unitInterval }, []),
+    $comment: 'Also enforced by validateProfile(): actor id keys are non-empty.'
+  };
+  const lineage = closedObject({
+    generation: { type: 'integer', minimum: 1 },
+    parentHash: hashString,
+    hash: hashString,
+    resultIds,
+    learnedResultIds: uniqueStrings(prefixedHash('result'), MaxLearnedResultIds),
+    traitHistory: boundedArray(closedObject({
+      generation: { type: 'integer', minimum: 1 },
+      trait: { enum: Object.keys(Traits) },
+      from: unitInterval,
+      to: unitInterval,
+      resultIds
+    }))
+  });
+
+  return openObject({ ...properties, relationships, lineage }, Object.keys(properties));
+}
+
+function buildCouncilSchema() {
+  return {
+    ...closedObject({
+      schemaVersion: { const: SchemaVersion.COUNCIL },
+      townId: nonEmptyString,
+      members: { ...boundedArray(buildProfileSchema(), MaxCouncilMembers), minItems: 1 }
+    }),
+    $comment: 'Also enforced by validateCouncil(): member ids are unique.'
+  };
+}
+
+// Every table is optional in an override, so nothing below the version is required.
+function buildWeightSchema(path) {
+  const maximum = getHeuristicWeightMaximum(path);
+  return {
+    type: 'number',
+    minimum: getHeuristicWeightMinimum(path),
+    ...(Number.isFinite(maximum) ? { maximum } : {})
+  };
+}
+
+function buildWeightTableSchema(defaults, path) {
+  return closedObject(Object.fromEntries(Object.entries(defaults).map(([key, value]) => [
+    key,
+    value && typeof value === 'object'
+      ? buildWeightTableSchema(value, `${path}.${key}`)
+      : buildWeightSchema(`${path}.${key}`)
+  ])), []);
+}
+
+function buildHeuristicWeightsSchema() {
+  const { schemaVersion: _schemaVersion, ...tables } = DefaultHeuristicWeights;
+  const schema = buildWeightTableSchema(tables, '$');
+
+  return {
+    ...schema,
+    properties: { schemaVersion: { const: SchemaVersion.HEURISTIC_WEIGHTS }, ...schema.properties },
+    required: ['schemaVersion']
+  };
+}
+
+function buildProposalSchema() {
+  return {
+    ...openObject({
+      schemaVersion: { const: SchemaVersion.PROPOSAL },
+      proposalId: prefixedHash('proposal'),
+      snapshotHash: hashString,
+      decisionEpoch: nonNegativeInteger,
+      preconditions: boundedArray(openObject({
+        kind: nonEmptyString,
+        targetId: nonEmptyString,
+        field: nonEmptyString,
+        expected: { type: ['string', 'number', 'boolean', 'null'] }
+      }, ['kind'])),
+      type: { enum: proposalRegistry.map(definition => definition.type) },
+      actorId: nonEmptyString,
+      townId: nonEmptyString,
+      priority: unitInterval,
+      reason: nonEmptyString,
+      reasonTags: boundedArray({ type: 'string' }),
+      args: { type: 'object' }
+    }, ['schemaVersion', 'proposalId', 'snapshotHash', 'decisionEpoch', 'type', 'actorId', 'townId', 'priority', 'reason', 'reasonTags', 'args']),
+    allOf: proposalRegistry.map(definition => ({
+      if: { properties: { type: { const: definition.type } }, required: ['type'] },
+      then: { properties: { args: structuredClone(definition.argsSchema) } }
+    })),
+    $comment: 'Also enforced by validateProposal(): proposalId is the hash of the proposal payload.'
+  };
+}
+
+function buildExecutionHandoffSchema() {
+  return {
+    ...openObject({
+      schemaVersion: { const: SchemaVersion.HANDOFF },
+      handoffId: prefixedHash('handoff'),
+      advisory: { const: true },
+      proposalId: prefixedHash('proposal'),
+      idempotencyKey: prefixedHash('proposal'),
+      snapshotHash: hashString,
+      decisionEpoch: nonNegativeInteger,
+      proposal: buildProposalSchema(),
+      command: nonEmptyString,
+      executionRequirements: openObject({
+        expectedSnapshotHash: hashString,
+        expectedDecisionEpoch: nonNegativeInteger,
+        preconditions: { type: 'array' }
+      })
+    }),
+    $comment: 'Also enforced by isValidExecutionHandoff(): idempotencyKey, proposal, and executionRequirements repeat proposalId, snapshotHash, and decisionEpoch; command is the mapped proposal command; handoffId is recomputed.'
+  };
+}
+
+function buildExecutionResultSchema() {
+  return {
+    ...openObject({
+      type: { const: SchemaVersion.EXECUTION_RESULT },
+      schemaVersion: { const: 1 },
+      executionId: prefixedHash('result'),
+      resultId: prefixedHash('result'),
+      handoffId: prefixedHash('handoff'),
+      proposalId: prefixedHash('proposal'),
+      idempotencyKey: prefixedHash('proposal'),
+      snapshotHash: hashString,
+      decisionEpoch: nonNegativeInteger,
+      actorId: nonEmptyString,
+      townId: nonEmptyString,
+      proposalType: nonEmptyString,
+      command: nonEmptyString,
+      authorityCommands: boundedArray(nonEmptyString),
+      status: { enum: ExecutionStatus },
+      accepted: { type: 'boolean' },
+      executed: { type: 'boolean' },
+      reasonCode: nonEmptyString,
+      evaluation: closedObject({
+        preconditions: closedObject({
+          evaluated: { type: 'boolean' },
+          passed: { type: 'boolean' },
+          failures: boundedArray(openObject({ kind: nonEmptyString, detail: nonEmptyString }))
+        }),
+        staleCheck: openObject({
+          evaluated: { type: 'boolean' },
+          passed: { type: 'boolean' },
+          actualSnapshotHash: nullable(hashString),
+          actualDecisionEpoch: nullable(nonNegativeInteger)
+        }),
+        duplicateCheck: openObject({
+          evaluated: { type: 'boolean' },
+          duplicate: { type: 'boolean' },
+          duplicateOf: nullable(nonEmptyString)
+        })
+      }),
+      worldState: openObject({
+        postExecutionSnapshotHash: nullable(hashString),
+        postExecutionDecisionEpoch: nullable(nonNegativeInteger)
+      }),
+      embodiment: openObject({
+        backendHint: nullable(nonEmptyString),
+        actions: boundedArray({ type: 'object' })
+      }, [])
+    }, [
+      'type', 'schemaVersion', 'executionId', 'resultId', 'handoffId', 'proposalId', 'idempotencyKey',
+      'snapshotHash', 'decisionEpoch', 'actorId', 'townId', 'proposalType', 'command', 'status',
+      'accepted', 'executed', 'reasonCode', 'evaluation'
+    ]),
+    allOf: [
+      {
+        if: { properties: { executed: { const: true } }, required: ['executed'] },
+        then: { properties: { accepted: { const: true } } }
+      },
+      whenStatus(['executed'], { properties: { accepted: { const: true }, executed: { const: true } } }),
+      whenStatus(['failed'], { properties: { accepted: { const: true }, executed: { const: false } } }),
+      whenStatus(['rejected', 'stale', 'duplicate'], { properties: { accepted: { const: false }, executed: { const: false } } })
+    ],
+    $comment: 'Also enforced by isValidExecutionResult(): executionId equals resultId, idempotencyKey equals proposalId, and resultId is recomputed.'
+  };
+}
+
+function buildWorldMemoryContextSchema() {
+  return {
+    ...closedObject({
+      type: { const: WorldMemoryContextType },
+      schemaVersion: { const: WorldMemoryContextSchemaVersion },
+      scope: closedObject({
+        townId: nullable(nonBlankString),
+        factionId: nullable(nonBlankString),
+        chronicleLimit: { type: 'integer', minimum: 1, maximum: MaxWorldMemoryChronicleRecords },
+        historyLimit: { type: 'integer', minimum: 1, maximum: MaxWorldMemoryHistoryRecords }
+      }),
+      recentChronicle: boundedArray(closedObject({
+        sourceRecordId: nonBlankString,
+        entryType: nonBlankString,
+        message: nonBlankString,
+        at: nonNegativeInteger,
+        townId: nullable(nonBlankString),
+        factionId: nullable(nonBlankString),
+        sourceRefId: nullable(nonBlankString),
+        tags: uniqueStrings(nonBlankString)
+      }), MaxWorldMemoryChronicleRecords),
+      recentHistory: boundedArray(closedObject({
+        sourceType: nonBlankString,
+        handoffId: nullable(nonBlankString),
+        proposalType: nullable(nonBlankString),
+        command: nullable(nonBlankString),
+        authorityCommands: uniqueStrings(nonBlankString),
+        status: nonBlankString,
+        reasonCode: nonBlankString,
+        kind: nonBlankString,
+        at: nonNegativeInteger,
+        townId: nullable(nonBlankString),
+        summary: nonBlankString
+      }), MaxWorldMemoryHistoryRecords),
+      townSummary: nullable(closedObject({
+        type: { const: 'town-history-summary.v1' },
+        schemaVersion: { const: 1 },
+        townId: nonBlankString,
+        chronicleCount: nonNegativeInteger,
+        historyCount: nonNegativeInteger,
+        lastChronicleAt: nullable(nonNegativeInteger),
+        lastHistoryAt: nullable(nonNegativeInteger),
+        hope: { type: ['number', 'null'] },
+        dread: { type: ['number', 'null'] },
+        activeMajorMissionId: nullable(nonBlankString),
+        recentImpactCount: nonNegativeInteger,
+        crierQueueDepth: nonNegativeInteger,
+        activeProjectCount: nonNegativeInteger,
+        activeSupportOrderLabel: nullable(nonBlankString),
+        activeSupportOrderType: nullable(nonBlankString),
+        activeSupportOrderStage: nullable(nonNegativeInteger),
+        activeSupportOrderDueDay: nullable(nonNegativeInteger),
+        activeSupportOrderDuePhase: { enum: ['day', 'night', null] },
+        activeSupportOrderAutoManaged: { type: ['boolean', 'null'] },
+        factions: uniqueStrings(nonBlankString),
+        executionCounts: closedObject(Object.fromEntries(
+          ExecutionStatus.map(status => [status, nonNegativeInteger])
+        ), [])
+      })),
+      factionSummary: nullable(closedObject({
+        type: { const: 'faction-history-summary.v1' },
+        schemaVersion: { const: 1 },
+        factionId: nonBlankString,
+        towns: uniqueStrings(nonBlankString),
+        chronicleCount: nonNegativeInteger,
+        historyCount: nonNegativeInteger,
+        lastChronicleAt: nullable(nonNegativeInteger),
+        lastHistoryAt: nullable(nonNegativeInteger),
+        hostilityToPlayer: { type: ['number', 'null'] },
+        stability: { type: ['number', 'null'] },
+        doctrine: nullable(nonBlankString),
+        rivals: uniqueStrings(nonBlankString)
+      })),
+      townIdentity: nullable(closedObject({
+        townId: nonBlankString,
+        name: nonBlankString,
+        status: nonBlankString,
+        region: nullable(nonBlankString),
+        tags: uniqueStrings(nonBlankString, MaxWorldMemoryTownIdentityTags)
+      })),
+      keyActors: boundedArray(closedObject({
+        actorId: nonBlankString,
+        townId: nonBlankString,
+        name: nonBlankString,
+        role: nonBlankString,
+        status: nonBlankString
+      }), MaxWorldMemoryKeyActors)
+    }, ['type', 'schemaVersion', 'scope', 'recentChronicle', 'recentHistory']),
+    $comment: 'Also enforced by isValidWorldMemoryContext(): recentChronicle and recentHistory fit their scope limits and are sorted newest first; string lists are unique after trimming.'
+  };
+}
+
+function buildImmersionResultSchema() {
+  return {
+    ...openObject({
+      schemaVersion: { const: SchemaVersion.IMMERSION_RESULT },
+      artifactType: { enum: ImmersionArtifactType },
+      status: { enum: ImmersionStatus },
+      advisory: { const: true },
+      authority: openObject({
+        proposalSelection: { const: false },
+        commandExecution: { const: false },
+        stateMutation: { const: false }
+      }),
+      provider: openObject({
+        requested: nonEmptyString,
+        used: nonEmptyString,
+        model: nullable(nonBlankString)
+      }),
+      prompt: openObject({ hash: nonBlankString }),
+      sourceSchemas: { type: 'object' },
+      content: nullable(nonBlankString),
+      error: openObject({ code: nonBlankString, message: nonBlankString })
+    }, ['schemaVersion', 'artifactType', 'status', 'advisory', 'authority', 'provider', 'prompt', 'sourceSchemas', 'content']),
+    allOf: [
+      whenStatus(['generated', 'fallback'], { properties: { content: nonBlankString } }),
+      whenStatus(['unavailable'], { properties: { content: { type: 'null' } } })
+    ]
+  };
+}
+
+function buildEmbodimentPreviewSchema() {
+  return {
+    ...openObject({
+      schemaVersion: { const: SchemaVersion.EMBODIMENT_PREVIEW },
+      previewId: prefixedHash('embody'),
+      status: { enum: ['ready', 'blocked'] },
+      advisory: { const: true },
+      authority: openObject({
+        botControl: { const: false },
+        commandExecution: { const: false },
+        stateMutation: { const: false }
+      }),
+      sourceSchemas: { type: 'object' },
+      proposalId: nonEmptyString,
+      resultId: nonEmptyString,
+      townId: nonEmptyString,
+      actorId: nonEmptyString,
+      acceptedExecution: { type: 'boolean' },
+      executed: { type: 'boolean' },
+      command: nonEmptyString,
+      behavior: openObject({
+        gestureCue: nonEmptyString,
+        focusTarget: nullable(nonEmptyString),
+        commandEcho: nonEmptyString
+      }),
+      utterance: nullable(openObject({
+        artifactType: nonEmptyString,
+        status: nonEmptyString,
+        text: nonEmptyString
+      })),
+      constraints: openObject({
+        previewOnly: { const: true },
+        requireLiveBot: { const: false },
+        executeRealCommand: { const: false }
+      }),
+      blockedBy: nonEmptyString
+    }, [
+      'schemaVersion', 'previewId', 'status', 'advisory', 'authority', 'sourceSchemas', 'proposalId',
+      'resultId', 'townId', 'actorId', 'acceptedExecution', 'executed', 'command', 'behavior',
+      'utterance', 'constraints'
+    ]),
+    allOf: [
+      whenStatus(['ready'], { not: { required: ['blockedBy'] } }),
+      whenStatus(['blocked'], { required: ['blockedBy'] })
+    ],
+    $comment: 'Also enforced by isValidEmbodimentRequestPreview(): previewId is recomputed.'
+  };
+}
+
+function buildDemoFlowSchema() {
+  return {
+    ...openObject({
+      schemaVersion: { const: SchemaVersion.DEMO_FLOW },
+      demoMode: { const: 'deterministic-local' },
+      input: openObject({ immersionArtifactType: { type: 'string' } }),
+      authorityBoundary: openObject({
+        realCommandExecution: { const: false },
+        realWorldMutation: { const: false },
+        liveBotRequired: { const: false }
+      }),
+      decisionInspection: openObject({ schemaVersion: { const: SchemaVersion.DECISION_INSPECTION } }),
+      executionHandoff: buildExecutionHandoffSchema(),
+      executionResult: buildExecutionResultSchema(),
+      immersionResult: buildImmersionResultSchema(),
+      embodimentPreview: nullable(buildEmbodimentPreviewSchema())
+    }),
+    $comment: 'Nested artifacts carry the cross-field rules of their own contracts.'
+  };
+}
+
+const schemaBuilders = Object.freeze({
+  [SchemaVersion.SNAPSHOT]: () => buildSnapshotSchema(SchemaVersion.SNAPSHOT),
+  [SchemaVersion.SNAPSHOT_V2]: () => buildSnapshotSchema(SchemaVersion.SNAPSHOT_V2),
+  [SchemaVersion.PROFILE]: buildProfileSchema,
+  [SchemaVersion.COUNCIL]: buildCouncilSchema,
+  [SchemaVersion.HEURISTIC_WEIGHTS]: buildHeuristicWeightsSchema,
+  [SchemaVersion.PROPOSAL]: buildProposalSchema,
+  [SchemaVersion.HANDOFF]: buildExecutionHandoffSchema,
+  [SchemaVersion.EXECUTION_RESULT]: buildExecutionResultSchema,
+  [SchemaVersion.WORLD_MEMORY_CONTEXT]: buildWorldMemoryContextSchema,
+  [SchemaVersion.IMMERSION_RESULT]: buildImmersionResultSchema,
+  [SchemaVersion.EMBODIMENT_PREVIEW]: buildEmbodimentPreviewSchema,
+  [SchemaVersion.DEMO_FLOW]: buildDemoFlowSchema
+});
+
+/**
+ * List the contract versions that have a JSON Schema export.
+ * @returns {string[]}
+ */
+export function listJsonSchemaVersions() {
+  return Object.keys(schemaBuilders);
+}
+
+/**
+ * Build the draft 2020-12 JSON Schema document for a contract version.
+ * Each call returns a fresh object, so callers may mutate the result.
+ * @param {string} schemaVersion - A value from SchemaVersion, e.g. 'snapshot.v1'
+ * @returns {Object}
+ * @throws {Error} If the version has no JSON Schema export
+ */
+export function getJsonSchema(schemaVersion) {
+  const buildSchema = schemaBuilders[schemaVersion];
+  if (!buildSchema) {
+    throw new Error(`No JSON Schema for schemaVersion: ${schemaVersion}`);
+  }
+
+  return {
+    $schema: JsonSchemaDialect,
+    $id: `urn:minecraft-agent-cognition:schema:${schemaVersion}`,
+    title: schemaVersion,
+    ...buildSchema()
+  };
+}
@@ -1,4 +1,4 @@
-import { createHash } from 'crypto';
+import { hashValue } from './canonicalJson.js';
 import { createExecutionResult, isValidExecutionHandoff } from './executionHandoff.js';
 import { ProjectStatuses } from './schemaVersions.js';
 
@@ -7,30 +7,17 @@ const resultIdPattern = /^result_[0-9a-f]{64}$/;
 const supportedPreconditions = new Set([
   'mission_absent',
   'side_quest_exists',
+  'side_quest_not_expired',
   'project_exists',
   'salvage_focus_supported',
-  'talk_type_supported'
+  'talk_type_supported',
+  'resident_exists',
+  'resident_group_exists',
+  'budget_allocation_supported',
+  'rite_supported',
+  'neighbor_exists'
 ]);
 
-function stableStringify(value) {
-  if (Array.isArray(value)) {
-    return `[${value.map(stableStringify).join(',')}]`;
-  }
-
-  if (value && typeof value === 'object') {
-    const keys = Object.keys(value)
-      .filter(key => value[key] !== undefined)
-      .sort();
-    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
-  }
-
-  return JSON.stringify(value);
-}
-
-function hashValue(value) {
-  return createHash('sha256').update(stableStringify(value)).digest('hex');
-}
-
 function compareById(left, right) {
   return left.id.localeCompare(right.id);
 }
@@ -73,6 +60,9 @@ export function isValidLocalExecutionState(state) {
     if (!Array.isArray(state.sideQuests)) return false;
     const ids = state.sideQuests.map(sideQuest => sideQuest?.id);
     if (ids.some(id => typeof id !== 'string' || id.length === 0) || !hasUniqueValues(ids)) return false;
+    if (state.sideQuests.some(sideQuest => 'expiresOnDay' in sideQuest && (!Number.isInteger(sideQuest.expiresOnDay) || sideQuest.expiresOnDay < 0))) {
+      return false;
+    }
   }
   if ('projects' in state) {
     if (!Array.isArray(state.projects)) return false;
@@ -80,6 +70,17 @@ export function isValidLocalExecutionState(state) {
     if (ids.some(id => typeof id !== 'string' || id.length === 0) || !hasUniqueValues(ids)) return false;
     if (state.projects.some(project => !ProjectStatuses.includes(project.status))) return false;
   }
+  if ('residents' in state) {
+    if (!Array.isArray(state.residents)) return false;
+    const ids = state.residents.map(resident => resident?.id);
+    if (ids.some(id => typeof id !== 'string' || id.length === 0) || !hasUniqueValues(ids)) return false;
+    if (state.residents.some(resident => typeof resident.profession !== 'string' || resident.profession.length === 0)) return false;
+  }
+  if ('neighbors' in state) {
+    if (!Array.isArray(state.neighbors)) return false;
+    const townIds = state.neighbors.map(neighbor => neighbor?.townId);
+    if (townIds.some(townId => typeof townId !== 'string' || townId.length === 0) || !hasUniqueValues(townIds)) return false;
+  }
   if ('supportedSalvageFocuses' in state) {
     if (!Array.isArray(state.supportedSalvageFocuses)) return false;
     if (!state.supportedSalvageFocuses.every(focus => typeof focus === 'string')) return false;
@@ -88,6 +89,14 @@ export function isValidLocalExecutionState(state) {
     if (!Array.isArray(state.supportedTalkTypes)) return false;
     if (!state.supportedTalkTypes.every(talkType => typeof talkType === 'string')) return false;
   }
+  if ('supportedBudgetAllocations' in state) {
+    if (!Array.isArray(state.supportedBudgetAllocations)) return false;
+    if (!state.supportedBudgetAllocations.every(allocation => typeof allocation === 'string')) return false;
+  }
+  if ('supportedRites' in state) {
+    if (!Array.isArray(state.supportedRites)) return false;
+    if (!state.supportedRites.every(rite => typeof rite === 'string')) return false;
+  }
   if ('processedResults' in state) {
     if (!Array.isArray(state.processedResults) || !state.processedResults.every(isValidHistoryEntry)) return false;
     const keys = state.processedResults.map(entry => entry.idempotencyKey);
@@ -109,8 +118,12 @@ export function createLocalExecutionState(overrides = {}) {
     mission: null,
     sideQuests: [],
     projects: [],
+    residents: [],
+    neighbors: [],
     supportedSalvageFocuses: ['dread', 'general', 'scarcity'],
     supportedTalkTypes: ['casual', 'morale-boost'],
+    supportedBudgetAllocations: ['reserve', 'stockpile', 'trade'],
+    supportedRites: ['blessing', 'vigil'],
     processedResults: []
   };
 
@@ -132,13 +145,24 @@ export function normalizeLocalExecutionState(state) {
     decisionEpoch: state.decisionEpoch,
     mission: state.mission ? { id: state.mission.id } : null,
     sideQuests: [...(state.sideQuests || [])]
-      .map(sideQuest => ({ id: sideQuest.id }))
+      .map(sideQuest => ({
+        id: sideQuest.id,
+        ...('expiresOnDay' in sideQuest ? { expiresOnDay: sideQuest.expiresOnDay } : {})
+      }))
       .sort(compareById),
     projects: [...(state.projects || [])]
       .map(project => ({ id: project.id, status: project.status }))
       .sort(compareById),
+    residents: [...(state.residents || [])]
+      .map(resident => ({ id: resident.id, profession: resident.profession }))
+      .sort(compareById),
+    neighbors: [...(state.neighbors || [])]
+      .map(neighbor => ({ townId: neighbor.townId }))
+      .sort((left, right) => left.townId.localeCompare(right.townId)),
     supportedSalvageFocuses: [...(state.supportedSalvageFocuses || [])].sort(),
     supportedTalkTypes: [...(state.supportedTalkTypes || [])].sort(),
+    supportedBudgetAllocations: [...(state.supportedBudgetAllocations || [])].sort(),
+    supportedRites: [...(state.supportedRites || [])].sort(),
     processedResults: [...(state.processedResults || [])]
       .map(entry => ({ idempotencyKey: entry.idempotencyKey, resultId: entry.resultId }))
       .sort((left, right) => left.idempotencyKey.localeCompare(right.idempotencyKey))
@@ -171,6 +195,18 @@ function evaluatePreconditions(preconditions, state) {
       });
     }
 
+    if (precondition.kind === 'side_quest_not_expired') {
+      // The engine's own expiry wins over the epoch the proposal was built against.
+      const sideQuest = state.sideQuests.find(entry => entry.id === precondition.targetId);
+      const expiresOnDay = sideQuest && 'expiresOnDay' in sideQuest ? sideQuest.expiresOnDay : precondition.expected;
+      if (Number.isInteger(expiresOnDay) && state.decisionEpoch > expiresOnDay) {
+        failures.push({
+          kind: precondition.kind,
+          detail: `Side quest expired: ${precondition.targetId} (day ${expiresOnDay})`
+        });
+      }
+    }
+
     if (precondition.kind === 'project_exists' && !state.projects.some(project => project.id === precondition.targetId)) {
       failures.push({
         kind: precondition.kind,
@@ -191,6 +227,41 @@ function evaluatePreconditions(preconditions, state) {
         detail: `Unsupported talk type: ${precondition.expected}`
       });
     }
+
+    if (precondition.kind === 'resident_exists' && !state.residents.some(resident => resident.id === precondition.targetId)) {
+      failures.push({
+        kind: precondition.kind,
+        detail: `Missing resident: ${precondition.targetId}`
+      });
+    }
+
+    if (precondition.kind === 'resident_group_exists' && !state.residents.some(resident => resident.profession === precondition.expected)) {
+      failures.push({
+        kind: precondition.kind,
+        detail: `Missing resident group: ${precondition.expected}`
+      });
+    }
+
+    if (precondition.kind === 'budget_allocation_supported' && !state.supportedBudgetAllocations.includes(precondition.expected)) {
+      failures.push({
+        kind: precondition.kind,
+        detail: `Unsupported budget allocation: ${precondition.expected}`
+      });
+    }
+
+    if (precondition.kind === 'rite_supported' && !state.supportedRites.includes(precondition.expected)) {
+      failures.push({
+        kind: precondition.kind,
+        detail: `Unsupported rite: ${precondition.expected}`
+      });
+    }
+
+    if (precondition.kind === 'neighbor_exists' && !state.neighbors.some(neighbor => neighbor.townId === precondition.targetId)) {
+      failures.push({
+        kind: precondition.kind,
+        detail: `Missing neighbor: ${precondition.targetId}`
+      });
+    }
   }
 
   return failures;
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+import { pathToFileURL } from 'url';
+import { Roles } from './agentProfiles.js';
+import { createErrorOutput as createCliErrorOutput, writeJson } from './cliInputs.js';
+import { Archetypes, generateProfile } from './profileGenerator.js';
+import { SchemaVersion } from './schemaVersions.js';
+
+function parseArgs(argv) {
+  const args = {};
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const token = argv[index];
+
+    if (token === '--help' || token === '-h') {
+      args.help = true;
+      continue;
+    }
+
+    if (!token.startsWith('--')) {
+      throw new Error(`Unexpected argument: ${token}`);
+    }
+
+    const value = argv[index + 1];
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`Missing value for ${token}`);
+    }
+
+    args[token.slice(2)] = value;
+    index += 1;
+  }
+
+  return args;
+}
+
+// Errors carry the version of the documents the CLI emits.
+function createErrorOutput(code, message, details = {}) {
+  return createCliErrorOutput(code, message, details, SchemaVersion.PROFILE);
+}
+
+function parseList(value) {
+  return value.split(',').map(entry => entry.trim()).filter(entry => entry.length > 0);
+}
+
+function findDuplicate(values) {
+  return values.find((value, index) => values.indexOf(value) !== index);
+}
+
+export function getProfileCliUsage() {
+  return [
+    'Usage:',
+    '  node src/profileCli.js --towns <townId,...> --seed <uint32> [--roles <role,...>] [--archetype <archetype>]',
+    '',
+    `Roles: ${Object.values(Roles).join(', ')} (default: all)`,
+    `Archetypes: ${Object.values(Archetypes).join(', ')} (default: drawn from the seed per governor)`,
+    '',
+    'Example:',
+    '  node src/profileCli.js --towns town-1,town-2 --seed 42 --roles mayor,captain'
+  ].join('\n');
+}
+
+export function runProfileCli(argv, io = {}) {
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const writeError = (code, message, details) => {
+    writeJson(stderr, createErrorOutput(code, message, details));
+  };
+
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    writeError('USAGE', error.message);
+    return 1;
+  }
+
+  if (args.help) {
+    stdout.write(`${getProfileCliUsage()}\n`);
+    return 0;
+  }
+
+  if (!args.towns || args.seed === undefined) {
+    writeError('USAGE', 'Both --towns and --seed are required');
+    return 1;
+  }
+
+  const towns = parseList(args.towns);
+  const roles = args.roles ? parseList(args.roles) : Object.values(Roles);
+  const seed = /^\d+$/.test(args.seed) ? Number(args.seed) : Number.NaN;
+  if (towns.length === 0) {
+    writeError('USAGE', '--towns must name at least one town');
+    return 1;
+  }
+  // Profile ids are `<townId>-<role>`, so a repeated town or role would emit the same id twice.
+  for (const [flag, values] of [['--towns', towns], ['--roles', roles]]) {
+    const duplicate = findDuplicate(values);
+    if (duplicate !== undefined) {
+      writeError('USAGE', `${flag} names ${duplicate} more than once`, { flag, duplicate });
+      return 1;
+    }
+  }
+
+  const profiles = [];
+  try {
+    for (const townId of towns) {
+      for (const role of roles) {
+        profiles.push(generateProfile({ role, townId, seed, archetype: args.archetype }));
+      }
+    }
+  } catch (error) {
+    writeError('INVALID_GENERATOR_INPUT', error.message, {
+      roles: Object.values(Roles),
+      archetypes: Object.values(Archetypes)
+    });
+    return 1;
+  }
+
+  stdout.write(`${JSON.stringify({
+    seed,
+    ...(args.archetype ? { archetype: args.archetype } : {}),
+    profiles
+  }, null, 2)}\n`);
+  return 0;
+}
+
+const isDirectExecution = process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href;
+
+if (isDirectExecution) {
+  process.exitCode = runProfileCli(process.argv.slice(2));
+}
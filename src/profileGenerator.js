@@ -0,0 +1,174 @@
+/**
+ * Profile Generator - Seeded personalities for newly founded towns
+ * An archetype sets the range each trait is drawn from and how goal weight
+ * is spread over the role's goals. The same seed, role, town, and archetype
+ * always produce the same profile.v1 payload.
+ */
+
+import {
+  captainProfile,
+  clericProfile,
+  diplomatProfile,
+  isValidProfile,
+  mayorProfile,
+  Roles,
+  Traits,
+  treasurerProfile,
+  wardenProfile
+} from './agentProfiles.js';
+import { SchemaVersion } from './schemaVersions.js';
+
+export const Archetypes = Object.freeze({
+  ZEALOT: 'zealot',
+  BUREAUCRAT: 'bureaucrat',
+  RECKLESS_HERO: 'reckless-hero',
+  CAUTIOUS_STEWARD: 'cautious-steward'
+});
+
+// Trait ranges are [min, max]. `focusGoals` goals are drawn from `focusWeight`,
+// the rest from `otherWeight`: a zealot lives for one cause, a bureaucrat
+// keeps every file open at middling weight.
+const ArchetypeDefinitions = Object.freeze({
+  [Archetypes.ZEALOT]: Object.freeze({
+    traits: { authority: [0.75, 0.95], pragmatism: [0.1, 0.35], courage: [0.7, 0.95], prudence: [0.2, 0.45] },
+    focusGoals: 1,
+    focusWeight: [0.9, 1],
+    otherWeight: [0, 0.3]
+  }),
+  [Archetypes.BUREAUCRAT]: Object.freeze({
+    traits: { authority: [0.6, 0.85], pragmatism: [0.6, 0.85], courage: [0.2, 0.45], prudence: [0.6, 0.85] },
+    focusGoals: 0,
+    focusWeight: [0.5, 0.7],
+    otherWeight: [0.5, 0.7]
+  }),
+  [Archetypes.RECKLESS_HERO]: Object.freeze({
+    traits: { authority: [0.4, 0.7], pragmatism: [0.3, 0.6], courage: [0.85, 1], prudence: [0, 0.2] },
+    focusGoals: 2,
+    focusWeight: [0.8, 1],
+    otherWeight: [0.4, 0.8]
+  }),
+  [Archetypes.CAUTIOUS_STEWARD]: Object.freeze({
+    traits: { authority: [0.4, 0.65], pragmatism: [0.6, 0.9], courage: [0.1, 0.35], prudence: [0.8, 1] },
+    focusGoals: 1,
+    focusWeight: [0.7, 0.9],
+    otherWeight: [0.4, 0.8]
+  })
+});
+
+// Each role's goal names come from its builtin profile, so generated
+// governors read the same goals as the heuristics do.
+const RoleGoals = Object.freeze({
+  [Roles.MAYOR]: Object.keys(mayorProfile.goals),
+  [Roles.CAPTAIN]: Object.keys(captainProfile.goals),
+  [Roles.WARDEN]: Object.keys(wardenProfile.goals),
+  [Roles.TREASURER]: Object.keys(treasurerProfile.goals),
+  [Roles.CLERIC]: Object.keys(clericProfile.goals),
+  [Roles.DIPLOMAT]: Object.keys(diplomatProfile.goals)
+});
+
+// mulberry32: small, fast, and identical on every platform for a given seed.
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+
+  return {
+    next,
+    int,
+    pick: items => items[int(0, items.length - 1)],
+    shuffle: items => {
+      const copy = [...items];
+      for (let index = copy.length - 1; index > 0; index -= 1) {
+        const swapIndex = int(0, index);
+        [copy[index], copy[swapIndex]] = [copy[swapIndex], copy[index]];
+      }
+      return copy;
+    }
+  };
+}
+
+// FNV-1a, so one seed gives each town and role its own personality.
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index += 1) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function roundValue(value, digits) {
+  const scale = 10 ** digits;
+  return Math.round(value * scale) / scale;
+}
+
+function drawInRange(random, [min, max], digits) {
+  return roundValue(min + random.next() * (max - min), digits);
+}
+
+/**
+ * @typedef {Object} ProfileGeneratorOptions
+ * @property {string} role - One of Roles
+ * @property {string} townId - Town the governor serves
+ * @property {number} seed - Unsigned 32-bit integer
+ * @property {string} [archetype] - One of Archetypes; drawn from the seed when omitted
+ */
+
+/**
+ * Generate a valid profile.v1 payload for a new governor. The profile id is
+ * `<townId>-<role>`; traits are rounded to 3 decimals and goal weights to 2.
+ * @param {ProfileGeneratorOptions} options
+ * @returns {import('./agentProfiles.js').GovernanceProfile}
+ * @throws {Error} If the role, townId, seed, or archetype is invalid
+ */
+export function generateProfile({ role, townId, seed, archetype } = {}) {
+  if (!Object.values(Roles).includes(role)) {
+    throw new Error(`Unknown profile role: ${role}`);
+  }
+  if (typeof townId !== 'string' || townId.length === 0) {
+    throw new Error('Profile generator townId must be a non-empty string');
+  }
+  if (!Number.isInteger(seed) || seed < 0 || seed > 0xffffffff) {
+    throw new Error('Profile generator seed must be an unsigned 32-bit integer');
+  }
+  if (archetype !== undefined && !Object.values(Archetypes).includes(archetype)) {
+    throw new Error(`Unknown profile archetype: ${archetype}`);
+  }
+
+  const random = createSeededRandom((seed ^ hashText(`${townId}:${role}`)) >>> 0);
+  const resolvedArchetype = archetype ?? random.pick(Object.values(Archetypes));
+  const definition = ArchetypeDefinitions[resolvedArchetype];
+
+  const traits = {};
+  for (const [traitName, { min, max }] of Object.entries(Traits)) {
+    const value = drawInRange(random, definition.traits[traitName], 3);
+    traits[traitName] = Math.max(min, Math.min(max, value));
+  }
+
+  const focusGoals = new Set(random.shuffle(RoleGoals[role]).slice(0, definition.focusGoals));
+  const goals = {};
+  for (const goalName of RoleGoals[role]) {
+    goals[goalName] = drawInRange(random, focusGoals.has(goalName) ? definition.focusWeight : definition.otherWeight, 2);
+  }
+
+  const profile = {
+    schemaVersion: SchemaVersion.PROFILE,
+    id: `${townId}-${role}`,
+    role,
+    townId,
+    traits,
+    goals
+  };
+
+  if (!isValidProfile(profile)) {
+    throw new Error('Generated profile failed validation');
+  }
+
+  return profile;
+}
@@ -0,0 +1,117 @@
+/**
+ * Profile Templates - Resolve `extends` chains into complete profile.v1 payloads
+ * A template is a partial profile that names a parent with `extends` and
+ * overrides only what differs. Parents are builtin role profiles or
+ * templates supplied by a loader (for example, other JSON files).
+ */
+
+import {
+  captainProfile,
+  clericProfile,
+  diplomatProfile,
+  mayorProfile,
+  treasurerProfile,
+  wardenProfile
+} from './agentProfiles.js';
+import { hashValue } from './canonicalJson.js';
+import { isPlainObject } from './validationIssues.js';
+
+export const ProfileTemplates = Object.freeze({
+  mayor: mayorProfile,
+  captain: captainProfile,
+  warden: wardenProfile,
+  treasurer: treasurerProfile,
+  cleric: clericProfile,
+  diplomat: diplomatProfile
+});
+
+// Traits and goals merge key by key; every other field is replaced whole.
+const MergedProfileKeys = ['traits', 'goals'];
+
+function mergeProfileLayer(base, layer) {
+  const { extends: _parent, ...overrides } = layer;
+  const merged = { ...base, ...overrides };
+
+  for (const key of MergedProfileKeys) {
+    if (isPlainObject(base[key]) && isPlainObject(overrides[key])) {
+      merged[key] = { ...base[key], ...overrides[key] };
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * @callback ProfileTemplateLoader
+ * @param {string} reference - The `extends` value that named the template
+ * @param {string|null} referrer - Id of the profile that declared `extends` (`options.sourceId` for the root)
+ * @returns {{id: string, profile: Object}} A stable template id (e.g. an absolute path) and its profile
+ */
+
+/**
+ * @typedef {Object} ResolveProfileOptions
+ * @property {ProfileTemplateLoader} [loadTemplate] - Loads templates that are not builtin role names
+ * @property {string} [sourceId] - Id of the root profile, so a chain that returns to it is reported as a cycle
+ */
+
+/**
+ * Resolve a profile's `extends` chain. Builtin role names (`mayor`,
+ * `captain`, ...) take precedence over the loader. A profile without
+ * `extends` resolves to itself. The result is not validated; pass it to
+ * `validateProfile()` before use.
+ * @param {Object} profile - A profile.v1 payload or a template with `extends`
+ * @param {ResolveProfileOptions} [options]
+ * @returns {{profile: Object, lineage: string[]}} The merged profile and the template ids it inherits from, nearest first
+ * @throws {Error} If a template is malformed, unknown, or part of a cycle
+ */
+export function resolveProfile(profile, options = {}) {
+  const layers = [];
+  const lineage = [];
+  const seen = new Set(options.sourceId ? [options.sourceId] : []);
+  let current = profile;
+  let currentId = options.sourceId ?? null;
+
+  while (true) {
+    if (!isPlainObject(current)) {
+      throw new Error(`Profile template must be an object: ${currentId ?? 'profile'}`);
+    }
+    layers.push(current);
+    if (!('extends' in current)) break;
+
+    const reference = current.extends;
+    if (typeof reference !== 'string' || reference.length === 0) {
+      throw new Error(`Profile extends must be a non-empty string: ${currentId ?? 'profile'}`);
+    }
+
+    let template;
+    if (Object.prototype.hasOwnProperty.call(ProfileTemplates, reference)) {
+      template = { id: reference, profile: ProfileTemplates[reference] };
+    } else if (typeof options.loadTemplate === 'function') {
+      template = options.loadTemplate(reference, currentId);
+    } else {
+      throw new Error(`Unknown profile template: ${reference}`);
+    }
+
+    if (seen.has(template.id)) {
+      const chain = [...(options.sourceId ? [options.sourceId] : []), ...lineage, template.id];
+      throw new Error(`Profile template cycle: ${chain.join(' -> ')}`);
+    }
+    seen.add(template.id);
+    lineage.push(template.id);
+    current = template.profile;
+    currentId = template.id;
+  }
+
+  // Apply the root ancestor first so the nearest layer wins.
+  const resolved = layers.reduceRight((base, layer) => mergeProfileLayer(base, layer), {});
+  return { profile: resolved, lineage };
+}
+
+/**
+ * Deterministic SHA-256 hash of a resolved profile, independent of key order.
+ * @param {Object} profile
+ * @returns {string}
+ */
+export function hashProfile(profile) {
+  return hashValue(profile);
+}
@@ -7,10 +7,22 @@ import { SchemaVersion } from './schemaVersions.js';
 import {
   isValidProposalArgs as registryIsValidProposalArgs,
   listProposalTypes,
+  proposalRegistry,
   ProposalType
 } from './proposalRegistry.js';
 export { ProposalType } from './proposalRegistry.js';
 export { isValidProposalArgs } from './proposalRegistry.js';
+import {
+  checkBoundedArray,
+  checkClosedObject,
+  checkEnum,
+  checkFiniteNumber,
+  checkInteger,
+  checkNonEmptyString,
+  createValidationIssue,
+  joinPath,
+  ValidationIssueCode
+} from './validationIssues.js';
 
 const hashPattern = /^[0-9a-f]{64}$/;
 const proposalIdPattern = /^proposal_[0-9a-f]{64}$/;
@@ -19,6 +31,12 @@ function hasOwn(value, key) {
   return Object.prototype.hasOwnProperty.call(value, key);
 }
 
+function checkPattern(issues, value, path, pattern) {
+  if (typeof value === 'string' && pattern.test(value)) return true;
+  issues.push(createValidationIssue(path, ValidationIssueCode.INVALID_PATTERN, `Expected a string matching ${pattern}`, pattern.source, value));
+  return false;
+}
+
 function isValidPrecondition(precondition) {
   if (!precondition || typeof precondition !== 'object' || Array.isArray(precondition)) return false;
   if (typeof precondition.kind !== 'string' || precondition.kind.length === 0) return false;
@@ -49,31 +67,65 @@ function isValidPrecondition(precondition) {
  */
 
 /**
- * Validate that a proposal conforms to world-core DSL
+ * Validate a proposal and report every path-level issue found
  * @param {Proposal} proposal
- * @returns {boolean}
+ * @param {Object[]} [registry] - Proposal definitions to check `type` and `args` against; defaults to the builtin registry
+ * @returns {import('./validationIssues.js').ValidationIssue[]}
  */
-export function isValidProposal(proposal) {
-  if (!proposal || typeof proposal !== 'object') return false;
-  if (proposal.schemaVersion !== SchemaVersion.PROPOSAL) return false;
-  if (typeof proposal.proposalId !== 'string' || !proposalIdPattern.test(proposal.proposalId)) return false;
-  if (typeof proposal.snapshotHash !== 'string' || !hashPattern.test(proposal.snapshotHash)) return false;
-  if (!Number.isInteger(proposal.decisionEpoch) || proposal.decisionEpoch < 0) return false;
-  if (hasOwn(proposal, 'preconditions')) {
-    if (!Array.isArray(proposal.preconditions)) return false;
-    for (const precondition of proposal.preconditions) {
-      if (!isValidPrecondition(precondition)) return false;
-    }
+export function validateProposal(proposal, registry = proposalRegistry) {
+  const issues = [];
+  if (!checkClosedObject(issues, proposal, '$')) return issues;
+
+  if (proposal.schemaVersion !== SchemaVersion.PROPOSAL) {
+    issues.push(createValidationIssue(
+      '$.schemaVersion',
+      ValidationIssueCode.INVALID_SCHEMA_VERSION,
+      'Unsupported proposal schemaVersion',
+      SchemaVersion.PROPOSAL,
+      proposal.schemaVersion
+    ));
   }
-  if (!listProposalTypes().includes(proposal.type)) return false;
-  if (typeof proposal.actorId !== 'string' || proposal.actorId.length === 0) return false;
-  if (typeof proposal.townId !== 'string' || proposal.townId.length === 0) return false;
-  if (typeof proposal.priority !== 'number' || !Number.isFinite(proposal.priority) || proposal.priority < 0 || proposal.priority > 1) return false;
-  if (typeof proposal.reason !== 'string' || proposal.reason.length === 0) return false;
-  if (!Array.isArray(proposal.reasonTags)) return false;
-  for (const tag of proposal.reasonTags) {
-    if (typeof tag !== 'string') return false;
+  checkPattern(issues, proposal.proposalId, '$.proposalId', proposalIdPattern);
+  checkPattern(issues, proposal.snapshotHash, '$.snapshotHash', hashPattern);
+  checkInteger(issues, proposal.decisionEpoch, '$.decisionEpoch');
+  if (hasOwn(proposal, 'preconditions') && checkBoundedArray(issues, proposal.preconditions, '$.preconditions')) {
+    proposal.preconditions.forEach((precondition, index) => {
+      if (!isValidPrecondition(precondition)) {
+        issues.push(createValidationIssue(
+          joinPath('$.preconditions', index),
+          ValidationIssueCode.INVALID_TYPE,
+          'Expected a precondition with a non-empty kind and typed optional fields',
+          '{kind, targetId?, field?, expected?}',
+          precondition
+        ));
+      }
+    });
   }
-  if (!registryIsValidProposalArgs(proposal.type, proposal.args)) return false;
-  return true;
+  const typeIsKnown = checkEnum(issues, proposal.type, '$.type', listProposalTypes(registry));
+  checkNonEmptyString(issues, proposal.actorId, '$.actorId');
+  checkNonEmptyString(issues, proposal.townId, '$.townId');
+  checkFiniteNumber(issues, proposal.priority, '$.priority', 0, 1);
+  checkNonEmptyString(issues, proposal.reason, '$.reason');
+  if (checkBoundedArray(issues, proposal.reasonTags, '$.reasonTags')) {
+    proposal.reasonTags.forEach((tag, index) => {
+      if (typeof tag !== 'string') {
+        issues.push(createValidationIssue(joinPath('$.reasonTags', index), ValidationIssueCode.INVALID_TYPE, 'Expected a string tag', 'string', tag));
+      }
+    });
+  }
+  if (typeIsKnown && !registryIsValidProposalArgs(proposal.type, proposal.args, registry)) {
+    issues.push(createValidationIssue('$.args', ValidationIssueCode.INVALID_ARGS, `Args do not match the ${proposal.type} contract`, proposal.type, proposal.args));
+  }
+
+  return issues;
+}
+
+/**
+ * Validate that a proposal conforms to world-core DSL
+ * @param {Proposal} proposal
+ * @param {Object[]} [registry] - Proposal definitions; defaults to the builtin registry
+ * @returns {boolean}
+ */
+export function isValidProposal(proposal, registry) {
+  return validateProposal(proposal, registry).length === 0;
 }
@@ -8,19 +8,20 @@
  */
 
 import { isValidProposal } from './proposalDsl.js';
-import { mapProposalToCommand } from './proposalRegistry.js';
+import { mapProposalToCommand, proposalRegistry } from './proposalRegistry.js';
 
 /**
  * Map a proposal to a world-core command string
  * @param {Object} proposal - Proposal from propose()
+ * @param {Object[]} [registry] - Proposal definitions; defaults to the builtin registry
  * @returns {string} World-core command (not executed)
  */
-export function proposalToCommand(proposal) {
-  if (!isValidProposal(proposal)) {
+export function proposalToCommand(proposal, registry = proposalRegistry) {
+  if (!isValidProposal(proposal, registry)) {
     throw new Error('Invalid proposal envelope');
   }
 
-  return mapProposalToCommand(proposal);
+  return mapProposalToCommand(proposal, registry);
 }
 
 /**
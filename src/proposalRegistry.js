@@ -1,3 +1,6 @@
+import { DefaultHeuristicWeights } from './heuristicWeights.js';
+import { getResourceDaysOfSupply } from './snapshotSchema.js';
+
 function hasOnlyKeys(value, requiredKeys) {
   const keys = Object.keys(value);
   return keys.length === requiredKeys.length && requiredKeys.every(key => keys.includes(key));
@@ -29,42 +32,201 @@ function hasExactEnumArg(args, key, allowedValues) {
   return typeof args[key] === 'string' && allowedValues.includes(args[key]);
 }
 
+// JSON Schema (draft 2020-12) equivalents of the args validators, exported
+// through getJsonSchema() for consumers that cannot run the JS validators.
+function exactStringArgsSchema(requiredKeys) {
+  return {
+    type: 'object',
+    properties: Object.fromEntries(requiredKeys.map(key => [key, { type: 'string', minLength: 1 }])),
+    required: requiredKeys,
+    additionalProperties: false
+  };
+}
+
+function exactEnumArgSchema(key, allowedValues) {
+  return {
+    type: 'object',
+    properties: { [key]: { enum: allowedValues } },
+    required: [key],
+    additionalProperties: false
+  };
+}
+
+const SalvageFocuses = ['scarcity', 'dread', 'general'];
+const BudgetAllocations = ['trade', 'stockpile', 'reserve'];
+const ClericRites = ['vigil', 'blessing'];
+const EnvoyAims = ['reconcile', 'trade'];
+const TalkTypes = ['morale-boost', 'casual'];
+const TalkAudienceArgKeys = ['residentId', 'profession'];
+
+const talkArgsSchema = {
+  type: 'object',
+  properties: {
+    talkType: { enum: TalkTypes },
+    residentId: { type: 'string', minLength: 1 },
+    profession: { type: 'string', minLength: 1 }
+  },
+  required: ['talkType'],
+  additionalProperties: false,
+  not: { required: TalkAudienceArgKeys }
+};
+
+const envoyArgsSchema = {
+  type: 'object',
+  properties: {
+    neighborTownId: { type: 'string', minLength: 1 },
+    aim: { enum: EnvoyAims }
+  },
+  required: ['neighborTownId', 'aim'],
+  additionalProperties: false
+};
+
+function isValidEnvoyArgs(args) {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) return false;
+  if (!hasOnlyKeys(args, ['neighborTownId', 'aim'])) return false;
+  return typeof args.neighborTownId === 'string' && args.neighborTownId.length > 0 && EnvoyAims.includes(args.aim);
+}
+
+// TOWNSFOLK_TALK accepts a talkType plus at most one audience target.
+function isValidTalkArgs(args) {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) return false;
+  const audienceKeys = Object.keys(args).filter(key => key !== 'talkType');
+  if (audienceKeys.length > 1 || !audienceKeys.every(key => TalkAudienceArgKeys.includes(key))) return false;
+  if (!TalkTypes.includes(args.talkType)) return false;
+  return audienceKeys.every(key => typeof args[key] === 'string' && args[key].length > 0);
+}
+
+function describeTalkAudience({ talkType, residentId, profession }) {
+  if (residentId) return `${talkType} resident ${residentId}`;
+  if (profession) return `${talkType} group ${profession}`;
+  return talkType;
+}
+
 function buildMissionProposal({ snapshot, profile, targetId }) {
   const missionId = targetId || getLowestId(snapshot?.sideQuests);
+  const quest = (snapshot?.sideQuests || []).find(sideQuest => sideQuest.id === missionId);
+  const hasExpiry = Boolean(quest && Number.isInteger(quest.expiresOnDay));
   return {
     args: { missionId },
-    reason: `No active mission. Authority level ${(profile.traits.authority * 100).toFixed(0)}% ready to accept.`,
+    reason: `No active mission. Authority level ${(profile.traits.authority * 100).toFixed(0)}% ready to accept.${hasExpiry ? ` Quest expires on day ${quest.expiresOnDay}.` : ''}`,
     preconditions: [
       { kind: 'mission_absent' },
-      { kind: 'side_quest_exists', targetId: missionId }
+      { kind: 'side_quest_exists', targetId: missionId },
+      ...(hasExpiry ? [{ kind: 'side_quest_not_expired', targetId: missionId, expected: quest.expiresOnDay }] : [])
     ]
   };
 }
 
+function describeUnblockedProjects(snapshot, projectId) {
+  const dependents = snapshot.projects
+    .filter(project => project.status !== 'complete' && (project.dependsOn || []).includes(projectId))
+    .map(project => project.id)
+    .sort();
+  return dependents.length > 0 ? ` Unblocks: ${dependents.join(', ')}.` : '';
+}
+
 function buildProjectAdvanceProposal({ snapshot, targetId }) {
   const projectId = targetId || getLowestActionableProjectId(snapshot.projects);
   return {
     args: { projectId },
-    reason: `Threat level ${(snapshot.pressure.threat * 100).toFixed(0)}% demands project advancement for defense.`,
+    reason: `Threat level ${(snapshot.pressure.threat * 100).toFixed(0)}% demands project advancement for defense.${describeUnblockedProjects(snapshot, projectId)}`,
     preconditions: [{ kind: 'project_exists', targetId: projectId }]
   };
 }
 
+function describeScarcestResource(snapshot) {
+  const [scarcest] = getResourceDaysOfSupply(snapshot);
+  return scarcest ? ` Lowest stock: ${scarcest.id} (${scarcest.daysOfSupply.toFixed(1)} days).` : '';
+}
+
 function buildSalvageProposal({ snapshot, targetId }) {
   const focus = targetId || 'general';
   return {
     args: { focus },
-    reason: `Scarcity ${(snapshot.pressure.scarcity * 100).toFixed(0)}% and dread ${(snapshot.pressure.dread * 100).toFixed(0)}% require salvage response.`,
+    reason: `Scarcity ${(snapshot.pressure.scarcity * 100).toFixed(0)}% and dread ${(snapshot.pressure.dread * 100).toFixed(0)}% require salvage response.${focus === 'scarcity' ? describeScarcestResource(snapshot) : ''}`,
     preconditions: [{ kind: 'salvage_focus_supported', expected: focus }]
   };
 }
 
-function buildTownsfolkTalkProposal({ snapshot, targetId }) {
+// Partners are the neighbors the treasury evaluator counted, so the tuned
+// threshold applies here too.
+function describeTradePartners(snapshot, weights) {
+  const { friendlyRelationThreshold } = weights.neighbors;
+  const partners = (snapshot.neighbors || [])
+    .filter(neighbor => neighbor.tradeOpen && neighbor.relation >= friendlyRelationThreshold)
+    .map(neighbor => neighbor.townId)
+    .sort();
+  return partners.length > 0 ? ` Trade partners: ${partners.join(', ')}.` : '';
+}
+
+function buildTreasuryProposal({ snapshot, targetId, weights = DefaultHeuristicWeights }) {
+  const allocation = targetId || 'reserve';
+  const scarcityReason = `Scarcity ${(snapshot.pressure.scarcity * 100).toFixed(0)}% sets the budget.`;
+  const detail = allocation === 'trade'
+    ? describeTradePartners(snapshot, weights)
+    : allocation === 'stockpile' ? describeScarcestResource(snapshot) : ' Surplus goes to the reserve.';
+  return {
+    args: { allocation },
+    reason: `${scarcityReason}${detail}`,
+    preconditions: [{ kind: 'budget_allocation_supported', expected: allocation }]
+  };
+}
+
+function buildClericRiteProposal({ snapshot, targetId }) {
+  const rite = targetId || 'blessing';
+  return {
+    args: { rite },
+    reason: `Dread ${(snapshot.pressure.dread * 100).toFixed(0)}% and hope ${(snapshot.pressure.hope * 100).toFixed(0)}% call for a ${rite}.`,
+    preconditions: [{ kind: 'rite_supported', expected: rite }]
+  };
+}
+
+// Strained relations (relation < 0) call for reconciliation; otherwise the
+// envoy works toward trade. The cutoff is the neutral relation the envoy
+// evaluator splits its need formula on, so it is not a weight.
+function buildEnvoyProposal({ snapshot, targetId }) {
+  const neighborTownId = targetId || getLowestId((snapshot.neighbors || []).map(neighbor => ({ id: neighbor.townId })));
+  const neighbor = (snapshot.neighbors || []).find(entry => entry.townId === neighborTownId);
+  const aim = neighbor && neighbor.relation < 0 ? 'reconcile' : 'trade';
+  const relationReason = neighbor
+    ? ` Relation ${(neighbor.relation * 100).toFixed(0)}%, last contact on day ${neighbor.lastContactDay}.`
+    : '';
+  return {
+    args: { neighborTownId, aim },
+    reason: `Envoy to ${neighborTownId} to ${aim === 'reconcile' ? 'mend relations' : 'open trade'}.${relationReason}`,
+    preconditions: [{ kind: 'neighbor_exists', targetId: neighborTownId }]
+  };
+}
+
+function buildTownsfolkTalkProposal({ snapshot, targetId, audience }) {
   const talkType = targetId || 'morale-boost';
+  const hopeReason = `Hope level ${(snapshot.pressure.hope * 100).toFixed(0)}%.`;
+  const preconditions = [{ kind: 'talk_type_supported', expected: talkType }];
+
+  if (audience?.kind === 'resident') {
+    const resident = (snapshot.residents || []).find(entry => entry.id === audience.id);
+    const residentReason = resident
+      ? `${resident.name} (${resident.profession}) is at ${(resident.morale * 100).toFixed(0)}% morale.`
+      : `Resident ${audience.id} needs a word.`;
+    return {
+      args: { talkType, residentId: audience.id },
+      reason: `${hopeReason} ${residentReason}`,
+      preconditions: [...preconditions, { kind: 'resident_exists', targetId: audience.id }]
+    };
+  }
+
+  if (audience?.kind === 'group') {
+    return {
+      args: { talkType, profession: audience.id },
+      reason: `${hopeReason} Time to speak with the ${audience.id} group.`,
+      preconditions: [...preconditions, { kind: 'resident_group_exists', expected: audience.id }]
+    };
+  }
+
   return {
     args: { talkType },
-    reason: `Hope level ${(snapshot.pressure.hope * 100).toFixed(0)}%. Time to speak with townspeople.`,
-    preconditions: [{ kind: 'talk_type_supported', expected: talkType }]
+    reason: `${hopeReason} Time to speak with townspeople.`,
+    preconditions
   };
 }
 
@@ -73,6 +235,7 @@ const proposalDefinitions = [
     type: 'MAYOR_ACCEPT_MISSION',
     order: 0,
     validateArgs: args => hasExactStringArgs(args, ['missionId']),
+    argsSchema: exactStringArgsSchema(['missionId']),
     buildProposal: buildMissionProposal,
     toCommand: ({ townId, args }) => `mission accept ${townId} ${args.missionId}`
   },
@@ -80,22 +243,49 @@ const proposalDefinitions = [
     type: 'PROJECT_ADVANCE',
     order: 1,
     validateArgs: args => hasExactStringArgs(args, ['projectId']),
+    argsSchema: exactStringArgsSchema(['projectId']),
     buildProposal: buildProjectAdvanceProposal,
     toCommand: ({ townId, args }) => `project advance ${townId} ${args.projectId}`
   },
   {
     type: 'SALVAGE_PLAN',
     order: 2,
-    validateArgs: args => hasExactEnumArg(args, 'focus', ['scarcity', 'dread', 'general']),
+    validateArgs: args => hasExactEnumArg(args, 'focus', SalvageFocuses),
+    argsSchema: exactEnumArgSchema('focus', SalvageFocuses),
     buildProposal: buildSalvageProposal,
     toCommand: ({ townId, args }) => `salvage initiate ${townId} ${args.focus}`
   },
   {
-    type: 'TOWNSFOLK_TALK',
+    type: 'TREASURY_ALLOCATE',
     order: 3,
-    validateArgs: args => hasExactEnumArg(args, 'talkType', ['morale-boost', 'casual']),
+    validateArgs: args => hasExactEnumArg(args, 'allocation', BudgetAllocations),
+    argsSchema: exactEnumArgSchema('allocation', BudgetAllocations),
+    buildProposal: buildTreasuryProposal,
+    toCommand: ({ townId, args }) => `treasury allocate ${townId} ${args.allocation}`
+  },
+  {
+    type: 'CLERIC_RITE',
+    order: 4,
+    validateArgs: args => hasExactEnumArg(args, 'rite', ClericRites),
+    argsSchema: exactEnumArgSchema('rite', ClericRites),
+    buildProposal: buildClericRiteProposal,
+    toCommand: ({ townId, args }) => `cleric rite ${townId} ${args.rite}`
+  },
+  {
+    type: 'DIPLOMATIC_ENVOY',
+    order: 5,
+    validateArgs: isValidEnvoyArgs,
+    argsSchema: envoyArgsSchema,
+    buildProposal: buildEnvoyProposal,
+    toCommand: ({ townId, args }) => `diplomacy envoy ${townId} ${args.neighborTownId} ${args.aim}`
+  },
+  {
+    type: 'TOWNSFOLK_TALK',
+    order: 6,
+    validateArgs: isValidTalkArgs,
+    argsSchema: talkArgsSchema,
     buildProposal: buildTownsfolkTalkProposal,
-    toCommand: ({ townId, args }) => `townsfolk talk ${townId} ${args.talkType}`
+    toCommand: ({ townId, args }) => `townsfolk talk ${townId} ${describeTalkAudience(args)}`
   }
 ];
 
@@ -111,26 +301,31 @@ const proposalRegistryByType = Object.freeze(
   Object.fromEntries(proposalRegistry.map(definition => [definition.type, definition]))
 );
 
-export function getProposalDefinition(type) {
-  return proposalRegistryByType[type] || null;
+// Every lookup takes an optional registry so a cognition engine can extend
+// the builtin types; without one it reads the builtin registry.
+export function getProposalDefinition(type, registry = proposalRegistry) {
+  if (registry === proposalRegistry) {
+    return proposalRegistryByType[type] || null;
+  }
+  return registry.find(definition => definition.type === type) || null;
 }
 
-export function listProposalTypes() {
-  return proposalRegistry.map(definition => definition.type);
+export function listProposalTypes(registry = proposalRegistry) {
+  return registry.map(definition => definition.type);
 }
 
-export function getProposalOrder(type) {
-  const definition = getProposalDefinition(type);
+export function getProposalOrder(type, registry = proposalRegistry) {
+  const definition = getProposalDefinition(type, registry);
   return definition ? definition.order : Number.MAX_SAFE_INTEGER;
 }
 
-export function isValidProposalArgs(type, args) {
-  const definition = getProposalDefinition(type);
+export function isValidProposalArgs(type, args, registry = proposalRegistry) {
+  const definition = getProposalDefinition(type, registry);
   return Boolean(definition && definition.validateArgs(args));
 }
 
-export function materializeProposalType(type, context) {
-  const definition = getProposalDefinition(type);
+export function materializeProposalType(type, context, registry = proposalRegistry) {
+  const definition = getProposalDefinition(type, registry);
   if (!definition) {
     throw new Error(`Unknown proposal type: ${type}`);
   }
@@ -138,8 +333,8 @@ export function materializeProposalType(type, context) {
   return definition.buildProposal(context);
 }
 
-export function mapProposalToCommand(proposal) {
-  const definition = getProposalDefinition(proposal.type);
+export function mapProposalToCommand(proposal, registry = proposalRegistry) {
+  const definition = getProposalDefinition(proposal.type, registry);
   if (!definition) {
     throw new Error(`Unknown proposal type: ${proposal.type}`);
   }
@@ -155,6 +350,8 @@ export function isValidProposalDefinition(definition) {
     Number.isInteger(definition.order) &&
     definition.order >= 0 &&
     typeof definition.validateArgs === 'function' &&
+    Boolean(definition.argsSchema) &&
+    typeof definition.argsSchema === 'object' &&
     typeof definition.buildProposal === 'function' &&
     typeof definition.toCommand === 'function'
   );
@@ -3,33 +3,15 @@
  * Reads a bounded world snapshot and outputs one governance action proposal
  */
 
-import { createHash } from 'crypto';
+import { hashValue } from './canonicalJson.js';
 import { isValidProposal } from './proposalDsl.js';
 import { evaluateGovernanceProposal } from './heuristics.js';
-import { canonicalizeSnapshot, isValidSnapshot } from './snapshotSchema.js';
+import { DefaultHeuristicWeightsHash, hashHeuristicWeights, resolveHeuristicWeights } from './heuristicWeights.js';
+import { canonicalizeSnapshot, isValidSnapshot, normalizeSnapshotPressure } from './snapshotSchema.js';
 import { isValidProfile } from './agentProfiles.js';
 import { materializeProposalType } from './proposalRegistry.js';
 import { SchemaVersion } from './schemaVersions.js';
 
-function stableStringify(value) {
-  if (Array.isArray(value)) {
-    return `[${value.map(stableStringify).join(',')}]`;
-  }
-
-  if (value && typeof value === 'object') {
-    const keys = Object.keys(value)
-      .filter(key => value[key] !== undefined)
-      .sort();
-    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
-  }
-
-  return JSON.stringify(value);
-}
-
-function hashValue(value) {
-  return createHash('sha256').update(stableStringify(value)).digest('hex');
-}
-
 function createProposalId(payload) {
   return `proposal_${hashValue(payload)}`;
 }
@@ -42,17 +24,70 @@ function createProposalId(payload) {
  * too frequently (anti-repeat penalty). The memory object is bounded and
  * replay-safe, e.g. `{lastType, lastTarget, repeatCount}`.
  *
+ * `options.bounds` overrides the default snapshot limits and pressure range.
+ * Pressure is rescaled onto [0, 1] before scoring, so a deployment on a wider
+ * range gets the same decisions as the equivalent default-range snapshot.
+ *
+ * `options.weights` overrides the heuristic tuning with a full or partial
+ * `heuristic-weights.v1` document. A tuning other than the default adds its
+ * hash to the proposalId inputs, so proposals scored under different weights
+ * never share an id.
+ *
+ * `options.registries` carries the evaluator and proposal registries of a
+ * `createCognitionEngine()` engine; without it the builtin ones are used.
+ *
  * @param {Object} snapshot - World state snapshot
  * @param {Object} profile - Governor profile with role and traits
  * @param {Object} [memory] - Optional recent proposal memory for penalty
+ * @param {Object} [options]
+ * @param {import('./snapshotSchema.js').SnapshotBoundsConfig} [options.bounds] - Deployment bounds config
+ * @param {Object} [options.weights] - Heuristic weights override
+ * @param {{evaluators?: Object[], proposals?: Object[]}} [options.registries] - Validated engine registries
  * @returns {Object} A typed world-core Proposal
- * @throws {Error} If snapshot or profile is invalid
+ * @throws {Error} If snapshot, profile, bounds config, or weights are invalid
  */
-export function propose(snapshot, profile, memory = {}) {
+export function propose(snapshot, profile, memory = {}, options = {}) {
+  assertProposalInputs(snapshot, profile, options);
+  const weights = resolveHeuristicWeights(options.weights);
+
+  const canonicalSnapshot = canonicalizeSnapshot(snapshot, options.bounds);
+  const scoredSnapshot = normalizeSnapshotPressure(canonicalSnapshot, options.bounds);
+
+  // Evaluate proposal for this role (may include memory for anti-repeat)
+  const registries = options.registries ?? {};
+  const evaluation = evaluateGovernanceProposal(scoredSnapshot, profile, memory, weights, registries);
+  return buildProposal(canonicalSnapshot, scoredSnapshot, profile, evaluation, weights, registries);
+}
+
+/**
+ * Build the proposal envelope for a chosen candidate from
+ * `evaluateGovernanceCandidates()`, with `profile` as the actor. Use this when
+ * something other than the profile's own ranking picks the action, such as
+ * council arbitration. Same validation and determinism as `propose()`.
+ * @param {Object} snapshot - World state snapshot
+ * @param {Object} profile - Governor profile that will act on the candidate
+ * @param {Object} candidate - `{type, priority, targetId, reasonTags, audience?}`
+ * @param {Object} [options]
+ * @param {import('./snapshotSchema.js').SnapshotBoundsConfig} [options.bounds] - Deployment bounds config
+ * @param {Object} [options.weights] - Heuristic weights the candidate was scored with
+ * @param {{evaluators?: Object[], proposals?: Object[]}} [options.registries] - Validated engine registries
+ * @returns {Object} A typed world-core Proposal
+ * @throws {Error} If snapshot, profile, bounds config, or weights are invalid
+ */
+export function proposeCandidate(snapshot, profile, candidate, options = {}) {
+  assertProposalInputs(snapshot, profile, options);
+  const weights = resolveHeuristicWeights(options.weights);
+
+  const canonicalSnapshot = canonicalizeSnapshot(snapshot, options.bounds);
+  const scoredSnapshot = normalizeSnapshotPressure(canonicalSnapshot, options.bounds);
+  return buildProposal(canonicalSnapshot, scoredSnapshot, profile, candidate, weights, options.registries ?? {});
+}
+
+function assertProposalInputs(snapshot, profile, options) {
   if (!snapshot || !profile) {
     throw new Error('Snapshot and profile are required');
   }
-  if (!isValidSnapshot(snapshot)) {
+  if (!isValidSnapshot(snapshot, options.bounds)) {
     throw new Error('Invalid snapshot structure');
   }
   if (!isValidProfile(profile)) {
@@ -61,31 +96,33 @@ export function propose(snapshot, profile, memory = {}) {
   if (snapshot.townId !== profile.townId) {
     throw new Error('Snapshot and profile townId mismatch');
   }
+}
 
-  const canonicalSnapshot = canonicalizeSnapshot(snapshot);
+function buildProposal(canonicalSnapshot, scoredSnapshot, profile, evaluation, weights, registries) {
   const { townId, day } = canonicalSnapshot;
   const { id: actorId } = profile;
-
-  // Evaluate proposal for this role (may include memory for anti-repeat)
-  const evaluation = evaluateGovernanceProposal(canonicalSnapshot, profile, memory);
   const proposalType = evaluation.type;
   const priority = evaluation.priority;
   const targetId = evaluation.targetId;
   const reasonTags = evaluation.reasonTags || [];
 
   const materialized = materializeProposalType(proposalType, {
-    snapshot: canonicalSnapshot,
+    snapshot: scoredSnapshot,
     profile,
     targetId,
+    audience: evaluation.audience,
     priority,
-    reasonTags
-  });
+    reasonTags,
+    weights
+  }, registries.proposals);
   const args = materialized.args;
   const reason = materialized.reason;
   const preconditions = materialized.preconditions || [];
 
   const snapshotHash = hashValue(canonicalSnapshot);
   const decisionEpoch = day;
+  // Default-weight proposals keep the ids they had before weights were tunable.
+  const weightsHash = hashHeuristicWeights(weights);
 
   // Build proposal
   const proposal = {
@@ -97,7 +134,8 @@ export function propose(snapshot, profile, memory = {}) {
       args,
       priority,
       decisionEpoch,
-      snapshotHash
+      snapshotHash,
+      ...(weightsHash !== DefaultHeuristicWeightsHash ? { weightsHash } : {})
     }),
     snapshotHash,
     decisionEpoch,
@@ -112,7 +150,7 @@ export function propose(snapshot, profile, memory = {}) {
   };
 
   // Validate before returning
-  if (!isValidProposal(proposal)) {
+  if (!isValidProposal(proposal, registries.proposals)) {
     throw new Error('Generated proposal failed validation');
   }
 
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { getJsonSchema, listJsonSchemaVersions } from './jsonSchemas.js';
+
+function parseArgs(argv) {
+  const args = {};
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const token = argv[index];
+
+    if (token === '--help' || token === '-h') {
+      args.help = true;
+      continue;
+    }
+
+    if (!token.startsWith('--')) {
+      throw new Error(`Unexpected argument: ${token}`);
+    }
+
+    const value = argv[index + 1];
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`Missing value for ${token}`);
+    }
+
+    args[token.slice(2)] = value;
+    index += 1;
+  }
+
+  return args;
+}
+
+function createErrorOutput(code, message, details = {}) {
+  return {
+    error: {
+      code,
+      message,
+      ...(Object.keys(details).length > 0 ? { details } : {})
+    }
+  };
+}
+
+export function getSchemaCliUsage() {
+  return [
+    'Usage:',
+    '  node src/schemaCli.js --out <directory> [--schema <schemaVersion>]',
+    '',
+    `Schemas: ${listJsonSchemaVersions().join(', ')}`,
+    '',
+    'Example:',
+    '  node src/schemaCli.js --out schemas'
+  ].join('\n');
+}
+
+export function runSchemaCli(argv, io = {}, options = {}) {
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const cwd = options.cwd || process.cwd();
+
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    stderr.write(`${JSON.stringify(createErrorOutput('USAGE', error.message), null, 2)}\n`);
+    return 1;
+  }
+
+  if (args.help) {
+    stdout.write(`${getSchemaCliUsage()}\n`);
+    return 0;
+  }
+
+  if (!args.out) {
+    stderr.write(`${JSON.stringify(createErrorOutput('USAGE', '--out is required'), null, 2)}\n`);
+    return 1;
+  }
+
+  const schemaVersions = args.schema ? [args.schema] : listJsonSchemaVersions();
+  if (!schemaVersions.every(schemaVersion => listJsonSchemaVersions().includes(schemaVersion))) {
+    stderr.write(
+      `${JSON.stringify(
+        createErrorOutput('UNKNOWN_SCHEMA', `No JSON Schema for schemaVersion: ${args.schema}`, { supported: listJsonSchemaVersions() }),
+        null,
+        2
+      )}\n`
+    );
+    return 1;
+  }
+
+  const outDir = path.resolve(cwd, args.out);
+  const files = [];
+  try {
+    fs.mkdirSync(outDir, { recursive: true });
+    for (const schemaVersion of schemaVersions) {
+      const filePath = path.join(outDir, `${schemaVersion}.schema.json`);
+      fs.writeFileSync(filePath, `${JSON.stringify(getJsonSchema(schemaVersion), null, 2)}\n`);
+      files.push({ schemaVersion, path: filePath });
+    }
+  } catch (error) {
+    stderr.write(`${JSON.stringify(createErrorOutput('WRITE_ERROR', error.message, { path: outDir }), null, 2)}\n`);
+    return 1;
+  }
+
+  stdout.write(`${JSON.stringify({ outDir, files }, null, 2)}\n`);
+  return 0;
+}
+
+const isDirectExecution = process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href;
+
+if (isDirectExecution) {
+  process.exitCode = runSchemaCli(process.argv.slice(2));
+}
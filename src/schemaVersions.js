@@ -1,5 +1,6 @@
 export const SchemaVersion = Object.freeze({
   SNAPSHOT: 'snapshot.v1',
+  SNAPSHOT_V2: 'snapshot.v2',
   PROFILE: 'profile.v1',
   PROPOSAL: 'proposal.v2',
   DECISION_INSPECTION: 'decision-inspection.v1',
@@ -8,12 +9,35 @@ export const SchemaVersion = Object.freeze({
   WORLD_MEMORY_CONTEXT: 'world-memory-context.v1',
   IMMERSION_RESULT: 'immersion-result.v1',
   EMBODIMENT_PREVIEW: 'embodiment-preview.v1',
-  DEMO_FLOW: 'demo-flow.v1'
+  DEMO_FLOW: 'demo-flow.v1',
+  SNAPSHOT_DIFF: 'snapshot-diff.v1',
+  SNAPSHOT_DELTA: 'snapshot-delta.v1',
+  COUNCIL: 'council.v1',
+  COUNCIL_PROPOSALS: 'council-proposals.v1',
+  COUNCIL_DECISION: 'council-decision.v1',
+  HEURISTIC_WEIGHTS: 'heuristic-weights.v1'
 });
 
+export const SnapshotSchemaVersions = Object.freeze([
+  SchemaVersion.SNAPSHOT,
+  SchemaVersion.SNAPSHOT_V2
+]);
+
+// Default deployment limits. Any subset can be overridden with a bounds
+// config passed to validateSnapshot, canonicalizeSnapshot, and propose.
 export const SnapshotBounds = Object.freeze({
   maxSideQuests: 100,
-  maxProjects: 100
+  maxProjects: 100,
+  maxResources: 32,
+  maxEvents: 16,
+  maxResidents: 100,
+  maxResidentSkills: 8,
+  maxProjectDependencies: 16,
+  maxProjectRequirements: 16,
+  maxNeighbors: 16,
+  maxPressureHistory: 16,
+  minPressure: 0,
+  maxPressure: 1
 });
 
 export const ProjectStatuses = Object.freeze([
@@ -22,3 +46,34 @@ export const ProjectStatuses = Object.freeze([
   'blocked',
   'complete'
 ]);
+
+export const EventKinds = Object.freeze([
+  'breach',
+  'crop_failure',
+  'hostile_sighting',
+  'panic',
+  'portal_activity',
+  'raid',
+  'supply_loss'
+]);
+
+export const Seasons = Object.freeze([
+  'spring',
+  'summer',
+  'autumn',
+  'winter'
+]);
+
+export const WeatherKinds = Object.freeze([
+  'clear',
+  'rain',
+  'storm',
+  'snow'
+]);
+
+export const DayPhases = Object.freeze([
+  'day',
+  'dusk',
+  'night',
+  'dawn'
+]);
@@ -0,0 +1,364 @@
+/**
+ * Snapshot Delta - Hash-chained incremental snapshot updates
+ * A delta names the canonical snapshot it applies to and the epoch it produces,
+ * so world-core can send typed operations instead of a full snapshot each epoch.
+ */
+
+import { hashValue } from './canonicalJson.js';
+import { SchemaVersion } from './schemaVersions.js';
+import { canonicalizeSnapshot, isValidSnapshot, resolveSnapshotBounds, validateSnapshot } from './snapshotSchema.js';
+import {
+  checkBoundedArray,
+  checkClosedObject,
+  checkEnum,
+  checkInteger,
+  checkNonEmptyString,
+  checkRequiredKey,
+  createValidationIssue,
+  isPlainObject,
+  joinPath,
+  ValidationIssueCode
+} from './validationIssues.js';
+
+export const SnapshotDeltaSchemaVersion = SchemaVersion.SNAPSHOT_DELTA;
+
+export const MaxSnapshotDeltaOperations = 256;
+
+const DeltaKeys = ['schemaVersion', 'baseSnapshotHash', 'decisionEpoch', 'operations'];
+const PressureKeys = ['threat', 'scarcity', 'hope', 'dread'];
+// Fields `update_project` may set. `null` removes one of the optional ones.
+const ProjectUpdateKeys = ['progress', 'status', 'dependsOn', 'requiredResources', 'estimatedDays'];
+const RemovableProjectKeys = ['dependsOn', 'requiredResources', 'estimatedDays'];
+const hashPattern = /^[0-9a-f]{64}$/;
+
+function findIndexById(items, id, key = 'id') {
+  return items.findIndex(item => item[key] === id);
+}
+
+function addById(items, item, label) {
+  if (findIndexById(items, item.id) !== -1) {
+    throw new Error(`Snapshot delta adds existing ${label}: ${item.id}`);
+  }
+  items.push(item);
+}
+
+function removeById(items, id, label, key = 'id') {
+  const index = findIndexById(items, id, key);
+  if (index === -1) {
+    throw new Error(`Snapshot delta removes missing ${label}: ${id}`);
+  }
+  items.splice(index, 1);
+}
+
+function upsertById(items, item, key = 'id') {
+  const index = findIndexById(items, item[key], key);
+  if (index === -1) {
+    items.push(item);
+  } else {
+    items[index] = item;
+  }
+}
+
+/**
+ * Operation table. `keys` lists the required payload keys besides `op` and
+ * `optionalKeys` any optional ones; `validate` checks payload shape and
+ * `apply` mutates a working copy of the snapshot. Item contents are checked
+ * against the snapshot schema after all operations are applied.
+ */
+const deltaOperations = Object.freeze({
+  set_pressure: {
+    keys: ['key', 'value'],
+    validate: (issues, operation, path) => {
+      checkEnum(issues, operation.key, joinPath(path, 'key'), PressureKeys);
+    },
+    apply: (snapshot, operation) => {
+      snapshot.pressure[operation.key] = operation.value;
+    }
+  },
+  set_mission: {
+    keys: ['mission'],
+    validate: (issues, operation, path) => {
+      if (operation.mission !== null) checkClosedObject(issues, operation.mission, joinPath(path, 'mission'));
+    },
+    apply: (snapshot, operation) => {
+      snapshot.mission = operation.mission;
+    }
+  },
+  add_side_quest: {
+    keys: ['sideQuest'],
+    validate: (issues, operation, path) => {
+      checkClosedObject(issues, operation.sideQuest, joinPath(path, 'sideQuest'));
+    },
+    apply: (snapshot, operation) => {
+      addById(snapshot.sideQuests, operation.sideQuest, 'side quest');
+    }
+  },
+  remove_side_quest: {
+    keys: ['sideQuestId'],
+    validate: (issues, operation, path) => {
+      checkNonEmptyString(issues, operation.sideQuestId, joinPath(path, 'sideQuestId'));
+    },
+    apply: (snapshot, operation) => {
+      removeById(snapshot.sideQuests, operation.sideQuestId, 'side quest');
+    }
+  },
+  add_project: {
+    keys: ['project'],
+    validate: (issues, operation, path) => {
+      checkClosedObject(issues, operation.project, joinPath(path, 'project'));
+    },
+    apply: (snapshot, operation) => {
+      addById(snapshot.projects, operation.project, 'project');
+    }
+  },
+  update_project: {
+    keys: ['projectId'],
+    optionalKeys: ProjectUpdateKeys,
+    validate: (issues, operation, path) => {
+      checkNonEmptyString(issues, operation.projectId, joinPath(path, 'projectId'));
+      if (!ProjectUpdateKeys.some(key => key in operation)) {
+        issues.push(createValidationIssue(path, ValidationIssueCode.REQUIRED, 'Expected at least one project field to update', ProjectUpdateKeys.join(' | '), operation));
+      }
+    },
+    apply: (snapshot, operation) => {
+      const index = findIndexById(snapshot.projects, operation.projectId);
+      if (index === -1) {
+        throw new Error(`Snapshot delta updates missing project: ${operation.projectId}`);
+      }
+      const project = { ...snapshot.projects[index] };
+      for (const key of ProjectUpdateKeys.filter(entry => entry in operation)) {
+        if (operation[key] === null && RemovableProjectKeys.includes(key)) {
+          delete project[key];
+        } else {
+          project[key] = operation[key];
+        }
+      }
+      snapshot.projects[index] = project;
+    }
+  },
+  remove_project: {
+    keys: ['projectId'],
+    validate: (issues, operation, path) => {
+      checkNonEmptyString(issues, operation.projectId, joinPath(path, 'projectId'));
+    },
+    apply: (snapshot, operation) => {
+      removeById(snapshot.projects, operation.projectId, 'project');
+    }
+  },
+  set_latest_nether_event: {
+    keys: ['value'],
+    validate: () => {},
+    apply: (snapshot, operation) => {
+      snapshot.latestNetherEvent = operation.value;
+    }
+  },
+  set_events: {
+    keys: ['events'],
+    validate: (issues, operation, path) => {
+      checkBoundedArray(issues, operation.events, joinPath(path, 'events'));
+    },
+    apply: (snapshot, operation) => {
+      snapshot.events = operation.events;
+    }
+  },
+  set_resident: {
+    keys: ['resident'],
+    validate: (issues, operation, path) => {
+      checkClosedObject(issues, operation.resident, joinPath(path, 'resident'));
+    },
+    apply: (snapshot, operation) => {
+      snapshot.residents = snapshot.residents || [];
+      upsertById(snapshot.residents, operation.resident);
+    }
+  },
+  remove_resident: {
+    keys: ['residentId'],
+    validate: (issues, operation, path) => {
+      checkNonEmptyString(issues, operation.residentId, joinPath(path, 'residentId'));
+    },
+    apply: (snapshot, operation) => {
+      removeById(snapshot.residents || [], operation.residentId, 'resident');
+    }
+  },
+  set_resource: {
+    keys: ['resource'],
+    validate: (issues, operation, path) => {
+      checkClosedObject(issues, operation.resource, joinPath(path, 'resource'));
+    },
+    apply: (snapshot, operation) => {
+      if (snapshot.schemaVersion !== SchemaVersion.SNAPSHOT_V2) {
+        throw new Error('Snapshot delta sets a resource on a snapshot without a resource ledger');
+      }
+      upsertById(snapshot.resources, operation.resource);
+    }
+  },
+  set_environment: {
+    keys: ['environment'],
+    validate: (issues, operation, path) => {
+      if (operation.environment !== null) checkClosedObject(issues, operation.environment, joinPath(path, 'environment'));
+    },
+    apply: (snapshot, operation) => {
+      if (operation.environment === null) {
+        delete snapshot.environment;
+      } else {
+        snapshot.environment = operation.environment;
+      }
+    }
+  },
+  set_neighbor: {
+    keys: ['neighbor'],
+    validate: (issues, operation, path) => {
+      checkClosedObject(issues, operation.neighbor, joinPath(path, 'neighbor'));
+    },
+    apply: (snapshot, operation) => {
+      snapshot.neighbors = snapshot.neighbors || [];
+      upsertById(snapshot.neighbors, operation.neighbor, 'townId');
+    }
+  },
+  remove_neighbor: {
+    keys: ['neighborTownId'],
+    validate: (issues, operation, path) => {
+      checkNonEmptyString(issues, operation.neighborTownId, joinPath(path, 'neighborTownId'));
+    },
+    apply: (snapshot, operation) => {
+      removeById(snapshot.neighbors || [], operation.neighborTownId, 'neighbor', 'townId');
+    }
+  },
+  set_pressure_history: {
+    keys: ['pressureHistory'],
+    validate: (issues, operation, path) => {
+      checkBoundedArray(issues, operation.pressureHistory, joinPath(path, 'pressureHistory'));
+    },
+    apply: (snapshot, operation) => {
+      snapshot.pressureHistory = operation.pressureHistory;
+    }
+  }
+});
+
+export const SnapshotDeltaOperationTypes = Object.freeze(Object.keys(deltaOperations));
+
+/**
+ * @typedef {Object} SnapshotDelta
+ * @property {string} schemaVersion - 'snapshot-delta.v1'
+ * @property {string} baseSnapshotHash - `snapshotHash` of the canonical snapshot the delta applies to
+ * @property {number} decisionEpoch - Epoch (snapshot day) the delta produces; must be base day + 1
+ * @property {Array<Object>} operations - Typed operations applied in order, each `{op, ...payload}`
+ */
+
+/**
+ * Validate delta structure and report every path-level issue found
+ * @param {SnapshotDelta} delta
+ * @returns {import('./validationIssues.js').ValidationIssue[]}
+ */
+export function validateSnapshotDelta(delta) {
+  const issues = [];
+  if (!checkClosedObject(issues, delta, '$', DeltaKeys)) return issues;
+
+  if (delta.schemaVersion !== SnapshotDeltaSchemaVersion) {
+    issues.push(createValidationIssue('$.schemaVersion', ValidationIssueCode.INVALID_SCHEMA_VERSION, 'Unsupported snapshot delta schemaVersion', SnapshotDeltaSchemaVersion, delta.schemaVersion));
+  }
+  if (typeof delta.baseSnapshotHash !== 'string' || !hashPattern.test(delta.baseSnapshotHash)) {
+    issues.push(createValidationIssue('$.baseSnapshotHash', ValidationIssueCode.INVALID_PATTERN, 'Expected a sha256 hex digest', hashPattern.source, delta.baseSnapshotHash));
+  }
+  checkInteger(issues, delta.decisionEpoch, '$.decisionEpoch', 1);
+
+  if (checkBoundedArray(issues, delta.operations, '$.operations', MaxSnapshotDeltaOperations)) {
+    delta.operations.forEach((operation, index) => {
+      const path = joinPath('$.operations', index);
+      if (!isPlainObject(operation)) {
+        checkClosedObject(issues, operation, path);
+        return;
+      }
+      if (!checkEnum(issues, operation.op, joinPath(path, 'op'), SnapshotDeltaOperationTypes)) return;
+
+      const definition = deltaOperations[operation.op];
+      checkClosedObject(issues, operation, path, ['op', ...definition.keys, ...(definition.optionalKeys || [])]);
+      const hasRequiredKeys = definition.keys
+        .map(key => checkRequiredKey(issues, operation, path, key))
+        .every(Boolean);
+      if (hasRequiredKeys) {
+        definition.validate(issues, operation, path);
+      }
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Validate delta structure
+ * @param {SnapshotDelta} delta
+ * @returns {boolean}
+ */
+export function isValidSnapshotDelta(delta) {
+  return validateSnapshotDelta(delta).length === 0;
+}
+
+/**
+ * Build a delta that advances `base` by one epoch.
+ * @param {Object} base - Snapshot the operations apply to
+ * @param {Array<Object>} operations
+ * @param {Object} [options]
+ * @param {import('./snapshotSchema.js').SnapshotBoundsConfig} [options.bounds] - Deployment bounds the base is validated against
+ * @returns {SnapshotDelta}
+ */
+export function createSnapshotDelta(base, operations, options = {}) {
+  const bounds = resolveSnapshotBounds(options.bounds);
+  const canonicalBase = canonicalizeSnapshot(base, bounds);
+  const delta = {
+    schemaVersion: SnapshotDeltaSchemaVersion,
+    baseSnapshotHash: hashValue(canonicalBase),
+    decisionEpoch: canonicalBase.day + 1,
+    operations
+  };
+
+  if (!isValidSnapshotDelta(delta)) {
+    throw new Error('Invalid snapshot delta');
+  }
+
+  return delta;
+}
+
+/**
+ * Apply a delta to its base snapshot. The base must hash to
+ * `delta.baseSnapshotHash` (the same hash `propose()` reports as
+ * `snapshotHash`) and the delta must advance exactly one epoch. Both the base
+ * and the result are validated against the same deployment bounds.
+ * @param {Object} base
+ * @param {SnapshotDelta} delta
+ * @param {Object} [options]
+ * @param {import('./snapshotSchema.js').SnapshotBoundsConfig} [options.bounds] - Deployment bounds config
+ * @returns {{snapshot: Object, snapshotHash: string}} New canonical snapshot and its hash
+ * @throws {Error} If either input or the bounds config is invalid, the delta
+ *   targets another base, skips epochs, or produces an invalid snapshot
+ */
+export function applySnapshotDelta(base, delta, options = {}) {
+  const bounds = resolveSnapshotBounds(options.bounds);
+  if (!isValidSnapshot(base, bounds)) {
+    throw new Error('Invalid snapshot structure');
+  }
+  if (!isValidSnapshotDelta(delta)) {
+    throw new Error('Invalid snapshot delta');
+  }
+
+  const canonicalBase = canonicalizeSnapshot(base, bounds);
+  if (hashValue(canonicalBase) !== delta.baseSnapshotHash) {
+    throw new Error('Snapshot delta base hash mismatch');
+  }
+  if (delta.decisionEpoch !== canonicalBase.day + 1) {
+    throw new Error(`Snapshot delta epoch ${delta.decisionEpoch} does not follow base epoch ${canonicalBase.day}`);
+  }
+
+  const working = structuredClone(canonicalBase);
+  working.day = delta.decisionEpoch;
+  for (const operation of delta.operations) {
+    deltaOperations[operation.op].apply(working, structuredClone(operation));
+  }
+
+  if (validateSnapshot(working, bounds).length > 0) {
+    throw new Error('Snapshot delta produced an invalid snapshot');
+  }
+
+  const snapshot = canonicalizeSnapshot(working, bounds);
+  return { snapshot, snapshotHash: hashValue(snapshot) };
+}
@@ -0,0 +1,324 @@
+/**
+ * Snapshot Diff - Typed change records between two world-core snapshots
+ * Explains why a proposal flipped without comparing payloads by eye
+ */
+
+import { hashValue, stableStringify } from './canonicalJson.js';
+import { SchemaVersion } from './schemaVersions.js';
+import { canonicalizeSnapshot } from './snapshotSchema.js';
+
+export const SnapshotDiffSchemaVersion = SchemaVersion.SNAPSHOT_DIFF;
+
+export const SnapshotChangeTypes = Object.freeze([
+  'pressure_changed',
+  'mission_started',
+  'mission_ended',
+  'side_quest_added',
+  'side_quest_removed',
+  'project_added',
+  'project_removed',
+  'project_progressed',
+  'project_status_changed',
+  'event_changed',
+  'mission_changed',
+  'side_quest_changed',
+  'project_changed',
+  'resident_added',
+  'resident_removed',
+  'resident_morale_changed',
+  'resident_changed',
+  'resource_added',
+  'resource_removed',
+  'resource_changed',
+  'environment_changed',
+  'neighbor_added',
+  'neighbor_removed',
+  'neighbor_changed',
+  'pressure_history_changed',
+  'section_changed'
+]);
+
+const PressureKeys = ['threat', 'scarcity', 'hope', 'dread'];
+const MissionFields = ['title', 'description', 'reward', 'acceptedBy'];
+const SideQuestFields = ['title', 'complexity', 'reward', 'expiresOnDay', 'risk', 'requiredRole'];
+// progress and status have their own change types.
+const ProjectFields = ['name', 'dependsOn', 'requiredResources', 'estimatedDays'];
+// morale has its own change type.
+const ResidentFields = ['name', 'profession', 'skills', 'assignedProjectId'];
+const ResourceFields = ['quantity', 'dailyConsumption'];
+const EnvironmentFields = ['season', 'weather', 'phase'];
+const NeighborFields = ['factionId', 'relation', 'tradeOpen', 'lastContactDay'];
+
+// Round away floating-point noise such as 0.7 - 0.4 = 0.29999999999999993.
+function roundDelta(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function createNumericChange(type, idKey, id, from, to) {
+  const delta = roundDelta(to - from);
+  return { type, [idKey]: id, from, to, delta, magnitude: Math.abs(delta) };
+}
+
+// One record per field that differs between two versions of the same item;
+// absent fields read as null, and numeric changes also carry a delta.
+function diffFields(type, idKey, id, previous, current, fields) {
+  return fields
+    .filter(field => stableStringify(previous[field] ?? null) !== stableStringify(current[field] ?? null))
+    .map(field => {
+      const from = previous[field] ?? null;
+      const to = current[field] ?? null;
+      if (typeof from === 'number' && typeof to === 'number') {
+        return { ...createNumericChange(type, idKey, id, from, to), field };
+      }
+      return { type, [idKey]: id, field, from, to };
+    });
+}
+
+function indexById(items, key = 'id') {
+  return new Map(items.map(item => [item[key], item]));
+}
+
+// Added and removed entries of a keyed list, then `diffItem` for entries in both.
+function diffKeyedList(beforeItems = [], afterItems = [], key, idKey, addedType, removedType, diffItem) {
+  const beforeIndex = indexById(beforeItems, key);
+  const afterIndex = indexById(afterItems, key);
+  const changes = beforeItems
+    .filter(item => !afterIndex.has(item[key]))
+    .map(item => ({ type: removedType, [idKey]: item[key] }));
+
+  for (const item of afterItems) {
+    const previous = beforeIndex.get(item[key]);
+    if (previous) {
+      changes.push(...diffItem(previous, item));
+    } else {
+      changes.push({ type: addedType, [idKey]: item[key] });
+    }
+  }
+
+  return changes;
+}
+
+function diffPressure(before, after) {
+  return PressureKeys
+    .filter(key => before.pressure[key] !== after.pressure[key])
+    .map(key => createNumericChange('pressure_changed', 'key', key, before.pressure[key], after.pressure[key]));
+}
+
+function diffMission(before, after) {
+  const fromId = before.mission ? before.mission.id : null;
+  const toId = after.mission ? after.mission.id : null;
+  if (fromId === toId) {
+    return fromId === null ? [] : diffFields('mission_changed', 'missionId', fromId, before.mission, after.mission, MissionFields);
+  }
+
+  const changes = [];
+  if (fromId !== null) changes.push({ type: 'mission_ended', missionId: fromId });
+  if (toId !== null) changes.push({ type: 'mission_started', missionId: toId });
+  return changes;
+}
+
+function diffSideQuests(before, after) {
+  const beforeQuests = indexById(before.sideQuests);
+  const afterQuests = indexById(after.sideQuests);
+
+  return [
+    ...before.sideQuests
+      .filter(quest => !afterQuests.has(quest.id))
+      .map(quest => ({ type: 'side_quest_removed', sideQuestId: quest.id })),
+    ...after.sideQuests
+      .filter(quest => !beforeQuests.has(quest.id))
+      .map(quest => ({ type: 'side_quest_added', sideQuestId: quest.id })),
+    ...after.sideQuests
+      .filter(quest => beforeQuests.has(quest.id))
+      .flatMap(quest => diffFields('side_quest_changed', 'sideQuestId', quest.id, beforeQuests.get(quest.id), quest, SideQuestFields))
+  ];
+}
+
+function diffProjects(before, after) {
+  const beforeProjects = indexById(before.projects);
+  const afterProjects = indexById(after.projects);
+  const changes = before.projects
+    .filter(project => !afterProjects.has(project.id))
+    .map(project => ({ type: 'project_removed', projectId: project.id }));
+
+  for (const project of after.projects) {
+    const previous = beforeProjects.get(project.id);
+    if (!previous) {
+      changes.push({ type: 'project_added', projectId: project.id });
+      continue;
+    }
+    if (previous.progress !== project.progress) {
+      changes.push(createNumericChange('project_progressed', 'projectId', project.id, previous.progress, project.progress));
+    }
+    if (previous.status !== project.status) {
+      changes.push({ type: 'project_status_changed', projectId: project.id, from: previous.status, to: project.status });
+    }
+    changes.push(...diffFields('project_changed', 'projectId', project.id, previous, project, ProjectFields));
+  }
+
+  return changes;
+}
+
+function diffEvents(before, after) {
+  const changes = [];
+
+  if (before.latestNetherEvent !== after.latestNetherEvent) {
+    changes.push({
+      type: 'event_changed',
+      field: 'latestNetherEvent',
+      from: before.latestNetherEvent,
+      to: after.latestNetherEvent
+    });
+  }
+
+  // Canonical events are already ordered, so filtering by key keeps both lists ordered.
+  const beforeEvents = before.events || [];
+  const afterEvents = after.events || [];
+  const beforeKeys = beforeEvents.map(stableStringify);
+  const afterKeys = afterEvents.map(stableStringify);
+  const removed = beforeEvents.filter((_, index) => !afterKeys.includes(beforeKeys[index]));
+  const added = afterEvents.filter((_, index) => !beforeKeys.includes(afterKeys[index]));
+
+  if (added.length > 0 || removed.length > 0) {
+    changes.push({
+      type: 'event_changed',
+      field: 'events',
+      added,
+      removed,
+      magnitude: added.length + removed.length
+    });
+  }
+
+  return changes;
+}
+
+function diffResidents(before, after) {
+  return diffKeyedList(before.residents, after.residents, 'id', 'residentId', 'resident_added', 'resident_removed', (previous, resident) => [
+    ...(previous.morale !== resident.morale
+      ? [createNumericChange('resident_morale_changed', 'residentId', resident.id, previous.morale, resident.morale)]
+      : []),
+    ...diffFields('resident_changed', 'residentId', resident.id, previous, resident, ResidentFields)
+  ]);
+}
+
+function diffResources(before, after) {
+  return diffKeyedList(before.resources, after.resources, 'id', 'resourceId', 'resource_added', 'resource_removed', (previous, resource) =>
+    diffFields('resource_changed', 'resourceId', resource.id, previous, resource, ResourceFields));
+}
+
+function diffEnvironment(before, after) {
+  const from = before.environment || {};
+  const to = after.environment || {};
+  return EnvironmentFields
+    .filter(field => (from[field] ?? null) !== (to[field] ?? null))
+    .map(field => ({ type: 'environment_changed', field, from: from[field] ?? null, to: to[field] ?? null }));
+}
+
+function diffNeighbors(before, after) {
+  return diffKeyedList(before.neighbors, after.neighbors, 'townId', 'neighborTownId', 'neighbor_added', 'neighbor_removed', (previous, neighbor) =>
+    diffFields('neighbor_changed', 'neighborTownId', neighbor.townId, previous, neighbor, NeighborFields));
+}
+
+function diffPressureHistory(before, after) {
+  const beforeSamples = before.pressureHistory || [];
+  const afterSamples = after.pressureHistory || [];
+  const beforeKeys = beforeSamples.map(stableStringify);
+  const afterKeys = afterSamples.map(stableStringify);
+  const removed = beforeSamples.filter((_, index) => !afterKeys.includes(beforeKeys[index]));
+  const added = afterSamples.filter((_, index) => !beforeKeys.includes(afterKeys[index]));
+  if (added.length === 0 && removed.length === 0) return [];
+
+  return [{ type: 'pressure_history_changed', added, removed, magnitude: added.length + removed.length }];
+}
+
+// Each snapshot section with the function that explains its changes, in
+// report order. `events` also covers `latestNetherEvent`.
+const SectionDiffs = [
+  [['pressure'], diffPressure],
+  [['mission'], diffMission],
+  [['sideQuests'], diffSideQuests],
+  [['projects'], diffProjects],
+  [['latestNetherEvent', 'events'], diffEvents],
+  [['residents'], diffResidents],
+  [['resources'], diffResources],
+  [['environment'], diffEnvironment],
+  [['neighbors'], diffNeighbors],
+  [['pressureHistory'], diffPressureHistory]
+];
+
+// `day` and `townId` are reported as `fromDay`/`toDay` and `townId`.
+const UndiffedSections = new Set(['day', 'townId']);
+
+function sectionDiffers(before, after, section) {
+  return stableStringify(before[section] ?? null) !== stableStringify(after[section] ?? null);
+}
+
+// A section that differs without any typed record, such as `schemaVersion`
+// or a list that went from absent to empty, gets a `section_changed` record
+// so a hash mismatch is never left unexplained.
+function diffSections(before, after) {
+  const changes = [];
+  const coveredSections = new Set(UndiffedSections);
+
+  for (const [sections, diffSection] of SectionDiffs) {
+    const sectionChanges = diffSection(before, after);
+    changes.push(...sectionChanges);
+    sections.forEach(section => coveredSections.add(section));
+    if (sectionChanges.length === 0) {
+      changes.push(...sections
+        .filter(section => sectionDiffers(before, after, section))
+        .map(section => ({ type: 'section_changed', section })));
+    }
+  }
+
+  const remainingSections = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(section => !coveredSections.has(section))
+    .sort();
+  for (const section of remainingSections) {
+    if (sectionDiffers(before, after, section)) {
+      changes.push({ type: 'section_changed', section });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * @typedef {Object} SnapshotDiff
+ * @property {string} schemaVersion - 'snapshot-diff.v1'
+ * @property {string} townId - Town both snapshots describe
+ * @property {string} fromHash - Hash of the canonical `before` snapshot
+ * @property {string} toHash - Hash of the canonical `after` snapshot
+ * @property {number} fromDay - `before.day`
+ * @property {number} toDay - `after.day`
+ * @property {Array<Object>} changes - Typed change records in a fixed section order
+ */
+
+/**
+ * Compare two snapshots of the same town and emit typed change records.
+ * Both inputs are canonicalized first, so reordered lists produce no changes.
+ * Whenever the hashes differ for anything but `day`, at least one record
+ * explains it.
+ * @param {Object} before
+ * @param {Object} after
+ * @param {import('./snapshotSchema.js').SnapshotBoundsConfig} [bounds] - Deployment bounds both snapshots are validated against
+ * @returns {SnapshotDiff}
+ * @throws {Error} If either snapshot is invalid or the towns differ
+ */
+export function diffSnapshots(before, after, bounds) {
+  const from = canonicalizeSnapshot(before, bounds);
+  const to = canonicalizeSnapshot(after, bounds);
+  if (from.townId !== to.townId) {
+    throw new Error('Snapshot townId mismatch');
+  }
+
+  return {
+    schemaVersion: SnapshotDiffSchemaVersion,
+    townId: to.townId,
+    fromHash: hashValue(from),
+    toHash: hashValue(to),
+    fromDay: from.day,
+    toDay: to.day,
+    changes: diffSections(from, to)
+  };
+}
@@ -0,0 +1,265 @@
+/**
+ * Snapshot Generator - Seeded random snapshot.v1 payloads for property tests
+ * The same seed and options always produce the same snapshot. Generated
+ * snapshots lean toward edge cases: empty and full lists, extreme pressure,
+ * near-colliding ids, and items that tie on every scored field.
+ */
+
+import { Roles } from './agentProfiles.js';
+import {
+  DayPhases,
+  EventKinds,
+  ProjectStatuses,
+  SchemaVersion,
+  Seasons,
+  WeatherKinds
+} from './schemaVersions.js';
+import { isValidSnapshot, resolveSnapshotBounds } from './snapshotSchema.js';
+
+const MaxGeneratedDay = 400;
+const EventSources = ['scout', 'watchtower', 'rumor', 'trader'];
+const Professions = ['farmer', 'smith', 'guard', 'builder', 'miner'];
+const Skills = ['archery', 'carpentry', 'cooking', 'farming', 'healing', 'masonry', 'mining', 'smithing', 'tracking', 'trading'];
+const ResourceIds = ['food', 'iron', 'stone', 'wood', 'wool'];
+const Factions = ['iron_pact', 'river_league', 'ash_clans'];
+
+// mulberry32: small, fast, and identical on every platform for a given seed.
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+
+  return {
+    next,
+    int,
+    chance: probability => next() < probability,
+    pick: items => items[int(0, items.length - 1)],
+    shuffle: items => {
+      const copy = [...items];
+      for (let index = copy.length - 1; index > 0; index -= 1) {
+        const swapIndex = int(0, index);
+        [copy[index], copy[swapIndex]] = [copy[swapIndex], copy[index]];
+      }
+      return copy;
+    }
+  };
+}
+
+function roundValue(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Numbers in [min, max], biased toward both ends and the midpoint.
+function generateNumber(random, min, max) {
+  const roll = random.next();
+  if (roll < 0.15) return min;
+  if (roll < 0.3) return max;
+  if (roll < 0.35) return roundValue((min + max) / 2);
+  return Math.min(max, Math.max(min, roundValue(min + random.next() * (max - min))));
+}
+
+// List sizes: empty, a handful, or exactly at the bound.
+function generateListSize(random, maxItems) {
+  const roll = random.next();
+  if (roll < 0.25 || maxItems === 0) return 0;
+  if (roll < 0.85) return random.int(1, Math.min(maxItems, 4));
+  return maxItems;
+}
+
+// Ids share a prefix and sometimes differ only by case or zero padding, so
+// canonical ordering is exercised on near-collisions. Returns unique ids.
+function generateIds(random, prefix, count) {
+  const ids = [];
+  const seen = new Set();
+  for (let index = 0; ids.length < count; index += 1) {
+    const previous = ids[ids.length - 1];
+    let id;
+    if (previous && random.chance(0.15)) {
+      id = previous === previous.toUpperCase() ? previous.toLowerCase() : previous.toUpperCase();
+    } else if (random.chance(0.1)) {
+      id = `${prefix}-${String(index).padStart(3, '0')}`;
+    } else {
+      id = `${prefix}-${index}`;
+    }
+    if (!seen.has(id)) {
+      seen.add(id);
+      ids.push(id);
+    }
+  }
+  return ids;
+}
+
+// Copy the scored fields of the previous item so heuristics see a tie that
+// only the id tie-break can settle.
+function withTies(random, items) {
+  return items.map((item, index) => (
+    index > 0 && random.chance(0.2)
+      ? { ...items[index - 1], id: item.id }
+      : item
+  ));
+}
+
+function generateMission(random) {
+  if (random.chance(0.5)) return null;
+
+  return {
+    id: `mission-${random.int(0, 9)}`,
+    title: 'Generated mission',
+    ...(random.chance(0.5) ? { description: 'Generated for property tests' } : {}),
+    ...(random.chance(0.5) ? { reward: generateNumber(random, 0, 500) } : {}),
+    ...(random.chance(0.5) ? { acceptedBy: 'mayor-1' } : {})
+  };
+}
+
+function generateSideQuests(random, maxItems, day) {
+  const ids = generateIds(random, 'sq', generateListSize(random, maxItems));
+  return withTies(random, ids.map(id => ({
+    id,
+    title: `Quest ${id}`,
+    ...(random.chance(0.8) ? { complexity: generateNumber(random, 0, 10) } : {}),
+    ...(random.chance(0.5) ? { reward: generateNumber(random, 0, 500) } : {}),
+    ...(random.chance(0.4) ? { expiresOnDay: random.int(Math.max(0, day - 5), day + 10) } : {}),
+    ...(random.chance(0.4) ? { risk: generateNumber(random, 0, 1) } : {}),
+    ...(random.chance(0.3) ? { requiredRole: random.pick(Object.values(Roles)) } : {})
+  })));
+}
+
+function generatePressure(random, bounds) {
+  return {
+    threat: generateNumber(random, bounds.minPressure, bounds.maxPressure),
+    scarcity: generateNumber(random, bounds.minPressure, bounds.maxPressure),
+    hope: generateNumber(random, bounds.minPressure, bounds.maxPressure),
+    dread: generateNumber(random, bounds.minPressure, bounds.maxPressure)
+  };
+}
+
+function generateProjects(random, bounds) {
+  const ids = generateIds(random, 'project', generateListSize(random, bounds.maxProjects));
+  const projects = ids.map((id, index) => {
+    // Depending only on earlier projects keeps the graph acyclic.
+    const dependsOn = random.shuffle(ids.slice(0, index))
+      .slice(0, random.int(0, Math.min(index, bounds.maxProjectDependencies)));
+    const requiredResources = random.shuffle(ResourceIds)
+      .slice(0, random.int(0, Math.min(ResourceIds.length, bounds.maxProjectRequirements)))
+      .map(resourceId => ({ id: resourceId, quantity: random.int(0, 64) }));
+
+    return {
+      id,
+      name: `Project ${id}`,
+      progress: generateNumber(random, 0, 1),
+      status: random.pick(ProjectStatuses),
+      ...(random.chance(0.4) ? { dependsOn } : {}),
+      ...(random.chance(0.4) ? { requiredResources } : {}),
+      ...(random.chance(0.4) ? { estimatedDays: random.int(0, 30) } : {})
+    };
+  });
+
+  // A tie copies the previous project's dependencies, which are all earlier
+  // than both projects, so the graph stays acyclic.
+  return withTies(random, projects);
+}
+
+function generateEvents(random, maxItems, day, projects) {
+  return Array.from({ length: generateListSize(random, maxItems) }, () => ({
+    kind: random.pick(EventKinds),
+    severity: generateNumber(random, 0, 1),
+    dayObserved: random.int(0, day),
+    source: random.pick(EventSources),
+    ...(projects.length > 0 && random.chance(0.3) ? { targetProjectId: random.pick(projects).id } : {})
+  }));
+}
+
+function generateResidents(random, bounds, projects) {
+  const ids = generateIds(random, 'resident', generateListSize(random, bounds.maxResidents));
+  return ids.map(id => ({
+    id,
+    name: `Resident ${id}`,
+    profession: random.pick(Professions),
+    morale: generateNumber(random, 0, 1),
+    skills: random.shuffle(Skills).slice(0, random.int(0, Math.min(Skills.length, bounds.maxResidentSkills))),
+    ...(projects.length > 0 && random.chance(0.3) ? { assignedProjectId: random.pick(projects).id } : {})
+  }));
+}
+
+// Unique days before the snapshot day; none when the town is brand new.
+function generatePressureHistory(random, bounds, day) {
+  const days = random.shuffle(Array.from({ length: Math.min(day, bounds.maxPressureHistory * 2) }, (_, index) => day - 1 - index))
+    .slice(0, generateListSize(random, bounds.maxPressureHistory));
+  return days.map(sampleDay => ({ day: sampleDay, ...generatePressure(random, bounds) }));
+}
+
+function generateNeighbors(random, maxItems, townId, day) {
+  const ids = generateIds(random, `${townId}-neighbor`, generateListSize(random, maxItems));
+  return ids.map(id => ({
+    townId: id,
+    factionId: random.pick(Factions),
+    relation: generateNumber(random, -1, 1),
+    tradeOpen: random.chance(0.5),
+    lastContactDay: random.int(0, day)
+  }));
+}
+
+/**
+ * @typedef {Object} SnapshotGeneratorOptions
+ * @property {import('./snapshotSchema.js').SnapshotBoundsConfig} [bounds] - Limits the generated lists and pressure range
+ * @property {string} [townId] - Town id for the snapshot (default 'town-generated')
+ */
+
+/**
+ * Generate a valid, bounded snapshot.v1 payload from a seed.
+ * List order is generation order, not canonical order.
+ * @param {number} seed - Unsigned 32-bit integer
+ * @param {SnapshotGeneratorOptions} [options]
+ * @returns {Object} A snapshot.v1 payload valid under `options.bounds`
+ * @throws {Error} If the seed, bounds, or townId is invalid
+ */
+export function generateSnapshot(seed, options = {}) {
+  if (!Number.isInteger(seed) || seed < 0 || seed > 0xffffffff) {
+    throw new Error('Snapshot generator seed must be an unsigned 32-bit integer');
+  }
+  const townId = options.townId ?? 'town-generated';
+  if (typeof townId !== 'string' || townId.length === 0) {
+    throw new Error('Snapshot generator townId must be a non-empty string');
+  }
+
+  const bounds = resolveSnapshotBounds(options.bounds);
+  const random = createSeededRandom(seed);
+  const day = random.chance(0.2) ? 0 : random.int(1, MaxGeneratedDay);
+  const projects = generateProjects(random, bounds);
+
+  const snapshot = {
+    schemaVersion: SchemaVersion.SNAPSHOT,
+    day,
+    townId,
+    mission: generateMission(random),
+    sideQuests: generateSideQuests(random, bounds.maxSideQuests, day),
+    pressure: generatePressure(random, bounds),
+    projects,
+    latestNetherEvent: random.chance(0.3) ? random.pick(['portal_flare', 'ghast_sighting', 'piglin_raid']) : null,
+    ...(random.chance(0.5) ? { events: generateEvents(random, bounds.maxEvents, day, projects) } : {}),
+    ...(random.chance(0.5) ? { residents: generateResidents(random, bounds, projects) } : {}),
+    ...(random.chance(0.5)
+      ? {
+          environment: {
+            season: random.pick(Seasons),
+            weather: random.pick(WeatherKinds),
+            phase: random.pick(DayPhases)
+          }
+        }
+      : {}),
+    ...(random.chance(0.5) ? { neighbors: generateNeighbors(random, bounds.maxNeighbors, townId, day) } : {}),
+    ...(random.chance(0.5) ? { pressureHistory: generatePressureHistory(random, bounds, day) } : {})
+  };
+
+  if (!isValidSnapshot(snapshot, options.bounds)) {
+    throw new Error('Generated snapshot failed validation');
+  }
+
+  return snapshot;
+}
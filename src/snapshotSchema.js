@@ -4,7 +4,30 @@
  * Focuses on settlement governance, missions, and projects
  */
 
-import { ProjectStatuses, SchemaVersion, SnapshotBounds } from './schemaVersions.js';
+import { Roles } from './agentProfiles.js';
+import {
+  DayPhases,
+  EventKinds,
+  ProjectStatuses,
+  SchemaVersion,
+  Seasons,
+  SnapshotBounds,
+  SnapshotSchemaVersions,
+  WeatherKinds
+} from './schemaVersions.js';
+import {
+  checkBoundedArray,
+  checkClosedObject,
+  checkEnum,
+  checkFiniteNumber,
+  checkInteger,
+  checkNonEmptyString,
+  checkRequiredKey,
+  checkUniqueIds,
+  createValidationIssue,
+  joinPath,
+  ValidationIssueCode
+} from './validationIssues.js';
 
 const SnapshotKeys = [
   'schemaVersion',
@@ -14,18 +37,37 @@ const SnapshotKeys = [
   'sideQuests',
   'pressure',
   'projects',
-  'latestNetherEvent'
+  'latestNetherEvent',
+  'events',
+  'residents',
+  'environment',
+  'neighbors',
+  'pressureHistory'
 ];
+const SnapshotV2Keys = [...SnapshotKeys, 'resources'];
 
-const MissionKeys = ['id', 'title', 'description', 'reward'];
-const SideQuestKeys = ['id', 'title', 'complexity'];
+const MissionKeys = ['id', 'title', 'description', 'reward', 'acceptedBy'];
+const SideQuestKeys = ['id', 'title', 'complexity', 'reward', 'expiresOnDay', 'risk', 'requiredRole'];
 const PressureKeys = ['threat', 'scarcity', 'hope', 'dread'];
-const ProjectKeys = ['id', 'name', 'progress', 'status'];
+const PressureSampleKeys = ['day', ...PressureKeys];
+const ProjectKeys = ['id', 'name', 'progress', 'status', 'dependsOn', 'requiredResources', 'estimatedDays'];
+const RequiredResourceKeys = ['id', 'quantity'];
+const ResourceKeys = ['id', 'quantity', 'dailyConsumption'];
+const EventKeys = ['kind', 'severity', 'dayObserved', 'source', 'targetProjectId'];
+const NeighborKeys = ['townId', 'factionId', 'relation', 'tradeOpen', 'lastContactDay'];
+const EnvironmentKeys = ['season', 'weather', 'phase'];
+const ResidentKeys = ['id', 'name', 'profession', 'morale', 'skills', 'assignedProjectId'];
 
-function hasOnlyAllowedKeys(value, allowedKeys) {
-  const keys = Object.keys(value);
-  return keys.every(key => allowedKeys.includes(key));
-}
+/**
+ * Default stockpile used when upgrading snapshot.v1 payloads. Quantities are
+ * scaled down by the v1 scarcity pressure so the derived ledger agrees with it.
+ */
+const DefaultResourceLedger = Object.freeze([
+  Object.freeze({ id: 'food', quantity: 200, dailyConsumption: 10 }),
+  Object.freeze({ id: 'iron', quantity: 64, dailyConsumption: 1 }),
+  Object.freeze({ id: 'stone', quantity: 200, dailyConsumption: 3 }),
+  Object.freeze({ id: 'wood', quantity: 200, dailyConsumption: 4 })
+]);
 
 function compareText(a, b) {
   return a.localeCompare(b);
@@ -54,6 +96,16 @@ function compareProjects(left, right) {
   );
 }
 
+function compareEvents(left, right) {
+  return (
+    (right.dayObserved - left.dayObserved) ||
+    compareText(left.kind, right.kind) ||
+    compareText(left.source, right.source) ||
+    (right.severity - left.severity) ||
+    compareText(left.targetProjectId || '', right.targetProjectId || '')
+  );
+}
+
 function canonicalizeMission(mission) {
   if (mission === null) return null;
 
@@ -61,7 +113,8 @@ function canonicalizeMission(mission) {
     id: mission.id,
     title: mission.title,
     ...('description' in mission ? { description: mission.description } : {}),
-    ...('reward' in mission ? { reward: mission.reward } : {})
+    ...('reward' in mission ? { reward: mission.reward } : {}),
+    ...('acceptedBy' in mission ? { acceptedBy: mission.acceptedBy } : {})
   };
 }
 
@@ -69,7 +122,11 @@ function canonicalizeSideQuest(sideQuest) {
   return {
     id: sideQuest.id,
     title: sideQuest.title,
-    ...('complexity' in sideQuest ? { complexity: sideQuest.complexity } : {})
+    ...('complexity' in sideQuest ? { complexity: sideQuest.complexity } : {}),
+    ...('reward' in sideQuest ? { reward: sideQuest.reward } : {}),
+    ...('expiresOnDay' in sideQuest ? { expiresOnDay: sideQuest.expiresOnDay } : {}),
+    ...('risk' in sideQuest ? { risk: sideQuest.risk } : {}),
+    ...('requiredRole' in sideQuest ? { requiredRole: sideQuest.requiredRole } : {})
   };
 }
 
@@ -78,19 +135,135 @@ function canonicalizeProject(project) {
     id: project.id,
     name: project.name,
     progress: project.progress,
-    status: project.status
+    status: project.status,
+    ...('dependsOn' in project ? { dependsOn: [...project.dependsOn].sort(compareText) } : {}),
+    ...('requiredResources' in project
+      ? {
+          requiredResources: project.requiredResources
+            .map(requirement => ({ id: requirement.id, quantity: requirement.quantity }))
+            .sort(compareResources)
+        }
+      : {}),
+    ...('estimatedDays' in project ? { estimatedDays: project.estimatedDays } : {})
   };
 }
 
-function hasUniqueIds(items) {
-  const seenIds = new Set();
-
-  for (const item of items) {
-    if (seenIds.has(item.id)) return false;
-    seenIds.add(item.id);
+/**
+ * Find dependency cycles among projects. Each cycle is reported once, at the
+ * project whose dependency closes it, as the list of ids along the cycle.
+ * @returns {Array<{index: number, cycle: string[]}>}
+ */
+function findDependencyCycles(projects) {
+  const indexById = new Map(projects.map((project, index) => [project.id, index]));
+  const state = new Map();
+  const cycles = [];
+
+  function visit(id, trail) {
+    state.set(id, 'visiting');
+    const project = projects[indexById.get(id)];
+    for (const dependencyId of project.dependsOn || []) {
+      if (dependencyId === id || !indexById.has(dependencyId)) continue;
+      if (state.get(dependencyId) === 'visiting') {
+        cycles.push({ index: indexById.get(id), cycle: [...trail.slice(trail.indexOf(dependencyId)), id, dependencyId] });
+      } else if (!state.has(dependencyId)) {
+        visit(dependencyId, [...trail, id]);
+      }
+    }
+    state.set(id, 'done');
   }
 
-  return true;
+  [...indexById.keys()].sort(compareText).forEach(id => {
+    if (!state.has(id)) visit(id, []);
+  });
+
+  return cycles;
+}
+
+function canonicalizeEvent(event) {
+  return {
+    kind: event.kind,
+    severity: event.severity,
+    dayObserved: event.dayObserved,
+    source: event.source,
+    ...('targetProjectId' in event ? { targetProjectId: event.targetProjectId } : {})
+  };
+}
+
+function compareResources(left, right) {
+  return compareText(left.id, right.id);
+}
+
+function compareNeighbors(left, right) {
+  return compareText(left.townId, right.townId);
+}
+
+function canonicalizeNeighbor(neighbor) {
+  return {
+    townId: neighbor.townId,
+    factionId: neighbor.factionId,
+    relation: neighbor.relation,
+    tradeOpen: neighbor.tradeOpen,
+    lastContactDay: neighbor.lastContactDay
+  };
+}
+
+function comparePressureSamples(left, right) {
+  return left.day - right.day;
+}
+
+function canonicalizePressureSample(sample) {
+  return {
+    day: sample.day,
+    threat: sample.threat,
+    scarcity: sample.scarcity,
+    hope: sample.hope,
+    dread: sample.dread
+  };
+}
+
+function compareResidents(left, right) {
+  return compareText(left.id, right.id);
+}
+
+function canonicalizeResident(resident) {
+  return {
+    id: resident.id,
+    name: resident.name,
+    profession: resident.profession,
+    morale: resident.morale,
+    skills: [...resident.skills].sort(compareText),
+    ...('assignedProjectId' in resident ? { assignedProjectId: resident.assignedProjectId } : {})
+  };
+}
+
+function canonicalizeResource(resource) {
+  return {
+    id: resource.id,
+    quantity: resource.quantity,
+    dailyConsumption: resource.dailyConsumption
+  };
+}
+
+function checkProjectDependencies(issues, project, path, projects, maxDependencies) {
+  if (!('dependsOn' in project)) return;
+
+  const dependsOnPath = joinPath(path, 'dependsOn');
+  if (!checkBoundedArray(issues, project.dependsOn, dependsOnPath, maxDependencies)) return;
+
+  const projectIds = new Set(projects.map(entry => entry?.id));
+  const seenIds = new Set();
+  project.dependsOn.forEach((dependencyId, index) => {
+    const dependencyPath = joinPath(dependsOnPath, index);
+    if (!checkNonEmptyString(issues, dependencyId, dependencyPath)) return;
+    if (seenIds.has(dependencyId)) {
+      issues.push(createValidationIssue(dependencyPath, ValidationIssueCode.DUPLICATE_ID, `Duplicate dependency "${dependencyId}"`, 'unique project id', dependencyId));
+    } else if (dependencyId === project.id) {
+      issues.push(createValidationIssue(dependencyPath, ValidationIssueCode.DEPENDENCY_CYCLE, 'A project cannot depend on itself', 'another project id', dependencyId));
+    } else if (!projectIds.has(dependencyId)) {
+      issues.push(createValidationIssue(dependencyPath, ValidationIssueCode.UNKNOWN_REFERENCE, `Unknown project "${dependencyId}"`, 'existing project id', dependencyId));
+    }
+    seenIds.add(dependencyId);
+  });
 }
 
 /**
@@ -99,6 +272,7 @@ function hasUniqueIds(items) {
  * @property {string} title - Mission title
  * @property {string} description - Brief mission description
  * @property {number} reward - Estimated value/reward
+ * @property {string} [acceptedBy] - Actor id of the governor who accepted the mission
  */
 
 /**
@@ -106,6 +280,10 @@ function hasUniqueIds(items) {
  * @property {string} id - Quest identifier
  * @property {string} title - Quest title
  * @property {number} [complexity] - Rough complexity estimate (optional)
+ * @property {number} [reward] - Estimated value/reward (>= 0)
+ * @property {number} [expiresOnDay] - Last in-game day the quest can be accepted
+ * @property {number} [risk] - [0, 1] danger of the quest
+ * @property {string} [requiredRole] - Only governors with this role may accept it
  */
 
 /**
@@ -122,109 +300,415 @@ function hasUniqueIds(items) {
  * @property {string} name - Project name
  * @property {number} progress - [0, 1] completion progress
  * @property {string} status - 'planning', 'active', 'blocked', 'complete'
+ * @property {string[]} [dependsOn] - Ids of projects that must be complete first
+ * @property {Array<{id: string, quantity: number}>} [requiredResources] - Resources the project consumes
+ * @property {number} [estimatedDays] - Estimated in-game days of work remaining
+ */
+
+/**
+ * @typedef {Object} Resource
+ * @property {string} id - Resource identifier (e.g. 'food', 'wood', 'stone', 'iron')
+ * @property {number} quantity - Units currently stockpiled (>= 0)
+ * @property {number} dailyConsumption - Units consumed per in-game day (>= 0)
+ */
+
+/**
+ * @typedef {Object} WorldEvent
+ * @property {string} kind - Event kind from EventKinds
+ * @property {number} severity - [0, 1] event severity
+ * @property {number} dayObserved - In-game day the event was observed (<= snapshot day)
+ * @property {string} source - Reporting source, e.g. 'nether-scout'
+ * @property {string} [targetProjectId] - Project the event threatens, if any
+ */
+
+/**
+ * @typedef {Object} Resident
+ * @property {string} id - Resident identifier
+ * @property {string} name - Display name
+ * @property {string} profession - Profession used to group residents, e.g. 'farmer'
+ * @property {number} morale - [0, 1] individual morale
+ * @property {string[]} skills - Bounded list of unique skill labels
+ * @property {string} [assignedProjectId] - Project the resident currently works on, if any
+ */
+
+/**
+ * @typedef {Object} Neighbor
+ * @property {string} townId - Neighboring town identifier (never this snapshot's town)
+ * @property {string} factionId - Faction governing the neighbor, as in world-memory faction summaries
+ * @property {number} relation - [-1, 1] hostile to allied
+ * @property {boolean} tradeOpen - Whether trade routes are currently open
+ * @property {number} lastContactDay - In-game day of the last contact (<= snapshot day)
+ */
+
+/**
+ * @typedef {Object} PressureSample
+ * @property {number} day - Earlier in-game day the pressure was recorded (< snapshot day)
+ * @property {number} threat
+ * @property {number} scarcity
+ * @property {number} hope
+ * @property {number} dread
+ */
+
+/**
+ * @typedef {Object} Environment
+ * @property {string} season - 'spring', 'summer', 'autumn', 'winter'
+ * @property {string} weather - 'clear', 'rain', 'storm', 'snow'
+ * @property {string} phase - 'day', 'dusk', 'night', 'dawn'
  */
 
 /**
  * @typedef {Object} Snapshot
- * @property {string} schemaVersion - Snapshot schema version
+ * @property {string} schemaVersion - Snapshot schema version ('snapshot.v1' or 'snapshot.v2')
  * @property {number} day - In-game day counter (0+)
  * @property {string} townId - Town/settlement identifier
  * @property {Mission|null} mission - Currently active mission, or null
  * @property {SideQuest[]} sideQuests - Bounded list of available side quests
  * @property {Pressure} pressure - Ambient pressure/stress summary
  * @property {Project[]} projects - Bounded list of active/priority projects
- * @property {string|null} latestNetherEvent - Optional recent Nether event summary
+ * @property {string|null} latestNetherEvent - Legacy free-text Nether event summary
+ * @property {WorldEvent[]} [events] - Optional bounded typed event list (preferred over latestNetherEvent)
+ * @property {Resident[]} [residents] - Optional bounded resident roster
+ * @property {Environment} [environment] - Optional season, weather, and day/night phase
+ * @property {Neighbor[]} [neighbors] - Optional bounded list of neighboring towns
+ * @property {PressureSample[]} [pressureHistory] - Optional pressure from recent earlier epochs, one sample per day
+ * @property {Resource[]} [resources] - Bounded stockpile ledger (snapshot.v2 only)
  */
 
+const PressureBoundKeys = ['minPressure', 'maxPressure'];
+
 /**
- * Validate snapshot structure
- * @param {Snapshot} snapshot
+ * Partial override of `SnapshotBounds`; omitted keys keep their defaults.
+ * `max*` list limits are integers >= 0 and `minPressure < maxPressure`.
+ * @typedef {Partial<typeof SnapshotBounds>} SnapshotBoundsConfig
+ */
+
+/**
+ * Validate a bounds config and report every path-level issue found
+ * @param {SnapshotBoundsConfig} bounds
+ * @returns {import('./validationIssues.js').ValidationIssue[]}
+ */
+export function validateSnapshotBounds(bounds) {
+  const issues = [];
+  const boundKeys = Object.keys(SnapshotBounds);
+  if (!checkClosedObject(issues, bounds, '$', boundKeys)) return issues;
+
+  const pressureIsValid = PressureBoundKeys
+    .map(key => !(key in bounds) || checkFiniteNumber(issues, bounds[key], joinPath('$', key)))
+    .every(Boolean);
+  for (const key of boundKeys) {
+    if (key in bounds && !PressureBoundKeys.includes(key)) {
+      checkInteger(issues, bounds[key], joinPath('$', key));
+    }
+  }
+
+  const minPressure = bounds.minPressure ?? SnapshotBounds.minPressure;
+  const maxPressure = bounds.maxPressure ?? SnapshotBounds.maxPressure;
+  if (pressureIsValid && minPressure >= maxPressure) {
+    issues.push(createValidationIssue('$.maxPressure', ValidationIssueCode.OUT_OF_RANGE, 'Expected maxPressure above minPressure', `number > ${minPressure}`, maxPressure));
+  }
+
+  return issues;
+}
+
+/**
+ * Validate a bounds config
+ * @param {SnapshotBoundsConfig} bounds
  * @returns {boolean}
  */
-export function isValidSnapshot(snapshot) {
-  if (!snapshot || typeof snapshot !== 'object') return false;
-  if (Array.isArray(snapshot)) return false;
-  if (!hasOnlyAllowedKeys(snapshot, SnapshotKeys)) return false;
-
-  if (snapshot.schemaVersion !== SchemaVersion.SNAPSHOT) return false;
-
-  // Validate day
-  if (!Number.isInteger(snapshot.day) || snapshot.day < 0) return false;
-
-  // Validate townId
-  if (typeof snapshot.townId !== 'string' || snapshot.townId.length === 0) return false;
-
-  // Validate mission (must be present and either null or a typed object)
-  if (!Object.prototype.hasOwnProperty.call(snapshot, 'mission')) return false;
-  if (snapshot.mission !== null) {
-    if (!snapshot.mission || typeof snapshot.mission !== 'object') return false;
-    if (Array.isArray(snapshot.mission)) return false;
-    if (!hasOnlyAllowedKeys(snapshot.mission, MissionKeys)) return false;
-    if (typeof snapshot.mission.id !== 'string' || snapshot.mission.id.length === 0) return false;
-    if (typeof snapshot.mission.title !== 'string' || snapshot.mission.title.length === 0) return false;
-    if ('description' in snapshot.mission && typeof snapshot.mission.description !== 'string') return false;
-    if ('reward' in snapshot.mission) {
-      if (typeof snapshot.mission.reward !== 'number' || !Number.isFinite(snapshot.mission.reward) || snapshot.mission.reward < 0) {
-        return false;
+export function isValidSnapshotBounds(bounds) {
+  return validateSnapshotBounds(bounds).length === 0;
+}
+
+/**
+ * Merge a bounds config over the `SnapshotBounds` defaults.
+ * @param {SnapshotBoundsConfig} [bounds]
+ * @returns {Readonly<typeof SnapshotBounds>}
+ * @throws {Error} If the config is invalid
+ */
+export function resolveSnapshotBounds(bounds = {}) {
+  if (!isValidSnapshotBounds(bounds)) {
+    throw new Error('Invalid snapshot bounds');
+  }
+
+  return Object.freeze({ ...SnapshotBounds, ...bounds });
+}
+
+/**
+ * Rescale pressure from the configured range onto the [0, 1] range the
+ * heuristics score against. Snapshots on the default range are returned as-is.
+ * @param {Snapshot} snapshot - Validated snapshot
+ * @param {SnapshotBoundsConfig} [bounds]
+ * @returns {Snapshot}
+ */
+export function normalizeSnapshotPressure(snapshot, bounds) {
+  const { minPressure, maxPressure } = resolveSnapshotBounds(bounds);
+  if (minPressure === 0 && maxPressure === 1) return snapshot;
+
+  const scale = value => (value - minPressure) / (maxPressure - minPressure);
+  const scalePressure = pressure => ({
+    threat: scale(pressure.threat),
+    scarcity: scale(pressure.scarcity),
+    hope: scale(pressure.hope),
+    dread: scale(pressure.dread)
+  });
+  return {
+    ...snapshot,
+    pressure: scalePressure(snapshot.pressure),
+    ...('pressureHistory' in snapshot
+      ? { pressureHistory: snapshot.pressureHistory.map(sample => ({ day: sample.day, ...scalePressure(sample) })) }
+      : {})
+  };
+}
+
+/**
+ * Validate snapshot structure and report every path-level issue found
+ * @param {Snapshot} snapshot
+ * @param {SnapshotBoundsConfig} [boundsConfig] - Deployment limits; defaults to `SnapshotBounds`
+ * @returns {import('./validationIssues.js').ValidationIssue[]}
+ * @throws {Error} If the bounds config is invalid
+ */
+export function validateSnapshot(snapshot, boundsConfig) {
+  const bounds = resolveSnapshotBounds(boundsConfig);
+  const issues = [];
+  if (!checkClosedObject(issues, snapshot, '$')) return issues;
+
+  if (!SnapshotSchemaVersions.includes(snapshot.schemaVersion)) {
+    issues.push(createValidationIssue(
+      '$.schemaVersion',
+      ValidationIssueCode.INVALID_SCHEMA_VERSION,
+      'Unsupported snapshot schemaVersion',
+      SnapshotSchemaVersions,
+      snapshot.schemaVersion
+    ));
+  }
+  const isV2 = snapshot.schemaVersion === SchemaVersion.SNAPSHOT_V2;
+  checkClosedObject(issues, snapshot, '$', isV2 ? SnapshotV2Keys : SnapshotKeys);
+
+  checkInteger(issues, snapshot.day, '$.day');
+  checkNonEmptyString(issues, snapshot.townId, '$.townId');
+
+  // Mission must be present and either null or a typed object
+  if (checkRequiredKey(issues, snapshot, '$', 'mission') && snapshot.mission !== null) {
+    const mission = snapshot.mission;
+    if (checkClosedObject(issues, mission, '$.mission', MissionKeys)) {
+      checkNonEmptyString(issues, mission.id, '$.mission.id');
+      checkNonEmptyString(issues, mission.title, '$.mission.title');
+      if ('description' in mission && typeof mission.description !== 'string') {
+        issues.push(createValidationIssue('$.mission.description', ValidationIssueCode.INVALID_TYPE, 'Expected a string', 'string', mission.description));
+      }
+      if ('reward' in mission) {
+        checkFiniteNumber(issues, mission.reward, '$.mission.reward', 0);
+      }
+      if ('acceptedBy' in mission) {
+        checkNonEmptyString(issues, mission.acceptedBy, '$.mission.acceptedBy');
       }
     }
   }
 
-  // Validate sideQuests
-  if (!Array.isArray(snapshot.sideQuests)) return false;
-  if (snapshot.sideQuests.length > SnapshotBounds.maxSideQuests) return false;
-  if (!hasUniqueIds(snapshot.sideQuests)) return false;
-  for (const quest of snapshot.sideQuests) {
-    if (!quest || typeof quest !== 'object') return false;
-    if (Array.isArray(quest)) return false;
-    if (!hasOnlyAllowedKeys(quest, SideQuestKeys)) return false;
-    if (typeof quest.id !== 'string' || quest.id.length === 0) return false;
-    if (typeof quest.title !== 'string' || quest.title.length === 0) return false;
-    if ('complexity' in quest) {
-      if (typeof quest.complexity !== 'number' || !Number.isFinite(quest.complexity) || quest.complexity < 0 || quest.complexity > 10) {
-        return false;
+  if (checkBoundedArray(issues, snapshot.sideQuests, '$.sideQuests', bounds.maxSideQuests)) {
+    checkUniqueIds(issues, snapshot.sideQuests, '$.sideQuests');
+    snapshot.sideQuests.forEach((quest, index) => {
+      const path = joinPath('$.sideQuests', index);
+      if (!checkClosedObject(issues, quest, path, SideQuestKeys)) return;
+      checkNonEmptyString(issues, quest.id, joinPath(path, 'id'));
+      checkNonEmptyString(issues, quest.title, joinPath(path, 'title'));
+      if ('complexity' in quest) {
+        checkFiniteNumber(issues, quest.complexity, joinPath(path, 'complexity'), 0, 10);
+      }
+      if ('reward' in quest) {
+        checkFiniteNumber(issues, quest.reward, joinPath(path, 'reward'), 0);
+      }
+      if ('expiresOnDay' in quest) {
+        checkInteger(issues, quest.expiresOnDay, joinPath(path, 'expiresOnDay'));
+      }
+      if ('risk' in quest) {
+        checkFiniteNumber(issues, quest.risk, joinPath(path, 'risk'), 0, 1);
+      }
+      if ('requiredRole' in quest) {
+        checkEnum(issues, quest.requiredRole, joinPath(path, 'requiredRole'), Object.values(Roles));
       }
+    });
+  }
+
+  if (checkClosedObject(issues, snapshot.pressure, '$.pressure', PressureKeys)) {
+    for (const key of PressureKeys) {
+      checkFiniteNumber(issues, snapshot.pressure[key], joinPath('$.pressure', key), bounds.minPressure, bounds.maxPressure);
     }
   }
 
-  // Validate pressure
-  if (!snapshot.pressure || typeof snapshot.pressure !== 'object') return false;
-  if (Array.isArray(snapshot.pressure)) return false;
-  if (!hasOnlyAllowedKeys(snapshot.pressure, PressureKeys)) return false;
-  const { threat, scarcity, hope, dread } = snapshot.pressure;
-  if (typeof threat !== 'number' || !Number.isFinite(threat) || threat < 0 || threat > 1) return false;
-  if (typeof scarcity !== 'number' || !Number.isFinite(scarcity) || scarcity < 0 || scarcity > 1) return false;
-  if (typeof hope !== 'number' || !Number.isFinite(hope) || hope < 0 || hope > 1) return false;
-  if (typeof dread !== 'number' || !Number.isFinite(dread) || dread < 0 || dread > 1) return false;
-
-  // Validate projects
-  if (!Array.isArray(snapshot.projects)) return false;
-  if (snapshot.projects.length > SnapshotBounds.maxProjects) return false;
-  if (!hasUniqueIds(snapshot.projects)) return false;
-  for (const proj of snapshot.projects) {
-    if (!proj || typeof proj !== 'object') return false;
-    if (Array.isArray(proj)) return false;
-    if (!hasOnlyAllowedKeys(proj, ProjectKeys)) return false;
-    if (typeof proj.id !== 'string' || proj.id.length === 0) return false;
-    if (typeof proj.name !== 'string' || proj.name.length === 0) return false;
-    if (typeof proj.progress !== 'number' || !Number.isFinite(proj.progress) || proj.progress < 0 || proj.progress > 1) return false;
-    if (!ProjectStatuses.includes(proj.status)) return false;
+  if (checkBoundedArray(issues, snapshot.projects, '$.projects', bounds.maxProjects)) {
+    checkUniqueIds(issues, snapshot.projects, '$.projects');
+    snapshot.projects.forEach((project, index) => {
+      const path = joinPath('$.projects', index);
+      if (!checkClosedObject(issues, project, path, ProjectKeys)) return;
+      checkNonEmptyString(issues, project.id, joinPath(path, 'id'));
+      checkNonEmptyString(issues, project.name, joinPath(path, 'name'));
+      checkFiniteNumber(issues, project.progress, joinPath(path, 'progress'), 0, 1);
+      checkEnum(issues, project.status, joinPath(path, 'status'), ProjectStatuses);
+      checkProjectDependencies(issues, project, path, snapshot.projects, bounds.maxProjectDependencies);
+      if ('requiredResources' in project) {
+        const requirementsPath = joinPath(path, 'requiredResources');
+        if (checkBoundedArray(issues, project.requiredResources, requirementsPath, bounds.maxProjectRequirements)) {
+          checkUniqueIds(issues, project.requiredResources, requirementsPath);
+          project.requiredResources.forEach((requirement, requirementIndex) => {
+            const requirementPath = joinPath(requirementsPath, requirementIndex);
+            if (!checkClosedObject(issues, requirement, requirementPath, RequiredResourceKeys)) return;
+            checkNonEmptyString(issues, requirement.id, joinPath(requirementPath, 'id'));
+            checkFiniteNumber(issues, requirement.quantity, joinPath(requirementPath, 'quantity'), 0);
+          });
+        }
+      }
+      if ('estimatedDays' in project) {
+        checkInteger(issues, project.estimatedDays, joinPath(path, 'estimatedDays'));
+      }
+    });
+
+    const projectIds = snapshot.projects.map(project => project?.id);
+    const graphIsWellFormed = snapshot.projects.every(project =>
+      project && typeof project.id === 'string' && (!('dependsOn' in project) || Array.isArray(project.dependsOn))
+    );
+    if (graphIsWellFormed && new Set(projectIds).size === projectIds.length) {
+      findDependencyCycles(snapshot.projects).forEach(({ index, cycle }) => {
+        issues.push(createValidationIssue(
+          joinPath(joinPath('$.projects', index), 'dependsOn'),
+          ValidationIssueCode.DEPENDENCY_CYCLE,
+          'Project dependencies must not form a cycle',
+          'acyclic dependencies',
+          cycle.join(' -> ')
+        ));
+      });
+    }
+  }
+
+  if (
+    checkRequiredKey(issues, snapshot, '$', 'latestNetherEvent') &&
+    snapshot.latestNetherEvent !== null &&
+    typeof snapshot.latestNetherEvent !== 'string'
+  ) {
+    issues.push(createValidationIssue('$.latestNetherEvent', ValidationIssueCode.INVALID_TYPE, 'Expected a string or null', 'string | null', snapshot.latestNetherEvent));
+  }
+
+  if ('events' in snapshot && checkBoundedArray(issues, snapshot.events, '$.events', bounds.maxEvents)) {
+    snapshot.events.forEach((event, index) => {
+      const path = joinPath('$.events', index);
+      if (!checkClosedObject(issues, event, path, EventKeys)) return;
+      checkEnum(issues, event.kind, joinPath(path, 'kind'), EventKinds);
+      checkFiniteNumber(issues, event.severity, joinPath(path, 'severity'), 0, 1);
+      if (checkInteger(issues, event.dayObserved, joinPath(path, 'dayObserved')) && Number.isInteger(snapshot.day) && event.dayObserved > snapshot.day) {
+        issues.push(createValidationIssue(joinPath(path, 'dayObserved'), ValidationIssueCode.OUT_OF_RANGE, 'Events cannot be observed after the snapshot day', `integer <= ${snapshot.day}`, event.dayObserved));
+      }
+      checkNonEmptyString(issues, event.source, joinPath(path, 'source'));
+      if ('targetProjectId' in event) {
+        checkNonEmptyString(issues, event.targetProjectId, joinPath(path, 'targetProjectId'));
+      }
+    });
+  }
+
+  if ('residents' in snapshot && checkBoundedArray(issues, snapshot.residents, '$.residents', bounds.maxResidents)) {
+    checkUniqueIds(issues, snapshot.residents, '$.residents');
+    snapshot.residents.forEach((resident, index) => {
+      const path = joinPath('$.residents', index);
+      if (!checkClosedObject(issues, resident, path, ResidentKeys)) return;
+      checkNonEmptyString(issues, resident.id, joinPath(path, 'id'));
+      checkNonEmptyString(issues, resident.name, joinPath(path, 'name'));
+      checkNonEmptyString(issues, resident.profession, joinPath(path, 'profession'));
+      checkFiniteNumber(issues, resident.morale, joinPath(path, 'morale'), 0, 1);
+      const skillsPath = joinPath(path, 'skills');
+      if (checkBoundedArray(issues, resident.skills, skillsPath, bounds.maxResidentSkills)) {
+        const seenSkills = new Set();
+        resident.skills.forEach((skill, skillIndex) => {
+          if (!checkNonEmptyString(issues, skill, joinPath(skillsPath, skillIndex))) return;
+          if (seenSkills.has(skill)) {
+            issues.push(createValidationIssue(joinPath(skillsPath, skillIndex), ValidationIssueCode.DUPLICATE_ID, `Duplicate skill "${skill}"`, 'unique skill', skill));
+          }
+          seenSkills.add(skill);
+        });
+      }
+      if ('assignedProjectId' in resident) {
+        checkNonEmptyString(issues, resident.assignedProjectId, joinPath(path, 'assignedProjectId'));
+      }
+    });
+  }
+
+  if ('environment' in snapshot && checkClosedObject(issues, snapshot.environment, '$.environment', EnvironmentKeys)) {
+    checkEnum(issues, snapshot.environment.season, '$.environment.season', Seasons);
+    checkEnum(issues, snapshot.environment.weather, '$.environment.weather', WeatherKinds);
+    checkEnum(issues, snapshot.environment.phase, '$.environment.phase', DayPhases);
+  }
+
+  if ('neighbors' in snapshot && checkBoundedArray(issues, snapshot.neighbors, '$.neighbors', bounds.maxNeighbors)) {
+    checkUniqueIds(issues, snapshot.neighbors, '$.neighbors', 'townId');
+    snapshot.neighbors.forEach((neighbor, index) => {
+      const path = joinPath('$.neighbors', index);
+      if (!checkClosedObject(issues, neighbor, path, NeighborKeys)) return;
+      if (checkNonEmptyString(issues, neighbor.townId, joinPath(path, 'townId')) && neighbor.townId === snapshot.townId) {
+        issues.push(createValidationIssue(joinPath(path, 'townId'), ValidationIssueCode.DUPLICATE_ID, 'A town cannot neighbor itself', 'townId other than $.townId', neighbor.townId));
+      }
+      checkNonEmptyString(issues, neighbor.factionId, joinPath(path, 'factionId'));
+      checkFiniteNumber(issues, neighbor.relation, joinPath(path, 'relation'), -1, 1);
+      if (typeof neighbor.tradeOpen !== 'boolean') {
+        issues.push(createValidationIssue(joinPath(path, 'tradeOpen'), ValidationIssueCode.INVALID_TYPE, 'Expected a boolean', 'boolean', neighbor.tradeOpen));
+      }
+      if (checkInteger(issues, neighbor.lastContactDay, joinPath(path, 'lastContactDay')) && Number.isInteger(snapshot.day) && neighbor.lastContactDay > snapshot.day) {
+        issues.push(createValidationIssue(joinPath(path, 'lastContactDay'), ValidationIssueCode.OUT_OF_RANGE, 'Contact cannot happen after the snapshot day', `integer <= ${snapshot.day}`, neighbor.lastContactDay));
+      }
+    });
+  }
+
+  if ('pressureHistory' in snapshot && checkBoundedArray(issues, snapshot.pressureHistory, '$.pressureHistory', bounds.maxPressureHistory)) {
+    const seenDays = new Set();
+    snapshot.pressureHistory.forEach((sample, index) => {
+      const path = joinPath('$.pressureHistory', index);
+      if (!checkClosedObject(issues, sample, path, PressureSampleKeys)) return;
+      if (checkInteger(issues, sample.day, joinPath(path, 'day'))) {
+        if (Number.isInteger(snapshot.day) && sample.day >= snapshot.day) {
+          issues.push(createValidationIssue(joinPath(path, 'day'), ValidationIssueCode.OUT_OF_RANGE, 'Pressure history must predate the snapshot day', `integer < ${snapshot.day}`, sample.day));
+        }
+        if (seenDays.has(sample.day)) {
+          issues.push(createValidationIssue(joinPath(path, 'day'), ValidationIssueCode.DUPLICATE_ID, `Duplicate pressure sample for day ${sample.day}`, 'unique day', sample.day));
+        }
+        seenDays.add(sample.day);
+      }
+      for (const key of PressureKeys) {
+        checkFiniteNumber(issues, sample[key], joinPath(path, key), bounds.minPressure, bounds.maxPressure);
+      }
+    });
+  }
+
+  // Resources are required on snapshot.v2 only
+  if (isV2 && checkBoundedArray(issues, snapshot.resources, '$.resources', bounds.maxResources)) {
+    checkUniqueIds(issues, snapshot.resources, '$.resources');
+    snapshot.resources.forEach((resource, index) => {
+      const path = joinPath('$.resources', index);
+      if (!checkClosedObject(issues, resource, path, ResourceKeys)) return;
+      checkNonEmptyString(issues, resource.id, joinPath(path, 'id'));
+      checkFiniteNumber(issues, resource.quantity, joinPath(path, 'quantity'), 0);
+      checkFiniteNumber(issues, resource.dailyConsumption, joinPath(path, 'dailyConsumption'), 0);
+    });
   }
 
-  if (!Object.prototype.hasOwnProperty.call(snapshot, 'latestNetherEvent')) return false;
-  if (snapshot.latestNetherEvent !== null && typeof snapshot.latestNetherEvent !== 'string') return false;
+  return issues;
+}
 
-  return true;
+/**
+ * Validate snapshot structure
+ * @param {Snapshot} snapshot
+ * @param {SnapshotBoundsConfig} [bounds]
+ * @returns {boolean}
+ */
+export function isValidSnapshot(snapshot, bounds) {
+  return validateSnapshot(snapshot, bounds).length === 0;
 }
 
 /**
  * Canonicalize a validated snapshot so semantically equivalent snapshots
  * produce stable hashes and decisions.
  * @param {Snapshot} snapshot
+ * @param {SnapshotBoundsConfig} [bounds]
  * @returns {Snapshot}
  */
-export function canonicalizeSnapshot(snapshot) {
-  if (!isValidSnapshot(snapshot)) {
+export function canonicalizeSnapshot(snapshot, bounds) {
+  if (!isValidSnapshot(snapshot, bounds)) {
     throw new Error('Invalid snapshot structure');
   }
 
@@ -245,10 +729,99 @@ export function canonicalizeSnapshot(snapshot) {
     projects: snapshot.projects
       .map(canonicalizeProject)
       .sort(compareProjects),
-    latestNetherEvent: snapshot.latestNetherEvent
+    latestNetherEvent: snapshot.latestNetherEvent,
+    ...('events' in snapshot
+      ? {
+          events: snapshot.events
+            .map(canonicalizeEvent)
+            .sort(compareEvents)
+        }
+      : {}),
+    ...('residents' in snapshot
+      ? {
+          residents: snapshot.residents
+            .map(canonicalizeResident)
+            .sort(compareResidents)
+        }
+      : {}),
+    ...('environment' in snapshot
+      ? {
+          environment: {
+            season: snapshot.environment.season,
+            weather: snapshot.environment.weather,
+            phase: snapshot.environment.phase
+          }
+        }
+      : {}),
+    ...('neighbors' in snapshot
+      ? {
+          neighbors: snapshot.neighbors
+            .map(canonicalizeNeighbor)
+            .sort(compareNeighbors)
+        }
+      : {}),
+    ...('pressureHistory' in snapshot
+      ? {
+          pressureHistory: snapshot.pressureHistory
+            .map(canonicalizePressureSample)
+            .sort(comparePressureSamples)
+        }
+      : {}),
+    ...(snapshot.schemaVersion === SchemaVersion.SNAPSHOT_V2
+      ? {
+          resources: snapshot.resources
+            .map(canonicalizeResource)
+            .sort(compareResources)
+        }
+      : {})
   };
 }
 
+/**
+ * Upgrade a snapshot.v1 payload to snapshot.v2 by deriving a default resource
+ * ledger from `pressure.scarcity`, read on the configured pressure range.
+ * snapshot.v2 input is returned canonicalized.
+ * @param {Snapshot} snapshot
+ * @param {SnapshotBoundsConfig} [bounds]
+ * @returns {Snapshot}
+ */
+export function migrateSnapshotToV2(snapshot, bounds) {
+  const canonicalSnapshot = canonicalizeSnapshot(snapshot, bounds);
+  if (canonicalSnapshot.schemaVersion === SchemaVersion.SNAPSHOT_V2) {
+    return canonicalSnapshot;
+  }
+
+  const stockLevel = 1 - normalizeSnapshotPressure(canonicalSnapshot, bounds).pressure.scarcity;
+
+  return canonicalizeSnapshot({
+    ...canonicalSnapshot,
+    schemaVersion: SchemaVersion.SNAPSHOT_V2,
+    resources: DefaultResourceLedger.map(resource => ({
+      id: resource.id,
+      quantity: Math.round(resource.quantity * stockLevel),
+      dailyConsumption: resource.dailyConsumption
+    }))
+  }, bounds);
+}
+
+/**
+ * List consumed resources by remaining days of supply, scarcest first.
+ * Resources with no daily consumption never run out and are omitted.
+ * @param {Snapshot} snapshot
+ * @returns {Array<{id: string, daysOfSupply: number}>}
+ */
+export function getResourceDaysOfSupply(snapshot) {
+  if (!snapshot || !Array.isArray(snapshot.resources)) return [];
+
+  return snapshot.resources
+    .filter(resource => resource.dailyConsumption > 0)
+    .map(resource => ({
+      id: resource.id,
+      daysOfSupply: resource.quantity / resource.dailyConsumption
+    }))
+    .sort((left, right) => (left.daysOfSupply - right.daysOfSupply) || compareText(left.id, right.id));
+}
+
 /**
  * Create a default minimal snapshot (deterministic, no timestamps)
  * @param {string} townId
@@ -0,0 +1,208 @@
+/**
+ * Trait Drift - Evolve governance profiles from execution outcomes
+ * Each `execution-result.v1` for the profile's actor nudges its traits by the
+ * drift configured for the result's status and reason code. The evolved
+ * profile carries a `lineage` block: a hash chaining it to its parent and a
+ * trait history recording every change for audit.
+ */
+
+import { isValidProfile, MaxLearnedResultIds, Traits } from './agentProfiles.js';
+import { hashValue } from './canonicalJson.js';
+import { ExecutionStatus, isValidExecutionResult } from './executionHandoff.js';
+import { hashProfile } from './profileTemplates.js';
+import {
+  checkClosedObject,
+  checkFiniteNumber,
+  checkInteger,
+  checkNonEmptyString,
+  joinPath
+} from './validationIssues.js';
+
+/**
+ * Default drift per execution result. Success emboldens; rejections and
+ * failed preconditions teach caution; stale and failed executions favor
+ * practical plans. Duplicates say nothing about the governor and never drift.
+ */
+export const DefaultDriftPolicy = Object.freeze({
+  statusDrift: Object.freeze({
+    executed: Object.freeze({ courage: 0.02, authority: 0.01 }),
+    rejected: Object.freeze({ courage: -0.03, prudence: 0.02 }),
+    stale: Object.freeze({ pragmatism: 0.01 }),
+    duplicate: Object.freeze({}),
+    failed: Object.freeze({ courage: -0.01, pragmatism: 0.02 })
+  }),
+  reasonCodeDrift: Object.freeze({
+    PRECONDITION_FAILED: Object.freeze({ prudence: 0.02 }),
+    STALE_STATE: Object.freeze({ prudence: 0.01 })
+  }),
+  maxStepDrift: 0.1,
+  maxTraitHistory: 64
+});
+
+const DriftPolicyKeys = Object.keys(DefaultDriftPolicy);
+const TraitNames = Object.keys(Traits);
+
+// Summed drift is rounded so repeated small nudges do not accumulate float noise.
+function roundTrait(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function checkTraitDrift(issues, drift, path) {
+  if (!checkClosedObject(issues, drift, path, TraitNames)) return;
+  for (const [traitName, delta] of Object.entries(drift)) {
+    checkFiniteNumber(issues, delta, joinPath(path, traitName), -1, 1);
+  }
+}
+
+/**
+ * @typedef {Object} DriftPolicy
+ * @property {Object<string, Object<string, number>>} [statusDrift] - Trait deltas per execution status; each status given replaces its default
+ * @property {Object<string, Object<string, number>>} [reasonCodeDrift] - Extra trait deltas per reason code; each code given replaces its default
+ * @property {number} [maxStepDrift] - Largest change to any one trait per `evolveProfile()` call
+ * @property {number} [maxTraitHistory] - Trait-history entries kept, newest last
+ */
+
+/**
+ * Validate a drift policy and report every path-level issue found
+ * @param {DriftPolicy} policy
+ * @returns {import('./validationIssues.js').ValidationIssue[]}
+ */
+export function validateDriftPolicy(policy) {
+  const issues = [];
+  if (!checkClosedObject(issues, policy, '$', DriftPolicyKeys)) return issues;
+
+  if ('statusDrift' in policy && checkClosedObject(issues, policy.statusDrift, '$.statusDrift', ExecutionStatus)) {
+    for (const [status, drift] of Object.entries(policy.statusDrift)) {
+      checkTraitDrift(issues, drift, joinPath('$.statusDrift', status));
+    }
+  }
+  if ('reasonCodeDrift' in policy && checkClosedObject(issues, policy.reasonCodeDrift, '$.reasonCodeDrift')) {
+    for (const [reasonCode, drift] of Object.entries(policy.reasonCodeDrift)) {
+      const path = joinPath('$.reasonCodeDrift', reasonCode);
+      if (checkNonEmptyString(issues, reasonCode, path)) {
+        checkTraitDrift(issues, drift, path);
+      }
+    }
+  }
+  if ('maxStepDrift' in policy) {
+    checkFiniteNumber(issues, policy.maxStepDrift, '$.maxStepDrift', 0, 1);
+  }
+  if ('maxTraitHistory' in policy) {
+    checkInteger(issues, policy.maxTraitHistory, '$.maxTraitHistory');
+  }
+
+  return issues;
+}
+
+/**
+ * Validate a drift policy
+ * @param {DriftPolicy} policy
+ * @returns {boolean}
+ */
+export function isValidDriftPolicy(policy) {
+  return validateDriftPolicy(policy).length === 0;
+}
+
+/**
+ * Merge a drift policy over `DefaultDriftPolicy`.
+ * @param {DriftPolicy} [policy]
+ * @returns {DriftPolicy}
+ * @throws {Error} If the policy is invalid
+ */
+export function resolveDriftPolicy(policy = {}) {
+  if (!isValidDriftPolicy(policy)) {
+    throw new Error('Invalid drift policy');
+  }
+
+  return {
+    statusDrift: { ...DefaultDriftPolicy.statusDrift, ...policy.statusDrift },
+    reasonCodeDrift: { ...DefaultDriftPolicy.reasonCodeDrift, ...policy.reasonCodeDrift },
+    maxStepDrift: policy.maxStepDrift ?? DefaultDriftPolicy.maxStepDrift,
+    maxTraitHistory: policy.maxTraitHistory ?? DefaultDriftPolicy.maxTraitHistory
+  };
+}
+
+/**
+ * Evolve a profile from execution results. Only results for the profile's
+ * actor and town count, each `resultId` once: ids in the lineage's
+ * `learnedResultIds` are skipped, so re-feeding results is a no-op even after
+ * the trait history is trimmed or when a result caused no drift. Drift is
+ * summed per trait before it is capped and applied, so the result order
+ * does not matter. Without any new matching result the profile is returned
+ * unchanged.
+ * @param {import('./agentProfiles.js').GovernanceProfile} profile
+ * @param {Object[]} executionResults - `execution-result.v1` payloads
+ * @param {DriftPolicy} [policy]
+ * @returns {import('./agentProfiles.js').GovernanceProfile} A new profile with updated traits and `lineage`
+ * @throws {Error} If the profile, a result, or the policy is invalid, or the lineage would learn more than `MaxLearnedResultIds` results
+ */
+export function evolveProfile(profile, executionResults, policy = {}) {
+  if (!isValidProfile(profile)) {
+    throw new Error('Invalid profile structure');
+  }
+  if (!Array.isArray(executionResults)) {
+    throw new Error('Execution results must be an array');
+  }
+  executionResults.forEach((result, index) => {
+    if (!isValidExecutionResult(result)) {
+      throw new Error(`Invalid execution result at index ${index}`);
+    }
+  });
+  const resolvedPolicy = resolveDriftPolicy(policy);
+
+  const learnedResultIds = new Set(profile.lineage?.learnedResultIds ?? []);
+  const resultsById = new Map(executionResults
+    .filter(result => result.actorId === profile.id && result.townId === profile.townId)
+    .filter(result => !learnedResultIds.has(result.resultId))
+    .map(result => [result.resultId, result]));
+  if (resultsById.size === 0) {
+    return { ...profile };
+  }
+  const resultIds = [...resultsById.keys()].sort();
+  if (learnedResultIds.size + resultIds.length > MaxLearnedResultIds) {
+    throw new Error(`Profile lineage cannot learn from more than ${MaxLearnedResultIds} execution results`);
+  }
+
+  const drift = {};
+  const contributors = {};
+  for (const resultId of resultIds) {
+    const { status, reasonCode } = resultsById.get(resultId);
+    for (const source of [resolvedPolicy.statusDrift[status], resolvedPolicy.reasonCodeDrift[reasonCode]]) {
+      for (const [traitName, delta] of Object.entries(source || {})) {
+        if (delta === 0) continue;
+        drift[traitName] = (drift[traitName] || 0) + delta;
+        contributors[traitName] = [...new Set([...(contributors[traitName] || []), resultId])];
+      }
+    }
+  }
+
+  const generation = (profile.lineage?.generation ?? 0) + 1;
+  const traits = { ...profile.traits };
+  const changes = [];
+  for (const traitName of TraitNames) {
+    if (!(traitName in drift)) continue;
+    const { min, max } = Traits[traitName];
+    const step = Math.max(-resolvedPolicy.maxStepDrift, Math.min(resolvedPolicy.maxStepDrift, drift[traitName]));
+    const from = traits[traitName];
+    const to = roundTrait(Math.max(min, Math.min(max, from + step)));
+    if (to === from) continue;
+    traits[traitName] = to;
+    changes.push({ generation, trait: traitName, from, to, resultIds: contributors[traitName] });
+  }
+
+  const parentHash = hashProfile(profile);
+  const traitHistory = [...(profile.lineage?.traitHistory ?? []), ...changes];
+
+  return {
+    ...profile,
+    traits,
+    lineage: {
+      generation,
+      parentHash,
+      hash: hashValue({ parentHash, resultIds, policy: resolvedPolicy }),
+      resultIds,
+      learnedResultIds: [...learnedResultIds, ...resultIds].sort(),
+      traitHistory: traitHistory.slice(Math.max(0, traitHistory.length - resolvedPolicy.maxTraitHistory))
+    }
+  };
+}
@@ -0,0 +1,157 @@
+/**
+ * Validation Issues - Path-level diagnostics shared by contract validators
+ * Each issue is a plain JSON object: {path, code, message, expected, actual}
+ */
+
+export const ValidationIssueCode = Object.freeze({
+  INVALID_TYPE: 'invalid_type',
+  REQUIRED: 'required',
+  UNKNOWN_KEY: 'unknown_key',
+  INVALID_SCHEMA_VERSION: 'invalid_schema_version',
+  EMPTY_STRING: 'empty_string',
+  OUT_OF_RANGE: 'out_of_range',
+  NOT_INTEGER: 'not_integer',
+  INVALID_ENUM: 'invalid_enum',
+  INVALID_PATTERN: 'invalid_pattern',
+  DUPLICATE_ID: 'duplicate_id',
+  TOO_MANY_ITEMS: 'too_many_items',
+  TOO_FEW_ITEMS: 'too_few_items',
+  INVALID_ARGS: 'invalid_args',
+  UNKNOWN_REFERENCE: 'unknown_reference',
+  DEPENDENCY_CYCLE: 'dependency_cycle'
+});
+
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {string} path - JSON path of the offending value, e.g. `$.sideQuests[2].complexity`
+ * @property {string} code - Machine-readable code from ValidationIssueCode
+ * @property {string} message - Human-readable explanation
+ * @property {*} expected - What the contract requires at this path
+ * @property {*} actual - JSON-safe description of the value that was found
+ */
+
+export function joinPath(path, key) {
+  return typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`;
+}
+
+export function describeActual(value) {
+  if (value === undefined) return 'undefined';
+  if (value === null) return null;
+  if (Array.isArray(value)) return `array(${value.length})`;
+  if (typeof value === 'object') return 'object';
+  if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+  if (typeof value === 'function') return 'function';
+  return value;
+}
+
+export function createValidationIssue(path, code, message, expected, actual) {
+  return {
+    path,
+    code,
+    message,
+    expected,
+    actual: describeActual(actual)
+  };
+}
+
+export function isPlainObject(value) {
+  return Boolean(value && typeof value === 'object' && !Array.isArray(value));
+}
+
+/**
+ * Push an issue unless `value` is a plain object; then report unknown keys.
+ * @returns {boolean} Whether nested checks can safely descend into `value`
+ */
+export function checkClosedObject(issues, value, path, allowedKeys) {
+  if (!isPlainObject(value)) {
+    issues.push(createValidationIssue(path, ValidationIssueCode.INVALID_TYPE, 'Expected an object', 'object', value));
+    return false;
+  }
+
+  if (allowedKeys) {
+    for (const key of Object.keys(value)) {
+      if (!allowedKeys.includes(key)) {
+        issues.push(createValidationIssue(joinPath(path, key), ValidationIssueCode.UNKNOWN_KEY, `Unexpected key "${key}"`, allowedKeys, value[key]));
+      }
+    }
+  }
+
+  return true;
+}
+
+export function checkRequiredKey(issues, value, path, key) {
+  if (Object.prototype.hasOwnProperty.call(value, key)) return true;
+  issues.push(createValidationIssue(joinPath(path, key), ValidationIssueCode.REQUIRED, `Missing required key "${key}"`, 'present', undefined));
+  return false;
+}
+
+export function checkNonEmptyString(issues, value, path) {
+  if (typeof value !== 'string') {
+    issues.push(createValidationIssue(path, ValidationIssueCode.INVALID_TYPE, 'Expected a non-empty string', 'string', value));
+    return false;
+  }
+  if (value.length === 0) {
+    issues.push(createValidationIssue(path, ValidationIssueCode.EMPTY_STRING, 'Expected a non-empty string', 'non-empty string', value));
+    return false;
+  }
+  return true;
+}
+
+export function checkFiniteNumber(issues, value, path, min = Number.NEGATIVE_INFINITY, max = Number.POSITIVE_INFINITY) {
+  const expected = `finite number in [${min}, ${max}]`;
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    issues.push(createValidationIssue(path, ValidationIssueCode.INVALID_TYPE, 'Expected a finite number', expected, value));
+    return false;
+  }
+  if (value < min || value > max) {
+    issues.push(createValidationIssue(path, ValidationIssueCode.OUT_OF_RANGE, `Expected a number in [${min}, ${max}]`, expected, value));
+    return false;
+  }
+  return true;
+}
+
+export function checkInteger(issues, value, path, min = 0) {
+  if (!Number.isInteger(value)) {
+    issues.push(createValidationIssue(path, ValidationIssueCode.NOT_INTEGER, 'Expected an integer', `integer >= ${min}`, value));
+    return false;
+  }
+  if (value < min) {
+    issues.push(createValidationIssue(path, ValidationIssueCode.OUT_OF_RANGE, `Expected an integer >= ${min}`, `integer >= ${min}`, value));
+    return false;
+  }
+  return true;
+}
+
+export function checkEnum(issues, value, path, allowedValues) {
+  if (allowedValues.includes(value)) return true;
+  issues.push(createValidationIssue(path, ValidationIssueCode.INVALID_ENUM, `Expected one of ${allowedValues.join(', ')}`, allowedValues, value));
+  return false;
+}
+
+/**
+ * Push an issue unless `value` is an array within `maxItems`.
+ * @returns {boolean} Whether nested checks can safely iterate `value`
+ */
+export function checkBoundedArray(issues, value, path, maxItems = Number.POSITIVE_INFINITY) {
+  if (!Array.isArray(value)) {
+    issues.push(createValidationIssue(path, ValidationIssueCode.INVALID_TYPE, 'Expected an array', 'array', value));
+    return false;
+  }
+  if (value.length > maxItems) {
+    issues.push(createValidationIssue(path, ValidationIssueCode.TOO_MANY_ITEMS, `Expected at most ${maxItems} items`, `<= ${maxItems} items`, value));
+  }
+  return true;
+}
+
+export function checkUniqueIds(issues, items, path, idKey = 'id') {
+  const seenIds = new Set();
+
+  items.forEach((item, index) => {
+    const id = item?.[idKey];
+    if (typeof id !== 'string') return;
+    if (seenIds.has(id)) {
+      issues.push(createValidationIssue(joinPath(joinPath(path, index), idKey), ValidationIssueCode.DUPLICATE_ID, `Duplicate ${idKey} "${id}"`, 'unique id', id));
+    }
+    seenIds.add(id);
+  });
+}
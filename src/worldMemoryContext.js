@@ -7,7 +7,7 @@ export const MaxWorldMemoryHistoryRecords = 5;
 export const MaxWorldMemoryKeyActors = 8;
 export const MaxWorldMemoryTownIdentityTags = 12;
 export const MaxWorldMemoryKeyActorRoleRepresentatives = 2;
-const worldMemoryActorRoleOrder = Object.freeze(['mayor', 'captain', 'warden', 'townsfolk']);
+const worldMemoryActorRoleOrder = Object.freeze(['mayor', 'captain', 'warden', 'treasurer', 'cleric', 'diplomat', 'townsfolk']);
 
 function hasOwn(value, key) {
   return Object.prototype.hasOwnProperty.call(value, key);
@@ -0,0 +1,55 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import {
+  captainProfile,
+  clericProfile,
+  diplomatProfile,
+  getGoalWeight,
+  isValidProfile,
+  mayorProfile,
+  Roles,
+  treasurerProfile,
+  wardenProfile
+} from '../src/agentProfiles.js';
+
+const builtinProfiles = [mayorProfile, captainProfile, wardenProfile, treasurerProfile, clericProfile, diplomatProfile];
+
+function traitRange(traitName) {
+  const values = builtinProfiles.map(profile => profile.traits[traitName]);
+  return { min: Math.min(...values), max: Math.max(...values) };
+}
+
+describe('Agent Profiles', () => {
+  it('should ship one valid builtin profile per role', () => {
+    assert(builtinProfiles.every(isValidProfile));
+    assert.deepStrictEqual(builtinProfiles.map(profile => profile.role), Object.values(Roles));
+    assert.strictEqual(new Set(builtinProfiles.map(profile => profile.id)).size, builtinProfiles.length);
+  });
+
+  it('should make the treasurer a pragmatic, cautious steward of the budget', () => {
+    const { traits, goals } = treasurerProfile;
+
+    assert.strictEqual(traits.pragmatism, traitRange('pragmatism').max);
+    assert.strictEqual(traits.courage, traitRange('courage').min);
+    assert(traits.prudence > traits.courage);
+    assert.deepStrictEqual(['balanceBudget', 'fundTrade', 'buildReserves'].map(goal => getGoalWeight(goals, goal)), [1, 1, 1]);
+  });
+
+  it('should make the cleric a courageous voice who puts spirit before practicality', () => {
+    const { traits, goals } = clericProfile;
+
+    assert.strictEqual(traits.pragmatism, traitRange('pragmatism').min);
+    assert(traits.courage > traits.prudence);
+    assert(traits.courage > traits.pragmatism);
+    assert.deepStrictEqual(['easeDread', 'restoreHope', 'keepVigils'].map(goal => getGoalWeight(goals, goal)), [1, 1, 1]);
+  });
+
+  it('should make the diplomat a prudent negotiator with standing to speak for the town', () => {
+    const { traits, goals } = diplomatProfile;
+
+    assert(traits.prudence > traits.courage);
+    assert(traits.authority > traitRange('authority').min);
+    assert(traits.pragmatism >= 0.7);
+    assert.deepStrictEqual(['keepPeace', 'openTradeRoutes', 'honorAlliances'].map(goal => getGoalWeight(goals, goal)), [1, 1, 1]);
+  });
+});
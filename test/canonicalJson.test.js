@@ -0,0 +1,19 @@
+import assert from 'assert';
+import { createHash } from 'crypto';
+import { describe, it } from 'node:test';
+import { hashValue, stableStringify } from '../src/canonicalJson.js';
+
+describe('Canonical JSON', () => {
+  it('should serialize objects with sorted keys and without undefined members', () => {
+    assert.strictEqual(stableStringify({ b: [2, { d: null, c: 'x' }], a: 1, skip: undefined }), '{"a":1,"b":[2,{"c":"x","d":null}]}');
+    assert.strictEqual(stableStringify({ a: 1, b: 2 }), stableStringify({ b: 2, a: 1 }));
+    assert.strictEqual(stableStringify('text'), '"text"');
+  });
+
+  it('should hash the canonical serialization with sha256', () => {
+    const value = { townId: 'town-1', day: 3 };
+
+    assert.strictEqual(hashValue(value), createHash('sha256').update('{"day":3,"townId":"town-1"}').digest('hex'));
+    assert.strictEqual(hashValue(value), hashValue({ day: 3, townId: 'town-1' }));
+  });
+});
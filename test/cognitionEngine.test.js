@@ -0,0 +1,236 @@
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'url';
+import { captainProfile, mayorProfile, Roles } from '../src/agentProfiles.js';
+import { createCognitionEngine } from '../src/cognitionEngine.js';
+import { CouncilPolicy, isValidCouncilDecision } from '../src/councilArbitration.js';
+import { inspectDecision } from '../src/decisionInspection.js';
+import { createExecutionHandoff, isValidExecutionHandoff, isValidExecutionResult } from '../src/executionHandoff.js';
+import {
+  evaluatorRegistry,
+  getEvaluatorDefinition,
+  getRoleEvaluators,
+  isValidEvaluatorDefinition,
+  isValidEvaluatorRegistry,
+  listEvaluatorIds
+} from '../src/evaluatorRegistry.js';
+import { evaluateGovernanceCandidates } from '../src/heuristics.js';
+import { isValidProposal } from '../src/proposalDsl.js';
+import { listProposalTypes } from '../src/proposalRegistry.js';
+import { propose } from '../src/propose.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+function readFixture(filename) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', filename), 'utf8'));
+}
+
+const stableMayor = { ...mayorProfile, townId: 'town-stable' };
+
+function readStableCouncil() {
+  const council = readFixture('townCouncil.json');
+  return { ...council, townId: 'town-stable', members: council.members.map(member => ({ ...member, townId: 'town-stable' })) };
+}
+
+const festivalType = {
+  type: 'HARVEST_FESTIVAL',
+  order: 7,
+  validateArgs: args => Boolean(args && Object.keys(args).length === 1 && typeof args.theme === 'string'),
+  argsSchema: {
+    type: 'object',
+    properties: { theme: { type: 'string' } },
+    required: ['theme'],
+    additionalProperties: false
+  },
+  buildProposal: ({ targetId }) => ({
+    args: { theme: targetId },
+    reason: `Hope is steady; a ${targetId} festival would lift it further.`
+  }),
+  toCommand: ({ townId, args }) => `festival hold ${townId} ${args.theme}`
+};
+
+const festivalEvaluator = {
+  id: 'harvest-festival',
+  roles: [Roles.MAYOR],
+  proposalType: 'HARVEST_FESTIVAL',
+  evaluate: snapshot => ({
+    score: snapshot.pressure.hope >= 0.5 ? 0.99 : 0,
+    targetId: 'harvest',
+    reasonTags: ['hope_steady']
+  })
+};
+
+describe('Evaluator Registry', () => {
+  it('should give every role a fallback evaluator', () => {
+    assert.strictEqual(isValidEvaluatorRegistry(), true);
+    assert.ok(Object.isFrozen(evaluatorRegistry));
+    for (const role of Object.values(Roles)) {
+      const evaluators = getRoleEvaluators(role);
+      assert.ok(evaluators.some(evaluator => evaluator.fallback), role);
+      assert.ok(evaluators.every(evaluator => listProposalTypes().includes(evaluator.proposalType)));
+    }
+  });
+
+  it('should look evaluators up by id', () => {
+    assert.strictEqual(new Set(listEvaluatorIds()).size, evaluatorRegistry.length);
+    assert.strictEqual(getEvaluatorDefinition('townsfolk-talk').proposalType, 'TOWNSFOLK_TALK');
+    assert.strictEqual(getEvaluatorDefinition('harvest-festival'), null);
+    assert.strictEqual(getEvaluatorDefinition('harvest-festival', [festivalEvaluator]), festivalEvaluator);
+  });
+
+  it('should reject malformed definitions and registries', () => {
+    const withTypes = [...listProposalTypes(), 'HARVEST_FESTIVAL'];
+
+    assert.strictEqual(isValidEvaluatorDefinition(festivalEvaluator, withTypes), true);
+    assert.strictEqual(isValidEvaluatorDefinition(festivalEvaluator), false);
+    assert.strictEqual(isValidEvaluatorDefinition({ ...festivalEvaluator, roles: ['jester'] }, withTypes), false);
+    assert.strictEqual(isValidEvaluatorDefinition({ ...festivalEvaluator, roles: [] }, withTypes), false);
+    assert.strictEqual(isValidEvaluatorDefinition({ ...festivalEvaluator, evaluate: 0.5 }, withTypes), false);
+    assert.strictEqual(isValidEvaluatorDefinition({ ...festivalEvaluator, fallback: 'yes' }, withTypes), false);
+
+    assert.strictEqual(isValidEvaluatorRegistry([...evaluatorRegistry, { ...festivalEvaluator, id: 'townsfolk-talk' }], withTypes), false);
+    assert.strictEqual(isValidEvaluatorRegistry(evaluatorRegistry.filter(evaluator => !evaluator.fallback)), false);
+    assert.strictEqual(isValidEvaluatorRegistry([]), false);
+  });
+});
+
+describe('Cognition Engine', () => {
+  it('should match the builtin cognition without extensions', () => {
+    const engine = createCognitionEngine();
+    const snapshot = readFixture('crisisSnapshot.json');
+
+    assert.strictEqual(engine.evaluatorRegistry.length, evaluatorRegistry.length);
+    assert.deepStrictEqual(engine.propose(snapshot, captainProfile), propose(snapshot, captainProfile));
+    assert.deepStrictEqual(engine.evaluateCandidates(snapshot, captainProfile), evaluateGovernanceCandidates(snapshot, captainProfile));
+  });
+
+  it('should propose and map a third-party proposal type', () => {
+    const engine = createCognitionEngine({ evaluators: [festivalEvaluator], proposalTypes: [festivalType] });
+    const snapshot = readFixture('stableSnapshot.json');
+    const proposal = engine.propose(snapshot, stableMayor);
+
+    assert.strictEqual(engine.evaluateCandidates(snapshot, stableMayor)[0].type, 'HARVEST_FESTIVAL');
+    assert.strictEqual(proposal.type, 'HARVEST_FESTIVAL');
+    assert.deepStrictEqual(proposal.args, { theme: 'harvest' });
+    assert.deepStrictEqual(proposal.reasonTags, ['hope_steady']);
+    assert.strictEqual(engine.isValidProposal(proposal), true);
+    assert.strictEqual(isValidProposal(proposal), false);
+    assert.strictEqual(engine.proposalToCommand(proposal), 'festival hold town-stable harvest');
+    assert.throws(() => engine.proposalToCommand({ ...proposal, args: {} }), /Invalid proposal envelope/);
+
+    // Roles the evaluator does not declare never see the custom type.
+    assert.ok(engine.evaluateCandidates(readFixture('crisisSnapshot.json'), captainProfile)
+      .every(candidate => candidate.type !== 'HARVEST_FESTIVAL'));
+  });
+
+  it('should leave the builtin registries untouched', () => {
+    createCognitionEngine({ evaluators: [festivalEvaluator], proposalTypes: [festivalType] });
+    const snapshot = readFixture('stableSnapshot.json');
+
+    assert.strictEqual(getEvaluatorDefinition('harvest-festival'), null);
+    assert.strictEqual(listProposalTypes().includes('HARVEST_FESTIVAL'), false);
+    assert.notStrictEqual(propose(snapshot, stableMayor).type, 'HARVEST_FESTIVAL');
+  });
+
+  it('should inspect decisions and run councils over the engine registries', () => {
+    const engine = createCognitionEngine({ evaluators: [festivalEvaluator], proposalTypes: [festivalType] });
+    const snapshot = readFixture('stableSnapshot.json');
+    const council = readStableCouncil();
+
+    const report = engine.inspectDecision(snapshot, stableMayor);
+    assert.strictEqual(report.candidates[0].type, 'HARVEST_FESTIVAL');
+    assert.deepStrictEqual(report.selectedProposal, engine.propose(snapshot, stableMayor));
+    assert.strictEqual(report.command, 'festival hold town-stable harvest');
+    assert.notStrictEqual(inspectDecision(snapshot, stableMayor).selectedProposal.type, 'HARVEST_FESTIVAL');
+
+    const proposals = engine.proposeForCouncil(snapshot, council).proposals;
+    assert.strictEqual(proposals.find(entry => entry.memberId === 'mayor-1').proposal.type, 'HARVEST_FESTIVAL');
+
+    const decision = engine.arbitrateCouncil(snapshot, council, {}, { policy: CouncilPolicy.PRIORITY_MAX });
+    assert.strictEqual(decision.selected.type, 'HARVEST_FESTIVAL');
+    assert.strictEqual(decision.selected.actorId, 'mayor-1');
+    assert.strictEqual(engine.isValidProposal(decision.proposal), true);
+  });
+
+  it('should carry custom proposals and council decisions through to execution handoff', () => {
+    const engine = createCognitionEngine({ evaluators: [festivalEvaluator], proposalTypes: [festivalType] });
+    const snapshot = readFixture('stableSnapshot.json');
+    const proposal = engine.propose(snapshot, stableMayor);
+    const command = engine.proposalToCommand(proposal);
+
+    const handoff = engine.createExecutionHandoff(proposal, command);
+    assert.strictEqual(handoff.command, 'festival hold town-stable harvest');
+    assert.deepStrictEqual(engine.createExecutionHandoff(proposal), handoff);
+    assert.strictEqual(engine.isValidExecutionHandoff(handoff), true);
+    assert.strictEqual(isValidExecutionHandoff(handoff), false);
+    assert.throws(() => createExecutionHandoff(proposal, command), /Invalid proposal envelope/);
+    assert.throws(() => engine.createExecutionHandoff(proposal, 'festival hold town-stable other'), /Command does not match proposal mapping/);
+
+    const result = engine.createExecutionResult(handoff, { status: 'executed', accepted: true, executed: true, reasonCode: 'EXECUTED' });
+    assert.strictEqual(result.handoffId, handoff.handoffId);
+    assert.strictEqual(isValidExecutionResult(result), true);
+
+    const decision = engine.arbitrateCouncil(snapshot, readStableCouncil(), {}, { policy: CouncilPolicy.PRIORITY_MAX });
+    assert.strictEqual(engine.isValidCouncilDecision(decision), true);
+    assert.strictEqual(isValidCouncilDecision(decision), false);
+    assert.throws(() => createExecutionHandoff(decision), /Invalid council decision/);
+
+    const decisionHandoff = engine.createExecutionHandoff(decision);
+    assert.deepStrictEqual(decisionHandoff.proposal, decision.proposal);
+    assert.strictEqual(decisionHandoff.command, engine.proposalToCommand(decision.proposal));
+    assert.strictEqual(engine.isValidExecutionHandoff(decisionHandoff), true);
+  });
+
+  it('should reject third-party scores outside [0, 1] by evaluator id', () => {
+    const snapshot = readFixture('stableSnapshot.json');
+    for (const score of [1.5, -0.1, Number.NaN, Infinity, '0.5', undefined]) {
+      const engine = createCognitionEngine({
+        evaluators: [{ ...festivalEvaluator, evaluate: () => ({ score, targetId: 'harvest', reasonTags: [] }) }],
+        proposalTypes: [festivalType]
+      });
+      assert.throws(() => engine.evaluateCandidates(snapshot, stableMayor), /Invalid score from evaluator harvest-festival/, String(score));
+      assert.throws(() => engine.propose(snapshot, stableMayor), /Invalid score from evaluator harvest-festival/);
+    }
+
+    const silent = createCognitionEngine({ evaluators: [{ ...festivalEvaluator, evaluate: () => null }], proposalTypes: [festivalType] });
+    assert.throws(() => silent.inspectDecision(snapshot, stableMayor), /Invalid score from evaluator harvest-festival/);
+  });
+
+  it('should reject malformed third-party results by evaluator id', () => {
+    const snapshot = readFixture('stableSnapshot.json');
+    const valid = { score: 0.9, targetId: 'harvest', reasonTags: ['hope_steady'] };
+    const malformed = [
+      { ...valid, reasonTags: 'hope_steady' },
+      { ...valid, reasonTags: [''] },
+      { ...valid, targetId: 7 },
+      { ...valid, targetId: '' },
+      { ...valid, audience: { kind: 'crowd', id: 'all' } },
+      { ...valid, breakdown: { base: 0.9 } },
+      { ...valid, breakdown: [{ name: 'base', value: '0.9' }] },
+      { ...valid, breakdown: [{ value: 0.9 }] }
+    ];
+
+    for (const result of malformed) {
+      const engine = createCognitionEngine({ evaluators: [{ ...festivalEvaluator, evaluate: () => result }], proposalTypes: [festivalType] });
+      assert.throws(() => engine.evaluateCandidates(snapshot, stableMayor), /Invalid result from evaluator harvest-festival/, JSON.stringify(result));
+      assert.throws(() => engine.propose(snapshot, stableMayor), /Invalid result from evaluator harvest-festival/);
+    }
+
+    const minimal = createCognitionEngine({ evaluators: [{ ...festivalEvaluator, evaluate: () => ({ score: 0.99 }) }], proposalTypes: [festivalType] });
+    assert.deepStrictEqual(minimal.evaluateCandidates(snapshot, stableMayor)[0].breakdown, [{ name: 'score', value: 0.99 }]);
+  });
+
+  it('should reject invalid extensions', () => {
+    assert.throws(() => createCognitionEngine({ evaluators: [festivalEvaluator] }), /Invalid evaluator registry/);
+    assert.throws(() => createCognitionEngine({ proposalTypes: [{ ...festivalType, order: 6 }] }), /Invalid proposal registry/);
+    assert.throws(() => createCognitionEngine({ proposalTypes: [{ ...festivalType, type: 'TOWNSFOLK_TALK', order: 7 }] }), /Invalid proposal registry/);
+    assert.throws(() => createCognitionEngine({ evaluators: festivalEvaluator }), /Invalid evaluator registry/);
+    assert.throws(
+      () => createCognitionEngine({ evaluators: [{ ...festivalEvaluator, roles: ['jester'] }], proposalTypes: [festivalType] }),
+      /Invalid evaluator registry/
+    );
+  });
+});
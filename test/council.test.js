@@ -0,0 +1,134 @@
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'url';
+import {
+  checkCouncilProposals,
+  CouncilCheckCode,
+  isValidCouncil,
+  MaxCouncilMembers,
+  proposeForCouncil,
+  validateCouncil
+} from '../src/council.js';
+import { isValidProposal } from '../src/proposalDsl.js';
+import { propose } from '../src/propose.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+function readFixture(filename) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', filename), 'utf8'));
+}
+
+function withMembers(council, ...extraMembers) {
+  return { ...council, members: [...council.members, ...extraMembers] };
+}
+
+describe('Council', () => {
+  it('should return one proposal per member in roster order', () => {
+    const snapshot = readFixture('crisisSnapshot.json');
+    const council = readFixture('townCouncil.json');
+    const result = proposeForCouncil(snapshot, council);
+
+    assert.strictEqual(result.schemaVersion, 'council-proposals.v1');
+    assert.strictEqual(result.townId, 'town-1');
+    assert.strictEqual(result.decisionEpoch, snapshot.day);
+    assert.deepStrictEqual(result.proposals.map(entry => [entry.memberId, entry.role]), [
+      ['mayor-1', 'mayor'],
+      ['captain-1', 'captain'],
+      ['warden-1', 'warden']
+    ]);
+    result.proposals.forEach((entry, index) => {
+      assert.ok(isValidProposal(entry.proposal));
+      assert.deepStrictEqual(entry.proposal, propose(snapshot, council.members[index]));
+    });
+    assert.deepStrictEqual(result.checks, []);
+    assert.deepStrictEqual(proposeForCouncil(structuredClone(snapshot), structuredClone(council)), result);
+  });
+
+  it('should pass each member its own anti-repeat memory', () => {
+    const snapshot = readFixture('crisisSnapshot.json');
+    const council = readFixture('townCouncil.json');
+    const captainMemory = { lastType: 'PROJECT_ADVANCE', lastTarget: 'wall-north', repeatCount: 3 };
+    const result = proposeForCouncil(snapshot, council, { 'captain-1': captainMemory });
+
+    assert.deepStrictEqual(result.proposals[1].proposal, propose(snapshot, council.members[1], captainMemory));
+    assert.deepStrictEqual(result.proposals[0].proposal, propose(snapshot, council.members[0]));
+  });
+
+  it('should flag duplicate targets across members', () => {
+    const snapshot = readFixture('crisisSnapshot.json');
+    const council = readFixture('townCouncil.json');
+    const result = proposeForCouncil(snapshot, withMembers(council, { ...council.members[1], id: 'captain-2' }));
+
+    assert.deepStrictEqual(result.checks, [{
+      code: CouncilCheckCode.DUPLICATE_TARGET,
+      message: 'Members propose the same action on project wall-north',
+      memberIds: ['captain-1', 'captain-2'],
+      target: { kind: 'project', id: 'wall-north' },
+      proposalTypes: ['PROJECT_ADVANCE']
+    }]);
+  });
+
+  it('should flag members from another town without proposing for them', () => {
+    const snapshot = readFixture('crisisSnapshot.json');
+    const council = readFixture('townCouncil.json');
+    const visitor = { ...council.members[0], id: 'mayor-visiting', townId: 'town-2' };
+    const result = proposeForCouncil(snapshot, withMembers(council, visitor));
+
+    assert.deepStrictEqual(result.proposals[3], { memberId: 'mayor-visiting', role: 'mayor', proposal: null });
+    assert.deepStrictEqual(result.checks.map(check => [check.code, check.memberIds]), [
+      [CouncilCheckCode.FOREIGN_MEMBER, ['mayor-visiting']]
+    ]);
+  });
+
+  it('should flag different actions on the same project', () => {
+    const snapshot = readFixture('crisisSnapshot.json');
+    const council = readFixture('townCouncil.json');
+    const advance = proposeForCouncil(snapshot, council).proposals[1].proposal;
+    const dismantle = { ...advance, type: 'PROJECT_DISMANTLE', actorId: 'warden-1' };
+
+    assert.deepStrictEqual(checkCouncilProposals([
+      { memberId: 'captain-1', proposal: advance },
+      { memberId: 'warden-1', proposal: dismantle },
+      { memberId: 'mayor-1', proposal: null }
+    ]), [{
+      code: CouncilCheckCode.CONFLICTING_PROJECT_ACTIONS,
+      message: 'Members propose different actions on project wall-north',
+      memberIds: ['captain-1', 'warden-1'],
+      target: { kind: 'project', id: 'wall-north' },
+      proposalTypes: ['PROJECT_ADVANCE', 'PROJECT_DISMANTLE']
+    }]);
+  });
+
+  it('should validate the roster by path', () => {
+    const council = readFixture('townCouncil.json');
+    assert.deepStrictEqual(validateCouncil(council), []);
+
+    const broken = withMembers(
+      { ...council, schemaVersion: 'council.v0', chair: 'mayor-1' },
+      { ...council.members[0], traits: { ...council.members[0].traits, courage: 2 } }
+    );
+    assert.deepStrictEqual(validateCouncil(broken).map(issue => [issue.path, issue.code]), [
+      ['$.chair', 'unknown_key'],
+      ['$.schemaVersion', 'invalid_schema_version'],
+      ['$.members[3].traits.courage', 'out_of_range'],
+      ['$.members[3].id', 'duplicate_id']
+    ]);
+    assert.strictEqual(isValidCouncil({ ...council, members: [] }), false);
+    assert.strictEqual(
+      isValidCouncil({ ...council, members: Array.from({ length: MaxCouncilMembers + 1 }, (_, index) => ({ ...council.members[0], id: `mayor-${index}` })) }),
+      false
+    );
+  });
+
+  it('should reject invalid inputs and councils for another town', () => {
+    const snapshot = readFixture('crisisSnapshot.json');
+    const council = readFixture('townCouncil.json');
+
+    assert.throws(() => proposeForCouncil({ ...snapshot, day: -1 }, council), /Invalid snapshot structure/);
+    assert.throws(() => proposeForCouncil(snapshot, { ...council, members: [] }), /Invalid council structure/);
+    assert.throws(() => proposeForCouncil(snapshot, { ...council, townId: 'town-2' }), /Snapshot and council townId mismatch/);
+  });
+});
@@ -0,0 +1,162 @@
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'url';
+import { arbitrateCouncil, CouncilPolicy, isValidCouncilDecision } from '../src/councilArbitration.js';
+import { createExecutionHandoff, isValidExecutionHandoff } from '../src/executionHandoff.js';
+import { evaluateGovernanceCandidates } from '../src/heuristics.js';
+import { isValidProposal } from '../src/proposalDsl.js';
+import { propose, proposeCandidate } from '../src/propose.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+function readFixture(filename) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', filename), 'utf8'));
+}
+
+describe('Council Arbitration', () => {
+  it('should select the top pick with the most authority under authority-vote', () => {
+    const snapshot = readFixture('crisisSnapshot.json');
+    const council = readFixture('townCouncil.json');
+    const decision = arbitrateCouncil(snapshot, council);
+
+    assert.strictEqual(decision.schemaVersion, 'council-decision.v1');
+    assert.match(decision.decisionId, /^decision_[0-9a-f]{64}$/);
+    assert.strictEqual(decision.policy, CouncilPolicy.AUTHORITY_VOTE);
+    assert.strictEqual(decision.townId, 'town-1');
+    assert.strictEqual(decision.decisionEpoch, snapshot.day);
+    assert.deepStrictEqual(decision.selected, {
+      type: 'TOWNSFOLK_TALK',
+      targetId: 'morale-boost',
+      score: 0.9,
+      memberIds: ['captain-1', 'mayor-1', 'warden-1'],
+      actorId: 'mayor-1'
+    });
+    assert.deepStrictEqual(decision.runnerUp, {
+      type: 'PROJECT_ADVANCE',
+      targetId: 'wall-north',
+      score: 0.7,
+      memberIds: ['captain-1']
+    });
+    assert.deepStrictEqual(decision.proposal, propose(snapshot, council.members[0]));
+    assert.ok(isValidCouncilDecision(decision));
+  });
+
+  it('should record dissent from every member whose top pick lost', () => {
+    const snapshot = readFixture('crisisSnapshot.json');
+    const decision = arbitrateCouncil(snapshot, readFixture('townCouncil.json'));
+
+    assert.deepStrictEqual(decision.dissent, [
+      { memberId: 'captain-1', role: 'captain', type: 'PROJECT_ADVANCE', targetId: 'wall-north', priority: 1 },
+      { memberId: 'warden-1', role: 'warden', type: 'SALVAGE_PLAN', targetId: 'dread', priority: 0.933 }
+    ]);
+  });
+
+  it('should select the highest priority from any member under priority-max', () => {
+    const snapshot = readFixture('crisisSnapshot.json');
+    const council = readFixture('townCouncil.json');
+    const decision = arbitrateCouncil(snapshot, council, {}, { policy: CouncilPolicy.PRIORITY_MAX });
+
+    assert.strictEqual(decision.selected.type, 'PROJECT_ADVANCE');
+    assert.strictEqual(decision.selected.actorId, 'captain-1');
+    assert.strictEqual(decision.selected.score, 1);
+    assert.deepStrictEqual(decision.runnerUp, { type: 'SALVAGE_PLAN', targetId: 'dread', score: 0.933, memberIds: ['warden-1'] });
+    assert.deepStrictEqual(decision.proposal, propose(snapshot, council.members[1]));
+    assert.deepStrictEqual(decision.dissent.map(entry => entry.memberId), ['mayor-1', 'warden-1']);
+  });
+
+  it('should rotate the turn member by epoch under round-robin', () => {
+    const snapshot = readFixture('crisisSnapshot.json');
+    const council = readFixture('townCouncil.json');
+    const options = { policy: CouncilPolicy.ROUND_ROBIN };
+    // Turn order is captain-1, mayor-1, warden-1; day 42 starts at index 0.
+    const turns = [42, 43, 44, 45].map(day => arbitrateCouncil({ ...snapshot, day }, council, {}, options));
+
+    assert.deepStrictEqual(turns.map(decision => decision.selected.actorId), ['captain-1', 'mayor-1', 'warden-1', 'captain-1']);
+    assert.deepStrictEqual(turns.map(decision => decision.selected.type), [
+      'PROJECT_ADVANCE',
+      'TOWNSFOLK_TALK',
+      'SALVAGE_PLAN',
+      'PROJECT_ADVANCE'
+    ]);
+    assert.deepStrictEqual(turns[0].runnerUp.type, 'TOWNSFOLK_TALK');
+    assert.ok(turns.every(decision => isValidCouncilDecision(decision)));
+  });
+
+  it('should accept a plain list of profiles and pass each member its own memory', () => {
+    const snapshot = readFixture('crisisSnapshot.json');
+    const council = readFixture('townCouncil.json');
+    const captainMemory = { lastType: 'PROJECT_ADVANCE', lastTarget: 'wall-north', repeatCount: 3 };
+    const options = { policy: CouncilPolicy.PRIORITY_MAX };
+    const decision = arbitrateCouncil(snapshot, council.members, { 'captain-1': captainMemory }, options);
+    const captainCandidates = evaluateGovernanceCandidates(snapshot, council.members[1], captainMemory);
+
+    assert.deepStrictEqual(decision, arbitrateCouncil(snapshot, council, { 'captain-1': captainMemory }, options));
+    assert.strictEqual(decision.dissent.find(entry => entry.memberId === 'captain-1')?.priority, captainCandidates[0].priority);
+  });
+
+  it('should exclude members from another town', () => {
+    const snapshot = readFixture('crisisSnapshot.json');
+    const council = readFixture('townCouncil.json');
+    const visitor = { ...council.members[1], id: 'captain-2', townId: 'town-2' };
+    const decision = arbitrateCouncil(snapshot, { ...council, members: [...council.members, visitor] });
+
+    assert.deepStrictEqual(decision.excludedMemberIds, ['captain-2']);
+    assert.deepStrictEqual(decision.selected.memberIds, ['captain-1', 'mayor-1', 'warden-1']);
+    assert.ok(decision.dissent.every(entry => entry.memberId !== 'captain-2'));
+  });
+
+  it('should hand the selected proposal to createExecutionHandoff', () => {
+    const snapshot = readFixture('crisisSnapshot.json');
+    const decision = arbitrateCouncil(snapshot, readFixture('townCouncil.json'), {}, { policy: CouncilPolicy.PRIORITY_MAX });
+    const handoff = createExecutionHandoff(decision);
+
+    assert.ok(isValidExecutionHandoff(handoff));
+    assert.deepStrictEqual(handoff, createExecutionHandoff(decision.proposal));
+    assert.strictEqual(handoff.command, 'project advance town-1 wall-north');
+    assert.throws(
+      () => createExecutionHandoff({ ...decision, policy: CouncilPolicy.ROUND_ROBIN }),
+      /Invalid council decision/
+    );
+  });
+
+  it('should be deterministic', () => {
+    const snapshot = readFixture('crisisSnapshot.json');
+    const council = readFixture('townCouncil.json');
+
+    for (const policy of Object.values(CouncilPolicy)) {
+      const decision = arbitrateCouncil(snapshot, council, {}, { policy });
+      const reversed = { ...council, members: [...council.members].reverse() };
+      assert.deepStrictEqual(arbitrateCouncil(structuredClone(snapshot), structuredClone(council), {}, { policy }), decision);
+      assert.strictEqual(arbitrateCouncil(snapshot, reversed, {}, { policy }).selected.actorId, decision.selected.actorId);
+    }
+  });
+
+  it('should reject tampered decisions', () => {
+    const snapshot = readFixture('crisisSnapshot.json');
+    const council = readFixture('townCouncil.json');
+    const decision = arbitrateCouncil(snapshot, council);
+    const otherProposal = proposeCandidate(snapshot, council.members[1], evaluateGovernanceCandidates(snapshot, council.members[1])[0]);
+
+    assert.ok(isValidProposal(otherProposal));
+    assert.strictEqual(isValidCouncilDecision({ ...decision, proposal: otherProposal }), false);
+    assert.strictEqual(isValidCouncilDecision({ ...decision, runnerUp: null }), false);
+    assert.strictEqual(isValidCouncilDecision({ ...decision, decisionId: 'decision_1' }), false);
+    assert.strictEqual(isValidCouncilDecision({ ...decision, policy: 'coin-flip' }), false);
+    assert.strictEqual(isValidCouncilDecision(null), false);
+  });
+
+  it('should reject invalid inputs', () => {
+    const snapshot = readFixture('crisisSnapshot.json');
+    const council = readFixture('townCouncil.json');
+    const foreignOnly = { ...council, members: [{ ...council.members[0], townId: 'town-2' }] };
+
+    assert.throws(() => arbitrateCouncil(snapshot, council, {}, { policy: 'coin-flip' }), /Unknown council policy: coin-flip/);
+    assert.throws(() => arbitrateCouncil({}, council), /Invalid snapshot structure/);
+    assert.throws(() => arbitrateCouncil(snapshot, { ...council, members: [] }), /Invalid council structure/);
+    assert.throws(() => arbitrateCouncil({ ...snapshot, townId: 'town-2' }, council), /townId mismatch/);
+    assert.throws(() => arbitrateCouncil(snapshot, foreignOnly), /no members in the snapshot town/);
+  });
+});
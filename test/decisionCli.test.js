@@ -3,6 +3,7 @@ import { describe, it } from 'node:test';
 import { spawnSync } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { SnapshotBounds } from '../src/schemaVersions.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -51,6 +52,7 @@ describe('Decision CLI', () => {
       'candidates',
       'command',
       'input',
+      'provenance',
       'reasoning',
       'schemaVersion',
       'selectedProposal'
@@ -61,6 +63,7 @@ describe('Decision CLI', () => {
     assert(Array.isArray(report.candidates));
     assert(report.candidates.length >= 1);
     assert.deepStrictEqual(Object.keys(report.candidates[0]).sort(), [
+      'breakdown',
       'priority',
       'rank',
       'reasonTags',
@@ -75,6 +78,8 @@ describe('Decision CLI', () => {
     assert.strictEqual(report.reasoning.reason, report.selectedProposal.reason);
     assert.deepStrictEqual(report.reasoning.reasonTags, report.selectedProposal.reasonTags);
     assert.deepStrictEqual(report.reasoning.preconditions, report.selectedProposal.preconditions);
+    assert.deepStrictEqual(report.provenance.bounds, SnapshotBounds);
+    assert.strictEqual('boundsPath' in report.input, false);
   });
 
   it('should accept a profile file input', () => {
@@ -92,6 +97,50 @@ describe('Decision CLI', () => {
     assert.strictEqual(report.selectedProposal.townId, 'town-stable');
   });
 
+  it('should resolve profile templates and report the lineage and resolved hash', () => {
+    const result = runCli([
+      '--snapshot',
+      fixturePath('stableSnapshot.json'),
+      '--profile',
+      fixturePath('cautiousMayorProfile.json')
+    ]);
+
+    assert.strictEqual(result.status, 0);
+    const report = parseJsonOutput(result.stdout);
+    assert.deepStrictEqual(report.input.profile, {
+      kind: 'file',
+      path: fixturePath('cautiousMayorProfile.json'),
+      extends: [fixturePath('customMayorProfile.json')]
+    });
+    assert.strictEqual(report.selectedProposal.actorId, 'mayor-cautious');
+    assert.match(report.provenance.profileHash, /^[0-9a-f]{64}$/);
+
+    const base = parseJsonOutput(runCli([
+      '--snapshot',
+      fixturePath('stableSnapshot.json'),
+      '--profile',
+      fixturePath('customMayorProfile.json')
+    ]).stdout);
+    assert.strictEqual('extends' in base.input.profile, false);
+    assert.notStrictEqual(base.provenance.profileHash, report.provenance.profileHash);
+  });
+
+  it('should reject profile template cycles with a stable error payload', () => {
+    const result = runCli([
+      '--snapshot',
+      fixturePath('stableSnapshot.json'),
+      '--profile',
+      fixturePath('cyclicProfileA.json')
+    ]);
+
+    assert.notStrictEqual(result.status, 0);
+    assert.strictEqual(result.stdout, '');
+    const error = parseJsonOutput(result.stderr);
+    assert.strictEqual(error.error.code, 'INVALID_PROFILE_TEMPLATE');
+    assert.match(error.error.message, /Profile template cycle/);
+    assert.strictEqual(error.error.details.field, 'profile');
+  });
+
   it('should reject malformed snapshot JSON with a stable error payload', () => {
     const result = runCli([
       '--snapshot',
@@ -153,4 +202,132 @@ describe('Decision CLI', () => {
     assert.strictEqual(typeof report.reasoning.reason, 'string');
     assert(Array.isArray(report.reasoning.reasonTags));
   });
+
+  it('should emit a snapshot diff with before and after decisions in --diff mode', () => {
+    const result = runCli([
+      '--snapshot',
+      fixturePath('earlyGameSnapshot.json'),
+      '--diff',
+      fixturePath('crisisSnapshot.json'),
+      '--profile',
+      'warden'
+    ]);
+
+    assert.strictEqual(result.status, 0);
+    assert.strictEqual(result.stderr, '');
+
+    const report = parseJsonOutput(result.stdout);
+
+    assert.strictEqual(report.schemaVersion, 'snapshot-diff.v1');
+    assert(report.changes.some(change => change.type === 'pressure_changed' && change.key === 'threat'));
+    assert(report.changes.some(change => change.type === 'mission_started'));
+    assert.strictEqual(report.decisions.before.command, 'salvage initiate town-1 scarcity');
+    assert.strictEqual(report.decisions.after.command, 'salvage initiate town-1 dread');
+    assert.strictEqual(report.decisions.flipped, true);
+    assert.strictEqual(report.input.profile.name, 'warden');
+  });
+
+  it('should diff without a profile and reject snapshots from different towns', () => {
+    const plain = runCli(['--snapshot', fixturePath('earlyGameSnapshot.json'), '--diff', fixturePath('earlyGameSnapshot.json')]);
+    const mismatch = runCli(['--snapshot', fixturePath('earlyGameSnapshot.json'), '--diff', fixturePath('stableSnapshot.json')]);
+
+    assert.strictEqual(plain.status, 0);
+    const report = parseJsonOutput(plain.stdout);
+    assert.deepStrictEqual(report.changes, []);
+    assert.strictEqual('decisions' in report, false);
+
+    assert.notStrictEqual(mismatch.status, 0);
+    const error = parseJsonOutput(mismatch.stderr);
+    assert.strictEqual(error.schemaVersion, 'snapshot-diff.v1');
+    assert.strictEqual(error.error.code, 'SNAPSHOT_TOWN_MISMATCH');
+  });
+
+  it('should validate against a --bounds file and record the bounds in use', () => {
+    const large = runCli(['--snapshot', fixturePath('stableSnapshot.json'), '--profile', 'captain', '--bounds', fixturePath('largeServerBounds.json')]);
+    const small = runCli(['--snapshot', fixturePath('stableSnapshot.json'), '--profile', 'captain', '--bounds', fixturePath('smallServerBounds.json')]);
+
+    assert.strictEqual(large.status, 0);
+    const report = parseJsonOutput(large.stdout);
+    assert.deepStrictEqual(report.provenance.bounds, { ...SnapshotBounds, maxSideQuests: 500, maxProjects: 500 });
+    assert.strictEqual(report.input.boundsPath, fixturePath('largeServerBounds.json'));
+
+    assert.notStrictEqual(small.status, 0);
+    const error = parseJsonOutput(small.stderr);
+    assert.strictEqual(error.error.code, 'INVALID_SNAPSHOT');
+    assert.deepStrictEqual(error.error.details.issues.map(issue => [issue.path, issue.code]), [['$.projects', 'too_many_items']]);
+  });
+
+  it('should reject an invalid --bounds file before reading the snapshot', () => {
+    const result = runCli(['--snapshot', fixturePath('malformedSnapshot.json'), '--profile', 'mayor', '--bounds', fixturePath('invalidBounds.json')]);
+
+    assert.notStrictEqual(result.status, 0);
+    const error = parseJsonOutput(result.stderr);
+    assert.strictEqual(error.error.code, 'INVALID_BOUNDS');
+    assert.strictEqual(error.error.details.field, 'bounds');
+    assert.deepStrictEqual(error.error.details.issues.map(issue => [issue.path, issue.code]), [
+      ['$.maxPlayers', 'unknown_key'],
+      ['$.maxProjects', 'out_of_range'],
+      ['$.maxPressure', 'out_of_range']
+    ]);
+  });
+
+  it('should score with a --weights file and record the weights in use', () => {
+    const base = parseJsonOutput(runCli(['--snapshot', fixturePath('stableSnapshot.json'), '--profile', 'mayor']).stdout);
+    const result = runCli(['--snapshot', fixturePath('stableSnapshot.json'), '--profile', 'mayor', '--weights', fixturePath('tunedWeights.json')]);
+
+    assert.strictEqual(result.status, 0);
+    const report = parseJsonOutput(result.stdout);
+    assert.strictEqual(base.selectedProposal.type, 'MAYOR_ACCEPT_MISSION');
+    assert.strictEqual(report.selectedProposal.type, 'TOWNSFOLK_TALK');
+    assert.strictEqual(report.input.weightsPath, fixturePath('tunedWeights.json'));
+    assert.match(report.provenance.weightsHash, /^[0-9a-f]{64}$/);
+    assert.notStrictEqual(report.provenance.weightsHash, base.provenance.weightsHash);
+  });
+
+  it('should reject an invalid --weights file with path-level issues', () => {
+    const result = runCli(['--snapshot', fixturePath('stableSnapshot.json'), '--profile', 'mayor', '--weights', fixturePath('invalidBounds.json')]);
+
+    assert.notStrictEqual(result.status, 0);
+    const error = parseJsonOutput(result.stderr);
+    assert.strictEqual(error.error.code, 'INVALID_WEIGHTS');
+    assert.strictEqual(error.error.details.field, 'weights');
+    assert.strictEqual(error.error.details.issues[0].path, '$.schemaVersion');
+  });
+
+  it('should report a breakdown per candidate that sums to its priority', () => {
+    const result = runCli(['--snapshot', fixturePath('crisisSnapshot.json'), '--profile', 'captain']);
+
+    assert.strictEqual(result.status, 0);
+    const report = parseJsonOutput(result.stdout);
+    for (const candidate of report.candidates) {
+      const total = candidate.breakdown.reduce((sum, entry) => sum + entry.value, 0);
+      assert.ok(Math.abs(total - candidate.priority) < 1e-9, candidate.type);
+    }
+    assert.deepStrictEqual(report.candidates[0].breakdown.map(entry => entry.name), [
+      'base', 'courage', 'prudence', 'goalBonus', 'status', 'progress', 'eventReadiness', 'clamp'
+    ]);
+  });
+
+  it('should print the breakdown as a table with --format table', () => {
+    const result = runCli(['--snapshot', fixturePath('crisisSnapshot.json'), '--profile', 'captain', '--format', 'table']);
+    const lines = result.stdout.trimEnd().split('\n');
+
+    assert.strictEqual(result.status, 0);
+    assert.strictEqual(lines[0], 'Selected: PROJECT_ADVANCE wall-north');
+    assert.strictEqual(lines[1], 'Command: project advance town-1 wall-north');
+    assert.match(lines[3], /^Rank\s+Candidate \/ contribution\s+Value$/);
+    assert.match(lines[4], /^1\*\s+PROJECT_ADVANCE wall-north\s+1\.000$/);
+    assert.match(lines[6], /^\s+courage\s+\+0\.315$/);
+    assert.ok(lines.some(line => /^\s+clamp\s+-0\.249$/.test(line)));
+  });
+
+  it('should reject unknown output formats and tables in --diff mode', () => {
+    const unknown = runCli(['--snapshot', fixturePath('crisisSnapshot.json'), '--profile', 'captain', '--format', 'csv']);
+    const diff = runCli(['--snapshot', fixturePath('earlyGameSnapshot.json'), '--diff', fixturePath('crisisSnapshot.json'), '--format', 'table']);
+
+    assert.strictEqual(unknown.status, 1);
+    assert.strictEqual(parseJsonOutput(unknown.stderr).error.code, 'USAGE');
+    assert.strictEqual(diff.status, 1);
+    assert.strictEqual(parseJsonOutput(diff.stderr).schemaVersion, 'snapshot-diff.v1');
+  });
 });
@@ -0,0 +1,51 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { clericProfile, diplomatProfile, treasurerProfile } from '../src/agentProfiles.js';
+import { inspectDecision } from '../src/decisionInspection.js';
+import { createEmbodimentRequestPreview, isValidEmbodimentRequestPreview } from '../src/embodimentPreview.js';
+import { createExecutionHandoff, createExecutionResult } from '../src/executionHandoff.js';
+import { createDefaultSnapshot } from '../src/snapshotSchema.js';
+
+const outcomes = {
+  executed: { status: 'executed', accepted: true, executed: true, reasonCode: 'EXECUTED' },
+  rejected: { status: 'rejected', accepted: false, executed: false, reasonCode: 'PRECONDITION_FAILED' }
+};
+
+function createOfficeSnapshot() {
+  const snapshot = createDefaultSnapshot('town-1', 20);
+  snapshot.pressure = { threat: 0.2, scarcity: 0.7, hope: 0.5, dread: 0.8 };
+  snapshot.neighbors = [{ townId: 'town-2', factionId: 'ash-raiders', relation: -0.8, tradeOpen: false, lastContactDay: 1 }];
+  return snapshot;
+}
+
+function createPreview(profile, status = 'executed') {
+  const decisionInspection = inspectDecision(createOfficeSnapshot(), profile);
+  const handoff = createExecutionHandoff(decisionInspection.selectedProposal, decisionInspection.command);
+  return createEmbodimentRequestPreview(decisionInspection, createExecutionResult(handoff, outcomes[status]), null);
+}
+
+describe('Embodiment Preview', () => {
+  it('should cue treasurer, cleric, and diplomat proposals with their own gestures', () => {
+    const previews = [treasurerProfile, clericProfile, diplomatProfile].map(profile => createPreview(profile));
+
+    assert.deepStrictEqual(previews.map(preview => preview.behavior.gestureCue), ['consult-ledger', 'lead-prayer', 'dispatch-envoy']);
+    assert.deepStrictEqual(previews.map(preview => preview.command), [
+      'treasury allocate town-1 stockpile',
+      'cleric rite town-1 vigil',
+      'diplomacy envoy town-1 town-2 reconcile'
+    ]);
+    assert.deepStrictEqual(previews.map(preview => preview.actorId), ['treasurer-1', 'cleric-1', 'diplomat-1']);
+    assert(previews.every(preview => preview.status === 'ready' && isValidEmbodimentRequestPreview(preview)));
+  });
+
+  it('should block previews for rejected office actions and keep ids stable', () => {
+    const blocked = createPreview(clericProfile, 'rejected');
+
+    assert.strictEqual(blocked.status, 'blocked');
+    assert.strictEqual(blocked.blockedBy, 'PRECONDITION_FAILED');
+    assert.strictEqual(blocked.behavior.gestureCue, 'lead-prayer');
+    assert.strictEqual(isValidEmbodimentRequestPreview(blocked), true);
+    assert.deepStrictEqual(createPreview(clericProfile, 'rejected'), blocked);
+    assert.notStrictEqual(createPreview(clericProfile).previewId, blocked.previewId);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Minimal draft 2020-12 validator covering the keywords getJsonSchema() emits.
+ * Kept dependency-free so the schema tests run without a package install.
+ */
+
+function isPlainObject(value) {
+  return Boolean(value && typeof value === 'object' && !Array.isArray(value));
+}
+
+function matchesType(value, type) {
+  if (type === 'null') return value === null;
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'object') return isPlainObject(value);
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeof value === type;
+}
+
+function deepEqual(left, right) {
+  return JSON.stringify(left) === JSON.stringify(right);
+}
+
+const supportedKeywords = new Set([
+  '$schema', '$id', '$comment', 'title', 'type', 'properties', 'required', 'additionalProperties',
+  'minProperties', 'maxProperties', 'items', 'minItems', 'maxItems', 'uniqueItems', 'enum', 'const', 'minimum', 'maximum',
+  'minLength', 'pattern', 'not', 'anyOf', 'allOf', 'if', 'then', 'else'
+]);
+
+/**
+ * @param {Object} schema
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function validateJsonSchema(schema, value) {
+  for (const keyword of Object.keys(schema)) {
+    if (!supportedKeywords.has(keyword)) {
+      throw new Error(`Unsupported JSON Schema keyword: ${keyword}`);
+    }
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) return false;
+  }
+  if (schema.const !== undefined && !deepEqual(schema.const, value)) return false;
+  if (schema.enum && !schema.enum.some(entry => deepEqual(entry, value))) return false;
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return false;
+    if (schema.maximum !== undefined && value > schema.maximum) return false;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) return false;
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) return false;
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) return false;
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) return false;
+    if (schema.uniqueItems && new Set(value.map(entry => JSON.stringify(entry))).size !== value.length) return false;
+    if (schema.items && !value.every(entry => validateJsonSchema(schema.items, entry))) return false;
+  }
+
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value);
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) return false;
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) return false;
+    if (schema.required && !schema.required.every(key => keys.includes(key))) return false;
+    const properties = schema.properties || {};
+    for (const key of keys) {
+      if (properties[key]) {
+        if (!validateJsonSchema(properties[key], value[key])) return false;
+      } else if (schema.additionalProperties === false) {
+        return false;
+      } else if (isPlainObject(schema.additionalProperties) && !validateJsonSchema(schema.additionalProperties, value[key])) {
+        return false;
+      }
+    }
+  }
+
+  if (schema.not && validateJsonSchema(schema.not, value)) return false;
+  if (schema.anyOf && !schema.anyOf.some(subschema => validateJsonSchema(subschema, value))) return false;
+  if (schema.allOf && !schema.allOf.every(subschema => validateJsonSchema(subschema, value))) return false;
+  if (schema.if) {
+    const branch = validateJsonSchema(schema.if, value) ? schema.then : schema.else;
+    if (branch && !validateJsonSchema(branch, value)) return false;
+  }
+
+  return true;
+}
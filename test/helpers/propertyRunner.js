@@ -0,0 +1,28 @@
+/**
+ * Property Runner - Runs a property over a range of generator seeds.
+ * Failures name the seed so they can be replayed with generateSnapshot(seed).
+ * Set PROPERTY_SEEDS to widen or narrow the run, e.g. PROPERTY_SEEDS=20000.
+ */
+
+export function resolvePropertySeedCount(defaultCount, env = process.env) {
+  const configured = Number(env.PROPERTY_SEEDS);
+  return Number.isInteger(configured) && configured > 0 ? configured : defaultCount;
+}
+
+/**
+ * @param {string} name - Property name used in failure messages
+ * @param {{seeds: number, startSeed?: number}} range
+ * @param {(seed: number) => void} property - Throws (e.g. via assert) when the property fails
+ * @returns {number} Number of seeds checked
+ */
+export function checkProperty(name, range, property) {
+  const startSeed = range.startSeed ?? 0;
+  for (let seed = startSeed; seed < startSeed + range.seeds; seed += 1) {
+    try {
+      property(seed);
+    } catch (error) {
+      throw new Error(`Property "${name}" failed for seed ${seed}: ${error.message}`, { cause: error });
+    }
+  }
+  return range.seeds;
+}
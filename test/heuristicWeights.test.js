@@ -0,0 +1,188 @@
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'url';
+import { captainProfile, mayorProfile, treasurerProfile } from '../src/agentProfiles.js';
+import { arbitrateCouncil, CouncilPolicy } from '../src/councilArbitration.js';
+import { inspectDecision } from '../src/decisionInspection.js';
+import { evaluateGovernanceCandidates, evaluateTownsfolkTalk } from '../src/heuristics.js';
+import {
+  DefaultHeuristicWeights,
+  hashHeuristicWeights,
+  HeuristicWeightsSchemaVersion,
+  isValidHeuristicWeights,
+  resolveHeuristicWeights,
+  validateHeuristicWeights
+} from '../src/heuristicWeights.js';
+import { propose, proposeCandidate } from '../src/propose.js';
+import { createDefaultSnapshot } from '../src/snapshotSchema.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+function readFixture(filename) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', filename), 'utf8'));
+}
+
+const stableMayor = { ...mayorProfile, townId: 'town-stable' };
+
+describe('Heuristic Weights', () => {
+  it('should publish a valid, frozen default document', () => {
+    assert.strictEqual(DefaultHeuristicWeights.schemaVersion, 'heuristic-weights.v1');
+    assert.strictEqual(HeuristicWeightsSchemaVersion, 'heuristic-weights.v1');
+    assert.deepStrictEqual(validateHeuristicWeights(DefaultHeuristicWeights), []);
+    assert.ok(Object.isFrozen(DefaultHeuristicWeights.events.kinds.raid));
+  });
+
+  it('should merge a partial override over the defaults', () => {
+    const weights = resolveHeuristicWeights(readFixture('tunedWeights.json'));
+
+    assert.strictEqual(weights.talk.casual, 0.95);
+    assert.strictEqual(weights.talk.residentBase, DefaultHeuristicWeights.talk.residentBase);
+    assert.strictEqual(weights.memory.repeatPenalty, 0.2);
+    assert.deepStrictEqual(weights.events, DefaultHeuristicWeights.events);
+    assert.strictEqual(resolveHeuristicWeights(), DefaultHeuristicWeights);
+    assert.deepStrictEqual(resolveHeuristicWeights({ schemaVersion: HeuristicWeightsSchemaVersion }), DefaultHeuristicWeights);
+  });
+
+  it('should report path-level issues for invalid documents', () => {
+    const issues = validateHeuristicWeights({
+      schemaVersion: 'heuristic-weights.v0',
+      talk: { casual: -0.2, shout: 1 },
+      events: { halfLifeDays: 0 },
+      neighbors: { hostileRelationThreshold: -0.5, friendlyRelationThreshold: 1.2 },
+      salvage: { strainThreshold: 1.5, base: 2 },
+      quests: { rewardScale: 0.5, unknownComplexity: 1.1 },
+      trends: 'fast'
+    });
+
+    assert.deepStrictEqual(issues.map(issue => [issue.path, issue.code]), [
+      ['$.schemaVersion', 'invalid_schema_version'],
+      ['$.talk.shout', 'unknown_key'],
+      ['$.talk.casual', 'out_of_range'],
+      ['$.events.halfLifeDays', 'out_of_range'],
+      ['$.neighbors.friendlyRelationThreshold', 'out_of_range'],
+      ['$.salvage.strainThreshold', 'out_of_range'],
+      ['$.quests.rewardScale', 'out_of_range'],
+      ['$.quests.unknownComplexity', 'out_of_range'],
+      ['$.trends', 'invalid_type']
+    ]);
+    assert.strictEqual(isValidHeuristicWeights(null), false);
+    assert.strictEqual(isValidHeuristicWeights({ talk: {} }), false);
+    assert.throws(() => resolveHeuristicWeights({ schemaVersion: HeuristicWeightsSchemaVersion, talk: { casual: '1' } }), /Invalid heuristic weights/);
+  });
+
+  it('should hash resolved weights independent of key order', () => {
+    const weights = resolveHeuristicWeights(readFixture('tunedWeights.json'));
+    const reordered = Object.fromEntries(Object.entries(weights).reverse());
+
+    assert.match(hashHeuristicWeights(weights), /^[0-9a-f]{64}$/);
+    assert.strictEqual(hashHeuristicWeights(reordered), hashHeuristicWeights(weights));
+    assert.notStrictEqual(hashHeuristicWeights(weights), hashHeuristicWeights(DefaultHeuristicWeights));
+  });
+
+  it('should score with the supplied weights', () => {
+    const snapshot = readFixture('stableSnapshot.json');
+    const weights = readFixture('tunedWeights.json');
+
+    assert.strictEqual(evaluateTownsfolkTalk(snapshot, stableMayor).score, 0.2);
+    assert.strictEqual(evaluateTownsfolkTalk(snapshot, stableMayor, resolveHeuristicWeights(weights)).score, 0.95);
+    assert.strictEqual(evaluateGovernanceCandidates(snapshot, stableMayor, {}, weights)[0].type, 'TOWNSFOLK_TALK');
+
+    const memory = { lastType: 'TOWNSFOLK_TALK', repeatCount: 1 };
+    assert.strictEqual(
+      evaluateGovernanceCandidates(snapshot, stableMayor, memory, weights).find(candidate => candidate.type === 'TOWNSFOLK_TALK').priority,
+      0.75
+    );
+  });
+
+  it('should normalize quest complexity and reward with the quest scales', () => {
+    const snapshot = createDefaultSnapshot('town-1', 3);
+    snapshot.sideQuests = [{ id: 'sq-1', title: 'Escort', complexity: 4, reward: 100, risk: 0 }];
+    const priority = weights => evaluateGovernanceCandidates(snapshot, mayorProfile, {}, weights)
+      .find(candidate => candidate.type === 'MAYOR_ACCEPT_MISSION').priority;
+    const rescaled = { schemaVersion: HeuristicWeightsSchemaVersion, quests: { complexityScale: 20, rewardScale: 400 } };
+    const doubled = structuredClone(snapshot);
+    doubled.sideQuests[0] = { ...doubled.sideQuests[0], complexity: 8, reward: 200 };
+
+    assert.notStrictEqual(priority(rescaled), priority());
+    assert.strictEqual(evaluateGovernanceCandidates(doubled, mayorProfile, {}, rescaled)
+      .find(candidate => candidate.type === 'MAYOR_ACCEPT_MISSION').priority, priority());
+  });
+});
+
+describe('Heuristic Weights in proposals', () => {
+  it('should keep default proposal ids when weights are omitted or restate the defaults', () => {
+    const snapshot = readFixture('stableSnapshot.json');
+    const baseline = propose(snapshot, stableMayor);
+
+    assert.deepStrictEqual(propose(snapshot, stableMayor, {}, { weights: DefaultHeuristicWeights }), baseline);
+    assert.deepStrictEqual(propose(snapshot, stableMayor, {}, { weights: { schemaVersion: HeuristicWeightsSchemaVersion, talk: { casual: 0.2 } } }), baseline);
+  });
+
+  it('should give proposals under different tunings different ids', () => {
+    const snapshot = readFixture('crisisSnapshot.json');
+    const weights = readFixture('tunedWeights.json');
+    const baseline = propose(snapshot, captainProfile);
+    const tuned = propose(snapshot, captainProfile, {}, { weights });
+
+    // The captain's choice is unchanged by the talk tuning; only the id differs.
+    assert.strictEqual(tuned.type, baseline.type);
+    assert.strictEqual(tuned.priority, baseline.priority);
+    assert.deepStrictEqual(tuned.args, baseline.args);
+    assert.notStrictEqual(tuned.proposalId, baseline.proposalId);
+
+    const candidate = evaluateGovernanceCandidates(snapshot, captainProfile, {}, weights)[0];
+    assert.deepStrictEqual(proposeCandidate(snapshot, captainProfile, candidate, { weights }), tuned);
+  });
+
+  it('should reject invalid weights', () => {
+    const snapshot = readFixture('stableSnapshot.json');
+
+    assert.throws(() => propose(snapshot, stableMayor, {}, { weights: { talk: { casual: 2 } } }), /Invalid heuristic weights/);
+    assert.throws(() => inspectDecision(snapshot, stableMayor, {}, { weights: [] }), /Invalid heuristic weights/);
+  });
+
+  it('should record the weights hash in decision inspection provenance', () => {
+    const snapshot = readFixture('stableSnapshot.json');
+    const weights = readFixture('tunedWeights.json');
+    const report = inspectDecision(snapshot, stableMayor, {}, { weights });
+
+    assert.strictEqual(inspectDecision(snapshot, stableMayor).provenance.weightsHash, hashHeuristicWeights(DefaultHeuristicWeights));
+    assert.strictEqual(report.provenance.weightsHash, hashHeuristicWeights(resolveHeuristicWeights(weights)));
+    assert.deepStrictEqual(report.selectedProposal, propose(snapshot, stableMayor, {}, { weights }));
+    assert.strictEqual(report.candidates[0].type, 'TOWNSFOLK_TALK');
+  });
+
+  it('should name trade partners by the tuned relation threshold', () => {
+    const snapshot = {
+      ...createDefaultSnapshot('town-1', 10),
+      pressure: { threat: 0.2, scarcity: 0.7, hope: 0.5, dread: 0.2 },
+      neighbors: [{ townId: 'town-2', factionId: 'river-guild', relation: 0.25, tradeOpen: true, lastContactDay: 8 }]
+    };
+    const treasurer = { ...treasurerProfile, townId: 'town-1' };
+    const weights = { schemaVersion: HeuristicWeightsSchemaVersion, neighbors: { friendlyRelationThreshold: 0.2 } };
+    const proposal = propose(snapshot, treasurer, {}, { weights });
+
+    assert.deepStrictEqual(propose(snapshot, treasurer).args, { allocation: 'stockpile' });
+    assert.deepStrictEqual(proposal.args, { allocation: 'trade' });
+    assert.match(proposal.reason, /Trade partners: town-2\./);
+  });
+
+  it('should apply one tuning to every council member', () => {
+    const snapshot = readFixture('crisisSnapshot.json');
+    const council = readFixture('townCouncil.json');
+    const options = { policy: CouncilPolicy.PRIORITY_MAX, weights: readFixture('tunedWeights.json') };
+    const decision = arbitrateCouncil(snapshot, council, {}, options);
+
+    assert.strictEqual(decision.selected.type, 'PROJECT_ADVANCE');
+    assert.deepStrictEqual(decision.runnerUp, {
+      type: 'TOWNSFOLK_TALK',
+      targetId: 'morale-boost',
+      score: 0.95,
+      memberIds: ['captain-1', 'mayor-1', 'warden-1']
+    });
+    assert.notStrictEqual(decision.proposal.proposalId, arbitrateCouncil(snapshot, council, {}, { policy: CouncilPolicy.PRIORITY_MAX }).proposal.proposalId);
+  });
+});
@@ -8,9 +8,15 @@ import {
   evaluateMissionAcceptance,
   evaluateProjectAdvance,
   evaluateSalvagePlan,
+  evaluateTreasuryAllocation,
+  evaluateClericRite,
+  evaluateDiplomaticEnvoy,
   evaluateTownsfolkTalk,
-  evaluateGovernanceProposal
+  evaluateGovernanceCandidates,
+  evaluateGovernanceProposal,
+  getPressureTrends
 } from '../src/heuristics.js';
+import { captainProfile, clericProfile, diplomatProfile, mayorProfile, treasurerProfile, wardenProfile } from '../src/agentProfiles.js';
 import { ProposalType } from '../src/proposalDsl.js';
 
 describe('Governance Heuristics', () => {
@@ -101,6 +107,57 @@ describe('Governance Heuristics', () => {
       assert.strictEqual(boldResult.targetId, 'sq-zeta');
       assert.strictEqual(prudentResult.targetId, 'sq-alpha');
     });
+
+    it('should skip expired and role-restricted quests', () => {
+      const snapshot = {
+        day: 10,
+        mission: null,
+        sideQuests: [
+          { id: 'sq-a', title: 'Old Hunt', complexity: 2, expiresOnDay: 9 },
+          { id: 'sq-b', title: 'Patrol', complexity: 2, requiredRole: 'captain' },
+          { id: 'sq-c', title: 'Census', complexity: 5 }
+        ],
+        pressure: { hope: 0.7 }
+      };
+      const profile = {
+        role: 'mayor',
+        traits: { authority: 0.8, pragmatism: 0.8, prudence: 0.5 },
+        goals: { acceptMissions: true }
+      };
+
+      const res = evaluateMissionAcceptance(snapshot, profile);
+      const onlyExpired = evaluateMissionAcceptance({ ...snapshot, sideQuests: [snapshot.sideQuests[0]] }, profile);
+
+      assert.strictEqual(res.targetId, 'sq-c');
+      assert(res.reasonTags.includes('expired_quests_skipped'));
+      assert(res.reasonTags.includes('role_restricted_quests_skipped'));
+      assert.strictEqual(onlyExpired.score, 0);
+    });
+
+    it('should weigh reward against risk and favor quests about to expire', () => {
+      const profile = {
+        role: 'mayor',
+        traits: { authority: 0.8, pragmatism: 0.8, prudence: 0.8 },
+        goals: { acceptMissions: true }
+      };
+      const scoreFor = quest => evaluateMissionAcceptance({
+        day: 10,
+        mission: null,
+        sideQuests: [{ id: 'sq-1', title: 'Quest', complexity: 3, ...quest }],
+        pressure: { hope: 0.7 }
+      }, profile);
+      const plain = scoreFor({});
+      const lucrative = scoreFor({ reward: 150 });
+      const risky = scoreFor({ reward: 150, risk: 0.9 });
+      const urgent = scoreFor({ expiresOnDay: 10 });
+
+      assert(lucrative.score > plain.score);
+      assert(risky.score < lucrative.score);
+      assert(urgent.score > plain.score);
+      assert(risky.reasonTags.includes('reward_weighed_against_risk'));
+      assert(urgent.reasonTags.includes('quest_expiring_soon'));
+      assert.deepStrictEqual(plain.reasonTags, ['no_active_mission', 'mission_ranked']);
+    });
   });
   
   describe('evaluateProjectAdvance', () => {
@@ -196,6 +253,413 @@ describe('Governance Heuristics', () => {
     });
   });
   
+  describe('weighted goals', () => {
+    const missionSnapshot = {
+      mission: null,
+      sideQuests: [{ id: 'sq-1', title: 'Quest 1', complexity: 2 }],
+      pressure: { hope: 0.4 }
+    };
+    const projectSnapshot = {
+      pressure: { threat: 0.5 },
+      projects: [{ id: 'p1', name: 'Defense', progress: 0.4, status: 'active' }]
+    };
+    const salvageSnapshot = { pressure: { scarcity: 0.55, dread: 0.2, hope: 0.5 } };
+    const withGoals = (traits, goals) => ({ traits, goals });
+
+    it('should treat boolean goals as weights of 1 and 0', () => {
+      const traits = { authority: 0.7, pragmatism: 0.6, prudence: 0.5 };
+      const goalNames = ['acceptMissions', 'growTown', 'maintainMorale'];
+
+      for (const enabled of [true, false]) {
+        const flags = Object.fromEntries(goalNames.map(name => [name, enabled]));
+        const weights = Object.fromEntries(goalNames.map(name => [name, enabled ? 1 : 0]));
+        assert.deepStrictEqual(
+          evaluateMissionAcceptance(missionSnapshot, withGoals(traits, flags)),
+          evaluateMissionAcceptance(missionSnapshot, withGoals(traits, weights))
+        );
+      }
+    });
+
+    it('should scale mission acceptance with each goal weight', () => {
+      const traits = { authority: 0.5, pragmatism: 0.5, prudence: 0.5 };
+      const scoreFor = goals => evaluateMissionAcceptance(missionSnapshot, withGoals(traits, goals)).score;
+      const base = { acceptMissions: 0.5, growTown: 0.5, maintainMorale: 0.5 };
+
+      for (const goalName of Object.keys(base)) {
+        const low = scoreFor({ ...base, [goalName]: 0.2 });
+        const high = scoreFor({ ...base, [goalName]: 0.8 });
+        assert(high > low, `${goalName} weight should raise the score`);
+      }
+      // Morale only counts while hope is low.
+      const hopeful = { ...missionSnapshot, pressure: { hope: 0.8 } };
+      assert.strictEqual(
+        evaluateMissionAcceptance(hopeful, withGoals(traits, { ...base, maintainMorale: 0.9 })).score,
+        evaluateMissionAcceptance(hopeful, withGoals(traits, { ...base, maintainMorale: 0.3 })).score
+      );
+    });
+
+    it('should scale project advance and salvage with each goal weight', () => {
+      const captainTraits = { courage: 0.3, prudence: 0.3 };
+      const captainBase = { defendAgainstThreats: 0.5, advanceProjects: 0.5, protectTownspeople: 0.5 };
+      for (const goalName of Object.keys(captainBase)) {
+        const low = evaluateProjectAdvance(projectSnapshot, withGoals(captainTraits, { ...captainBase, [goalName]: 0.1 })).score;
+        const high = evaluateProjectAdvance(projectSnapshot, withGoals(captainTraits, { ...captainBase, [goalName]: 0.9 })).score;
+        assert(high > low, `${goalName} weight should raise the score`);
+      }
+
+      const wardenTraits = { pragmatism: 0.3, prudence: 0.3 };
+      const low = evaluateSalvagePlan(salvageSnapshot, withGoals(wardenTraits, { salvageResources: 0.2, maintainSurplus: 0.2 }));
+      const high = evaluateSalvagePlan(salvageSnapshot, withGoals(wardenTraits, { salvageResources: 0.8, maintainSurplus: 0.8 }));
+      assert.strictEqual(high.targetId, 'scarcity');
+      assert(high.score > low.score);
+    });
+
+    it('should let a mayor weigh growth and morale differently', () => {
+      const traits = { authority: 0.6, pragmatism: 0.6, prudence: 0.5 };
+      const moraleFirst = evaluateMissionAcceptance(missionSnapshot, withGoals(traits, { acceptMissions: 1, growTown: 0.3, maintainMorale: 0.9 }));
+      const growthFirst = evaluateMissionAcceptance(missionSnapshot, withGoals(traits, { acceptMissions: 1, growTown: 0.9, maintainMorale: 0.3 }));
+
+      assert.strictEqual(moraleFirst.targetId, growthFirst.targetId);
+      assert(Math.abs(moraleFirst.score - growthFirst.score) < 1e-9);
+    });
+  });
+
+  describe('relationships', () => {
+    const mission = { id: 'escort', title: 'Escort the caravan', reward: 300, acceptedBy: 'mayor-1' };
+    const projectSnapshot = {
+      mission,
+      pressure: { threat: 0.5 },
+      projects: [{ id: 'p1', name: 'Defense', progress: 0.4, status: 'active' }]
+    };
+    const salvageSnapshot = { day: 3, mission, pressure: { scarcity: 0.45, dread: 0.1, hope: 0.5, threat: 0.2 } };
+    const regarding = (profile, relationship) => ({ ...profile, relationships: { 'mayor-1': relationship } });
+
+    it('should leave scores unchanged without a relationship to the mission holder', () => {
+      const neutral = regarding(captainProfile, { trust: 0.5 });
+      const unrelated = { ...captainProfile, relationships: { 'warden-1': { trust: 0 } } };
+      const baseline = evaluateProjectAdvance(projectSnapshot, captainProfile);
+
+      assert.deepStrictEqual(evaluateProjectAdvance(projectSnapshot, unrelated), baseline);
+      assert.strictEqual(evaluateProjectAdvance(projectSnapshot, neutral).score, baseline.score);
+      assert.deepStrictEqual(evaluateProjectAdvance(projectSnapshot, neutral).reasonTags, baseline.reasonTags);
+      assert.deepStrictEqual(
+        evaluateProjectAdvance({ ...projectSnapshot, mission: { ...mission, acceptedBy: 'captain-1' } }, regarding(captainProfile, { trust: 0 })),
+        evaluateProjectAdvance({ ...projectSnapshot, mission: { ...mission, acceptedBy: 'captain-1' } }, captainProfile)
+      );
+    });
+
+    it('should let a captain who distrusts the mayor discount the accepted mission', () => {
+      const baseline = evaluateProjectAdvance(projectSnapshot, captainProfile);
+      const distrustful = evaluateProjectAdvance(projectSnapshot, regarding(captainProfile, { trust: 0.1 }));
+      const trusting = evaluateProjectAdvance(projectSnapshot, regarding(captainProfile, { trust: 0.9 }));
+      const rival = evaluateProjectAdvance(projectSnapshot, regarding(captainProfile, { trust: 0.5, rivalry: 0.9 }));
+
+      assert(distrustful.score > baseline.score);
+      assert(trusting.score < baseline.score);
+      assert(rival.score > distrustful.score);
+      assert.ok(distrustful.reasonTags.includes('distrusts_mission_holder'));
+      assert.ok(trusting.reasonTags.includes('trusts_mission_holder'));
+      assert.deepStrictEqual(rival.reasonTags.slice(-2), ['distrusts_mission_holder', 'rival_mission_holder']);
+    });
+
+    it('should let a low-trust warden prefer SALVAGE_PLAN over cooperating', () => {
+      const cooperative = evaluateGovernanceProposal(salvageSnapshot, wardenProfile);
+      const wary = evaluateGovernanceProposal(salvageSnapshot, regarding(wardenProfile, { trust: 0.1 }));
+      const trusting = evaluateSalvagePlan(salvageSnapshot, regarding(wardenProfile, { trust: 0.9 }));
+
+      assert.strictEqual(cooperative.type, ProposalType.TOWNSFOLK_TALK);
+      assert.strictEqual(wary.type, ProposalType.SALVAGE_PLAN);
+      assert.ok(wary.reasonTags.includes('distrusts_mission_holder'));
+      // Full reliance doubles the expected mission relief, easing strain below the threshold.
+      assert.deepStrictEqual(trusting, { score: 0, reasonTags: [], breakdown: [] });
+    });
+  });
+
+  describe('structured events', () => {
+    const captain = {
+      traits: { courage: 0.8, prudence: 0.6 },
+      goals: { defendAgainstThreats: true, advanceProjects: true, protectTownspeople: true }
+    };
+    const baseSnapshot = {
+      day: 10,
+      pressure: { threat: 0.55 },
+      projects: [
+        { id: 'gate', name: 'Gate', progress: 0.4, status: 'active' },
+        { id: 'wall', name: 'Wall', progress: 0.4, status: 'active' }
+      ],
+      latestNetherEvent: null
+    };
+
+    it('should score the legacy string and its typed equivalent identically', () => {
+      const legacy = evaluateProjectAdvance({ ...baseSnapshot, latestNetherEvent: 'piglin_raid_nearby' }, captain);
+      const typed = evaluateProjectAdvance({
+        ...baseSnapshot,
+        events: [
+          { kind: 'portal_activity', severity: 1, dayObserved: 10, source: 'scout' },
+          { kind: 'hostile_sighting', severity: 1, dayObserved: 10, source: 'scout' },
+          { kind: 'panic', severity: 1, dayObserved: 10, source: 'scout' }
+        ]
+      }, captain);
+
+      assert.strictEqual(typed.score, legacy.score);
+      assert.deepStrictEqual(typed.reasonTags, legacy.reasonTags);
+    });
+
+    it('should prefer typed events over keyword matching on the legacy string', () => {
+      const calm = evaluateProjectAdvance({
+        ...baseSnapshot,
+        latestNetherEvent: 'no raid today',
+        events: [{ kind: 'portal_activity', severity: 0.1, dayObserved: 10, source: 'scout' }]
+      }, captain);
+      const keywordRaid = evaluateProjectAdvance({ ...baseSnapshot, latestNetherEvent: 'no raid today' }, captain);
+
+      assert(calm.score < keywordRaid.score);
+    });
+
+    it('should decay event signals with age and scale them with severity', () => {
+      const scoreFor = event => evaluateProjectAdvance({ ...baseSnapshot, events: [event] }, captain).score;
+      const fresh = scoreFor({ kind: 'raid', severity: 1, dayObserved: 10, source: 'scout' });
+      const old = scoreFor({ kind: 'raid', severity: 1, dayObserved: 4, source: 'scout' });
+      const mild = scoreFor({ kind: 'raid', severity: 0.3, dayObserved: 10, source: 'scout' });
+
+      assert(fresh > old);
+      assert(fresh > mild);
+    });
+
+    it('should steer the captain toward the project an event targets', () => {
+      const res = evaluateProjectAdvance({
+        ...baseSnapshot,
+        events: [{ kind: 'raid', severity: 0.8, dayObserved: 9, source: 'scout', targetProjectId: 'wall' }]
+      }, captain);
+
+      assert.strictEqual(res.targetId, 'wall');
+      assert(res.reasonTags.includes('event_targets_project'));
+      assert(res.reasonTags.includes('nether_event_pressure'));
+    });
+
+    it('should raise warden scarcity from supply events without a legacy string', () => {
+      const warden = { traits: { pragmatism: 0.9, prudence: 0.9 }, goals: { salvageResources: true } };
+      const snapshot = { day: 5, pressure: { scarcity: 0.3, dread: 0.2, hope: 0.7 }, latestNetherEvent: null };
+      const quiet = evaluateSalvagePlan(snapshot, warden);
+      const famine = evaluateSalvagePlan({
+        ...snapshot,
+        events: [{ kind: 'crop_failure', severity: 1, dayObserved: 5, source: 'farmers' }]
+      }, warden);
+
+      assert(famine.score > quiet.score);
+      assert(famine.reasonTags.includes('nether_event_pressure'));
+    });
+  });
+
+  describe('project dependencies', () => {
+    const captain = {
+      traits: { courage: 0.7, prudence: 0.5 },
+      goals: { defendAgainstThreats: true, advanceProjects: true }
+    };
+    const snapshot = {
+      pressure: { threat: 0.6 },
+      projects: [
+        { id: 'quarry', name: 'Quarry', progress: 0.2, status: 'planning' },
+        { id: 'wall', name: 'Wall', progress: 0.6, status: 'active', dependsOn: ['quarry'] },
+        { id: 'well', name: 'Well', progress: 0.1, status: 'planning' }
+      ]
+    };
+
+    it('should skip projects with incomplete dependencies and prefer the one that unblocks them', () => {
+      const res = evaluateProjectAdvance(snapshot, captain);
+
+      assert.strictEqual(res.targetId, 'quarry');
+      assert(res.reasonTags.includes('dependencies_incomplete_skipped'));
+      assert(res.reasonTags.includes('unblocks_dependents'));
+    });
+
+    it('should advance a dependent project once its dependencies are complete', () => {
+      const res = evaluateProjectAdvance({
+        ...snapshot,
+        projects: snapshot.projects.map(project => project.id === 'quarry' ? { ...project, progress: 1, status: 'complete' } : project)
+      }, captain);
+
+      assert.strictEqual(res.targetId, 'wall');
+      assert(!res.reasonTags.includes('dependencies_incomplete_skipped'));
+    });
+
+    it('should flag projects whose required resources exceed the ledger', () => {
+      const res = evaluateProjectAdvance({
+        ...snapshot,
+        projects: [{ id: 'wall', name: 'Wall', progress: 0.6, status: 'active', requiredResources: [{ id: 'stone', quantity: 50 }] }],
+        resources: [{ id: 'stone', quantity: 10, dailyConsumption: 1 }]
+      }, captain);
+
+      assert.strictEqual(res.targetId, 'wall');
+      assert(res.reasonTags.includes('required_resources_short'));
+    });
+  });
+
+  describe('environment', () => {
+    const captain = {
+      traits: { courage: 0.7, prudence: 0.5 },
+      goals: { defendAgainstThreats: true, advanceProjects: true }
+    };
+    const warden = { traits: { pragmatism: 0.8, prudence: 0.7 }, goals: { salvageResources: true } };
+    const daylight = { season: 'summer', weather: 'clear', phase: 'day' };
+
+    it('should weight threat higher at night and raise the night watch', () => {
+      const snapshot = {
+        pressure: { threat: 0.28 },
+        projects: [{ id: 'wall', name: 'Wall', progress: 0.4, status: 'active' }]
+      };
+
+      const day = evaluateProjectAdvance({ ...snapshot, environment: daylight }, captain);
+      const night = evaluateProjectAdvance({ ...snapshot, environment: { ...daylight, phase: 'night' } }, captain);
+      const stormyNight = evaluateProjectAdvance({ ...snapshot, environment: { ...daylight, weather: 'storm', phase: 'night' } }, captain);
+
+      assert.strictEqual(day.score, 0);
+      assert(night.score > 0);
+      assert(night.reasonTags.includes('night_watch'));
+      assert(stormyNight.score > night.score);
+      assert(stormyNight.reasonTags.includes('storm_watch'));
+    });
+
+    it('should anticipate winter scarcity with a stockpile focus', () => {
+      const snapshot = { pressure: { scarcity: 0.35, dread: 0.3, hope: 0.7 } };
+
+      const summer = evaluateSalvagePlan({ ...snapshot, environment: daylight }, warden);
+      const autumn = evaluateSalvagePlan({ ...snapshot, environment: { ...daylight, season: 'autumn' } }, warden);
+      const winter = evaluateSalvagePlan({ ...snapshot, environment: { ...daylight, season: 'winter' } }, warden);
+
+      assert(autumn.score > summer.score);
+      assert(winter.score > autumn.score);
+      assert.strictEqual(winter.targetId, 'scarcity');
+      assert(winter.reasonTags.includes('winter_stockpile'));
+      assert(!summer.reasonTags.includes('winter_stockpile'));
+    });
+  });
+
+  describe('neighbors', () => {
+    const captain = {
+      traits: { courage: 0.7, prudence: 0.5 },
+      goals: { defendAgainstThreats: true, advanceProjects: true }
+    };
+    const mayor = { traits: { authority: 0.6, pragmatism: 0.6, prudence: 0.4 }, goals: { acceptMissions: true } };
+    const hostile = { townId: 'town-2', factionId: 'ash-raiders', relation: -0.8, tradeOpen: false, lastContactDay: 21 };
+    const ally = { townId: 'town-3', factionId: 'river-guild', relation: 0.6, tradeOpen: true, lastContactDay: 20 };
+
+    it('should raise threat from recently contacted hostile neighbors', () => {
+      const snapshot = {
+        day: 21,
+        pressure: { threat: 0.28 },
+        projects: [{ id: 'wall', name: 'Wall', progress: 0.4, status: 'active' }]
+      };
+
+      const isolated = evaluateProjectAdvance({ ...snapshot, neighbors: [] }, captain);
+      const bordered = evaluateProjectAdvance({ ...snapshot, neighbors: [hostile] }, captain);
+      const staleContact = evaluateProjectAdvance({ ...snapshot, neighbors: [{ ...hostile, lastContactDay: 0 }] }, captain);
+
+      assert.strictEqual(isolated.score, 0);
+      assert(bordered.score > 0);
+      assert(bordered.reasonTags.includes('hostile_neighbors'));
+      assert.strictEqual(staleContact.score, 0);
+    });
+
+    it('should favor missions when trade routes with friendly towns are open', () => {
+      const snapshot = {
+        day: 21,
+        mission: null,
+        pressure: { threat: 0.2, hope: 0.7 },
+        sideQuests: [{ id: 'sq-trade', title: 'Escort caravan', complexity: 4 }]
+      };
+
+      const alone = evaluateMissionAcceptance(snapshot, mayor);
+      const trading = evaluateMissionAcceptance({ ...snapshot, neighbors: [ally] }, mayor);
+      const closedRoutes = evaluateMissionAcceptance({ ...snapshot, neighbors: [{ ...ally, tradeOpen: false }] }, mayor);
+
+      assert(trading.score > alone.score);
+      assert(trading.reasonTags.includes('trade_partners'));
+      assert.strictEqual(closedRoutes.score, alone.score);
+      assert(!closedRoutes.reasonTags.includes('trade_partners'));
+    });
+
+    it('should steer mayors toward simpler missions when hostile neighbors loom', () => {
+      const snapshot = {
+        day: 21,
+        mission: null,
+        pressure: { threat: 0.2, hope: 0.7 },
+        sideQuests: [
+          { id: 'sq-simple', title: 'Mend fences', complexity: 3 },
+          { id: 'sq-hard', title: 'Scout the wastes', complexity: 5 }
+        ]
+      };
+
+      const calm = evaluateMissionAcceptance(snapshot, mayor);
+      const tense = evaluateMissionAcceptance({ ...snapshot, neighbors: [hostile, { ...hostile, townId: 'town-4' }, { ...hostile, townId: 'town-5' }] }, mayor);
+
+      assert.strictEqual(calm.targetId, 'sq-hard');
+      assert.strictEqual(tense.targetId, 'sq-simple');
+      assert(tense.reasonTags.includes('hostile_neighbors'));
+    });
+  });
+
+  describe('pressure trends', () => {
+    const warden = { traits: { pragmatism: 0.7, prudence: 0.6 }, goals: {} };
+    const captain = {
+      traits: { courage: 0.7, prudence: 0.5 },
+      goals: { defendAgainstThreats: true, advanceProjects: true }
+    };
+    const history = values => values.map((value, index) => ({ day: 10 + index, threat: value, scarcity: value, hope: 0.5, dread: 0.2 }));
+
+    it('should report slope and volatility across history and the current pressure', () => {
+      const trends = getPressureTrends({
+        day: 13,
+        pressure: { threat: 0.5, scarcity: 0.5, hope: 0.5, dread: 0.2 },
+        pressureHistory: history([0.2, 0.3, 0.4])
+      });
+
+      assert.deepStrictEqual(trends.scarcity, { slope: 0.1, volatility: 0, direction: 'rising' });
+      assert.deepStrictEqual(trends.hope, { slope: 0, volatility: 0, direction: 'steady' });
+      assert.deepStrictEqual(getPressureTrends({ day: 3, pressure: { scarcity: 0.5 } }).scarcity, { slope: 0, volatility: 0, direction: 'steady' });
+    });
+
+    it('should separate rising scarcity from receding scarcity at the same level', () => {
+      const snapshot = { day: 13, pressure: { scarcity: 0.45, dread: 0.2, hope: 0.5 } };
+
+      const flat = evaluateSalvagePlan(snapshot, warden);
+      const rising = evaluateSalvagePlan({ ...snapshot, pressureHistory: history([0.2, 0.3, 0.38]) }, warden);
+      const receding = evaluateSalvagePlan({ ...snapshot, pressureHistory: history([0.9, 0.75, 0.6]) }, warden);
+
+      assert(rising.score > flat.score);
+      assert(rising.reasonTags.includes('scarcity_rising'));
+      assert.strictEqual(receding.score, 0);
+      assert(!flat.reasonTags.includes('scarcity_rising'));
+    });
+
+    it('should trust noisy histories less than steady ones', () => {
+      const snapshot = { day: 13, pressure: { scarcity: 0.45, dread: 0.2, hope: 0.5 } };
+
+      const steady = evaluateSalvagePlan({ ...snapshot, pressureHistory: history([0.15, 0.25, 0.35]) }, warden);
+      const noisy = evaluateSalvagePlan({ ...snapshot, pressureHistory: history([0.1, 0.4, 0.2]) }, warden);
+
+      assert(getPressureTrends({ ...snapshot, pressureHistory: history([0.1, 0.4, 0.2]) }).scarcity.volatility > 0);
+      assert(steady.score > noisy.score);
+    });
+
+    it('should let captains stand down when threat is receding', () => {
+      const snapshot = {
+        day: 13,
+        pressure: { threat: 0.35 },
+        projects: [{ id: 'wall', name: 'Wall', progress: 0.4, status: 'active' }]
+      };
+
+      const level = evaluateProjectAdvance(snapshot, captain);
+      const receding = evaluateProjectAdvance({ ...snapshot, pressureHistory: history([0.8, 0.65, 0.5]) }, captain);
+      const rising = evaluateProjectAdvance({ ...snapshot, pressureHistory: history([0.05, 0.15, 0.25]) }, captain);
+
+      assert(level.score > 0);
+      assert.strictEqual(receding.score, 0);
+      assert(rising.score > level.score);
+      assert(rising.reasonTags.includes('threat_rising'));
+    });
+  });
+
   describe('evaluateSalvagePlan', () => {
     it('should return zero when strain is low', () => {
       const snapshot = {
@@ -252,6 +716,88 @@ describe('Governance Heuristics', () => {
     });
   });
   
+  describe('evaluateTreasuryAllocation', () => {
+    const partner = { townId: 'town-2', factionId: 'river-guild', relation: 0.6, tradeOpen: true, lastContactDay: 8 };
+
+    it('should fund trade with open partners and a stockpile without them', () => {
+      const snapshot = { day: 10, pressure: { threat: 0.2, scarcity: 0.7, hope: 0.5, dread: 0.2 } };
+
+      const stockpile = evaluateTreasuryAllocation(snapshot, treasurerProfile);
+      const trade = evaluateTreasuryAllocation({ ...snapshot, neighbors: [partner] }, treasurerProfile);
+
+      assert.strictEqual(stockpile.targetId, 'stockpile');
+      assert.deepStrictEqual(stockpile.reasonTags, ['budget_strain', 'stockpile_needed']);
+      assert.strictEqual(trade.targetId, 'trade');
+      assert(trade.reasonTags.includes('trade_partners'));
+      assert(trade.score > stockpile.score);
+    });
+
+    it('should bank a surplus in calm times and stay silent in between', () => {
+      const calm = evaluateTreasuryAllocation({ pressure: { threat: 0.1, scarcity: 0.1, hope: 0.8, dread: 0.1 } }, treasurerProfile);
+      const middling = evaluateTreasuryAllocation({ pressure: { threat: 0.1, scarcity: 0.35, hope: 0.5, dread: 0.1 } }, treasurerProfile);
+
+      assert.strictEqual(calm.targetId, 'reserve');
+      assert.deepStrictEqual(calm.reasonTags, ['budget_surplus']);
+      assert.strictEqual(middling.score, 0);
+    });
+  });
+
+  describe('evaluateClericRite', () => {
+    it('should hold a vigil against dread and a blessing against lost hope', () => {
+      const vigil = evaluateClericRite({ pressure: { dread: 0.8, hope: 0.5 }, environment: { season: 'autumn', weather: 'clear', phase: 'night' } }, clericProfile);
+      const blessing = evaluateClericRite({ pressure: { dread: 0.1, hope: 0.2 } }, clericProfile);
+      const calm = evaluateClericRite({ pressure: { dread: 0.1, hope: 0.8 } }, clericProfile);
+
+      assert.strictEqual(vigil.targetId, 'vigil');
+      assert.deepStrictEqual(vigil.reasonTags, ['spiritual_need', 'high_dread', 'night_vigil']);
+      assert.strictEqual(blessing.targetId, 'blessing');
+      assert.deepStrictEqual(blessing.reasonTags, ['spiritual_need', 'low_hope']);
+      assert.strictEqual(calm.score, 0);
+    });
+
+    it('should answer receding hope before it falls through the floor', () => {
+      const snapshot = { day: 13, pressure: { threat: 0, scarcity: 0, hope: 0.58, dread: 0.1 } };
+      const pressureHistory = [0.9, 0.8, 0.7].map((hope, index) => ({ day: 10 + index, threat: 0, scarcity: 0, hope, dread: 0.1 }));
+
+      const receding = evaluateClericRite({ ...snapshot, pressureHistory }, clericProfile);
+
+      assert.strictEqual(evaluateClericRite(snapshot, clericProfile).score, 0);
+      assert.strictEqual(receding.targetId, 'blessing');
+      assert(receding.reasonTags.includes('hope_receding'));
+    });
+  });
+
+  describe('evaluateDiplomaticEnvoy', () => {
+    const neighbors = [
+      { townId: 'town-2', factionId: 'ash-raiders', relation: -0.8, tradeOpen: false, lastContactDay: 1 },
+      { townId: 'town-3', factionId: 'river-guild', relation: 0.5, tradeOpen: false, lastContactDay: 19 },
+      { townId: 'town-4', factionId: 'iron-pact', relation: 0.9, tradeOpen: true, lastContactDay: 19 }
+    ];
+
+    it('should send an envoy to the most strained neighbor first', () => {
+      const res = evaluateDiplomaticEnvoy({ day: 20, pressure: { threat: 0.4 }, neighbors }, diplomatProfile);
+
+      assert.strictEqual(res.targetId, 'town-2');
+      assert.deepStrictEqual(res.reasonTags, ['neighbor_ranked', 'strained_relations', 'hostile_neighbors', 'stale_contact']);
+    });
+
+    it('should seek trade with friendly closed neighbors and ignore open partners', () => {
+      const trade = evaluateDiplomaticEnvoy({ day: 20, pressure: { scarcity: 0.6 }, neighbors: neighbors.slice(1) }, diplomatProfile);
+
+      assert.strictEqual(trade.targetId, 'town-3');
+      assert.deepStrictEqual(trade.reasonTags, ['neighbor_ranked', 'trade_route_closed']);
+      assert.strictEqual(evaluateDiplomaticEnvoy({ day: 20, pressure: {}, neighbors: neighbors.slice(2) }, diplomatProfile).score, 0);
+      assert.strictEqual(evaluateDiplomaticEnvoy({ day: 20, pressure: {} }, diplomatProfile).score, 0);
+    });
+
+    it('should fall back to townsfolk talk without neighbors', () => {
+      const snapshot = { day: 20, pressure: { threat: 0.2, scarcity: 0.3, hope: 0.8, dread: 0.1 } };
+
+      assert.strictEqual(evaluateGovernanceProposal(snapshot, diplomatProfile).type, ProposalType.TOWNSFOLK_TALK);
+      assert.strictEqual(evaluateGovernanceProposal({ ...snapshot, neighbors }, diplomatProfile).type, ProposalType.DIPLOMATIC_ENVOY);
+    });
+  });
+
   describe('evaluateTownsfolkTalk', () => {
     it('should return 0.5 when hope is low', () => {
       const snapshot = {
@@ -276,6 +822,53 @@ describe('Governance Heuristics', () => {
       assert.strictEqual(res.score, 0.2);
       assert(res.targetId === 'casual');
     });
+
+    it('should address a single resident whose morale has collapsed', () => {
+      const snapshot = {
+        pressure: { hope: 0.8 },
+        residents: [
+          { id: 'res-a', name: 'Ada', profession: 'farmer', morale: 0.7, skills: [] },
+          { id: 'res-b', name: 'Bo', profession: 'miner', morale: 0.1, skills: [] }
+        ]
+      };
+
+      const res = evaluateTownsfolkTalk(snapshot, {});
+      assert.strictEqual(res.targetId, 'morale-boost');
+      assert.deepStrictEqual(res.audience, { kind: 'resident', id: 'res-b' });
+      assert.deepStrictEqual(res.reasonTags, ['low_resident_morale', 'resident_targeted']);
+      assert(res.score > 0.5 && res.score <= 0.6);
+    });
+
+    it('should address the lowest-morale profession group when hope is low', () => {
+      const snapshot = {
+        pressure: { hope: 0.4 },
+        residents: [
+          { id: 'res-a', name: 'Ada', profession: 'farmer', morale: 0.6, skills: [] },
+          { id: 'res-b', name: 'Bo', profession: 'miner', morale: 0.3, skills: [] },
+          { id: 'res-c', name: 'Cy', profession: 'miner', morale: 0.5, skills: [] }
+        ]
+      };
+
+      const res = evaluateTownsfolkTalk(snapshot, {});
+      assert.strictEqual(res.score, 0.5);
+      assert.deepStrictEqual(res.audience, { kind: 'group', id: 'miner' });
+      assert.deepStrictEqual(res.reasonTags, ['low_hope', 'low_group_morale']);
+    });
+
+    it('should keep casual talk when every resident and group is content', () => {
+      const snapshot = {
+        pressure: { hope: 0.8 },
+        residents: [{ id: 'res-a', name: 'Ada', profession: 'farmer', morale: 0.7, skills: [] }]
+      };
+
+      const res = evaluateTownsfolkTalk(snapshot, {});
+      assert.deepStrictEqual(res, {
+        score: 0.2,
+        reasonTags: [],
+        targetId: 'casual',
+        breakdown: [{ name: 'base', value: 0.2 }]
+      });
+    });
   });
   
   describe('evaluateGovernanceProposal', () => {
@@ -389,4 +982,68 @@ describe('Governance Heuristics', () => {
       assert.strictEqual(result.type, ProposalType.MAYOR_ACCEPT_MISSION);
     });
   });
+
+  describe('score breakdown', () => {
+    const sumBreakdown = breakdown => breakdown.reduce((sum, entry) => sum + entry.value, 0);
+    const snapshot = {
+      day: 12,
+      mission: null,
+      sideQuests: [{ id: 'sq-1', title: 'Quest 1', complexity: 4, reward: 80, risk: 0.3, expiresOnDay: 14 }],
+      pressure: { threat: 0.6, scarcity: 0.55, hope: 0.35, dread: 0.5 },
+      projects: [{ id: 'p1', name: 'Defense', progress: 0.4, status: 'active' }],
+      events: [{ kind: 'raid', severity: 0.6, dayObserved: 11 }],
+      neighbors: [{ townId: 'town-2', factionId: 'ash-raiders', relation: -0.4, tradeOpen: false, lastContactDay: 2 }]
+    };
+
+    it('should itemise every builtin score into contributions that sum to it', () => {
+      const evaluations = [
+        evaluateMissionAcceptance(snapshot, mayorProfile),
+        evaluateProjectAdvance(snapshot, captainProfile),
+        evaluateSalvagePlan(snapshot, wardenProfile),
+        evaluateTreasuryAllocation(snapshot, treasurerProfile),
+        evaluateClericRite(snapshot, clericProfile),
+        evaluateDiplomaticEnvoy(snapshot, diplomatProfile),
+        evaluateTownsfolkTalk(snapshot, mayorProfile)
+      ];
+
+      for (const evaluation of evaluations) {
+        assert.ok(evaluation.score > 0);
+        assert.ok(Math.abs(sumBreakdown(evaluation.breakdown) - evaluation.score) < 1e-9);
+        assert.ok(evaluation.breakdown.every(entry => typeof entry.name === 'string' && entry.value !== 0));
+      }
+      assert.deepStrictEqual(evaluations[0].breakdown.map(entry => entry.name), [
+        'authority', 'pragmatism', 'goalBonus', 'complexityFit', 'eventReadiness', 'rewardVsRisk', 'urgency'
+      ]);
+    });
+
+    it('should separate trait contributions from the base', () => {
+      const bold = evaluateProjectAdvance(snapshot, { ...captainProfile, traits: { ...captainProfile.traits, courage: 0.9 } });
+      const timid = evaluateProjectAdvance(snapshot, { ...captainProfile, traits: { ...captainProfile.traits, courage: 0.1 } });
+      const contribution = (evaluation, name) => evaluation.breakdown.find(entry => entry.name === name)?.value ?? 0;
+
+      assert.strictEqual(contribution(bold, 'base'), contribution(timid, 'base'));
+      assert.ok(contribution(bold, 'courage') > contribution(timid, 'courage'));
+    });
+
+    it('should record clamping and the memory penalty as contributions', () => {
+      const saturated = evaluateProjectAdvance(
+        { ...snapshot, pressure: { threat: 1 }, projects: [{ id: 'p1', name: 'Defense', progress: 1, status: 'active' }] },
+        { ...captainProfile, traits: { ...captainProfile.traits, courage: 1, prudence: 1 } }
+      );
+      assert.strictEqual(saturated.score, 1);
+      assert.strictEqual(saturated.breakdown.at(-1).name, 'clamp');
+      assert.ok(saturated.breakdown.at(-1).value < 0);
+
+      const memory = { lastType: ProposalType.TOWNSFOLK_TALK, repeatCount: 2 };
+      const talk = evaluateGovernanceCandidates(snapshot, captainProfile, memory)
+        .find(candidate => candidate.type === ProposalType.TOWNSFOLK_TALK);
+      assert.strictEqual(talk.breakdown.at(-1).name, 'memoryPenalty');
+      assert.ok(Math.abs(talk.breakdown.at(-1).value + 0.2) < 1e-9);
+      assert.ok(Math.abs(sumBreakdown(talk.breakdown) - talk.priority) < 1e-9);
+    });
+
+    it('should report zero scores with an empty breakdown', () => {
+      assert.deepStrictEqual(evaluateClericRite({ pressure: { dread: 0, hope: 0.9 } }, clericProfile).breakdown, []);
+    });
+  });
 });
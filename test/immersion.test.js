@@ -1,6 +1,6 @@
 import assert from 'assert';
 import { describe, it } from 'node:test';
-import { captainProfile, mayorProfile, wardenProfile } from '../src/agentProfiles.js';
+import { captainProfile, clericProfile, diplomatProfile, mayorProfile, treasurerProfile, wardenProfile } from '../src/agentProfiles.js';
 import { inspectDecision } from '../src/decisionInspection.js';
 import { createExecutionHandoff, createExecutionResult } from '../src/executionHandoff.js';
 import {
@@ -318,6 +318,115 @@ function createRankingWorldMemory() {
   };
 }
 
+function createOfficeWorldMemory() {
+  const worldMemory = createCanonicalWorldMemory();
+
+  return {
+    ...worldMemory,
+    scope: {
+      ...worldMemory.scope,
+      chronicleLimit: 4,
+      historyLimit: 5
+    },
+    recentChronicle: [
+      {
+        sourceRecordId: 'chronicle:c_24',
+        entryType: 'speech',
+        message: 'The cleric kept a vigil for the families still in mourning.',
+        at: 540,
+        townId: 'town-immersion',
+        factionId: 'council',
+        sourceRefId: 'speech_vigil',
+        tags: ['chronicle', 'town:town-immersion', 'type:speech']
+      },
+      {
+        sourceRecordId: 'chronicle:c_23',
+        entryType: 'mission',
+        message: 'An envoy rode out with a treaty to settle the border grievance.',
+        at: 530,
+        townId: 'town-immersion',
+        factionId: 'council',
+        sourceRefId: 'mission_envoy',
+        tags: ['chronicle', 'town:town-immersion', 'type:mission']
+      },
+      {
+        sourceRecordId: 'chronicle:c_22',
+        entryType: 'warning',
+        message: 'The market reserve and grain stockpile ran short of coin before the autumn tax.',
+        at: 520,
+        townId: 'town-immersion',
+        factionId: 'council',
+        sourceRefId: 'warning_reserve',
+        tags: ['chronicle', 'town:town-immersion', 'type:warning']
+      },
+      worldMemory.recentChronicle[0]
+    ],
+    recentHistory: [
+      {
+        sourceType: 'execution_receipt',
+        handoffId: 'handoff_rite',
+        proposalType: 'CLERIC_RITE',
+        command: 'cleric rite town-immersion vigil',
+        authorityCommands: ['cleric rite town-immersion vigil'],
+        status: 'executed',
+        reasonCode: 'EXECUTED',
+        kind: 'execution_result',
+        at: 460,
+        townId: 'town-immersion',
+        summary: 'A dusk vigil eased the dread in the square.'
+      },
+      {
+        sourceType: 'execution_receipt',
+        handoffId: 'handoff_envoy',
+        proposalType: 'DIPLOMATIC_ENVOY',
+        command: 'diplomacy envoy town-immersion town-river reconcile',
+        authorityCommands: ['diplomacy envoy town-immersion town-river reconcile'],
+        status: 'executed',
+        reasonCode: 'EXECUTED',
+        kind: 'execution_result',
+        at: 450,
+        townId: 'town-immersion',
+        summary: 'The river envoy returned with a truce.'
+      },
+      {
+        sourceType: 'execution_receipt',
+        handoffId: 'handoff_treasury',
+        proposalType: 'TREASURY_ALLOCATE',
+        command: 'treasury allocate town-immersion stockpile',
+        authorityCommands: ['treasury allocate town-immersion stockpile'],
+        status: 'executed',
+        reasonCode: 'EXECUTED',
+        kind: 'execution_result',
+        at: 440,
+        townId: 'town-immersion',
+        summary: 'The treasury moved coin into the grain stockpile.'
+      },
+      ...worldMemory.recentHistory.slice(0, 2)
+    ],
+    townSummary: {
+      ...worldMemory.townSummary,
+      activeSupportOrderLabel: null,
+      activeSupportOrderType: null,
+      activeSupportOrderStage: null,
+      activeSupportOrderDueDay: null,
+      activeSupportOrderDuePhase: null,
+      activeSupportOrderAutoManaged: null
+    },
+    townIdentity: {
+      townId: 'town-immersion',
+      name: 'Immersion Reach',
+      status: 'active',
+      region: 'east marches',
+      tags: ['trade', 'frontier']
+    },
+    keyActors: [
+      { actorId: 'town-immersion.treasurer', townId: 'town-immersion', name: 'Treasurer Ilse Marr', role: 'treasurer', status: 'active' },
+      { actorId: 'town-immersion.cleric', townId: 'town-immersion', name: 'Cleric Oren Vale', role: 'cleric', status: 'active' },
+      { actorId: 'town-immersion.diplomat', townId: 'town-immersion', name: 'Diplomat Tamsin Reed', role: 'diplomat', status: 'active' }
+    ]
+  };
+}
+
 function createStructuredImmersionInput({
   narrativeContext = createNarrativeContext(),
   profileTemplate = mayorProfile,
@@ -680,6 +789,56 @@ describe('Immersion Adapter', () => {
     assert.strictEqual(townsfolkMemory.recentHistory[0].kind, 'execution_result');
   });
 
+  it('should shape shared world memory differently for treasurer, cleric, and diplomat roles', () => {
+    const worldMemory = createOfficeWorldMemory();
+
+    const treasurerMemory = selectWorldMemoryForRole('treasurer', 'leader-speech', worldMemory);
+    const clericMemory = selectWorldMemoryForRole('cleric', 'leader-speech', worldMemory);
+    const diplomatMemory = selectWorldMemoryForRole('diplomat', 'leader-speech', worldMemory);
+
+    assert.strictEqual(treasurerMemory.recentChronicle[0].sourceRecordId, 'chronicle:c_22');
+    assert.strictEqual(treasurerMemory.recentHistory[0].proposalType, 'TREASURY_ALLOCATE');
+    assert.strictEqual(Boolean(treasurerMemory.townSummary), true);
+    assert.strictEqual(Boolean(treasurerMemory.factionSummary), false);
+
+    assert.strictEqual(clericMemory.recentChronicle[0].sourceRecordId, 'chronicle:c_24');
+    assert.strictEqual(clericMemory.recentHistory[0].proposalType, 'CLERIC_RITE');
+    assert.strictEqual(Boolean(clericMemory.townSummary), true);
+    assert.strictEqual(Boolean(clericMemory.factionSummary), false);
+
+    assert.strictEqual(diplomatMemory.recentChronicle[0].sourceRecordId, 'chronicle:c_23');
+    assert.strictEqual(diplomatMemory.recentHistory[0].proposalType, 'DIPLOMATIC_ENVOY');
+    assert.strictEqual(Boolean(diplomatMemory.townSummary), true);
+    assert.strictEqual(Boolean(diplomatMemory.factionSummary), true);
+  });
+
+  it('should steer treasurer, cleric, and diplomat prompts with their own memory guidance and key actors', () => {
+    const roles = [
+      [treasurerProfile, 'Treasurer Ilse Marr', 'Treasurer', 'The treasury moved coin into the grain stockpile.'],
+      [clericProfile, 'Cleric Oren Vale', 'Cleric', 'A dusk vigil eased the dread in the square.'],
+      [diplomatProfile, 'Diplomat Tamsin Reed', 'Diplomat', 'The river envoy returned with a truce.']
+    ];
+
+    for (const [profileTemplate, actorName, actorTitle, summary] of roles) {
+      const input = createStructuredImmersionInput({
+        artifactType: 'leader-speech',
+        profileTemplate,
+        narrativeContext: createNarrativeContext({ worldMemory: createOfficeWorldMemory() })
+      });
+      const prompt = buildImmersionPrompt(input);
+      const continuity = selectActorContinuity(input);
+
+      assert(prompt.system.includes(`Role continuity emphasis: ${profileTemplate.role}.`));
+      assert(!prompt.system.includes('Role continuity emphasis: mayor.'));
+      assert.strictEqual(selectWorldMemoryForImmersionInput(input).recentHistory[0].summary, summary);
+      assert.strictEqual(continuity.role, profileTemplate.role);
+      assert.strictEqual(continuity.actorId, `town-immersion.${profileTemplate.role}`);
+      assert.strictEqual(continuity.actorName, actorName);
+      assert.strictEqual(continuity.actorTitle, actorTitle);
+      assert(prompt.system.includes(`Actor continuity anchor: ${actorName} is the recurring ${profileTemplate.role} perspective for Immersion Reach.`));
+    }
+  });
+
   it('should rank more role-relevant world-memory items ahead of merely newer ones', () => {
     const worldMemory = createRankingWorldMemory();
 
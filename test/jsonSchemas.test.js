@@ -0,0 +1,319 @@
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'url';
+import { captainProfile, isValidProfile, mayorProfile, wardenProfile } from '../src/agentProfiles.js';
+import { isValidCouncil } from '../src/council.js';
+import { DefaultHeuristicWeights, isValidHeuristicWeights } from '../src/heuristicWeights.js';
+import { isValidDemoFlowReport, runDemoFlow } from '../src/demoFlow.js';
+import { createEmbodimentRequestPreview, isValidEmbodimentRequestPreview } from '../src/embodimentPreview.js';
+import { createExecutionResult, isValidExecutionHandoff, isValidExecutionResult } from '../src/executionHandoff.js';
+import { isValidImmersionResult } from '../src/immersion.js';
+import { getJsonSchema, JsonSchemaDialect, listJsonSchemaVersions } from '../src/jsonSchemas.js';
+import { isValidProposal } from '../src/proposalDsl.js';
+import { proposalRegistry } from '../src/proposalRegistry.js';
+import { SchemaVersion } from '../src/schemaVersions.js';
+import { isValidSnapshot, migrateSnapshotToV2 } from '../src/snapshotSchema.js';
+import { isValidWorldMemoryContext } from '../src/worldMemoryContext.js';
+import { validateJsonSchema } from './helpers/jsonSchemaValidator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+function readFixture(filename) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', filename), 'utf8'));
+}
+
+const snapshotFixtures = [
+  'stableSnapshot.json',
+  'earlyGameSnapshot.json',
+  'crisisSnapshot.json',
+  'threatenedSnapshot.json',
+  'resourceCrisisSnapshot.json',
+  'sampleSnapshot.json',
+  'invalidSnapshot.json'
+];
+const validSnapshotFixtures = snapshotFixtures.filter(filename => filename !== 'invalidSnapshot.json');
+const builtinProfiles = [mayorProfile, captainProfile, wardenProfile];
+
+function assertAgreement(schemaVersion, value, isValid, label) {
+  const expected = isValid(value);
+  const schema = getJsonSchema(schemaVersion);
+  assert.strictEqual(
+    validateJsonSchema(schema, value),
+    expected,
+    `${label}: ${schemaVersion} schema should ${expected ? 'accept' : 'reject'} what the hand-written validator ${expected ? 'accepts' : 'rejects'}`
+  );
+  return expected;
+}
+
+function mutate(value, change) {
+  const copy = structuredClone(value);
+  change(copy);
+  return copy;
+}
+
+async function runFixtureDemoFlows() {
+  const reports = [];
+  for (const filename of validSnapshotFixtures) {
+    const snapshot = readFixture(filename);
+    for (const profile of builtinProfiles) {
+      const report = await runDemoFlow(snapshot, { ...profile, townId: snapshot.townId }, { immersionOptions: { env: {} } });
+      reports.push({ label: `${filename}/${profile.role}`, report });
+    }
+  }
+  return reports;
+}
+
+describe('JSON Schema Export', () => {
+  it('should publish a draft 2020-12 document for every contract version', () => {
+    assert.deepStrictEqual(listJsonSchemaVersions(), [
+      SchemaVersion.SNAPSHOT,
+      SchemaVersion.SNAPSHOT_V2,
+      SchemaVersion.PROFILE,
+      SchemaVersion.COUNCIL,
+      SchemaVersion.HEURISTIC_WEIGHTS,
+      SchemaVersion.PROPOSAL,
+      SchemaVersion.HANDOFF,
+      SchemaVersion.EXECUTION_RESULT,
+      SchemaVersion.WORLD_MEMORY_CONTEXT,
+      SchemaVersion.IMMERSION_RESULT,
+      SchemaVersion.EMBODIMENT_PREVIEW,
+      SchemaVersion.DEMO_FLOW
+    ]);
+
+    for (const schemaVersion of listJsonSchemaVersions()) {
+      const schema = getJsonSchema(schemaVersion);
+      assert.strictEqual(schema.$schema, JsonSchemaDialect);
+      assert.strictEqual(schema.$id, `urn:minecraft-agent-cognition:schema:${schemaVersion}`);
+      assert.strictEqual(schema.title, schemaVersion);
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(schema)), schema);
+    }
+  });
+
+  it('should return a fresh document on each call', () => {
+    const schema = getJsonSchema(SchemaVersion.PROPOSAL);
+    schema.allOf[0].then.properties.args.required.push('mutated');
+
+    assert.notDeepStrictEqual(getJsonSchema(SchemaVersion.PROPOSAL), schema);
+    assert.deepStrictEqual(proposalRegistry[0].argsSchema.required, ['missionId']);
+  });
+
+  it('should throw for versions without a JSON Schema', () => {
+    assert.throws(() => getJsonSchema('snapshot-delta.v1'), /No JSON Schema for schemaVersion: snapshot-delta\.v1/);
+    assert.throws(() => getJsonSchema('snapshot.v9'), /No JSON Schema/);
+  });
+
+  it('should bind proposal args to each registered type', () => {
+    const schema = getJsonSchema(SchemaVersion.PROPOSAL);
+
+    assert.deepStrictEqual(schema.properties.type.enum, proposalRegistry.map(definition => definition.type));
+    assert.strictEqual(schema.allOf.length, proposalRegistry.length);
+  });
+});
+
+describe('JSON Schema Agreement', () => {
+  it('should agree with isValidSnapshot on every snapshot fixture', () => {
+    for (const filename of snapshotFixtures) {
+      const snapshot = readFixture(filename);
+      const schemaVersion = snapshot.schemaVersion === SchemaVersion.SNAPSHOT_V2 ? SchemaVersion.SNAPSHOT_V2 : SchemaVersion.SNAPSHOT;
+      assertAgreement(schemaVersion, snapshot, isValidSnapshot, filename);
+    }
+
+    for (const filename of validSnapshotFixtures) {
+      const migrated = migrateSnapshotToV2(readFixture(filename));
+      assert.strictEqual(assertAgreement(SchemaVersion.SNAPSHOT_V2, migrated, isValidSnapshot, `${filename} as v2`), true);
+    }
+
+    assert.strictEqual(validateJsonSchema(getJsonSchema(SchemaVersion.SNAPSHOT), readFixture('invalidSnapshot.json')), false);
+  });
+
+  it('should agree with isValidSnapshot on structural snapshot mutations', () => {
+    const snapshot = readFixture('stableSnapshot.json');
+    const mutations = [
+      copy => { delete copy.mission; },
+      copy => { copy.mission = { id: 'm-1', title: 'Escort', acceptedBy: 'mayor-1' }; },
+      copy => { copy.mission = { id: 'm-1', title: 'Escort', acceptedBy: '' }; },
+      copy => { copy.extra = true; },
+      copy => { copy.day = 1.5; },
+      copy => { copy.townId = ''; },
+      copy => { copy.pressure.threat = 1.2; },
+      copy => { delete copy.pressure.hope; },
+      copy => { copy.sideQuests.push({ id: 'sq-new', title: 'New', complexity: 11 }); },
+      copy => { copy.sideQuests.push({ id: 'sq-role', title: 'Role', requiredRole: 'bard' }); },
+      copy => { copy.projects.push({ id: 'p-new', name: 'New', progress: 0, status: 'paused' }); },
+      copy => { copy.latestNetherEvent = 3; },
+      copy => { copy.events = [{ kind: 'raid', severity: 0.5, dayObserved: 0, source: 'scout' }]; },
+      copy => { copy.events = [{ kind: 'meteor', severity: 0.5, dayObserved: 0, source: 'scout' }]; },
+      copy => { copy.residents = [{ id: 'r1', name: 'Ada', profession: 'smith', morale: 0.5, skills: ['forge', 'forge'] }]; },
+      copy => { copy.environment = { season: 'winter', weather: 'snow', phase: 'night' }; },
+      copy => { copy.environment = { season: 'monsoon', weather: 'rain', phase: 'day' }; },
+      copy => { copy.neighbors = [{ townId: 'town-far', factionId: 'f1', relation: -0.5, tradeOpen: false, lastContactDay: 0 }]; },
+      copy => { copy.neighbors = [{ townId: 'town-far', factionId: 'f1', relation: -1.5, tradeOpen: false, lastContactDay: 0 }]; },
+      copy => { copy.neighbors = [{ townId: 'town-far', factionId: 'f1', relation: 0, tradeOpen: 'yes', lastContactDay: 0 }]; }
+    ];
+
+    mutations.forEach((change, index) => {
+      assertAgreement(SchemaVersion.SNAPSHOT, mutate(snapshot, change), isValidSnapshot, `snapshot mutation ${index}`);
+    });
+
+    const resourceSnapshot = migrateSnapshotToV2(readFixture('resourceCrisisSnapshot.json'));
+    assert.strictEqual(assertAgreement(SchemaVersion.SNAPSHOT_V2, resourceSnapshot, isValidSnapshot, 'migrated'), true);
+    assertAgreement(SchemaVersion.SNAPSHOT_V2, mutate(resourceSnapshot, copy => { delete copy.resources; }), isValidSnapshot, 'missing resources');
+    assertAgreement(SchemaVersion.SNAPSHOT_V2, mutate(resourceSnapshot, copy => { copy.resources[0].quantity = -1; }), isValidSnapshot, 'negative resource');
+  });
+
+  it('should agree with isValidProfile on profile fixtures and builtins', () => {
+    const profiles = [
+      ['customMayorProfile.json', readFixture('customMayorProfile.json')],
+      ['invalidProfile.json', readFixture('invalidProfile.json')],
+      ...builtinProfiles.map(profile => [profile.id, profile])
+    ];
+
+    for (const [label, profile] of profiles) {
+      assertAgreement(SchemaVersion.PROFILE, profile, isValidProfile, label);
+    }
+
+    const profile = readFixture('customMayorProfile.json');
+    assertAgreement(SchemaVersion.PROFILE, mutate(profile, copy => { copy.goals = {}; }), isValidProfile, 'empty goals');
+    assertAgreement(SchemaVersion.PROFILE, mutate(profile, copy => { copy.goals.growTown = 'yes'; }), isValidProfile, 'non-boolean goal');
+    assertAgreement(SchemaVersion.PROFILE, mutate(profile, copy => { copy.goals.growTown = 0.3; }), isValidProfile, 'weighted goal');
+    assertAgreement(SchemaVersion.PROFILE, mutate(profile, copy => { copy.goals.growTown = 1.5; }), isValidProfile, 'goal weight out of range');
+
+    const resultId = `result_${'c'.repeat(64)}`;
+    const lineage = {
+      generation: 1,
+      parentHash: 'a'.repeat(64),
+      hash: 'b'.repeat(64),
+      resultIds: [resultId],
+      learnedResultIds: [resultId],
+      traitHistory: [{ generation: 1, trait: 'courage', from: 0.61, to: 0.58, resultIds: [resultId] }]
+    };
+    assert.strictEqual(assertAgreement(SchemaVersion.PROFILE, mutate(profile, copy => { copy.lineage = lineage; }), isValidProfile, 'evolved profile'), true);
+    assertAgreement(SchemaVersion.PROFILE, mutate(profile, copy => { copy.lineage = { ...lineage, generation: 0 }; }), isValidProfile, 'lineage generation 0');
+    assertAgreement(SchemaVersion.PROFILE, mutate(profile, copy => { copy.lineage = { ...lineage, extra: true }; }), isValidProfile, 'lineage extra key');
+    assertAgreement(SchemaVersion.PROFILE, mutate(profile, copy => { copy.lineage = { ...lineage, resultIds: ['result_1'] }; }), isValidProfile, 'lineage bad result id');
+    assertAgreement(SchemaVersion.PROFILE, mutate(profile, copy => { copy.lineage = { ...lineage, learnedResultIds: [resultId, resultId] }; }), isValidProfile, 'lineage repeated learned id');
+    const relationships = { 'captain-1': { trust: 0.2, rivalry: 0.7 }, 'warden-1': { trust: 0.9 } };
+    assert.strictEqual(assertAgreement(SchemaVersion.PROFILE, mutate(profile, copy => { copy.relationships = relationships; }), isValidProfile, 'relationships'), true);
+    assertAgreement(SchemaVersion.PROFILE, mutate(profile, copy => { copy.relationships = { 'captain-1': { trust: 1.2 } }; }), isValidProfile, 'trust out of range');
+    assertAgreement(SchemaVersion.PROFILE, mutate(profile, copy => { copy.relationships = { 'captain-1': { respect: 0.5 } }; }), isValidProfile, 'relationship extra key');
+    assertAgreement(
+      SchemaVersion.PROFILE,
+      mutate(profile, copy => { copy.relationships = Object.fromEntries(Array.from({ length: 33 }, (_, index) => [`actor-${index}`, {}])); }),
+      isValidProfile,
+      'too many relationships'
+    );
+    assertAgreement(SchemaVersion.PROFILE, mutate(profile, copy => { delete copy.traits.courage; }), isValidProfile, 'missing trait');
+    assertAgreement(SchemaVersion.PROFILE, mutate(profile, copy => { copy.role = 'bard'; }), isValidProfile, 'unknown role');
+  });
+
+  it('should agree with isValidCouncil on the council fixture', () => {
+    const council = readFixture('townCouncil.json');
+    assert.strictEqual(assertAgreement(SchemaVersion.COUNCIL, council, isValidCouncil, 'fixture'), true);
+
+    assertAgreement(SchemaVersion.COUNCIL, mutate(council, copy => { copy.members = []; }), isValidCouncil, 'no members');
+    assertAgreement(SchemaVersion.COUNCIL, mutate(council, copy => { copy.members[1].traits.courage = 2; }), isValidCouncil, 'invalid member');
+    assertAgreement(SchemaVersion.COUNCIL, mutate(council, copy => { copy.members[2].townId = 'town-2'; }), isValidCouncil, 'foreign member');
+    assertAgreement(SchemaVersion.COUNCIL, mutate(council, copy => { copy.chair = 'mayor-1'; }), isValidCouncil, 'unknown key');
+  });
+
+  it('should agree with isValidHeuristicWeights on default and override documents', () => {
+    const weights = readFixture('tunedWeights.json');
+    assert.strictEqual(assertAgreement(SchemaVersion.HEURISTIC_WEIGHTS, weights, isValidHeuristicWeights, 'fixture'), true);
+    assert.strictEqual(assertAgreement(SchemaVersion.HEURISTIC_WEIGHTS, DefaultHeuristicWeights, isValidHeuristicWeights, 'defaults'), true);
+
+    assertAgreement(SchemaVersion.HEURISTIC_WEIGHTS, mutate(weights, copy => { delete copy.schemaVersion; }), isValidHeuristicWeights, 'no version');
+    assertAgreement(SchemaVersion.HEURISTIC_WEIGHTS, mutate(weights, copy => { copy.talk.casual = -0.1; }), isValidHeuristicWeights, 'negative weight');
+    assertAgreement(SchemaVersion.HEURISTIC_WEIGHTS, mutate(weights, copy => { copy.talk.shout = 1; }), isValidHeuristicWeights, 'unknown weight');
+    assertAgreement(SchemaVersion.HEURISTIC_WEIGHTS, mutate(weights, copy => { copy.events = { halfLifeDays: 0.5 }; }), isValidHeuristicWeights, 'short half-life');
+    assertAgreement(SchemaVersion.HEURISTIC_WEIGHTS, mutate(weights, copy => { copy.neighbors = { hostileRelationThreshold: -0.5 }; }), isValidHeuristicWeights, 'signed weight');
+    assertAgreement(SchemaVersion.HEURISTIC_WEIGHTS, mutate(weights, copy => { copy.rite = { needThreshold: 1.5 }; }), isValidHeuristicWeights, 'threshold above one');
+    assertAgreement(SchemaVersion.HEURISTIC_WEIGHTS, mutate(weights, copy => { copy.quests = { rewardScale: 0 }; }), isValidHeuristicWeights, 'zero reward scale');
+    assertAgreement(SchemaVersion.HEURISTIC_WEIGHTS, mutate(weights, copy => { copy.events = { kinds: { raid: { threat: '0.2' } } }; }), isValidHeuristicWeights, 'string weight');
+  });
+
+  it('should agree with isValidWorldMemoryContext on the world memory fixture', () => {
+    const context = readFixture('worldMemoryContext.json');
+    assert.strictEqual(assertAgreement(SchemaVersion.WORLD_MEMORY_CONTEXT, context, isValidWorldMemoryContext, 'fixture'), true);
+
+    const mutations = [
+      copy => { copy.extra = true; },
+      copy => { copy.scope.chronicleLimit = 6; },
+      copy => { delete copy.scope.factionId; },
+      copy => { copy.recentChronicle[0].message = '   '; },
+      copy => { copy.recentChronicle[0].tags = ['mission', 'mission']; },
+      copy => { delete copy.recentHistory[0].townId; },
+      copy => { copy.townSummary = null; },
+      copy => { copy.townSummary.activeSupportOrderDuePhase = 'dusk'; },
+      copy => { copy.townSummary.executionCounts.pending = 1; },
+      copy => { copy.factionSummary.stability = 'high'; },
+      copy => { copy.townIdentity.tags = Array.from({ length: 13 }, (_, index) => `tag-${index}`); },
+      copy => { copy.keyActors[0].role = ''; },
+      copy => { copy.keyActors[0].extra = 'x'; }
+    ];
+
+    mutations.forEach((change, index) => {
+      assertAgreement(SchemaVersion.WORLD_MEMORY_CONTEXT, mutate(context, change), isValidWorldMemoryContext, `world memory mutation ${index}`);
+    });
+  });
+
+  it('should agree with the hand-written validators on every demo artifact', async () => {
+    const reports = await runFixtureDemoFlows();
+
+    for (const { label, report } of reports) {
+      assert.strictEqual(assertAgreement(SchemaVersion.DEMO_FLOW, report, isValidDemoFlowReport, label), true);
+      assertAgreement(SchemaVersion.PROPOSAL, report.executionHandoff.proposal, isValidProposal, label);
+      assertAgreement(SchemaVersion.HANDOFF, report.executionHandoff, isValidExecutionHandoff, label);
+      assertAgreement(SchemaVersion.EXECUTION_RESULT, report.executionResult, isValidExecutionResult, label);
+      assertAgreement(SchemaVersion.IMMERSION_RESULT, report.immersionResult, isValidImmersionResult, label);
+      assertAgreement(SchemaVersion.EMBODIMENT_PREVIEW, report.embodimentPreview, isValidEmbodimentRequestPreview, label);
+    }
+  });
+
+  it('should agree on blocked previews and rejected results', async () => {
+    const [{ report }] = await runFixtureDemoFlows();
+    const rejected = createExecutionResult(report.executionHandoff, {
+      status: 'rejected',
+      accepted: false,
+      executed: false,
+      reasonCode: 'PRECONDITION_FAILED',
+      preconditions: { evaluated: true, passed: false, failures: [{ kind: 'mission_absent', detail: 'Mission already active' }] }
+    });
+    const blocked = createEmbodimentRequestPreview(report.decisionInspection, rejected, report.immersionResult);
+
+    assert.strictEqual(blocked.status, 'blocked');
+    assert.strictEqual(assertAgreement(SchemaVersion.EXECUTION_RESULT, rejected, isValidExecutionResult, 'rejected'), true);
+    assert.strictEqual(assertAgreement(SchemaVersion.EMBODIMENT_PREVIEW, blocked, isValidEmbodimentRequestPreview, 'blocked'), true);
+  });
+
+  it('should reject the same structural breakage as the hand-written validators', async () => {
+    const [{ report }] = await runFixtureDemoFlows();
+    const cases = [
+      [SchemaVersion.PROPOSAL, report.executionHandoff.proposal, isValidProposal, copy => { copy.priority = 2; }],
+      [SchemaVersion.PROPOSAL, report.executionHandoff.proposal, isValidProposal, copy => { copy.type = 'UNKNOWN'; }],
+      [SchemaVersion.PROPOSAL, report.executionHandoff.proposal, isValidProposal, copy => { copy.args = { ...copy.args, extra: 'x' }; }],
+      [SchemaVersion.PROPOSAL, report.executionHandoff.proposal, isValidProposal, copy => { copy.preconditions = [{ kind: '' }]; }],
+      [SchemaVersion.HANDOFF, report.executionHandoff, isValidExecutionHandoff, copy => { copy.advisory = false; }],
+      [SchemaVersion.HANDOFF, report.executionHandoff, isValidExecutionHandoff, copy => { copy.handoffId = 'handoff_nothex'; }],
+      [SchemaVersion.HANDOFF, report.executionHandoff, isValidExecutionHandoff, copy => { delete copy.executionRequirements; }],
+      [SchemaVersion.EXECUTION_RESULT, report.executionResult, isValidExecutionResult, copy => { copy.accepted = false; }],
+      [SchemaVersion.EXECUTION_RESULT, report.executionResult, isValidExecutionResult, copy => { copy.status = 'pending'; }],
+      [SchemaVersion.EXECUTION_RESULT, report.executionResult, isValidExecutionResult, copy => { copy.evaluation.extra = {}; }],
+      [SchemaVersion.EXECUTION_RESULT, report.executionResult, isValidExecutionResult, copy => { delete copy.evaluation.staleCheck.actualDecisionEpoch; }],
+      [SchemaVersion.IMMERSION_RESULT, report.immersionResult, isValidImmersionResult, copy => { copy.authority.stateMutation = true; }],
+      [SchemaVersion.IMMERSION_RESULT, report.immersionResult, isValidImmersionResult, copy => { copy.content = null; }],
+      [SchemaVersion.IMMERSION_RESULT, report.immersionResult, isValidImmersionResult, copy => { copy.error = { code: ' ', message: 'x' }; }],
+      [SchemaVersion.EMBODIMENT_PREVIEW, report.embodimentPreview, isValidEmbodimentRequestPreview, copy => { copy.blockedBy = 'x'; }],
+      [SchemaVersion.EMBODIMENT_PREVIEW, report.embodimentPreview, isValidEmbodimentRequestPreview, copy => { copy.constraints.requireLiveBot = true; }],
+      [SchemaVersion.EMBODIMENT_PREVIEW, report.embodimentPreview, isValidEmbodimentRequestPreview, copy => { delete copy.behavior.focusTarget; }],
+      [SchemaVersion.DEMO_FLOW, report, isValidDemoFlowReport, copy => { copy.demoMode = 'live'; }],
+      [SchemaVersion.DEMO_FLOW, report, isValidDemoFlowReport, copy => { copy.authorityBoundary.liveBotRequired = true; }]
+    ];
+
+    cases.forEach(([schemaVersion, value, isValid, change], index) => {
+      assert.strictEqual(assertAgreement(schemaVersion, mutate(value, change), isValid, `breakage ${index}`), false);
+    });
+  });
+});
@@ -1,6 +1,6 @@
 import assert from 'assert';
 import { describe, it } from 'node:test';
-import { mayorProfile } from '../src/agentProfiles.js';
+import { clericProfile, diplomatProfile, mayorProfile } from '../src/agentProfiles.js';
 import { createExecutionHandoff, isValidExecutionResult } from '../src/executionHandoff.js';
 import {
   createLocalExecutionState,
@@ -138,6 +138,70 @@ describe('Local Execution Harness', () => {
     assert.deepStrictEqual(first, second);
   });
 
+  it('should check resident and resident group targets for talk proposals', () => {
+    const snapshot = createDefaultSnapshot('town-1', 6);
+    snapshot.mission = { id: 'm-1', title: 'Hold' };
+    snapshot.residents = [{ id: 'res-1', name: 'Ada', profession: 'farmer', morale: 0.1, skills: [] }];
+    const handoff = createExecutionHandoff(propose(snapshot, mayorProfile));
+    const stateFor = residents => createLocalExecutionState({
+      snapshotHash: handoff.snapshotHash,
+      decisionEpoch: handoff.decisionEpoch,
+      residents
+    });
+
+    const executed = executeLocalHandoff(handoff, stateFor([{ id: 'res-1', profession: 'farmer' }]));
+    const rejected = executeLocalHandoff(handoff, stateFor([{ id: 'res-2', profession: 'farmer' }]));
+
+    assert.strictEqual(executed.status, 'executed');
+    assert.strictEqual(rejected.status, 'rejected');
+    assert.deepStrictEqual(rejected.evaluation.preconditions.failures, [
+      { kind: 'resident_exists', detail: 'Missing resident: res-1' }
+    ]);
+  });
+
+  it('should check neighbor targets for envoys and supported rites', () => {
+    const snapshot = createDefaultSnapshot('town-1', 6);
+    snapshot.neighbors = [{ townId: 'town-2', factionId: 'ash-raiders', relation: -0.7, tradeOpen: false, lastContactDay: 5 }];
+    snapshot.pressure.dread = 0.8;
+    const envoy = createExecutionHandoff(propose(snapshot, diplomatProfile));
+    const rite = createExecutionHandoff(propose(snapshot, clericProfile));
+    const stateFor = (handoff, overrides) => createLocalExecutionState({
+      snapshotHash: handoff.snapshotHash,
+      decisionEpoch: handoff.decisionEpoch,
+      ...overrides
+    });
+
+    assert.strictEqual(executeLocalHandoff(envoy, stateFor(envoy, { neighbors: [{ townId: 'town-2' }] })).status, 'executed');
+    assert.deepStrictEqual(executeLocalHandoff(envoy, stateFor(envoy, {})).evaluation.preconditions.failures, [
+      { kind: 'neighbor_exists', detail: 'Missing neighbor: town-2' }
+    ]);
+    assert.strictEqual(executeLocalHandoff(rite, stateFor(rite, {})).status, 'executed');
+    assert.deepStrictEqual(executeLocalHandoff(rite, stateFor(rite, { supportedRites: ['blessing'] })).evaluation.preconditions.failures, [
+      { kind: 'rite_supported', detail: 'Unsupported rite: vigil' }
+    ]);
+  });
+
+  it('should reject mission accept for a quest past its expiry epoch', () => {
+    const snapshot = createDefaultSnapshot('town-1', 6);
+    snapshot.sideQuests = [{ id: 'sq-1', title: 'Gather Wood', complexity: 1, expiresOnDay: 8 }];
+    const proposal = propose(snapshot, mayorProfile);
+    const handoff = createExecutionHandoff(proposal);
+    const stateFor = expiresOnDay => createLocalExecutionState({
+      snapshotHash: handoff.snapshotHash,
+      decisionEpoch: handoff.decisionEpoch,
+      sideQuests: [{ id: 'sq-1', expiresOnDay }]
+    });
+
+    assert(proposal.preconditions.some(precondition => precondition.kind === 'side_quest_not_expired' && precondition.expected === 8));
+    assert.strictEqual(executeLocalHandoff(handoff, stateFor(8)).status, 'executed');
+
+    const rejected = executeLocalHandoff(handoff, stateFor(5));
+    assert.strictEqual(rejected.status, 'rejected');
+    assert.deepStrictEqual(rejected.evaluation.preconditions.failures, [
+      { kind: 'side_quest_not_expired', detail: 'Side quest expired: sq-1 (day 5)' }
+    ]);
+  });
+
   it('should validate and normalize local state deterministically', () => {
     const state = {
       snapshotHash: 'a'.repeat(64),
@@ -148,6 +212,10 @@ describe('Local Execution Harness', () => {
         { id: 'proj-2', status: 'planning' },
         { id: 'proj-1', status: 'active' }
       ],
+      residents: [
+        { id: 'res-2', profession: 'miner' },
+        { id: 'res-1', profession: 'farmer' }
+      ],
       supportedSalvageFocuses: ['general', 'scarcity', 'dread'],
       supportedTalkTypes: ['morale-boost', 'casual'],
       processedResults: [
@@ -162,6 +230,7 @@ describe('Local Execution Harness', () => {
 
     assert.deepStrictEqual(normalized.sideQuests.map(sideQuest => sideQuest.id), ['sq-1', 'sq-2']);
     assert.deepStrictEqual(normalized.projects.map(project => project.id), ['proj-1', 'proj-2']);
+    assert.deepStrictEqual(normalized.residents.map(resident => resident.id), ['res-1', 'res-2']);
     assert.deepStrictEqual(normalized.processedResults.map(entry => entry.idempotencyKey), ['proposal-a', 'proposal-b']);
   });
 });
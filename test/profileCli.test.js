@@ -0,0 +1,87 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { spawnSync } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Roles } from '../src/agentProfiles.js';
+import { generateProfile } from '../src/profileGenerator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const repoRoot = path.resolve(__dirname, '..');
+const cliPath = path.join(repoRoot, 'src', 'profileCli.js');
+
+function runCli(args) {
+  return spawnSync(process.execPath, [cliPath, ...args], {
+    cwd: repoRoot,
+    encoding: 'utf8'
+  });
+}
+
+describe('Profile CLI', () => {
+  it('should emit one profile per town and role', () => {
+    const run = runCli(['--towns', 'town-1,town-2', '--seed', '42', '--roles', 'mayor,warden']);
+
+    assert.strictEqual(run.status, 0);
+    assert.strictEqual(run.stderr, '');
+
+    const output = JSON.parse(run.stdout);
+    assert.strictEqual(output.seed, 42);
+    assert.deepStrictEqual(output.profiles.map(profile => profile.id), ['town-1-mayor', 'town-1-warden', 'town-2-mayor', 'town-2-warden']);
+    assert.deepStrictEqual(output.profiles[3], generateProfile({ role: Roles.WARDEN, townId: 'town-2', seed: 42 }));
+    assert.strictEqual(runCli(['--towns', 'town-1,town-2', '--seed', '42', '--roles', 'mayor,warden']).stdout, run.stdout);
+  });
+
+  it('should default to every role and honor --archetype', () => {
+    const output = JSON.parse(runCli(['--towns', 'town-1', '--seed', '7', '--archetype', 'cautious-steward']).stdout);
+
+    assert.strictEqual(output.archetype, 'cautious-steward');
+    assert.deepStrictEqual(output.profiles.map(profile => profile.role), Object.values(Roles));
+    assert.ok(output.profiles.every(profile => profile.traits.prudence >= 0.8));
+  });
+
+  it('should return stable errors for missing flags and bad input', () => {
+    const missing = runCli(['--towns', 'town-1']);
+    assert.strictEqual(missing.status, 1);
+    assert.strictEqual(JSON.parse(missing.stderr).schemaVersion, 'profile.v1');
+    assert.strictEqual(JSON.parse(missing.stderr).error.code, 'USAGE');
+
+    const badSeed = runCli(['--towns', 'town-1', '--seed', '-3']);
+    assert.strictEqual(badSeed.status, 1);
+    assert.match(JSON.parse(badSeed.stderr).error.message, /unsigned 32-bit integer/);
+
+    const badArchetype = runCli(['--towns', 'town-1', '--seed', '1', '--archetype', 'saint']);
+    assert.strictEqual(badArchetype.status, 1);
+    assert.strictEqual(JSON.parse(badArchetype.stderr).error.code, 'INVALID_GENERATOR_INPUT');
+    assert.match(JSON.parse(badArchetype.stderr).error.message, /Unknown profile archetype: saint/);
+    assert.strictEqual(JSON.parse(badArchetype.stderr).schemaVersion, 'profile.v1');
+
+    const unknownFlag = runCli(['town-1']);
+    assert.deepStrictEqual(JSON.parse(unknownFlag.stderr), {
+      schemaVersion: 'profile.v1',
+      error: { code: 'USAGE', message: 'Unexpected argument: town-1' }
+    });
+
+    const help = runCli(['--help']);
+    assert.strictEqual(help.status, 0);
+    assert.match(help.stdout, /--towns <townId,...> --seed <uint32>/);
+  });
+
+  it('should reject towns or roles named twice instead of emitting duplicate profile ids', () => {
+    const duplicateTown = runCli(['--towns', 'town-1,town-2, town-1', '--seed', '42']);
+    assert.strictEqual(duplicateTown.status, 1);
+    assert.strictEqual(duplicateTown.stdout, '');
+    assert.deepStrictEqual(JSON.parse(duplicateTown.stderr), {
+      schemaVersion: 'profile.v1',
+      error: {
+        code: 'USAGE',
+        message: '--towns names town-1 more than once',
+        details: { flag: '--towns', duplicate: 'town-1' }
+      }
+    });
+
+    const duplicateRole = runCli(['--towns', 'town-1', '--seed', '42', '--roles', 'mayor,mayor']);
+    assert.strictEqual(duplicateRole.status, 1);
+    assert.deepStrictEqual(JSON.parse(duplicateRole.stderr).error.details, { flag: '--roles', duplicate: 'mayor' });
+  });
+});
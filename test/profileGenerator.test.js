@@ -0,0 +1,66 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { captainProfile, isValidProfile, Roles } from '../src/agentProfiles.js';
+import { isValidProposal } from '../src/proposalDsl.js';
+import { Archetypes, generateProfile } from '../src/profileGenerator.js';
+import { propose } from '../src/propose.js';
+import { generateSnapshot } from '../src/snapshotGenerator.js';
+
+describe('Profile Generator', () => {
+  it('should produce the same profile for the same seed', () => {
+    const options = { role: Roles.MAYOR, townId: 'town-7', seed: 42, archetype: Archetypes.BUREAUCRAT };
+
+    assert.deepStrictEqual(generateProfile(options), generateProfile({ ...options }));
+    assert.notDeepStrictEqual(generateProfile(options).traits, generateProfile({ ...options, seed: 43 }).traits);
+    assert.notDeepStrictEqual(generateProfile(options).traits, generateProfile({ ...options, townId: 'town-8' }).traits);
+    assert.strictEqual(generateProfile(options).id, 'town-7-mayor');
+  });
+
+  it('should produce valid profiles for every role and archetype', () => {
+    for (let seed = 0; seed < 50; seed += 1) {
+      for (const role of Object.values(Roles)) {
+        for (const archetype of [...Object.values(Archetypes), undefined]) {
+          const profile = generateProfile({ role, townId: 'town-1', seed, archetype });
+          assert.ok(isValidProfile(profile), `${role}/${archetype} seed ${seed}`);
+        }
+      }
+    }
+  });
+
+  it('should give each archetype its own temperament', () => {
+    const traitsOf = archetype => generateProfile({ role: Roles.CAPTAIN, townId: 'town-1', seed: 9, archetype }).traits;
+
+    assert.ok(traitsOf(Archetypes.RECKLESS_HERO).courage >= 0.85);
+    assert.ok(traitsOf(Archetypes.RECKLESS_HERO).prudence <= 0.2);
+    assert.ok(traitsOf(Archetypes.CAUTIOUS_STEWARD).prudence >= 0.8);
+    assert.ok(traitsOf(Archetypes.ZEALOT).authority >= 0.75);
+    assert.ok(traitsOf(Archetypes.BUREAUCRAT).pragmatism >= 0.6);
+  });
+
+  it('should name the role goals, with a zealot devoted to one', () => {
+    for (let seed = 0; seed < 20; seed += 1) {
+      const zealot = generateProfile({ role: Roles.CAPTAIN, townId: 'town-1', seed, archetype: Archetypes.ZEALOT });
+      const weights = Object.values(zealot.goals).sort((a, b) => b - a);
+
+      assert.deepStrictEqual(Object.keys(zealot.goals), Object.keys(captainProfile.goals));
+      assert.ok(weights[0] >= 0.9);
+      assert.ok(weights.slice(1).every(weight => weight <= 0.3));
+    }
+  });
+
+  it('should plug into propose()', () => {
+    const snapshot = generateSnapshot(3, { townId: 'town-9' });
+    for (const role of Object.values(Roles)) {
+      assert.ok(isValidProposal(propose(snapshot, generateProfile({ role, townId: 'town-9', seed: 3 }))));
+    }
+  });
+
+  it('should reject invalid options', () => {
+    assert.throws(() => generateProfile({ role: 'bard', townId: 'town-1', seed: 1 }), /Unknown profile role: bard/);
+    assert.throws(() => generateProfile({ role: Roles.MAYOR, townId: '', seed: 1 }), /townId/);
+    assert.throws(() => generateProfile({ role: Roles.MAYOR, townId: 'town-1', seed: -1 }), /unsigned 32-bit integer/);
+    assert.throws(() => generateProfile({ role: Roles.MAYOR, townId: 'town-1', seed: 1.5 }), /unsigned 32-bit integer/);
+    assert.throws(() => generateProfile({ role: Roles.MAYOR, townId: 'town-1', seed: 1, archetype: 'saint' }), /Unknown profile archetype: saint/);
+    assert.throws(() => generateProfile(), /Unknown profile role/);
+  });
+});
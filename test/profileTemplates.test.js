@@ -0,0 +1,121 @@
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'url';
+import { captainProfile, isValidProfile, mayorProfile } from '../src/agentProfiles.js';
+import { inspectDecision } from '../src/decisionInspection.js';
+import { hashProfile, ProfileTemplates, resolveProfile } from '../src/profileTemplates.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+function fixturePath(filename) {
+  return path.join(__dirname, 'fixtures', filename);
+}
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function loadFixtureTemplate(reference, referrer) {
+  const templatePath = path.resolve(path.dirname(referrer), reference);
+  return { id: templatePath, profile: readJson(templatePath) };
+}
+
+function resolveFixture(filename) {
+  const sourceId = fixturePath(filename);
+  return resolveProfile(readJson(sourceId), { sourceId, loadTemplate: loadFixtureTemplate });
+}
+
+describe('Profile Templates', () => {
+  it('should expose a builtin template for every role', () => {
+    assert.deepStrictEqual(Object.keys(ProfileTemplates), ['mayor', 'captain', 'warden', 'treasurer', 'cleric', 'diplomat']);
+    for (const [role, profile] of Object.entries(ProfileTemplates)) {
+      assert.strictEqual(profile.role, role);
+      assert.ok(isValidProfile(profile));
+    }
+  });
+
+  it('should resolve a profile without extends to itself', () => {
+    const { profile, lineage } = resolveProfile(mayorProfile);
+
+    assert.deepStrictEqual(profile, mayorProfile);
+    assert.notStrictEqual(profile, mayorProfile);
+    assert.deepStrictEqual(lineage, []);
+  });
+
+  it('should override only the traits and goals a builtin template names', () => {
+    const { profile, lineage } = resolveProfile({
+      extends: 'captain',
+      id: 'captain-bold',
+      townId: 'town-stable',
+      traits: { courage: 1 },
+      goals: { acceptMissions: false }
+    });
+
+    assert.deepStrictEqual(lineage, ['captain']);
+    assert.strictEqual('extends' in profile, false);
+    assert.strictEqual(profile.id, 'captain-bold');
+    assert.strictEqual(profile.role, captainProfile.role);
+    assert.deepStrictEqual(profile.traits, { ...captainProfile.traits, courage: 1 });
+    assert.deepStrictEqual(profile.goals, { ...captainProfile.goals, acceptMissions: false });
+    assert.ok(isValidProfile(profile));
+  });
+
+  it('should resolve file templates through the loader, nearest layer last', () => {
+    const base = readJson(fixturePath('customMayorProfile.json'));
+    const { profile, lineage } = resolveFixture('cautiousMayorProfile.json');
+
+    assert.deepStrictEqual(lineage, [fixturePath('customMayorProfile.json')]);
+    assert.deepStrictEqual(profile, {
+      ...base,
+      id: 'mayor-cautious',
+      traits: { ...base.traits, courage: 0.35, prudence: 0.9 },
+      goals: { ...base.goals, acceptMissions: false }
+    });
+  });
+
+  it('should report template cycles with the full chain', () => {
+    const first = fixturePath('cyclicProfileA.json');
+    const second = fixturePath('cyclicProfileB.json');
+
+    assert.throws(
+      () => resolveFixture('cyclicProfileA.json'),
+      error => error.message === `Profile template cycle: ${first} -> ${second} -> ${first}`
+    );
+    assert.throws(
+      () => resolveProfile({ extends: 'self' }, {
+        loadTemplate: () => ({ id: 'self', profile: { extends: 'self' } })
+      }),
+      /Profile template cycle: self -> self/
+    );
+  });
+
+  it('should reject unknown and malformed templates', () => {
+    assert.throws(() => resolveProfile({ extends: 'mayor.json' }), /Unknown profile template: mayor\.json/);
+    assert.throws(() => resolveProfile({ extends: '' }), /extends must be a non-empty string/);
+    assert.throws(() => resolveProfile({ extends: 7 }), /extends must be a non-empty string/);
+    assert.throws(
+      () => resolveProfile({ extends: 'base' }, { loadTemplate: () => ({ id: 'base', profile: [] }) }),
+      /Profile template must be an object: base/
+    );
+  });
+
+  it('should hash resolved profiles independent of key order', () => {
+    const reordered = Object.fromEntries(Object.entries(mayorProfile).reverse());
+    const { profile } = resolveProfile({ extends: 'mayor' });
+
+    assert.match(hashProfile(mayorProfile), /^[0-9a-f]{64}$/);
+    assert.strictEqual(hashProfile(reordered), hashProfile(mayorProfile));
+    assert.strictEqual(hashProfile(profile), hashProfile(mayorProfile));
+    assert.notStrictEqual(hashProfile({ ...mayorProfile, id: 'mayor-2' }), hashProfile(mayorProfile));
+  });
+
+  it('should record the resolved profile hash in decision inspection provenance', () => {
+    const snapshot = readJson(fixturePath('stableSnapshot.json'));
+    const { profile } = resolveFixture('cautiousMayorProfile.json');
+
+    assert.strictEqual(inspectDecision(snapshot, profile).provenance.profileHash, hashProfile(profile));
+  });
+});
@@ -3,12 +3,20 @@ import { describe, it } from 'node:test';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { captainProfile, mayorProfile, wardenProfile } from '../src/agentProfiles.js';
+import {
+  captainProfile,
+  clericProfile,
+  diplomatProfile,
+  mayorProfile,
+  treasurerProfile,
+  wardenProfile
+} from '../src/agentProfiles.js';
 import { ProposalType, isValidProposal } from '../src/proposalDsl.js';
 import { proposalToCommand } from '../src/proposalMapping.js';
 import {
   getProposalDefinition,
   getProposalOrder,
+  isValidProposalArgs,
   isValidProposalDefinition,
   isValidProposalRegistry,
   listProposalTypes,
@@ -53,7 +61,8 @@ function createContextForType(type) {
     sideQuests: [{ id: 'sq-1', title: 'Quest 1', complexity: 1 }],
     pressure: { threat: 0.8, scarcity: 0.8, hope: 0.4, dread: 0.7 },
     projects: [{ id: 'proj-1', name: 'Project 1', progress: 0.3, status: 'active' }],
-    latestNetherEvent: null
+    latestNetherEvent: null,
+    neighbors: [{ townId: 'town-2', factionId: 'ash-raiders', relation: -0.6, tradeOpen: false, lastContactDay: 5 }]
   };
 
   const contexts = {
@@ -72,6 +81,21 @@ function createContextForType(type) {
       profile: wardenProfile,
       targetId: 'scarcity'
     },
+    [ProposalType.TREASURY_ALLOCATE]: {
+      snapshot,
+      profile: treasurerProfile,
+      targetId: 'stockpile'
+    },
+    [ProposalType.CLERIC_RITE]: {
+      snapshot,
+      profile: clericProfile,
+      targetId: 'vigil'
+    },
+    [ProposalType.DIPLOMATIC_ENVOY]: {
+      snapshot,
+      profile: diplomatProfile,
+      targetId: 'town-2'
+    },
     [ProposalType.TOWNSFOLK_TALK]: {
       snapshot,
       profile: mayorProfile,
@@ -97,7 +121,7 @@ describe('Proposal Registry', () => {
 
     assert.deepStrictEqual(registeredTypes, exportedTypes);
     assert.deepStrictEqual(registeredTypes, listProposalTypes());
-    assert.deepStrictEqual(orders, [0, 1, 2, 3]);
+    assert.deepStrictEqual(orders, [0, 1, 2, 3, 4, 5, 6]);
     assert.strictEqual(new Set(orders).size, orders.length);
   });
 
@@ -129,6 +153,47 @@ describe('Proposal Registry', () => {
     assert.strictEqual(proposalRegistry.length, Object.values(ProposalType).length);
   });
 
+  it('should accept at most one resident audience on talk arguments', () => {
+    const type = ProposalType.TOWNSFOLK_TALK;
+
+    assert.strictEqual(isValidProposalArgs(type, { talkType: 'casual' }), true);
+    assert.strictEqual(isValidProposalArgs(type, { talkType: 'morale-boost', residentId: 'res-1' }), true);
+    assert.strictEqual(isValidProposalArgs(type, { talkType: 'morale-boost', profession: 'miner' }), true);
+    assert.strictEqual(isValidProposalArgs(type, { talkType: 'morale-boost', residentId: 'res-1', profession: 'miner' }), false);
+    assert.strictEqual(isValidProposalArgs(type, { talkType: 'morale-boost', residentId: '' }), false);
+    assert.strictEqual(isValidProposalArgs(type, { talkType: 'shout' }), false);
+    assert.strictEqual(
+      mapProposalToCommand(createEnvelope(type, { talkType: 'morale-boost', profession: 'miner' }, 'Speak up.')),
+      'townsfolk talk town-1 morale-boost group miner'
+    );
+  });
+
+  it('should validate and map the treasurer, cleric, and diplomat arguments', () => {
+    assert.strictEqual(isValidProposalArgs(ProposalType.TREASURY_ALLOCATE, { allocation: 'trade' }), true);
+    assert.strictEqual(isValidProposalArgs(ProposalType.TREASURY_ALLOCATE, { allocation: 'loan' }), false);
+    assert.strictEqual(isValidProposalArgs(ProposalType.CLERIC_RITE, { rite: 'vigil' }), true);
+    assert.strictEqual(isValidProposalArgs(ProposalType.CLERIC_RITE, { rite: 'vigil', hours: 2 }), false);
+    assert.strictEqual(isValidProposalArgs(ProposalType.DIPLOMATIC_ENVOY, { neighborTownId: 'town-2', aim: 'reconcile' }), true);
+    assert.strictEqual(isValidProposalArgs(ProposalType.DIPLOMATIC_ENVOY, { neighborTownId: '', aim: 'trade' }), false);
+    assert.strictEqual(isValidProposalArgs(ProposalType.DIPLOMATIC_ENVOY, { neighborTownId: 'town-2', aim: 'war' }), false);
+
+    const envoy = materializeProposalType(ProposalType.DIPLOMATIC_ENVOY, createContextForType(ProposalType.DIPLOMATIC_ENVOY));
+    assert.deepStrictEqual(envoy.args, { neighborTownId: 'town-2', aim: 'reconcile' });
+    assert.deepStrictEqual(envoy.preconditions, [{ kind: 'neighbor_exists', targetId: 'town-2' }]);
+    assert.strictEqual(
+      mapProposalToCommand(createEnvelope(ProposalType.DIPLOMATIC_ENVOY, envoy.args, envoy.reason)),
+      'diplomacy envoy town-1 town-2 reconcile'
+    );
+    assert.strictEqual(
+      mapProposalToCommand(createEnvelope(ProposalType.TREASURY_ALLOCATE, { allocation: 'reserve' }, 'Bank it.')),
+      'treasury allocate town-1 reserve'
+    );
+    assert.strictEqual(
+      mapProposalToCommand(createEnvelope(ProposalType.CLERIC_RITE, { rite: 'blessing' }, 'Bless them.')),
+      'cleric rite town-1 blessing'
+    );
+  });
+
   it('should preserve existing behavior for current proposal outputs', () => {
     const stableSnapshot = loadSnapshot('stableSnapshot.json');
     const threatenedSnapshot = loadSnapshot('threatenedSnapshot.json');
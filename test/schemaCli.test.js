@@ -0,0 +1,72 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getJsonSchema, listJsonSchemaVersions } from '../src/jsonSchemas.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const repoRoot = path.resolve(__dirname, '..');
+const cliPath = path.join(repoRoot, 'src', 'schemaCli.js');
+
+function runCli(args) {
+  return spawnSync(process.execPath, [cliPath, ...args], {
+    cwd: repoRoot,
+    encoding: 'utf8'
+  });
+}
+
+function withTempDir(callback) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schema-cli-'));
+  try {
+    callback(tempDir);
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+describe('Schema CLI', () => {
+  it('should write every JSON Schema document to the output directory', () => {
+    withTempDir(tempDir => {
+      const outDir = path.join(tempDir, 'schemas');
+      const run = runCli(['--out', outDir]);
+
+      assert.strictEqual(run.status, 0);
+      assert.strictEqual(run.stderr, '');
+
+      const summary = JSON.parse(run.stdout);
+      assert.strictEqual(summary.outDir, outDir);
+      assert.deepStrictEqual(summary.files.map(file => file.schemaVersion), listJsonSchemaVersions());
+
+      for (const schemaVersion of listJsonSchemaVersions()) {
+        const written = JSON.parse(fs.readFileSync(path.join(outDir, `${schemaVersion}.schema.json`), 'utf8'));
+        assert.deepStrictEqual(written, getJsonSchema(schemaVersion));
+      }
+    });
+  });
+
+  it('should write a single schema when --schema is given', () => {
+    withTempDir(tempDir => {
+      const run = runCli(['--out', tempDir, '--schema', 'proposal.v2']);
+
+      assert.strictEqual(run.status, 0);
+      assert.deepStrictEqual(fs.readdirSync(tempDir), ['proposal.v2.schema.json']);
+    });
+  });
+
+  it('should return a stable error for unknown schemas and missing flags', () => {
+    withTempDir(tempDir => {
+      const unknown = runCli(['--out', tempDir, '--schema', 'snapshot-delta.v1']);
+      assert.strictEqual(unknown.status, 1);
+      assert.strictEqual(JSON.parse(unknown.stderr).error.code, 'UNKNOWN_SCHEMA');
+      assert.deepStrictEqual(fs.readdirSync(tempDir), []);
+    });
+
+    const missing = runCli([]);
+    assert.strictEqual(missing.status, 1);
+    assert.strictEqual(JSON.parse(missing.stderr).error.code, 'USAGE');
+  });
+});
@@ -6,12 +6,18 @@ import { fileURLToPath } from 'url';
 import { captainProfile, mayorProfile, wardenProfile } from '../src/agentProfiles.js';
 import { ProposalType, isValidProposal } from '../src/proposalDsl.js';
 import { proposalToCommand } from '../src/proposalMapping.js';
+import { inspectDecision } from '../src/decisionInspection.js';
 import {
   canonicalizeSnapshot,
   createDefaultSnapshot,
-  isValidSnapshot
+  getResourceDaysOfSupply,
+  isValidSnapshot,
+  migrateSnapshotToV2,
+  resolveSnapshotBounds,
+  validateSnapshot,
+  validateSnapshotBounds
 } from '../src/snapshotSchema.js';
-import { SnapshotBounds } from '../src/schemaVersions.js';
+import { SchemaVersion, SnapshotBounds, SnapshotSchemaVersions } from '../src/schemaVersions.js';
 import { propose } from '../src/propose.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -187,3 +193,504 @@ describe('Snapshot Canonicalization', () => {
     assert.strictEqual(proposalToCommand(wardenProposal), 'salvage initiate town-resource-crisis scarcity');
   });
 });
+
+describe('Snapshot v2 Resource Ledger', () => {
+  function createV2Snapshot() {
+    return {
+      ...createDefaultSnapshot('town-1', 4),
+      schemaVersion: SchemaVersion.SNAPSHOT_V2,
+      pressure: { threat: 0.1, scarcity: 0.7, hope: 0.6, dread: 0.3 },
+      resources: [
+        { id: 'wood', quantity: 120, dailyConsumption: 4 },
+        { id: 'food', quantity: 30, dailyConsumption: 10 }
+      ]
+    };
+  }
+
+  it('should expose both snapshot schema versions', () => {
+    assert.deepStrictEqual(SnapshotSchemaVersions, ['snapshot.v1', 'snapshot.v2']);
+    assert.strictEqual(SchemaVersion.SNAPSHOT, 'snapshot.v1');
+    assert.strictEqual(SchemaVersion.SNAPSHOT_V2, 'snapshot.v2');
+  });
+
+  it('should validate the bounded resource ledger only for snapshot.v2', () => {
+    const v2 = createV2Snapshot();
+    const v1WithResources = { ...createDefaultSnapshot('town-1', 4), resources: [] };
+    const v2WithoutResources = { ...createV2Snapshot() };
+    delete v2WithoutResources.resources;
+    const negativeQuantity = createV2Snapshot();
+    negativeQuantity.resources[0].quantity = -1;
+    const duplicateIds = createV2Snapshot();
+    duplicateIds.resources[1].id = 'wood';
+    const tooManyResources = createV2Snapshot();
+    tooManyResources.resources = Array.from({ length: SnapshotBounds.maxResources + 1 }, (_, index) => ({
+      id: `resource-${index}`,
+      quantity: 1,
+      dailyConsumption: 0
+    }));
+
+    assert.strictEqual(isValidSnapshot(v2), true);
+    assert.strictEqual(isValidSnapshot(v1WithResources), false);
+    assert.strictEqual(isValidSnapshot(v2WithoutResources), false);
+    assert.strictEqual(isValidSnapshot(negativeQuantity), false);
+    assert.strictEqual(isValidSnapshot(duplicateIds), false);
+    assert.strictEqual(isValidSnapshot(tooManyResources), false);
+  });
+
+  it('should canonicalize resources by id and keep v1 canonical output unchanged', () => {
+    const canonical = canonicalizeSnapshot(createV2Snapshot());
+    const canonicalV1 = canonicalizeSnapshot(createDefaultSnapshot('town-1', 4));
+
+    assert.deepStrictEqual(canonical.resources.map(resource => resource.id), ['food', 'wood']);
+    assert.strictEqual('resources' in canonicalV1, false);
+  });
+
+  it('should migrate snapshot.v1 to snapshot.v2 with a ledger derived from scarcity', () => {
+    const v1 = createDefaultSnapshot('town-1', 3);
+    v1.pressure.scarcity = 0.5;
+
+    const migrated = migrateSnapshotToV2(v1);
+
+    assert.strictEqual(migrated.schemaVersion, SchemaVersion.SNAPSHOT_V2);
+    assert(isValidSnapshot(migrated));
+    assert.deepStrictEqual(migrated.resources, [
+      { id: 'food', quantity: 100, dailyConsumption: 10 },
+      { id: 'iron', quantity: 32, dailyConsumption: 1 },
+      { id: 'stone', quantity: 100, dailyConsumption: 3 },
+      { id: 'wood', quantity: 100, dailyConsumption: 4 }
+    ]);
+    assert.deepStrictEqual(migrateSnapshotToV2(migrated), migrated);
+    assert.strictEqual(v1.schemaVersion, SchemaVersion.SNAPSHOT);
+  });
+
+  it('should read scarcity on the configured pressure range when migrating', () => {
+    const bounds = { minPressure: 0, maxPressure: 10 };
+    const v1 = createDefaultSnapshot('town-1', 3);
+    v1.pressure = { threat: 3, scarcity: 5, hope: 7, dread: 2 };
+
+    const migrated = migrateSnapshotToV2(v1, bounds);
+
+    assert(isValidSnapshot(migrated, bounds));
+    assert.deepStrictEqual(migrated.pressure, v1.pressure);
+    assert.deepStrictEqual(migrated.resources.map(resource => resource.quantity), [100, 32, 100, 100]);
+    assert.throws(() => migrateSnapshotToV2(v1), /Invalid snapshot/);
+  });
+
+  it('should let propose and inspectDecision accept both snapshot versions', () => {
+    const v1 = loadSnapshot('resourceCrisisSnapshot.json');
+    const v2 = migrateSnapshotToV2(v1);
+    const profile = profileForSnapshot(wardenProfile, v1);
+
+    const v1Proposal = propose(v1, profile);
+    const v2Proposal = propose(v2, profile);
+    const report = inspectDecision(v2, profile);
+
+    assert(isValidProposal(v2Proposal));
+    assert.strictEqual(v2Proposal.type, v1Proposal.type);
+    assert.notStrictEqual(v2Proposal.snapshotHash, v1Proposal.snapshotHash);
+    assert.deepStrictEqual(report.selectedProposal, v2Proposal);
+  });
+
+  it('should name the scarcest stockpile in warden salvage reasoning', () => {
+    const snapshot = createV2Snapshot();
+    const proposal = propose(snapshot, wardenProfile);
+
+    assert.strictEqual(proposal.type, ProposalType.SALVAGE_PLAN);
+    assert.deepStrictEqual(proposal.args, { focus: 'scarcity' });
+    assert(proposal.reasonTags.includes('resource_shortfall'));
+    assert.match(proposal.reason, /Lowest stock: food \(3\.0 days\)/);
+    assert.deepStrictEqual(getResourceDaysOfSupply(snapshot).map(entry => entry.id), ['food', 'wood']);
+  });
+});
+
+describe('Snapshot Events', () => {
+  it('should validate typed events and canonicalize them newest first', () => {
+    const snapshot = createDefaultSnapshot('town-1', 9);
+    snapshot.events = [
+      { kind: 'supply_loss', severity: 0.4, dayObserved: 6, source: 'caravan' },
+      { source: 'scout', dayObserved: 9, severity: 0.9, kind: 'raid', targetProjectId: 'wall' },
+      { kind: 'panic', severity: 0.2, dayObserved: 9, source: 'square' }
+    ];
+
+    const canonical = canonicalizeSnapshot(snapshot);
+
+    assert(isValidSnapshot(snapshot));
+    assert.deepStrictEqual(canonical.events.map(event => event.kind), ['panic', 'raid', 'supply_loss']);
+    assert.deepStrictEqual(Object.keys(canonical.events[1]), ['kind', 'severity', 'dayObserved', 'source', 'targetProjectId']);
+    assert.strictEqual(
+      propose(snapshot, captainProfile).snapshotHash,
+      propose({ ...snapshot, events: [...snapshot.events].reverse() }, captainProfile).snapshotHash
+    );
+  });
+
+  it('should reject unknown kinds, future observations, and oversized event lists', () => {
+    const unknownKind = createDefaultSnapshot('town-1', 9);
+    unknownKind.events = [{ kind: 'dragon', severity: 0.5, dayObserved: 9, source: 'scout' }];
+    const futureEvent = createDefaultSnapshot('town-1', 9);
+    futureEvent.events = [{ kind: 'raid', severity: 0.5, dayObserved: 10, source: 'scout' }];
+    const tooMany = createDefaultSnapshot('town-1', 9);
+    tooMany.events = Array.from({ length: SnapshotBounds.maxEvents + 1 }, () => ({
+      kind: 'panic',
+      severity: 0.1,
+      dayObserved: 1,
+      source: 'square'
+    }));
+
+    assert.strictEqual(isValidSnapshot(unknownKind), false);
+    assert.strictEqual(isValidSnapshot(futureEvent), false);
+    assert.strictEqual(isValidSnapshot(tooMany), false);
+  });
+});
+
+describe('Snapshot Residents', () => {
+  function createResidentSnapshot() {
+    const snapshot = createDefaultSnapshot('town-1', 4);
+    snapshot.residents = [
+      { id: 'res-b', name: 'Bo', profession: 'miner', morale: 0.1, skills: ['smelting', 'digging'], assignedProjectId: 'mine' },
+      { id: 'res-a', name: 'Ada', profession: 'farmer', morale: 0.7, skills: [] }
+    ];
+    return snapshot;
+  }
+
+  it('should canonicalize residents by id with sorted skills', () => {
+    const snapshot = createResidentSnapshot();
+    const canonical = canonicalizeSnapshot(snapshot);
+
+    assert(isValidSnapshot(snapshot));
+    assert.deepStrictEqual(canonical.residents.map(resident => resident.id), ['res-a', 'res-b']);
+    assert.deepStrictEqual(canonical.residents[1].skills, ['digging', 'smelting']);
+    assert.strictEqual(
+      propose(snapshot, mayorProfile).snapshotHash,
+      propose({ ...snapshot, residents: [...snapshot.residents].reverse() }, mayorProfile).snapshotHash
+    );
+    assert.strictEqual('residents' in canonicalizeSnapshot(createDefaultSnapshot('town-1', 4)), false);
+  });
+
+  it('should reject out-of-range morale, duplicate skills, and oversized rosters', () => {
+    const badMorale = createResidentSnapshot();
+    badMorale.residents[0].morale = 1.5;
+    const duplicateSkill = createResidentSnapshot();
+    duplicateSkill.residents[0].skills = ['digging', 'digging'];
+    const tooMany = createDefaultSnapshot('town-1', 4);
+    tooMany.residents = Array.from({ length: SnapshotBounds.maxResidents + 1 }, (_, index) => ({
+      id: `res-${index}`,
+      name: `Resident ${index}`,
+      profession: 'farmer',
+      morale: 0.5,
+      skills: []
+    }));
+
+    assert.strictEqual(isValidSnapshot(badMorale), false);
+    assert.strictEqual(isValidSnapshot(duplicateSkill), false);
+    assert.strictEqual(isValidSnapshot(tooMany), false);
+  });
+
+  it('should target the unhappiest resident in the talk proposal and command', () => {
+    const snapshot = createResidentSnapshot();
+    snapshot.mission = { id: 'm-1', title: 'Hold' };
+    const proposal = propose(snapshot, mayorProfile);
+    const inspection = inspectDecision(snapshot, mayorProfile);
+
+    assert.strictEqual(proposal.type, ProposalType.TOWNSFOLK_TALK);
+    assert.deepStrictEqual(proposal.args, { talkType: 'morale-boost', residentId: 'res-b' });
+    assert(isValidProposal(proposal));
+    assert.strictEqual(proposalToCommand(proposal), 'townsfolk talk town-1 morale-boost resident res-b');
+    assert(proposal.preconditions.some(precondition => precondition.kind === 'resident_exists' && precondition.targetId === 'res-b'));
+    assert.deepStrictEqual(inspection.candidates[0].audience, { kind: 'resident', id: 'res-b' });
+  });
+});
+
+describe('Project Dependencies', () => {
+  function createProjectSnapshot() {
+    const snapshot = createDefaultSnapshot('town-1', 2);
+    snapshot.pressure.threat = 0.7;
+    snapshot.projects = [
+      { id: 'wall', name: 'Wall', progress: 0.5, status: 'active', dependsOn: ['quarry', 'forge'], requiredResources: [{ id: 'stone', quantity: 40 }, { id: 'iron', quantity: 4 }], estimatedDays: 6 },
+      { id: 'quarry', name: 'Quarry', progress: 0.3, status: 'active' },
+      { id: 'forge', name: 'Forge', progress: 1, status: 'complete' }
+    ];
+    return snapshot;
+  }
+
+  it('should canonicalize dependencies and requirements in id order', () => {
+    const snapshot = createProjectSnapshot();
+    const wall = canonicalizeSnapshot(snapshot).projects.find(project => project.id === 'wall');
+
+    assert(isValidSnapshot(snapshot));
+    assert.deepStrictEqual(wall.dependsOn, ['forge', 'quarry']);
+    assert.deepStrictEqual(wall.requiredResources.map(requirement => requirement.id), ['iron', 'stone']);
+    assert.strictEqual(wall.estimatedDays, 6);
+  });
+
+  it('should reject unknown dependencies, self-dependencies, and cycles', () => {
+    const unknown = createProjectSnapshot();
+    unknown.projects[1].dependsOn = ['moat'];
+    const self = createProjectSnapshot();
+    self.projects[1].dependsOn = ['quarry'];
+    const cycle = createProjectSnapshot();
+    cycle.projects[2].dependsOn = ['wall'];
+
+    assert.deepStrictEqual(validateSnapshot(unknown).map(issue => issue.code), ['unknown_reference']);
+    assert.deepStrictEqual(validateSnapshot(self).map(issue => issue.code), ['dependency_cycle']);
+    assert.deepStrictEqual(validateSnapshot(cycle).map(issue => [issue.path, issue.code, issue.actual]), [
+      ['$.projects[0].dependsOn', 'dependency_cycle', 'forge -> wall -> forge']
+    ]);
+  });
+
+  it('should explain which projects the captain unblocks', () => {
+    const snapshot = createProjectSnapshot();
+    const proposal = propose(snapshot, captainProfile);
+
+    assert.deepStrictEqual(proposal.args, { projectId: 'quarry' });
+    assert(proposal.reasonTags.includes('dependencies_incomplete_skipped'));
+    assert(proposal.reasonTags.includes('unblocks_dependents'));
+    assert.match(proposal.reason, /Unblocks: wall\./);
+  });
+});
+
+describe('Side Quest Terms', () => {
+  it('should validate and canonicalize reward, expiry, risk, and role requirements', () => {
+    const snapshot = createDefaultSnapshot('town-1', 3);
+    snapshot.sideQuests = [{ requiredRole: 'mayor', risk: 0.4, expiresOnDay: 5, reward: 80, complexity: 2, title: 'Escort', id: 'sq-1' }];
+
+    assert(isValidSnapshot(snapshot));
+    assert.deepStrictEqual(Object.keys(canonicalizeSnapshot(snapshot).sideQuests[0]), [
+      'id', 'title', 'complexity', 'reward', 'expiresOnDay', 'risk', 'requiredRole'
+    ]);
+  });
+
+  it('should reject malformed side quest terms with precise paths', () => {
+    const snapshot = createDefaultSnapshot('town-1', 3);
+    snapshot.sideQuests = [{ id: 'sq-1', title: 'Escort', reward: -1, expiresOnDay: 2.5, risk: 2, requiredRole: 'jester' }];
+
+    assert.deepStrictEqual(validateSnapshot(snapshot).map(issue => [issue.path, issue.code]), [
+      ['$.sideQuests[0].reward', 'out_of_range'],
+      ['$.sideQuests[0].expiresOnDay', 'not_integer'],
+      ['$.sideQuests[0].risk', 'out_of_range'],
+      ['$.sideQuests[0].requiredRole', 'invalid_enum']
+    ]);
+  });
+});
+
+describe('Snapshot Environment', () => {
+  it('should validate and canonicalize the optional environment block', () => {
+    const snapshot = createDefaultSnapshot('town-1', 3);
+    snapshot.environment = { phase: 'night', weather: 'snow', season: 'winter' };
+    const canonical = canonicalizeSnapshot(snapshot);
+
+    assert(isValidSnapshot(snapshot));
+    assert.deepStrictEqual(Object.keys(canonical.environment), ['season', 'weather', 'phase']);
+    assert.notStrictEqual(
+      propose(snapshot, captainProfile).snapshotHash,
+      propose(createDefaultSnapshot('town-1', 3), captainProfile).snapshotHash
+    );
+  });
+
+  it('should reject unknown seasons, weather, phases, and keys', () => {
+    const snapshot = createDefaultSnapshot('town-1', 3);
+    snapshot.environment = { season: 'monsoon', weather: 'fog', phase: 'noon', moon: 'full' };
+
+    assert.deepStrictEqual(validateSnapshot(snapshot).map(issue => [issue.path, issue.code]), [
+      ['$.environment.moon', 'unknown_key'],
+      ['$.environment.season', 'invalid_enum'],
+      ['$.environment.weather', 'invalid_enum'],
+      ['$.environment.phase', 'invalid_enum']
+    ]);
+  });
+});
+
+describe('Snapshot Neighbors', () => {
+  const neighbors = [
+    { townId: 'town-3', factionId: 'river-guild', relation: 0.6, tradeOpen: true, lastContactDay: 2 },
+    { townId: 'town-2', factionId: 'ash-raiders', relation: -0.8, tradeOpen: false, lastContactDay: 3 }
+  ];
+
+  it('should canonicalize neighbors by townId and hash them', () => {
+    const snapshot = createDefaultSnapshot('town-1', 3);
+    snapshot.neighbors = neighbors;
+    const reordered = createDefaultSnapshot('town-1', 3);
+    reordered.neighbors = [...neighbors].reverse();
+
+    assert(isValidSnapshot(snapshot));
+    assert.deepStrictEqual(canonicalizeSnapshot(snapshot).neighbors.map(neighbor => neighbor.townId), ['town-2', 'town-3']);
+    assert.strictEqual(
+      propose(snapshot, captainProfile).snapshotHash,
+      propose(reordered, captainProfile).snapshotHash
+    );
+    assert.notStrictEqual(
+      propose(snapshot, captainProfile).snapshotHash,
+      propose(createDefaultSnapshot('town-1', 3), captainProfile).snapshotHash
+    );
+  });
+
+  it('should reject self, duplicate, future, and malformed neighbors', () => {
+    const snapshot = createDefaultSnapshot('town-1', 3);
+    snapshot.neighbors = [
+      { townId: 'town-1', factionId: 'home', relation: 1, tradeOpen: true, lastContactDay: 3 },
+      { townId: 'town-2', factionId: 'ash-raiders', relation: -1.5, tradeOpen: 'no', lastContactDay: 4 },
+      { townId: 'town-2', factionId: '', relation: 0, tradeOpen: false, lastContactDay: 1, treaty: 'none' }
+    ];
+
+    assert.deepStrictEqual(validateSnapshot(snapshot).map(issue => [issue.path, issue.code]), [
+      ['$.neighbors[2].townId', 'duplicate_id'],
+      ['$.neighbors[0].townId', 'duplicate_id'],
+      ['$.neighbors[1].relation', 'out_of_range'],
+      ['$.neighbors[1].tradeOpen', 'invalid_type'],
+      ['$.neighbors[1].lastContactDay', 'out_of_range'],
+      ['$.neighbors[2].treaty', 'unknown_key'],
+      ['$.neighbors[2].factionId', 'empty_string']
+    ]);
+  });
+
+  it('should bound the neighbor list', () => {
+    const snapshot = createDefaultSnapshot('town-1', 3);
+    snapshot.neighbors = Array.from({ length: SnapshotBounds.maxNeighbors + 1 }, (_, index) => ({
+      townId: `town-n${index}`,
+      factionId: 'wanderers',
+      relation: 0,
+      tradeOpen: false,
+      lastContactDay: 0
+    }));
+
+    assert.deepStrictEqual(validateSnapshot(snapshot).map(issue => issue.code), ['too_many_items']);
+  });
+});
+
+describe('Snapshot Pressure History', () => {
+  const pressureHistory = [
+    { day: 2, threat: 0.5, scarcity: 0.4, hope: 0.5, dread: 0.2 },
+    { day: 0, threat: 0.2, scarcity: 0.6, hope: 0.5, dread: 0.2 },
+    { day: 1, threat: 0.3, scarcity: 0.5, hope: 0.5, dread: 0.2 }
+  ];
+
+  it('should canonicalize pressure history by day and hash it', () => {
+    const snapshot = createDefaultSnapshot('town-1', 3);
+    snapshot.pressureHistory = pressureHistory;
+    const reordered = createDefaultSnapshot('town-1', 3);
+    reordered.pressureHistory = [...pressureHistory].reverse();
+
+    assert(isValidSnapshot(snapshot));
+    assert.deepStrictEqual(canonicalizeSnapshot(snapshot).pressureHistory.map(sample => sample.day), [0, 1, 2]);
+    assert.strictEqual(inspectDecision(snapshot, captainProfile).pressureTrends.threat.direction, 'rising');
+    assert.strictEqual('pressureTrends' in inspectDecision(createDefaultSnapshot('town-1', 3), captainProfile), false);
+    assert.strictEqual(
+      propose(snapshot, captainProfile).snapshotHash,
+      propose(reordered, captainProfile).snapshotHash
+    );
+    assert.notStrictEqual(
+      propose(snapshot, captainProfile).snapshotHash,
+      propose(createDefaultSnapshot('town-1', 3), captainProfile).snapshotHash
+    );
+  });
+
+  it('should reject current, duplicate, out-of-range, and malformed samples', () => {
+    const snapshot = createDefaultSnapshot('town-1', 3);
+    snapshot.pressureHistory = [
+      { day: 3, threat: 0.5, scarcity: 0.5, hope: 0.5, dread: 0.5 },
+      { day: 1, threat: 1.5, scarcity: 0.5, hope: 0.5, dread: 0.5 },
+      { day: 1, threat: 0.5, scarcity: 0.5, hope: 0.5, dread: 0.5, mood: 0.5 },
+      { day: 1.5, threat: 0.5, scarcity: 0.5, hope: 0.5 }
+    ];
+
+    assert.deepStrictEqual(validateSnapshot(snapshot).map(issue => [issue.path, issue.code]), [
+      ['$.pressureHistory[0].day', 'out_of_range'],
+      ['$.pressureHistory[1].threat', 'out_of_range'],
+      ['$.pressureHistory[2].mood', 'unknown_key'],
+      ['$.pressureHistory[2].day', 'duplicate_id'],
+      ['$.pressureHistory[3].day', 'not_integer'],
+      ['$.pressureHistory[3].dread', 'invalid_type']
+    ]);
+  });
+
+  it('should bound pressure history and rescale it with the configured pressure range', () => {
+    const snapshot = createDefaultSnapshot('town-1', 40);
+    snapshot.pressureHistory = Array.from({ length: SnapshotBounds.maxPressureHistory + 1 }, (_, index) => ({
+      day: index,
+      threat: 0,
+      scarcity: 0,
+      hope: 0,
+      dread: 0
+    }));
+    assert.deepStrictEqual(validateSnapshot(snapshot).map(issue => issue.code), ['too_many_items']);
+
+    const percentBounds = { minPressure: 0, maxPressure: 100 };
+    const percentSnapshot = {
+      ...createDefaultSnapshot('town-1', 3),
+      pressure: { threat: 60, scarcity: 40, hope: 50, dread: 20 },
+      pressureHistory: pressureHistory.map(sample => ({
+        day: sample.day,
+        threat: sample.threat * 100,
+        scarcity: sample.scarcity * 100,
+        hope: sample.hope * 100,
+        dread: sample.dread * 100
+      }))
+    };
+    const profile = { ...captainProfile, townId: 'town-1' };
+
+    assert.strictEqual(isValidSnapshot(percentSnapshot), false);
+    assert(isValidSnapshot(percentSnapshot, percentBounds));
+    assert.deepStrictEqual(
+      inspectDecision(percentSnapshot, profile, {}, { bounds: percentBounds }).pressureTrends,
+      inspectDecision({
+        ...percentSnapshot,
+        pressure: { threat: 0.6, scarcity: 0.4, hope: 0.5, dread: 0.2 },
+        pressureHistory
+      }, profile).pressureTrends
+    );
+  });
+});
+
+describe('Snapshot Bounds Config', () => {
+  it('should merge overrides over the default bounds and reject malformed configs', () => {
+    assert.deepStrictEqual(resolveSnapshotBounds(), SnapshotBounds);
+    assert.deepStrictEqual(resolveSnapshotBounds({ maxProjects: 5 }), { ...SnapshotBounds, maxProjects: 5 });
+    assert.deepStrictEqual(validateSnapshotBounds({ maxEvents: 1.5, minPressure: 'low' }).map(issue => [issue.path, issue.code]), [
+      ['$.minPressure', 'invalid_type'],
+      ['$.maxEvents', 'not_integer']
+    ]);
+    assert.deepStrictEqual(validateSnapshotBounds({ minPressure: 2 }).map(issue => [issue.path, issue.code]), [
+      ['$.maxPressure', 'out_of_range']
+    ]);
+    assert.throws(() => resolveSnapshotBounds({ maxPlayers: 10 }), /Invalid snapshot bounds/);
+  });
+
+  it('should validate list limits against the configured bounds', () => {
+    const snapshot = createDefaultSnapshot('town-1', 3);
+    snapshot.sideQuests = [
+      { id: 'sq-1', title: 'One' },
+      { id: 'sq-2', title: 'Two' }
+    ];
+    const tightBounds = { maxSideQuests: 1 };
+
+    assert(isValidSnapshot(snapshot));
+    assert.deepStrictEqual(validateSnapshot(snapshot, tightBounds).map(issue => [issue.path, issue.code]), [
+      ['$.sideQuests', 'too_many_items']
+    ]);
+    assert.throws(() => canonicalizeSnapshot(snapshot, tightBounds), /Invalid snapshot structure/);
+    assert.throws(() => propose(snapshot, captainProfile, {}, { bounds: tightBounds }), /Invalid snapshot structure/);
+  });
+
+  it('should score a configured pressure range like the equivalent default-range snapshot', () => {
+    const snapshot = loadSnapshot('threatenedSnapshot.json');
+    const percentSnapshot = {
+      ...snapshot,
+      pressure: Object.fromEntries(Object.entries(snapshot.pressure).map(([key, value]) => [key, value * 100]))
+    };
+    const percentBounds = { minPressure: 0, maxPressure: 100 };
+    const profile = { ...captainProfile, townId: snapshot.townId };
+
+    assert.strictEqual(isValidSnapshot(percentSnapshot), false);
+    assert(isValidSnapshot(percentSnapshot, percentBounds));
+
+    const baseline = propose(snapshot, profile);
+    const scaled = propose(percentSnapshot, profile, {}, { bounds: percentBounds });
+    assert.strictEqual(scaled.type, baseline.type);
+    assert.deepStrictEqual(scaled.args, baseline.args);
+    assert.strictEqual(scaled.reason, baseline.reason);
+    assert.notStrictEqual(scaled.snapshotHash, baseline.snapshotHash);
+    assert.deepStrictEqual(
+      inspectDecision(percentSnapshot, profile, {}, { bounds: percentBounds }).provenance.bounds,
+      { ...SnapshotBounds, ...percentBounds }
+    );
+  });
+});
@@ -0,0 +1,185 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { mayorProfile } from '../src/agentProfiles.js';
+import { propose } from '../src/propose.js';
+import {
+  applySnapshotDelta,
+  createSnapshotDelta,
+  isValidSnapshotDelta,
+  validateSnapshotDelta
+} from '../src/snapshotDelta.js';
+import { createDefaultSnapshot, migrateSnapshotToV2 } from '../src/snapshotSchema.js';
+
+function createBaseSnapshot() {
+  const snapshot = createDefaultSnapshot('town-1', 5);
+  snapshot.sideQuests = [{ id: 'sq-1', title: 'Gather Wood', complexity: 2 }];
+  snapshot.projects = [{ id: 'wall', name: 'Wall', progress: 0.4, status: 'active' }];
+  return snapshot;
+}
+
+describe('Snapshot Delta', () => {
+  it('should apply typed operations and return the next canonical snapshot and hash', () => {
+    const base = createBaseSnapshot();
+    const delta = createSnapshotDelta(base, [
+      { op: 'set_pressure', key: 'threat', value: 0.6 },
+      { op: 'add_side_quest', sideQuest: { id: 'sq-0', title: 'Fish', complexity: 1 } },
+      { op: 'remove_side_quest', sideQuestId: 'sq-1' },
+      { op: 'update_project', projectId: 'wall', progress: 0.55 },
+      { op: 'add_project', project: { id: 'gate', name: 'Gate', progress: 0, status: 'planning' } },
+      { op: 'set_latest_nether_event', value: 'ghast sighted' }
+    ]);
+
+    const { snapshot, snapshotHash } = applySnapshotDelta(base, delta);
+
+    assert.strictEqual(delta.baseSnapshotHash, propose(base, mayorProfile).snapshotHash);
+    assert.strictEqual(delta.decisionEpoch, 6);
+    assert.strictEqual(snapshot.day, 6);
+    assert.strictEqual(snapshot.pressure.threat, 0.6);
+    assert.deepStrictEqual(snapshot.sideQuests.map(quest => quest.id), ['sq-0']);
+    assert.deepStrictEqual(snapshot.projects.map(project => [project.id, project.progress]), [['gate', 0], ['wall', 0.55]]);
+    assert.strictEqual(snapshot.latestNetherEvent, 'ghast sighted');
+    assert.strictEqual(snapshotHash, propose(snapshot, mayorProfile).snapshotHash);
+    assert.strictEqual(base.day, 5);
+  });
+
+  it('should chain epochs through the returned snapshot hash', () => {
+    const base = createBaseSnapshot();
+    const first = applySnapshotDelta(base, createSnapshotDelta(base, [{ op: 'set_pressure', key: 'hope', value: 0.5 }]));
+    const secondDelta = createSnapshotDelta(first.snapshot, [{ op: 'update_project', projectId: 'wall', status: 'complete' }]);
+
+    assert.strictEqual(secondDelta.baseSnapshotHash, first.snapshotHash);
+    assert.strictEqual(applySnapshotDelta(first.snapshot, secondDelta).snapshot.day, 7);
+  });
+
+  it('should reject deltas that target the wrong base or skip epochs', () => {
+    const base = createBaseSnapshot();
+    const delta = createSnapshotDelta(base, []);
+
+    assert.throws(
+      () => applySnapshotDelta({ ...base, pressure: { ...base.pressure, hope: 0.1 } }, delta),
+      /base hash mismatch/
+    );
+    assert.throws(
+      () => applySnapshotDelta(base, { ...delta, decisionEpoch: 7 }),
+      /epoch 7 does not follow base epoch 5/
+    );
+  });
+
+  it('should reject operations that miss their target or break the snapshot schema', () => {
+    const base = createBaseSnapshot();
+
+    assert.throws(
+      () => applySnapshotDelta(base, createSnapshotDelta(base, [{ op: 'remove_project', projectId: 'moat' }])),
+      /removes missing project: moat/
+    );
+    assert.throws(
+      () => applySnapshotDelta(base, createSnapshotDelta(base, [{ op: 'add_side_quest', sideQuest: { id: 'sq-1', title: 'Again' } }])),
+      /adds existing side quest: sq-1/
+    );
+    assert.throws(
+      () => applySnapshotDelta(base, createSnapshotDelta(base, [{ op: 'set_pressure', key: 'dread', value: 2 }])),
+      /produced an invalid snapshot/
+    );
+    assert.throws(
+      () => applySnapshotDelta(base, createSnapshotDelta(base, [{ op: 'set_resource', resource: { id: 'food', quantity: 1, dailyConsumption: 1 } }])),
+      /without a resource ledger/
+    );
+  });
+
+  it('should upsert resources on snapshot.v2 bases', () => {
+    const base = migrateSnapshotToV2(createBaseSnapshot());
+    const { snapshot } = applySnapshotDelta(base, createSnapshotDelta(base, [
+      { op: 'set_resource', resource: { id: 'food', quantity: 12, dailyConsumption: 10 } }
+    ]));
+
+    assert.deepStrictEqual(snapshot.resources.find(resource => resource.id === 'food'), { id: 'food', quantity: 12, dailyConsumption: 10 });
+  });
+
+  it('should validate and canonicalize against deployment bounds', () => {
+    const bounds = { maxProjects: 150, minPressure: 0, maxPressure: 100 };
+    const base = {
+      ...createBaseSnapshot(),
+      pressure: { threat: 40, scarcity: 20, hope: 70, dread: 10 },
+      projects: Array.from({ length: 120 }, (_, index) => ({ id: `p-${index}`, name: `Project ${index}`, progress: 0, status: 'planning' }))
+    };
+    const delta = createSnapshotDelta(base, [{ op: 'set_pressure', key: 'threat', value: 85 }], { bounds });
+    const { snapshot } = applySnapshotDelta(base, delta, { bounds });
+
+    assert.strictEqual(snapshot.pressure.threat, 85);
+    assert.strictEqual(snapshot.projects.length, 120);
+    assert.throws(() => createSnapshotDelta(base, []), /Invalid snapshot structure/);
+    assert.throws(() => applySnapshotDelta(base, delta), /Invalid snapshot structure/);
+    assert.throws(() => applySnapshotDelta(base, delta, { bounds: { maxProjects: -1 } }), /Invalid snapshot bounds/);
+  });
+
+  it('should update project planning fields and remove optional ones with null', () => {
+    const base = {
+      ...createBaseSnapshot(),
+      projects: [
+        { id: 'wall', name: 'Wall', progress: 0.4, status: 'active', estimatedDays: 4 },
+        { id: 'gate', name: 'Gate', progress: 0, status: 'planning' }
+      ]
+    };
+    const { snapshot } = applySnapshotDelta(base, createSnapshotDelta(base, [
+      { op: 'update_project', projectId: 'gate', dependsOn: ['wall'], requiredResources: [{ id: 'stone', quantity: 20 }] },
+      { op: 'update_project', projectId: 'wall', estimatedDays: null }
+    ]));
+
+    assert.deepStrictEqual(snapshot.projects, [
+      { id: 'gate', name: 'Gate', progress: 0, status: 'planning', dependsOn: ['wall'], requiredResources: [{ id: 'stone', quantity: 20 }] },
+      { id: 'wall', name: 'Wall', progress: 0.4, status: 'active' }
+    ]);
+  });
+
+  it('should set environment, neighbors, and pressure history', () => {
+    const base = {
+      ...createBaseSnapshot(),
+      environment: { season: 'summer', weather: 'clear', phase: 'day' },
+      neighbors: [{ townId: 'town-2', factionId: 'river-guild', relation: 0.2, tradeOpen: true, lastContactDay: 4 }]
+    };
+    const sample = { day: 5, threat: 0.2, scarcity: 0.2, hope: 0.7, dread: 0.1 };
+    const { snapshot } = applySnapshotDelta(base, createSnapshotDelta(base, [
+      { op: 'set_environment', environment: { season: 'autumn', weather: 'storm', phase: 'night' } },
+      { op: 'set_neighbor', neighbor: { townId: 'town-2', factionId: 'river-guild', relation: -0.4, tradeOpen: false, lastContactDay: 5 } },
+      { op: 'set_neighbor', neighbor: { townId: 'town-3', factionId: 'ash-raiders', relation: -0.8, tradeOpen: false, lastContactDay: 5 } },
+      { op: 'remove_neighbor', neighborTownId: 'town-2' },
+      { op: 'set_pressure_history', pressureHistory: [sample] }
+    ]));
+
+    assert.deepStrictEqual(snapshot.environment, { season: 'autumn', weather: 'storm', phase: 'night' });
+    assert.deepStrictEqual(snapshot.neighbors.map(neighbor => neighbor.townId), ['town-3']);
+    assert.deepStrictEqual(snapshot.pressureHistory, [sample]);
+
+    const cleared = applySnapshotDelta(snapshot, createSnapshotDelta(snapshot, [{ op: 'set_environment', environment: null }]));
+    assert.strictEqual('environment' in cleared.snapshot, false);
+    assert.throws(
+      () => applySnapshotDelta(base, createSnapshotDelta(base, [{ op: 'remove_neighbor', neighborTownId: 'town-9' }])),
+      /removes missing neighbor: town-9/
+    );
+  });
+
+  it('should report path-level issues for malformed deltas', () => {
+    const issues = validateSnapshotDelta({
+      schemaVersion: 'snapshot-delta.v1',
+      baseSnapshotHash: 'nope',
+      decisionEpoch: 0,
+      operations: [
+        { op: 'explode' },
+        { op: 'set_pressure', key: 'joy', value: 1 },
+        { op: 'update_project', projectId: 'wall' },
+        { op: 'remove_side_quest' }
+      ]
+    });
+
+    assert.deepStrictEqual(issues.map(issue => [issue.path, issue.code]), [
+      ['$.baseSnapshotHash', 'invalid_pattern'],
+      ['$.decisionEpoch', 'out_of_range'],
+      ['$.operations[0].op', 'invalid_enum'],
+      ['$.operations[1].key', 'invalid_enum'],
+      ['$.operations[2]', 'required'],
+      ['$.operations[3].sideQuestId', 'required']
+    ]);
+    assert.strictEqual(isValidSnapshotDelta({}), false);
+    assert.throws(() => applySnapshotDelta(createBaseSnapshot(), {}), /Invalid snapshot delta/);
+  });
+});
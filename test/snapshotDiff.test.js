@@ -0,0 +1,176 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { propose } from '../src/propose.js';
+import { mayorProfile } from '../src/agentProfiles.js';
+import { diffSnapshots, SnapshotChangeTypes } from '../src/snapshotDiff.js';
+import { createDefaultSnapshot } from '../src/snapshotSchema.js';
+
+function createBaseSnapshot() {
+  const snapshot = createDefaultSnapshot('town-1', 3);
+  snapshot.sideQuests = [
+    { id: 'sq-1', title: 'Gather Wood', complexity: 2 },
+    { id: 'sq-2', title: 'Scout Caves', complexity: 5 }
+  ];
+  snapshot.projects = [
+    { id: 'wall', name: 'Wall', progress: 0.4, status: 'active' },
+    { id: 'well', name: 'Well', progress: 0, status: 'planning' }
+  ];
+  return snapshot;
+}
+
+describe('Snapshot Diff', () => {
+  it('should report no changes for reordered but equivalent snapshots', () => {
+    const before = createBaseSnapshot();
+    const after = { ...before, sideQuests: [...before.sideQuests].reverse(), projects: [...before.projects].reverse() };
+    const diff = diffSnapshots(before, after);
+
+    assert.strictEqual(diff.schemaVersion, 'snapshot-diff.v1');
+    assert.deepStrictEqual(diff.changes, []);
+    assert.strictEqual(diff.fromHash, diff.toHash);
+    assert.strictEqual(diff.fromHash, propose(before, mayorProfile).snapshotHash);
+  });
+
+  it('should emit typed changes with signed deltas and magnitudes', () => {
+    const before = createBaseSnapshot();
+    const after = {
+      ...createBaseSnapshot(),
+      day: 4,
+      mission: { id: 'm-1', title: 'Hold the Line' },
+      sideQuests: [{ id: 'sq-2', title: 'Scout Caves', complexity: 5 }, { id: 'sq-3', title: 'Fish', complexity: 1 }],
+      pressure: { ...before.pressure, hope: 0.4 },
+      projects: [
+        { id: 'wall', name: 'Wall', progress: 0.7, status: 'active' },
+        { id: 'well', name: 'Well', progress: 0, status: 'blocked' }
+      ],
+      latestNetherEvent: 'ghast sighted'
+    };
+    const diff = diffSnapshots(before, after);
+
+    assert.strictEqual(diff.fromDay, 3);
+    assert.strictEqual(diff.toDay, 4);
+    assert.deepStrictEqual(diff.changes, [
+      { type: 'pressure_changed', key: 'hope', from: 0.7, to: 0.4, delta: -0.3, magnitude: 0.3 },
+      { type: 'mission_started', missionId: 'm-1' },
+      { type: 'side_quest_removed', sideQuestId: 'sq-1' },
+      { type: 'side_quest_added', sideQuestId: 'sq-3' },
+      { type: 'project_progressed', projectId: 'wall', from: 0.4, to: 0.7, delta: 0.3, magnitude: 0.3 },
+      { type: 'project_status_changed', projectId: 'well', from: 'planning', to: 'blocked' },
+      { type: 'event_changed', field: 'latestNetherEvent', from: null, to: 'ghast sighted' }
+    ]);
+    assert(diff.changes.every(change => SnapshotChangeTypes.includes(change.type)));
+  });
+
+  it('should report mission swaps, project churn, and typed event changes', () => {
+    const before = {
+      ...createBaseSnapshot(),
+      mission: { id: 'm-1', title: 'Hold the Line' },
+      events: [{ kind: 'raid', severity: 0.5, dayObserved: 2, source: 'scout' }]
+    };
+    const after = {
+      ...createBaseSnapshot(),
+      mission: { id: 'm-2', title: 'Rebuild' },
+      projects: [{ id: 'gate', name: 'Gate', progress: 0, status: 'planning' }],
+      events: [{ kind: 'panic', severity: 0.3, dayObserved: 3, source: 'square' }]
+    };
+    const diff = diffSnapshots(before, after);
+
+    assert.deepStrictEqual(diff.changes.map(change => change.type), [
+      'mission_ended',
+      'mission_started',
+      'project_removed',
+      'project_removed',
+      'project_added',
+      'event_changed'
+    ]);
+    const eventChange = diff.changes[diff.changes.length - 1];
+    assert.strictEqual(eventChange.field, 'events');
+    assert.deepStrictEqual(eventChange.added.map(event => event.kind), ['panic']);
+    assert.deepStrictEqual(eventChange.removed.map(event => event.kind), ['raid']);
+    assert.strictEqual(eventChange.magnitude, 2);
+  });
+
+  it('should report field changes under the same mission and side quest ids', () => {
+    const before = {
+      ...createBaseSnapshot(),
+      mission: { id: 'm-1', title: 'Hold the Line', reward: 100 },
+      sideQuests: [{ id: 'sq-1', title: 'Gather Wood', complexity: 2, reward: 40, expiresOnDay: 9 }]
+    };
+    const after = {
+      ...createBaseSnapshot(),
+      mission: { id: 'm-1', title: 'Hold the Line', reward: 150, acceptedBy: 'mayor-1' },
+      sideQuests: [{ id: 'sq-1', title: 'Gather Wood', complexity: 2, reward: 40, expiresOnDay: 5, requiredRole: 'captain' }]
+    };
+
+    assert.deepStrictEqual(diffSnapshots(before, after).changes, [
+      { type: 'mission_changed', missionId: 'm-1', field: 'reward', from: 100, to: 150, delta: 50, magnitude: 50 },
+      { type: 'mission_changed', missionId: 'm-1', field: 'acceptedBy', from: null, to: 'mayor-1' },
+      { type: 'side_quest_changed', sideQuestId: 'sq-1', field: 'expiresOnDay', from: 9, to: 5, delta: -4, magnitude: 4 },
+      { type: 'side_quest_changed', sideQuestId: 'sq-1', field: 'requiredRole', from: null, to: 'captain' }
+    ]);
+  });
+
+  it('should report residents, resources, environment, neighbors, and pressure history', () => {
+    const resident = { id: 'res-1', name: 'Ada', profession: 'farmer', morale: 0.6, skills: ['farming'] };
+    const neighbor = { townId: 'town-2', factionId: 'river-guild', relation: 0.2, tradeOpen: false, lastContactDay: 1 };
+    const before = {
+      ...createBaseSnapshot(),
+      schemaVersion: 'snapshot.v2',
+      residents: [resident],
+      resources: [{ id: 'food', quantity: 100, dailyConsumption: 10 }],
+      environment: { season: 'summer', weather: 'clear', phase: 'day' },
+      neighbors: [neighbor],
+      pressureHistory: [{ day: 1, threat: 0.2, scarcity: 0.2, hope: 0.7, dread: 0.1 }]
+    };
+    const after = {
+      ...before,
+      residents: [{ ...resident, morale: 0.2 }, { ...resident, id: 'res-2', name: 'Bo' }],
+      resources: [{ id: 'food', quantity: 40, dailyConsumption: 10 }],
+      environment: { season: 'summer', weather: 'storm', phase: 'night' },
+      neighbors: [{ ...neighbor, relation: -0.5, tradeOpen: false }],
+      pressureHistory: [...before.pressureHistory, { day: 2, threat: 0.4, scarcity: 0.2, hope: 0.6, dread: 0.2 }]
+    };
+    const diff = diffSnapshots(before, after);
+
+    assert.deepStrictEqual(diff.changes.map(change => change.type), [
+      'resident_morale_changed',
+      'resident_added',
+      'resource_changed',
+      'environment_changed',
+      'environment_changed',
+      'neighbor_changed',
+      'pressure_history_changed'
+    ]);
+    assert.deepStrictEqual(diff.changes[0], {
+      type: 'resident_morale_changed', residentId: 'res-1', from: 0.6, to: 0.2, delta: -0.4, magnitude: 0.4
+    });
+    assert.deepStrictEqual(diff.changes[2], {
+      type: 'resource_changed', resourceId: 'food', field: 'quantity', from: 100, to: 40, delta: -60, magnitude: 60
+    });
+    assert.deepStrictEqual(diff.changes[5], {
+      type: 'neighbor_changed', neighborTownId: 'town-2', field: 'relation', from: 0.2, to: -0.5, delta: -0.7, magnitude: 0.7
+    });
+    assert.deepStrictEqual(diff.changes[6].added.map(sample => sample.day), [2]);
+    assert(diff.changes.every(change => SnapshotChangeTypes.includes(change.type)));
+  });
+
+  it('should explain every hash mismatch with at least a section_changed record', () => {
+    const before = createBaseSnapshot();
+    const migrated = { ...before, schemaVersion: 'snapshot.v2', resources: [] };
+    const emptyResidents = { ...before, residents: [] };
+
+    assert.deepStrictEqual(diffSnapshots(before, migrated).changes, [
+      { type: 'section_changed', section: 'resources' },
+      { type: 'section_changed', section: 'schemaVersion' }
+    ]);
+    assert.deepStrictEqual(diffSnapshots(before, emptyResidents).changes, [{ type: 'section_changed', section: 'residents' }]);
+    assert.notStrictEqual(diffSnapshots(before, emptyResidents).fromHash, diffSnapshots(before, emptyResidents).toHash);
+  });
+
+  it('should reject invalid snapshots and snapshots from different towns', () => {
+    assert.throws(() => diffSnapshots(createBaseSnapshot(), { day: 1 }), /Invalid snapshot structure/);
+    assert.throws(
+      () => diffSnapshots(createBaseSnapshot(), createDefaultSnapshot('town-2', 3)),
+      /Snapshot townId mismatch/
+    );
+  });
+});
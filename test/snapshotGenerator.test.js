@@ -0,0 +1,166 @@
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { describe, it } from 'node:test';
+import { fileURLToPath } from 'url';
+import {
+  captainProfile,
+  clericProfile,
+  diplomatProfile,
+  mayorProfile,
+  treasurerProfile,
+  wardenProfile
+} from '../src/agentProfiles.js';
+import { isValidProposal } from '../src/proposalDsl.js';
+import { propose } from '../src/propose.js';
+import { SnapshotBounds } from '../src/schemaVersions.js';
+import { generateSnapshot } from '../src/snapshotGenerator.js';
+import { canonicalizeSnapshot, isValidSnapshot } from '../src/snapshotSchema.js';
+import { checkProperty, resolvePropertySeedCount } from './helpers/propertyRunner.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+function readFixture(filename) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', filename), 'utf8'));
+}
+
+const propertySeeds = resolvePropertySeedCount(2000);
+const profiles = [mayorProfile, captainProfile, wardenProfile, treasurerProfile, clericProfile, diplomatProfile];
+
+// Every snapshot array is an unordered set, so shuffle each one and reverse
+// object key order to get an equivalent payload in a different shape.
+function reorder(value, seed) {
+  let state = seed + 1;
+  const nextIndex = length => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state % length;
+  };
+  const visit = entry => {
+    if (Array.isArray(entry)) {
+      const copy = entry.map(visit);
+      for (let index = copy.length - 1; index > 0; index -= 1) {
+        const swapIndex = nextIndex(index + 1);
+        [copy[index], copy[swapIndex]] = [copy[swapIndex], copy[index]];
+      }
+      return copy;
+    }
+    if (entry && typeof entry === 'object') {
+      return Object.fromEntries(Object.keys(entry).reverse().map(key => [key, visit(entry[key])]));
+    }
+    return entry;
+  };
+  return visit(value);
+}
+
+function proposeForEachRole(snapshot, options) {
+  return profiles.map(profile => propose(snapshot, { ...profile, townId: snapshot.townId }, {}, options));
+}
+
+describe('Snapshot Generator', () => {
+  it('should produce the same snapshot for the same seed', () => {
+    assert.deepStrictEqual(generateSnapshot(42), generateSnapshot(42));
+    assert.notDeepStrictEqual(generateSnapshot(42), generateSnapshot(43));
+    assert.strictEqual(generateSnapshot(7, { townId: 'town-x' }).townId, 'town-x');
+  });
+
+  it('should reject invalid seeds and options', () => {
+    assert.throws(() => generateSnapshot(-1), /unsigned 32-bit integer/);
+    assert.throws(() => generateSnapshot(1.5), /unsigned 32-bit integer/);
+    assert.throws(() => generateSnapshot('1'), /unsigned 32-bit integer/);
+    assert.throws(() => generateSnapshot(1, { townId: '' }), /townId/);
+    assert.throws(() => generateSnapshot(1, { bounds: { maxProjects: -1 } }), /Invalid snapshot bounds/);
+  });
+
+  it('should cover empty lists, full lists, extreme pressure, near-colliding ids, and ties', () => {
+    const snapshots = Array.from({ length: 300 }, (_, seed) => generateSnapshot(seed));
+    const sideQuestIds = snapshots.flatMap(snapshot => snapshot.sideQuests.map(quest => quest.id));
+
+    assert.ok(snapshots.some(snapshot => snapshot.sideQuests.length === 0 && snapshot.projects.length === 0));
+    assert.ok(snapshots.some(snapshot => snapshot.sideQuests.length === SnapshotBounds.maxSideQuests));
+    assert.ok(snapshots.some(snapshot => snapshot.projects.length === SnapshotBounds.maxProjects));
+    assert.ok(snapshots.some(snapshot => snapshot.pressure.threat === 0 && snapshot.day === 0));
+    assert.ok(snapshots.some(snapshot => Object.values(snapshot.pressure).includes(1)));
+    assert.ok(sideQuestIds.some(id => id !== id.toLowerCase()));
+    assert.ok(snapshots.some(snapshot => snapshot.sideQuests.some((quest, index) => {
+      const previous = snapshot.sideQuests[index - 1];
+      return previous && quest.complexity === previous.complexity && quest.title === previous.title;
+    })));
+    assert.ok(snapshots.some(snapshot => 'events' in snapshot && 'residents' in snapshot && 'environment' in snapshot && 'neighbors' in snapshot));
+    assert.ok(snapshots.some(snapshot => snapshot.pressureHistory?.length === SnapshotBounds.maxPressureHistory));
+  });
+
+  it('should respect deployment bounds', () => {
+    const smallBounds = readFixture('smallServerBounds.json');
+    const pressureBounds = { minPressure: -50, maxPressure: 50, maxEvents: 0 };
+
+    for (let seed = 0; seed < 200; seed += 1) {
+      const small = generateSnapshot(seed, { bounds: smallBounds });
+      assert.ok(small.sideQuests.length <= smallBounds.maxSideQuests);
+      assert.ok(small.projects.length <= smallBounds.maxProjects);
+      assert.ok(isValidSnapshot(small, smallBounds));
+
+      const wide = generateSnapshot(seed, { bounds: pressureBounds });
+      assert.ok(Object.values(wide.pressure).every(value => value >= -50 && value <= 50));
+      assert.deepStrictEqual(wide.events ?? [], []);
+      assert.ok(isValidSnapshot(wide, pressureBounds));
+    }
+  });
+});
+
+describe('Propose Properties', () => {
+  it(`should generate valid snapshots and valid proposals with priority in [0, 1] over ${propertySeeds} seeds`, () => {
+    checkProperty('validity', { seeds: propertySeeds }, seed => {
+      const snapshot = generateSnapshot(seed);
+      assert.ok(isValidSnapshot(snapshot));
+
+      for (const proposal of proposeForEachRole(snapshot)) {
+        assert.ok(isValidProposal(proposal), `${proposal.type} proposal is invalid`);
+        assert.ok(proposal.priority >= 0 && proposal.priority <= 1, `priority ${proposal.priority} out of range`);
+        assert.strictEqual(proposal.townId, snapshot.townId);
+        assert.strictEqual(proposal.decisionEpoch, snapshot.day);
+      }
+    });
+  });
+
+  it(`should be deterministic over ${propertySeeds} seeds`, () => {
+    checkProperty('determinism', { seeds: propertySeeds }, seed => {
+      const snapshot = generateSnapshot(seed);
+      assert.deepStrictEqual(proposeForEachRole(snapshot), proposeForEachRole(structuredClone(snapshot)));
+    });
+  });
+
+  it(`should keep snapshot hashes and proposal ids stable under reordering over ${propertySeeds} seeds`, () => {
+    checkProperty('reorder stability', { seeds: propertySeeds }, seed => {
+      const snapshot = generateSnapshot(seed);
+      const reordered = reorder(snapshot, seed);
+
+      assert.deepStrictEqual(canonicalizeSnapshot(reordered), canonicalizeSnapshot(snapshot));
+      assert.deepStrictEqual(proposeForEachRole(reordered), proposeForEachRole(snapshot));
+    });
+  });
+
+  it('should hold the same properties under deployment bounds', () => {
+    const bounds = { ...readFixture('smallServerBounds.json'), minPressure: 0, maxPressure: 100 };
+
+    checkProperty('bounded validity', { seeds: Math.ceil(propertySeeds / 4) }, seed => {
+      const snapshot = generateSnapshot(seed, { bounds });
+      const proposals = proposeForEachRole(snapshot, { bounds });
+
+      assert.deepStrictEqual(proposeForEachRole(reorder(snapshot, seed), { bounds }), proposals);
+      for (const proposal of proposals) {
+        assert.ok(isValidProposal(proposal));
+        assert.ok(proposal.priority >= 0 && proposal.priority <= 1);
+      }
+    });
+  });
+
+  it('should report the failing seed', () => {
+    assert.throws(
+      () => checkProperty('always fails at 3', { seeds: 5 }, seed => assert.ok(seed !== 3, 'seed 3 rejected')),
+      /Property "always fails at 3" failed for seed 3: seed 3 rejected/
+    );
+    assert.strictEqual(resolvePropertySeedCount(10, { PROPERTY_SEEDS: '25' }), 25);
+    assert.strictEqual(resolvePropertySeedCount(10, { PROPERTY_SEEDS: 'lots' }), 10);
+  });
+});
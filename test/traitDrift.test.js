@@ -0,0 +1,177 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { captainProfile, isValidProfile, mayorProfile, MaxLearnedResultIds, validateProfile } from '../src/agentProfiles.js';
+import { createExecutionHandoff, createExecutionResult } from '../src/executionHandoff.js';
+import { hashProfile } from '../src/profileTemplates.js';
+import { propose } from '../src/propose.js';
+import { createDefaultSnapshot } from '../src/snapshotSchema.js';
+import {
+  DefaultDriftPolicy,
+  evolveProfile,
+  resolveDriftPolicy,
+  validateDriftPolicy
+} from '../src/traitDrift.js';
+
+function createCaptainHandoff(day) {
+  const snapshot = createDefaultSnapshot('town-1', day);
+  snapshot.pressure = { threat: 0.8, scarcity: 0.2, hope: 0.5, dread: 0.3 };
+  snapshot.projects = [{ id: 'wall', name: 'Wall', progress: 0.4, status: 'active' }];
+  return createExecutionHandoff(propose(snapshot, captainProfile));
+}
+
+const outcomes = {
+  executed: { status: 'executed', accepted: true, executed: true, reasonCode: 'EXECUTED' },
+  rejected: { status: 'rejected', accepted: false, executed: false, reasonCode: 'PRECONDITION_FAILED' },
+  stale: { status: 'stale', accepted: false, executed: false, reasonCode: 'STALE_STATE' },
+  duplicate: { status: 'duplicate', accepted: false, executed: false, reasonCode: 'DUPLICATE_HANDOFF' }
+};
+
+function createResult(status, day = 4) {
+  return createExecutionResult(createCaptainHandoff(day), outcomes[status]);
+}
+
+describe('Trait Drift', () => {
+  it('should make a captain whose projects keep getting rejected less courageous and more prudent', () => {
+    const rejections = [createResult('rejected', 4), createResult('rejected', 5), createResult('rejected', 6)];
+    const evolved = evolveProfile(captainProfile, rejections);
+
+    assert.strictEqual(evolved.traits.courage, Math.round((captainProfile.traits.courage - 0.09) * 1e6) / 1e6);
+    assert.strictEqual(evolved.traits.prudence, Math.round((captainProfile.traits.prudence + 0.1) * 1e6) / 1e6);
+    assert.strictEqual(evolved.traits.authority, captainProfile.traits.authority);
+    assert.ok(isValidProfile(evolved));
+    assert.deepStrictEqual(captainProfile.traits, evolveProfile(captainProfile, []).traits);
+  });
+
+  it('should record a lineage hash and every trait change', () => {
+    const results = [createResult('executed', 4), createResult('rejected', 5)];
+    const evolved = evolveProfile(captainProfile, results);
+    const resultIds = results.map(result => result.resultId).sort();
+
+    assert.strictEqual(evolved.lineage.generation, 1);
+    assert.strictEqual(evolved.lineage.parentHash, hashProfile(captainProfile));
+    assert.match(evolved.lineage.hash, /^[0-9a-f]{64}$/);
+    assert.deepStrictEqual(evolved.lineage.resultIds, resultIds);
+    assert.deepStrictEqual(
+      evolved.lineage.traitHistory.map(change => [change.trait, change.from, change.to]),
+      Object.keys(captainProfile.traits)
+        .filter(trait => evolved.traits[trait] !== captainProfile.traits[trait])
+        .map(trait => [trait, captainProfile.traits[trait], evolved.traits[trait]])
+    );
+    const courage = evolved.lineage.traitHistory.find(change => change.trait === 'courage');
+    assert.deepStrictEqual(courage.resultIds, resultIds);
+
+    const next = evolveProfile(evolved, [createResult('stale', 6)]);
+    assert.strictEqual(next.lineage.generation, 2);
+    assert.strictEqual(next.lineage.parentHash, hashProfile(evolved));
+    assert.notStrictEqual(next.lineage.hash, evolved.lineage.hash);
+    assert.deepStrictEqual(next.lineage.traitHistory.slice(0, evolved.lineage.traitHistory.length), evolved.lineage.traitHistory);
+    assert.ok(next.lineage.traitHistory.slice(evolved.lineage.traitHistory.length).every(change => change.generation === 2));
+  });
+
+  it('should be deterministic and independent of result order and repeats', () => {
+    const results = [createResult('executed', 4), createResult('rejected', 5), createResult('stale', 6)];
+    const evolved = evolveProfile(captainProfile, results);
+
+    assert.deepStrictEqual(evolveProfile(captainProfile, [...results].reverse()), evolved);
+    assert.deepStrictEqual(evolveProfile(captainProfile, [...results, results[1]]), evolved);
+    assert.deepStrictEqual(evolveProfile(structuredClone(captainProfile), structuredClone(results)), evolved);
+  });
+
+  it('should ignore other actors and duplicates', () => {
+    const evolvedMayor = evolveProfile(mayorProfile, [createResult('rejected')]);
+    assert.deepStrictEqual(evolvedMayor, mayorProfile);
+    assert.strictEqual('lineage' in evolvedMayor, false);
+
+    const afterDuplicate = evolveProfile(captainProfile, [createResult('duplicate')]);
+    assert.deepStrictEqual(afterDuplicate.traits, captainProfile.traits);
+    assert.deepStrictEqual(afterDuplicate.lineage.traitHistory, []);
+    assert.strictEqual(afterDuplicate.lineage.resultIds.length, 1);
+  });
+
+  it('should skip results the lineage already learned from', () => {
+    const results = [createResult('executed', 4), createResult('rejected', 5)];
+    const evolved = evolveProfile(captainProfile, results);
+    const next = evolveProfile(evolved, [createResult('rejected', 5), createResult('stale', 6)]);
+
+    assert.deepStrictEqual(evolveProfile(evolved, results), evolved);
+    assert.deepStrictEqual(evolveProfile(evolved, [results[0]]), evolved);
+    assert.deepStrictEqual(next, evolveProfile(evolved, [createResult('stale', 6)]));
+    assert.deepStrictEqual(evolveProfile(next, results), next);
+    assert.deepStrictEqual(next.lineage.learnedResultIds, [...results, createResult('stale', 6)].map(result => result.resultId).sort());
+  });
+
+  it('should skip learned results after the trait history is trimmed', () => {
+    const policy = { maxTraitHistory: 2 };
+    const [a, b, c] = [createResult('rejected', 4), createResult('rejected', 5), createResult('rejected', 6)];
+    const evolved = [a, b, c].reduce((profile, result) => evolveProfile(profile, [result], policy), captainProfile);
+
+    assert.strictEqual(evolved.lineage.traitHistory.length, 2);
+    assert.deepStrictEqual(evolveProfile(evolved, [a, b, c], policy), evolved);
+  });
+
+  it('should skip learned results that caused no drift', () => {
+    const duplicate = createResult('duplicate');
+    const evolved = evolveProfile(evolveProfile(captainProfile, [duplicate]), [createResult('executed', 5)]);
+
+    assert.strictEqual(evolved.lineage.traitHistory.flatMap(change => change.resultIds).includes(duplicate.resultId), false);
+    assert.deepStrictEqual(evolveProfile(evolved, [duplicate]), evolved);
+  });
+
+  it('should refuse to grow the learned result record past its bound', () => {
+    const evolved = evolveProfile(captainProfile, [createResult('executed', 4)]);
+    const full = structuredClone(evolved);
+    full.lineage.learnedResultIds = Array.from({ length: MaxLearnedResultIds }, (_, index) => `result_${index.toString(16).padStart(64, '0')}`);
+
+    assert.ok(isValidProfile(full));
+    assert.throws(() => evolveProfile(full, [createResult('executed', 5)]), /cannot learn from more than 4096 execution results/);
+  });
+
+  it('should apply configurable rates, cap each step, and keep traits in bounds', () => {
+    const results = [createResult('executed', 4), createResult('executed', 5)];
+    const bold = evolveProfile(captainProfile, results, {
+      statusDrift: { executed: { courage: 0.5 } },
+      maxStepDrift: 0.05
+    });
+    assert.strictEqual(bold.traits.courage, Math.min(1, Math.round((captainProfile.traits.courage + 0.05) * 1e6) / 1e6));
+    assert.strictEqual(bold.traits.authority, captainProfile.traits.authority);
+
+    const reckless = evolveProfile({ ...captainProfile, traits: { ...captainProfile.traits, courage: 0.99 } }, results, {
+      statusDrift: { executed: { courage: 0.2 } },
+      maxStepDrift: 1
+    });
+    assert.strictEqual(reckless.traits.courage, 1);
+
+    const trimmed = evolveProfile(captainProfile, results, { maxTraitHistory: 1 });
+    assert.strictEqual(trimmed.lineage.traitHistory.length, 1);
+    assert.notStrictEqual(trimmed.lineage.hash, evolveProfile(captainProfile, results).lineage.hash);
+  });
+
+  it('should validate drift policies, results, and lineage blocks', () => {
+    assert.deepStrictEqual(validateDriftPolicy({}), []);
+    assert.deepStrictEqual(resolveDriftPolicy().statusDrift, DefaultDriftPolicy.statusDrift);
+    assert.deepStrictEqual(
+      validateDriftPolicy({ statusDrift: { won: {}, executed: { luck: 0.1, courage: 2 } }, maxStepDrift: -1, extra: true })
+        .map(issue => [issue.path, issue.code]),
+      [
+        ['$.extra', 'unknown_key'],
+        ['$.statusDrift.won', 'unknown_key'],
+        ['$.statusDrift.executed.luck', 'unknown_key'],
+        ['$.statusDrift.executed.courage', 'out_of_range'],
+        ['$.maxStepDrift', 'out_of_range']
+      ]
+    );
+    assert.throws(() => evolveProfile(captainProfile, [], { maxTraitHistory: 1.5 }), /Invalid drift policy/);
+    assert.throws(() => evolveProfile(captainProfile, [{ status: 'executed' }]), /Invalid execution result at index 0/);
+    assert.throws(() => evolveProfile(captainProfile, null), /must be an array/);
+    assert.throws(() => evolveProfile({ ...captainProfile, traits: {} }, []), /Invalid profile structure/);
+
+    const evolved = evolveProfile(captainProfile, [createResult('rejected')]);
+    const tampered = structuredClone(evolved);
+    tampered.lineage.traitHistory[0].trait = 'luck';
+    tampered.lineage.hash = 'abc';
+    assert.deepStrictEqual(validateProfile(tampered).map(issue => issue.path), [
+      '$.lineage.hash',
+      '$.lineage.traitHistory[0].trait'
+    ]);
+  });
+});
@@ -0,0 +1,150 @@
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isValidProfile, mayorProfile, validateProfile } from '../src/agentProfiles.js';
+import { isValidProposal, validateProposal } from '../src/proposalDsl.js';
+import { propose } from '../src/propose.js';
+import { createDefaultSnapshot, isValidSnapshot, validateSnapshot } from '../src/snapshotSchema.js';
+import { ValidationIssueCode } from '../src/validationIssues.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const repoRoot = path.resolve(__dirname, '..');
+
+function loadFixture(filename) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', filename), 'utf-8'));
+}
+
+function findIssue(issues, issuePath) {
+  return issues.find(issue => issue.path === issuePath);
+}
+
+describe('Path-Level Validation Diagnostics', () => {
+  it('should return no issues for valid snapshots, profiles, and proposals', () => {
+    const snapshot = loadFixture('stableSnapshot.json');
+    const proposal = propose(createDefaultSnapshot(), mayorProfile);
+
+    assert.deepStrictEqual(validateSnapshot(snapshot), []);
+    assert.deepStrictEqual(validateProfile(mayorProfile), []);
+    assert.deepStrictEqual(validateProposal(proposal), []);
+  });
+
+  it('should report every broken snapshot field with path, code, expected, and actual', () => {
+    const snapshot = createDefaultSnapshot('town-1', 2);
+    snapshot.day = 1.5;
+    snapshot.pressure.threat = 3;
+    snapshot.sideQuests = [
+      { id: 'sq-1', title: 'Gather Wood', complexity: 1 },
+      { id: 'sq-1', title: '', complexity: 11, bonus: true }
+    ];
+    snapshot.projects = [{ id: 'wall', name: 'Wall', progress: 0.2, status: 'paused' }];
+    delete snapshot.latestNetherEvent;
+
+    const issues = validateSnapshot(snapshot);
+
+    assert.deepStrictEqual(findIssue(issues, '$.day'), {
+      path: '$.day',
+      code: ValidationIssueCode.NOT_INTEGER,
+      message: 'Expected an integer',
+      expected: 'integer >= 0',
+      actual: 1.5
+    });
+    assert.strictEqual(findIssue(issues, '$.pressure.threat').code, ValidationIssueCode.OUT_OF_RANGE);
+    assert.strictEqual(findIssue(issues, '$.pressure.threat').actual, 3);
+    assert.strictEqual(findIssue(issues, '$.sideQuests[1].id').code, ValidationIssueCode.DUPLICATE_ID);
+    assert.strictEqual(findIssue(issues, '$.sideQuests[1].title').code, ValidationIssueCode.EMPTY_STRING);
+    assert.strictEqual(findIssue(issues, '$.sideQuests[1].complexity').code, ValidationIssueCode.OUT_OF_RANGE);
+    assert.strictEqual(findIssue(issues, '$.sideQuests[1].bonus').code, ValidationIssueCode.UNKNOWN_KEY);
+    assert.deepStrictEqual(findIssue(issues, '$.projects[0].status').expected, ['planning', 'active', 'blocked', 'complete']);
+    assert.strictEqual(findIssue(issues, '$.latestNetherEvent').code, ValidationIssueCode.REQUIRED);
+    assert.strictEqual(isValidSnapshot(snapshot), false);
+  });
+
+  it('should describe non-scalar actual values without echoing whole payloads', () => {
+    const issues = validateSnapshot({ ...createDefaultSnapshot(), pressure: [0.1, 0.2] });
+
+    assert.strictEqual(findIssue(issues, '$.pressure').actual, 'array(2)');
+    assert.deepStrictEqual(validateSnapshot(null), [{
+      path: '$',
+      code: ValidationIssueCode.INVALID_TYPE,
+      message: 'Expected an object',
+      expected: 'object',
+      actual: null
+    }]);
+  });
+
+  it('should report profile trait and goal issues by path', () => {
+    const issues = validateProfile(loadFixture('invalidProfile.json'));
+    const goalIssues = validateProfile({ ...mayorProfile, role: 'jester', goals: { acceptMissions: 'yes' } });
+
+    assert.deepStrictEqual(issues.map(issue => issue.path), ['$.traits.authority']);
+    assert.strictEqual(issues[0].code, ValidationIssueCode.OUT_OF_RANGE);
+    assert.strictEqual(issues[0].actual, 1.5);
+    assert.strictEqual(findIssue(goalIssues, '$.role').code, ValidationIssueCode.INVALID_ENUM);
+    assert.strictEqual(findIssue(goalIssues, '$.goals.acceptMissions').code, ValidationIssueCode.INVALID_TYPE);
+    assert.strictEqual(isValidProfile(loadFixture('invalidProfile.json')), false);
+  });
+
+  it('should accept goal weights in [0, 1] alongside boolean flags', () => {
+    const weighted = { ...mayorProfile, goals: { acceptMissions: true, growTown: 0.3, maintainMorale: 0 } };
+    const issues = validateProfile({ ...mayorProfile, goals: { acceptMissions: 1.2, growTown: Number.NaN } });
+
+    assert.deepStrictEqual(validateProfile(weighted), []);
+    assert.strictEqual(findIssue(issues, '$.goals.acceptMissions').code, ValidationIssueCode.OUT_OF_RANGE);
+    assert.strictEqual(findIssue(issues, '$.goals.growTown').code, ValidationIssueCode.INVALID_TYPE);
+  });
+
+  it('should validate relationships by actor id', () => {
+    const related = { ...mayorProfile, relationships: { 'captain-1': { trust: 0.2, rivalry: 0.6 }, 'warden-1': {} } };
+    const issues = validateProfile({ ...mayorProfile, relationships: { 'captain-1': { trust: -0.1, respect: 1 }, '': {} } });
+
+    assert.deepStrictEqual(validateProfile(related), []);
+    assert.strictEqual(findIssue(issues, '$.relationships.captain-1.trust').code, ValidationIssueCode.OUT_OF_RANGE);
+    assert.strictEqual(findIssue(issues, '$.relationships.captain-1.respect').code, ValidationIssueCode.UNKNOWN_KEY);
+    assert.strictEqual(findIssue(validateProfile({ ...mayorProfile, relationships: [] }), '$.relationships').code, ValidationIssueCode.INVALID_TYPE);
+  });
+
+  it('should report proposal envelope and args issues by path', () => {
+    const proposal = propose(createDefaultSnapshot(), mayorProfile);
+    const broken = {
+      ...proposal,
+      proposalId: 'proposal_bad',
+      priority: -0.2,
+      args: { talkType: 'shout' }
+    };
+
+    const issues = validateProposal(broken);
+
+    assert.strictEqual(findIssue(issues, '$.proposalId').code, ValidationIssueCode.INVALID_PATTERN);
+    assert.strictEqual(findIssue(issues, '$.priority').code, ValidationIssueCode.OUT_OF_RANGE);
+    assert.strictEqual(findIssue(issues, '$.args').code, ValidationIssueCode.INVALID_ARGS);
+    assert.strictEqual(isValidProposal(broken), false);
+  });
+
+  it('should surface snapshot and profile issues in CLI error payloads', () => {
+    for (const cli of ['decisionCli.js', 'demoCli.js']) {
+      const snapshotRun = spawnSync(process.execPath, [
+        path.join(repoRoot, 'src', cli),
+        '--snapshot', path.join(__dirname, 'fixtures', 'invalidSnapshot.json'),
+        '--profile', 'mayor'
+      ], { cwd: repoRoot, encoding: 'utf8' });
+      const profileRun = spawnSync(process.execPath, [
+        path.join(repoRoot, 'src', cli),
+        '--snapshot', path.join(__dirname, 'fixtures', 'stableSnapshot.json'),
+        '--profile', path.join(__dirname, 'fixtures', 'invalidProfile.json')
+      ], { cwd: repoRoot, encoding: 'utf8' });
+
+      const snapshotError = JSON.parse(snapshotRun.stderr).error;
+      const profileError = JSON.parse(profileRun.stderr).error;
+
+      assert.strictEqual(snapshotError.code, 'INVALID_SNAPSHOT');
+      assert.deepStrictEqual(snapshotError.details.issues.map(issue => issue.path), ['$.day']);
+      assert.strictEqual(profileError.code, 'INVALID_PROFILE');
+      assert.strictEqual(profileError.details.kind, 'file');
+      assert.deepStrictEqual(profileError.details.issues.map(issue => issue.path), ['$.traits.authority']);
+    }
+  });
+});
@@ -22,7 +22,8 @@ import {
   createNarrativeContextWithWorldMemory,
   isValidWorldMemoryContext,
   normalizeWorldMemoryContext,
-  parseWorldMemoryContextLine
+  parseWorldMemoryContextLine,
+  WorldMemoryContextType
 } from '../src/worldMemoryContext.js';
 import { createDefaultSnapshot } from '../src/snapshotSchema.js';
 
@@ -375,4 +376,32 @@ describe('World Memory Narrative Context', () => {
     assert.strictEqual(result.authority.stateMutation, false);
     assert.deepStrictEqual(input, snapshotBefore);
   });
+
+  it('should order treasurer, cleric, and diplomat key actors after the warden and before townsfolk', () => {
+    const keyActor = (role, name) => ({ actorId: `alpha.${role}`, townId: 'alpha', name, role, status: 'active' });
+    const worldMemory = {
+      type: WorldMemoryContextType,
+      schemaVersion: 1,
+      scope: { townId: 'alpha', factionId: null, chronicleLimit: 1, historyLimit: 1 },
+      recentChronicle: [],
+      recentHistory: [],
+      keyActors: [
+        keyActor('townsfolk', 'Ava Reed'),
+        keyActor('diplomat', 'Tamsin Reed'),
+        keyActor('cleric', 'Oren Vale'),
+        keyActor('warden', 'Sera Flint'),
+        keyActor('treasurer', 'Ilse Marr'),
+        keyActor('mayor', 'Elira Vale')
+      ]
+    };
+
+    const normalized = normalizeWorldMemoryContext(worldMemory);
+
+    assert.strictEqual(isValidWorldMemoryContext(worldMemory), true);
+    assert.deepStrictEqual(
+      normalized.keyActors.map((actor) => actor.role),
+      ['mayor', 'warden', 'treasurer', 'cleric', 'diplomat', 'townsfolk']
+    );
+    assert.deepStrictEqual(normalizeWorldMemoryContext(normalized), normalized);
+  });
 });